@@ -0,0 +1,49 @@
+/**
+ * Arbitrum Sepolia 部署配置
+ *
+ * 需要在 .env 中设置：
+ * - BACKEND_WALLET：Backend Relayer 地址（RELAYER_ROLE，调用 createVesting / depositWithPermit /
+ *   mintWithPermit / matchOrders；不能 mint MOE，也不能管理角色）
+ * - POOL_ADDRESS：DepositContract 收款地址
+ * - GUARDIAN_ADDRESS：熔断 guardian（冷钱包或 Safe，不能与 admin / relayer 相同）
+ * - TREASURY_ADDRESS：NFT 铸造收款与 Marketplace 手续费收款地址
+ * - MULTISIG_ADDRESS：admin 移交的目标 Safe 多签（仅 handoff-ownership.js 使用）
+ *
+ * 字段说明见 config/deploy/localhost.js
+ */
+module.exports = {
+  roles: {
+    admin: "deployer",
+    relayer: process.env.BACKEND_WALLET,
+    minter: "deployer",
+    treasurer: "deployer",
+  },
+
+  guardian: process.env.GUARDIAN_ADDRESS,
+
+  allocations: [],
+
+  vestingFactory: {
+    funding: "5000000",
+  },
+
+  depositContract: {
+    recipient: process.env.POOL_ADDRESS,
+  },
+
+  nft: {
+    paymentToken: "MOEToken",
+    treasury: process.env.TREASURY_ADDRESS,
+  },
+
+  marketplace: {
+    nftContract: "MoeGirlsNFT",
+    paymentToken: "MOEToken",
+    feeRecipient: process.env.TREASURY_ADDRESS,
+  },
+
+  handoff: {
+    owner: process.env.MULTISIG_ADDRESS,
+    requireSafe: true,
+  },
+};
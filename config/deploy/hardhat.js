@@ -0,0 +1,2 @@
+// 内置 hardhat 网络（一次性）与本地节点使用相同配置
+module.exports = require("./localhost");
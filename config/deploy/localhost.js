@@ -0,0 +1,63 @@
+/**
+ * 本地网络部署配置（npx hardhat node）
+ *
+ * 地址字段支持：
+ * - "deployer"：部署账户
+ * - 0x 开头的地址
+ * - 合约名（仅 nft / marketplace 的关联字段）：本次部署的合约地址
+ *
+ * 金额字段为 MOE 数量字符串（按 18 位小数解析，如 "5000000"）
+ */
+module.exports = {
+  // 合约角色，每个角色可以是一个地址或地址数组
+  // （本地全部由部署账户持有，与 BACKEND_PRIVATE_KEY 默认值一致）
+  roles: {
+    // DEFAULT_ADMIN_ROLE：授予 / 撤销角色，修改合约设置
+    admin: "deployer",
+    // RELAYER_ROLE：Backend relayer（createVesting / depositWithPermit / mintWithPermit / matchOrders）
+    relayer: "deployer",
+    // MINTER_ROLE：MOEToken.mint
+    minter: "deployer",
+    // TREASURER_ROLE：NFT 铸造收款地址、Marketplace 手续费收款地址
+    treasurer: "deployer",
+  },
+
+  // guardian：pause / unpause 所有可暂停的合约（熔断），不能与 admin / relayer 相同
+  // （本地使用 Hardhat 账户 #1）
+  guardian: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+
+  // 初始供应（10,000,000 MOE）中额外转出的部分，其余留在部署账户
+  allocations: [],
+
+  vestingFactory: {
+    // 部署后转入 Factory 的 MOE（玩家提现池）
+    funding: "5000000",
+  },
+
+  depositContract: {
+    // 玩家充值的收款地址
+    recipient: "deployer",
+  },
+
+  nft: {
+    // 铸造时收取的支付代币
+    paymentToken: "MOEToken",
+    // 铸造收款地址（部署时由部署账户的 treasurer 角色设置）
+    treasury: "deployer",
+  },
+
+  marketplace: {
+    nftContract: "MoeGirlsNFT",
+    paymentToken: "MOEToken",
+    // 协议手续费收款地址
+    feeRecipient: "deployer",
+  },
+
+  // admin 移交（scripts/handoff-ownership.js）
+  handoff: {
+    // Safe 多签地址
+    owner: process.env.MULTISIG_ADDRESS,
+    // 目标必须是 Safe 合约
+    requireSafe: true,
+  },
+};
@@ -3,7 +3,8 @@ pragma solidity ^0.8.28;
 
 import "./MOEToken.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./extensions/GuardianPausable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
@@ -16,6 +17,11 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
  * - MOE 转账到 owner（形成闭环经济）
  * - 记录充值历史
  * - 提供查询接口
+ * - guardian 可暂停所有充值入口（熔断）
+ *
+ * 角色（AccessControl）：
+ * - DEFAULT_ADMIN_ROLE：授予 / 撤销角色
+ * - RELAYER_ROLE：depositFor / depositWithPermit（Backend relayer）
  *
  * Gasless 充值流程：
  * 1. 玩家签名 permit（off-chain，0 gas）
@@ -31,9 +37,11 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
  * 经济闭环：
  * 玩家充值 → Owner → Factory 补充 → VestingWallet → 玩家提现
  */
-contract DepositContract is ReentrancyGuard, Ownable {
+contract DepositContract is ReentrancyGuard, AccessControl, GuardianPausable {
     using SafeERC20 for IERC20;
 
+    bytes32 public constant RELAYER_ROLE = keccak256("RELAYER_ROLE");
+
     MOEToken public immutable moeToken;
     address public immutable recipient; // 收款地址（Owner）
 
@@ -68,13 +76,13 @@ contract DepositContract is ReentrancyGuard, Ownable {
      * @dev 构造函数
      * @param _moeToken MOEToken 合约地址
      * @param _recipient 收款地址（Owner）
-     * @param initialOwner 合约 owner 地址（用于访问控制）
+     * @param initialAdmin 初始 admin（同时获得 RELAYER_ROLE，部署脚本按配置重新分配）
      */
     constructor(
         address _moeToken,
         address _recipient,
-        address initialOwner
-    ) Ownable(initialOwner) {
+        address initialAdmin
+    ) {
         require(
             _moeToken != address(0),
             "DepositContract: MOEToken is zero address"
@@ -86,6 +94,9 @@ contract DepositContract is ReentrancyGuard, Ownable {
 
         moeToken = MOEToken(_moeToken);
         recipient = _recipient;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(RELAYER_ROLE, initialAdmin);
     }
 
     /**
@@ -96,7 +107,7 @@ contract DepositContract is ReentrancyGuard, Ownable {
      * - 玩家必须先 approve 足够的 MOE 给本合约
      * - amount 必须大于 0
      */
-    function deposit(uint256 amount) external nonReentrant {
+    function deposit(uint256 amount) external nonReentrant whenNotPaused {
         _processDeposit(msg.sender, amount);
     }
 
@@ -108,7 +119,7 @@ contract DepositContract is ReentrancyGuard, Ownable {
     function depositFor(
         address from,
         uint256 amount
-    ) external nonReentrant onlyOwner {
+    ) external nonReentrant onlyRole(RELAYER_ROLE) whenNotPaused {
         _processDeposit(from, amount);
     }
 
@@ -139,7 +150,7 @@ contract DepositContract is ReentrancyGuard, Ownable {
         uint8 v,
         bytes32 r,
         bytes32 s
-    ) external nonReentrant onlyOwner {
+    ) external nonReentrant onlyRole(RELAYER_ROLE) whenNotPaused {
         // 使用 ERC-2612 permit 批准
         moeToken.permit(player, address(this), amount, deadline, v, r, s);
 
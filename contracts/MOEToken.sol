@@ -3,7 +3,8 @@ pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 
 /**
  * @title MOEToken
@@ -12,16 +13,32 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * 特性：
  * - ERC20 标准代币
  * - ERC20Permit: 支持 gasless approval (EIP-2612)
+ * - permitWithSignature: 智能合约钱包 (如 Safe) 的 gasless approval (ERC-1271)
  * - 初始供应量: 10,000,000 MOE
- * - 可增发: Owner 可以 mint 新的代币
+ * - 可增发: MINTER_ROLE 可以 mint 新的代币
+ *
+ * 角色（AccessControl）：
+ * - DEFAULT_ADMIN_ROLE：授予 / 撤销角色
+ * - MINTER_ROLE：mint（不授予 Backend relayer 私钥）
  *
  * 经济模型：
- * - 部署时 mint 10,000,000 MOE 到 owner
- * - Owner 分配 50% 到 VestingWalletFactory
- * - 玩家充值 → Owner (闭环)
- * - Owner 可随时 mint 补充 Factory
+ * - 部署时 mint 10,000,000 MOE 到 admin
+ * - Admin 分配 50% 到 VestingWalletFactory
+ * - 玩家充值 → Recipient (闭环)
+ * - Minter 可随时 mint 补充 Factory
  */
-contract MOEToken is ERC20, ERC20Permit, Ownable {
+contract MOEToken is ERC20, ERC20Permit, AccessControl {
+
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    // 与 ERC20Permit 相同的 EIP-2612 Permit TypeHash
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @dev permitWithSignature 签名无效
+     */
+    error MOEPermitInvalidSignature(address owner);
 
     /**
      * @dev 当新的 MOE 代币被铸造时触发
@@ -32,19 +49,21 @@ contract MOEToken is ERC20, ERC20Permit, Ownable {
 
     /**
      * @dev 构造函数
-     * @param initialOwner 合约所有者地址
+     * @param initialAdmin 初始 admin（同时获得 MINTER_ROLE，部署脚本按配置重新分配）
      *
-     * 初始化代币并 mint 10,000,000 MOE 到 owner
+     * 初始化代币并 mint 10,000,000 MOE 到 admin
      */
-    constructor(address initialOwner)
+    constructor(address initialAdmin)
         ERC20("MoeGirls Token", "MOE")
         ERC20Permit("MoeGirls Token")
-        Ownable(initialOwner)
     {
-        // 初始 mint 10,000,000 MOE 到 owner
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(MINTER_ROLE, initialAdmin);
+
+        // 初始 mint 10,000,000 MOE 到 admin
         uint256 initialSupply = 10_000_000 * 10**decimals();
-        _mint(initialOwner, initialSupply);
-        emit MOEMinted(initialOwner, initialSupply);
+        _mint(initialAdmin, initialSupply);
+        emit MOEMinted(initialAdmin, initialSupply);
     }
 
     /**
@@ -53,7 +72,7 @@ contract MOEToken is ERC20, ERC20Permit, Ownable {
      * @param amount 铸造数量
      *
      * 要求：
-     * - 只有 owner 可以调用
+     * - 只有 MINTER_ROLE 可以调用
      * - to 地址不能为零地址
      * - amount 必须大于 0
      *
@@ -62,11 +81,42 @@ contract MOEToken is ERC20, ERC20Permit, Ownable {
      * - 游戏活动奖励
      * - 其他经济需求
      */
-    function mint(address to, uint256 amount) external onlyOwner {
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
         require(to != address(0), "MOEToken: mint to zero address");
         require(amount > 0, "MOEToken: mint amount must be positive");
 
         _mint(to, amount);
         emit MOEMinted(to, amount);
     }
+
+    /**
+     * @dev 支持 ERC-1271 的 permit（签名为 bytes）
+     * @param owner 代币持有者（EOA 或 ERC-1271 合约钱包）
+     * @param spender 被授权地址
+     * @param value 授权额度
+     * @param deadline Permit 截止时间
+     * @param signature ECDSA 签名，或合约钱包的 ERC-1271 签名
+     *
+     * 与 permit 签名相同的 EIP-2612 Permit 消息，共用 nonces：
+     * - 合约地址：调用 isValidSignature (ERC-1271) 验证
+     * - EOA：ECDSA 验证
+     */
+    function permitWithSignature(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        bytes memory signature
+    ) external {
+        if (block.timestamp > deadline) {
+            revert ERC2612ExpiredSignature(deadline);
+        }
+
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+        if (!SignatureChecker.isValidSignatureNow(owner, _hashTypedDataV4(structHash), signature)) {
+            revert MOEPermitInvalidSignature(owner);
+        }
+
+        _approve(owner, spender, value);
+    }
 }
@@ -3,33 +3,98 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./extensions/GuardianPausable.sol";
 
 /**
  * @title MoeGirlsMarketplace
  * @dev Off-chain Orderbook Marketplace for MoeGirlsNFT
  * Supports atomic swaps between ERC1155 (NFT) and ERC20 (MOE) via EIP-712 signatures.
+ * Cards can also be sold with buy now (buyWithPermit), in bundles, Dutch auctions and
+ * English auctions (signed bids settled by the Backend), or traded for other
+ * cards with swap orders.
+ * The guardian can pause every settlement path; cancellations stay open.
+ * Each match pays a protocol fee to feeRecipient and the NFT's ERC-2981 royalty,
+ * out of the seller's proceeds.
+ *
+ * Roles (AccessControl):
+ * - DEFAULT_ADMIN_ROLE: grants and revokes roles, sets currencies, price rule and fee
+ * - RELAYER_ROLE: settles signed orders (Backend relayer)
+ * - TREASURER_ROLE: chooses the feeRecipient
  */
-contract MoeGirlsMarketplace is EIP712, ReentrancyGuard, Ownable {
+contract MoeGirlsMarketplace is EIP712, ReentrancyGuard, AccessControl, GuardianPausable {
     using ECDSA for bytes32;
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant RELAYER_ROLE = keccak256("RELAYER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
 
     IERC1155 public immutable nftContract;
-    IERC20 public immutable paymentToken; // MOE Token
+    IERC20 public immutable paymentToken; // MOE Token, always allowed at deployment
+
+    // ERC-20 tokens orders can be priced in (the signed `currency` of an order)
+    mapping(address => bool) public isPaymentTokenAllowed;
 
     // Domain Separator is calculated in constructor by EIP712("MoeGirlsMarketplace", "1")
 
     // EIP-712 TypeHashes
-    bytes32 public constant SELL_ORDER_TYPEHASH = keccak256("SellOrder(address maker,uint256 tokenId,uint256 amount,uint256 price,uint256 deadline,uint256 nonce)");
-    bytes32 public constant BUY_ORDER_TYPEHASH  = keccak256("BuyOrder(address maker,uint256 tokenId,uint256 amount,uint256 price,uint256 deadline,uint256 nonce)");
+    bytes32 public constant SELL_ORDER_TYPEHASH = keccak256("SellOrder(address maker,uint256 tokenId,uint256 amount,address currency,uint256 price,uint256 deadline,uint256 nonce)");
+    bytes32 public constant BUY_ORDER_TYPEHASH  = keccak256("BuyOrder(address maker,uint256 tokenId,uint256 amount,address currency,uint256 price,uint256 deadline,uint256 nonce)");
+    bytes32 public constant COLLECTION_BUY_ORDER_TYPEHASH = keccak256("CollectionBuyOrder(address maker,bytes32 tokenIdsRoot,uint256 amount,address currency,uint256 price,uint256 deadline,uint256 nonce)");
+    bytes32 public constant DUTCH_AUCTION_TYPEHASH = keccak256("DutchAuction(address maker,uint256 tokenId,uint256 amount,address currency,uint256 startPrice,uint256 endPrice,uint256 startTime,uint256 endTime,uint256 deadline,uint256 nonce)");
+    bytes32 public constant ENGLISH_AUCTION_TYPEHASH = keccak256("EnglishAuction(address maker,uint256 tokenId,uint256 amount,address currency,uint256 reservePrice,uint256 endTime,uint256 deadline,uint256 nonce)");
+    bytes32 public constant AUCTION_BID_TYPEHASH = keccak256("AuctionBid(address bidder,bytes32 auctionHash,uint256 price,uint256 deadline)");
+    bytes32 public constant BUNDLE_SELL_ORDER_TYPEHASH = keccak256("BundleSellOrder(address maker,uint256[] tokenIds,uint256[] amounts,address currency,uint256 price,uint256 deadline,uint256 nonce)");
+    bytes32 public constant SWAP_ORDER_TYPEHASH = keccak256("SwapOrder(address maker,uint256[] giveTokenIds,uint256[] giveAmounts,uint256 giveMoe,uint256[] takeTokenIds,uint256[] takeAmounts,uint256 takeMoe,uint256 deadline,uint256 nonce)");
+    bytes32 public constant CANCEL_ORDERS_TYPEHASH = keccak256("CancelOrders(address maker,bytes32[] orderHashes,uint256 deadline)");
+    bytes32 public constant MIN_VALID_NONCE_TYPEHASH = keccak256("MinValidNonce(address maker,uint256 minNonce,uint256 deadline)");
+
+    /**
+     * @dev Execution price of a match, for the filled quantity:
+     * - SellerPrice: the seller's ask (the buyer keeps any price improvement)
+     * - BuyerPrice: the buyer's bid (the seller gets the price improvement)
+     * - Midpoint: halfway between the two (the improvement is split)
+     */
+    enum PriceRule { SellerPrice, BuyerPrice, Midpoint }
+
+    PriceRule public priceRule;
+
+    /**
+     * @dev Status of an order digest, see getOrderStatus:
+     * - Unfilled: can be matched, nothing filled yet
+     * - PartiallyFilled: can be matched for the remaining quantity
+     * - Filled: fully executed
+     * - Cancelled: cancelled, below the maker's minValidNonce, or its nonce was used by another order
+     * - Expired: past its deadline
+     */
+    enum OrderStatus { Unfilled, PartiallyFilled, Filled, Cancelled, Expired }
+
+    // Fee denominator (basis points) and the maximum protocol fee: 10%
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 1000;
 
-    // Mapping to track executed order digests to prevent replay
+    // Protocol fee in basis points of the execution price, paid to feeRecipient
+    uint256 public protocolFeeBps;
+    address public feeRecipient;
+
+    // Mapping to track fully filled order digests to prevent replay
     mapping(bytes32 => bool) public isOrderExecuted;
+    // Mapping to track the quantity already filled per order digest (partial fills)
+    mapping(bytes32 => uint256) public filledAmount;
     // Mapping to track invalidated nonces for cancellations
     mapping(address => mapping(uint256 => bool)) public isNonceUsed;
+    // Orders cancelled by their maker (maker => order digest => cancelled)
+    mapping(address => mapping(bytes32 => bool)) public isOrderCancelled;
+    // Orders with a nonce below this value are invalid (bulk cancellation)
+    mapping(address => uint256) public minValidNonce;
 
     event OrderMatched(
         bytes32 indexed sellOrderHash,
@@ -41,18 +106,69 @@ contract MoeGirlsMarketplace is EIP712, ReentrancyGuard, Ownable {
         uint256 price
     );
 
-    constructor(address _nftContract, address _paymentToken) EIP712("MoeGirlsMarketplace", "1") Ownable(msg.sender) {
+    event BundleSold(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        address indexed buyer,
+        uint256[] tokenIds,
+        uint256[] amounts,
+        uint256 price
+    );
+
+    event SwapMatched(
+        bytes32 indexed orderHashA,
+        bytes32 indexed orderHashB,
+        address indexed makerA,
+        address makerB
+    );
+
+    event FeesPaid(
+        bytes32 indexed sellOrderHash,
+        address feeRecipient,
+        uint256 protocolFee,
+        address royaltyReceiver,
+        uint256 royalty
+    );
+
+    event PaymentTokenUpdated(address indexed token, bool allowed);
+
+    event PriceRuleUpdated(PriceRule priceRule);
+
+    event ProtocolFeeUpdated(uint256 feeBps);
+
+    event FeeRecipientUpdated(address indexed feeRecipient);
+
+    event OrderCancelled(address indexed maker, bytes32 indexed orderHash);
+
+    event MinValidNonceUpdated(address indexed maker, uint256 minNonce);
+
+    constructor(address _nftContract, address _paymentToken) EIP712("MoeGirlsMarketplace", "1") {
         require(_nftContract != address(0), "Invalid NFT address");
         require(_paymentToken != address(0), "Invalid Payment Token address");
         nftContract = IERC1155(_nftContract);
         paymentToken = IERC20(_paymentToken);
+        isPaymentTokenAllowed[_paymentToken] = true;
+        feeRecipient = msg.sender;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(RELAYER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+    }
+
+    // Order digest plus the signed fields that its status depends on
+    struct OrderRef {
+        bytes32 orderHash;
+        address maker;
+        uint256 nonce;
+        uint256 deadline;
     }
 
     struct SellOrder {
         address maker;
         uint256 tokenId;
         uint256 amount;
-        uint256 price; // Min price
+        address currency; // ERC-20 the price is paid in
+        uint256 price; // Min price for the whole amount
         uint256 deadline;
         uint256 nonce;
     }
@@ -61,7 +177,97 @@ contract MoeGirlsMarketplace is EIP712, ReentrancyGuard, Ownable {
         address maker;
         uint256 tokenId;
         uint256 amount;
-        uint256 price; // Max price
+        address currency; // ERC-20 the price is paid in
+        uint256 price; // Max price for the whole amount
+        uint256 deadline;
+        uint256 nonce;
+    }
+
+    /**
+     * @dev Bid on any token of a set (a range of cards, or every card with a trait).
+     * tokenIdsRoot is the Merkle root of the set, with leaves
+     * keccak256(bytes.concat(keccak256(abi.encode(tokenId)))) (see sdk/merkle.js).
+     * amount and price cover all copies bought, across any tokens of the set.
+     */
+    struct CollectionBuyOrder {
+        address maker;
+        bytes32 tokenIdsRoot;
+        uint256 amount;
+        address currency;
+        uint256 price; // Max price for the whole amount
+        uint256 deadline;
+        uint256 nonce;
+    }
+
+    /**
+     * @dev Sell order whose price falls linearly from startPrice (at startTime)
+     * to the endPrice floor (at endTime), and stays at the floor until deadline.
+     * Prices are for the whole amount; copies can be bought one part at a time.
+     */
+    struct DutchAuction {
+        address maker;
+        uint256 tokenId;
+        uint256 amount;
+        address currency;
+        uint256 startPrice;
+        uint256 endPrice;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 deadline;
+        uint256 nonce;
+    }
+
+    /**
+     * @dev Sell order for the highest AuctionBid at or above reservePrice.
+     * Bids are collected off-chain; the Backend settles after endTime and before deadline.
+     * The contract never sees the other bids, so "highest" is enforced by the Backend only.
+     */
+    struct EnglishAuction {
+        address maker;
+        uint256 tokenId;
+        uint256 amount;
+        address currency;
+        uint256 reservePrice; // For the whole amount
+        uint256 endTime;
+        uint256 deadline;
+        uint256 nonce;
+    }
+
+    struct AuctionBid {
+        address bidder;
+        bytes32 auctionHash; // EIP-712 digest of the EnglishAuction
+        uint256 price; // For the whole amount
+        uint256 deadline;
+    }
+
+    /**
+     * @dev Several cards sold together (e.g. a starter deck) at one total price.
+     * A bundle is bought in full.
+     */
+    struct BundleSellOrder {
+        address maker;
+        uint256[] tokenIds;
+        uint256[] amounts;
+        address currency;
+        uint256 price; // For the whole bundle
+        uint256 deadline;
+        uint256 nonce;
+    }
+
+    /**
+     * @dev Card-for-card trade: the maker gives a bundle of cards (and optionally
+     * MOE) in exchange for another bundle (and optionally MOE).
+     * Two swap orders match when each one gives exactly the cards the other
+     * takes, and gives at least the MOE the other takes.
+     */
+    struct SwapOrder {
+        address maker;
+        uint256[] giveTokenIds;
+        uint256[] giveAmounts;
+        uint256 giveMoe;
+        uint256[] takeTokenIds;
+        uint256[] takeAmounts;
+        uint256 takeMoe;
         uint256 deadline;
         uint256 nonce;
     }
@@ -69,67 +275,698 @@ contract MoeGirlsMarketplace is EIP712, ReentrancyGuard, Ownable {
     /**
      * @dev Match a Sell Order and a Buy Order atomically.
      * Called by the Backend (Relayer) only.
+     *
+     * Orders can be partially filled: each match fills the smaller remaining
+     * quantity of the two orders, and an order keeps matching until its whole
+     * amount is filled. Prices are for the whole amount, so unit prices are
+     * compared and the execution price (see priceRule) is paid pro rata.
      */
     function matchOrders(
         SellOrder calldata sellOrder,
         bytes calldata sellSignature,
         BuyOrder calldata buyOrder,
         bytes calldata buySignature
-    ) external nonReentrant onlyOwner {
+    ) external nonReentrant onlyRole(RELAYER_ROLE) whenNotPaused {
+        _settle(sellOrder, sellSignature, buyOrder, _hashBuyOrder(buyOrder), buySignature);
+    }
+
+    /**
+     * @dev Match a Sell Order against a collection bid.
+     * Called by the Backend (Relayer) only.
+     *
+     * tokenIdProof proves that sellOrder.tokenId is in the bid's token set.
+     * The bid then fills like a BuyOrder for sellOrder.tokenId, and can keep
+     * filling from sell orders of other tokens in the set until its amount is filled.
+     */
+    function matchCollectionOrder(
+        SellOrder calldata sellOrder,
+        bytes calldata sellSignature,
+        CollectionBuyOrder calldata buyOrder,
+        bytes calldata buySignature,
+        bytes32[] calldata tokenIdProof
+    ) external nonReentrant onlyRole(RELAYER_ROLE) whenNotPaused {
+        require(
+            MerkleProof.verifyCalldata(tokenIdProof, buyOrder.tokenIdsRoot, _tokenIdLeaf(sellOrder.tokenId)),
+            "Token not in collection"
+        );
+        BuyOrder memory bid = BuyOrder({
+            maker: buyOrder.maker,
+            tokenId: sellOrder.tokenId,
+            amount: buyOrder.amount,
+            currency: buyOrder.currency,
+            price: buyOrder.price,
+            deadline: buyOrder.deadline,
+            nonce: buyOrder.nonce
+        });
+        _settle(sellOrder, sellSignature, bid, _hashCollectionBuyOrder(buyOrder), buySignature);
+    }
+
+    /**
+     * @dev Buy now: fill a signed Sell Order at its price, without a Buy Order.
+     * Called by the buyer, or relayed by the Backend (RELAYER_ROLE) with the buyer's
+     * EIP-2612 permit so that the buyer pays no gas.
+     *
+     * amount may be less than the order's remaining quantity (partial fill);
+     * the buyer pays the seller's price pro rata. permitValue must cover it,
+     * and when relayed it must be exactly that price: the buyer's permit is
+     * what authorises the purchase, not a standing allowance.
+     * OrderMatched is emitted with a zero buyOrderHash.
+     */
+    function buyWithPermit(
+        SellOrder calldata sellOrder,
+        bytes calldata sellSignature,
+        address buyer,
+        uint256 amount,
+        uint256 permitValue,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        // A permit only approves spending: the buyer or the Backend must choose the purchase
+        require(msg.sender == buyer || hasRole(RELAYER_ROLE, msg.sender), "Not buyer or relayer");
+
+        _permitPayment(sellOrder.currency, buyer, permitValue, permitDeadline, v, r, s);
+        uint256 price = _buy(sellOrder, sellSignature, buyer, amount);
+        require(msg.sender == buyer || price == permitValue, "Permit value mismatch");
+    }
+
+    /**
+     * @dev Buy a whole bundle, like buyWithPermit. The cards move in one
+     * safeBatchTransferFrom; fees and royalties are split over the cards pro
+     * rata to their amounts. When relayed, permitValue must be the bundle price.
+     */
+    function buyBundleWithPermit(
+        BundleSellOrder calldata bundle,
+        bytes calldata bundleSignature,
+        address buyer,
+        uint256 permitValue,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        require(msg.sender == buyer || hasRole(RELAYER_ROLE, msg.sender), "Not buyer or relayer");
+        require(msg.sender == buyer || permitValue == bundle.price, "Permit value mismatch");
+        _permitPayment(bundle.currency, buyer, permitValue, permitDeadline, v, r, s);
+        _buyBundle(bundle, bundleSignature, buyer);
+    }
+
+    // --- Auctions ---
+
+    /**
+     * @dev Buy amount copies of a Dutch auction at its current price.
+     * Called by the buyer, or relayed by the Backend (RELAYER_ROLE) with the buyer's
+     * EIP-2612 permit, like buyWithPermit. maxPrice caps what the buyer pays
+     * for amount copies, since the price depends on when the transaction is mined.
+     * When relayed, maxPrice must be the permit value the buyer signed.
+     */
+    function buyDutchAuction(
+        DutchAuction calldata auction,
+        bytes calldata auctionSignature,
+        address buyer,
+        uint256 amount,
+        uint256 maxPrice,
+        uint256 permitValue,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        require(msg.sender == buyer || hasRole(RELAYER_ROLE, msg.sender), "Not buyer or relayer");
+        require(msg.sender == buyer || permitValue == maxPrice, "Permit value mismatch");
+        _permitPayment(auction.currency, buyer, permitValue, permitDeadline, v, r, s);
+        _buyDutchAuction(auction, auctionSignature, buyer, amount, maxPrice);
+    }
+
+    /**
+     * @dev Current price of a whole Dutch auction (all of its amount).
+     */
+    function dutchAuctionPrice(DutchAuction calldata auction) public view returns (uint256) {
+        if (block.timestamp <= auction.startTime) {
+            return auction.startPrice;
+        }
+        if (block.timestamp >= auction.endTime) {
+            return auction.endPrice;
+        }
+        return auction.startPrice - (auction.startPrice - auction.endPrice)
+            * (block.timestamp - auction.startTime) / (auction.endTime - auction.startTime);
+    }
+
+    /**
+     * @dev Settle an English auction with the winning bid.
+     * Called by the Backend (Relayer) only, which picks the highest bid off-chain.
+     * Trust assumption: any valid bid at or above reservePrice settles. The contract
+     * cannot tell whether a higher bid exists, so sellers rely on RELAYER_ROLE to
+     * submit the best one; a compromised relayer can sell at any price >= reservePrice.
+     */
+    function settleEnglishAuction(
+        EnglishAuction calldata auction,
+        bytes calldata auctionSignature,
+        AuctionBid calldata bid,
+        bytes calldata bidSignature
+    ) external nonReentrant onlyRole(RELAYER_ROLE) whenNotPaused {
+        bytes32 auctionHash = _hashEnglishAuction(auction);
+        _checkAuction(auctionHash, auction.maker, auction.nonce, auction.deadline);
+        require(block.timestamp >= auction.endTime, "Auction not ended");
+        require(isPaymentTokenAllowed[auction.currency], "Currency not allowed");
+        _verifySignature(auction.maker, auctionHash, auctionSignature);
+
+        bytes32 bidHash = _hashAuctionBid(bid);
+        require(bid.auctionHash == auctionHash, "Bid for another auction");
+        require(!isOrderCancelled[bid.bidder][bidHash], "Bid cancelled");
+        require(bid.deadline >= block.timestamp, "Bid expired");
+        require(bid.price >= auction.reservePrice, "Bid below reserve");
+        _verifySignature(bid.bidder, bidHash, bidSignature);
+
+        _fill(auctionHash, auction.maker, auction.nonce, auction.amount, 0, auction.amount);
+        _payout(auctionHash, auction.currency, bid.bidder, auction.maker, auction.tokenId, bid.price);
+        nftContract.safeTransferFrom(auction.maker, bid.bidder, auction.tokenId, auction.amount, "");
+
+        emit OrderMatched(auctionHash, bidHash, auction.maker, bid.bidder, auction.tokenId, auction.amount, bid.price);
+    }
+
+    // --- Swaps ---
+
+    /**
+     * @dev Settle two matching swap orders atomically.
+     * Called by the Backend (Relayer) only. Both makers must have approved the
+     * marketplace for their cards (setApprovalForAll or the ERC-7604 permit)
+     * and for the MOE they give. Each maker receives exactly the MOE they take,
+     * less the protocol fee and royalties, split over the cards it pays for like
+     * a bundle sale. Both sides must give cards, so a swap cannot stand in for a
+     * plain sale. A swap that moves MOE needs paymentToken on the currency
+     * allowlist. Swaps are filled in full.
+     */
+    function matchSwapOrders(
+        SwapOrder calldata orderA,
+        bytes calldata signatureA,
+        SwapOrder calldata orderB,
+        bytes calldata signatureB
+    ) external nonReentrant onlyRole(RELAYER_ROLE) whenNotPaused {
+        bytes32 hashA = _hashSwapOrder(orderA);
+        bytes32 hashB = _hashSwapOrder(orderB);
+        _checkOrder(hashA, orderA.maker, orderA.nonce, orderA.deadline);
+        _checkOrder(hashB, orderB.maker, orderB.nonce, orderB.deadline);
+
+        require(_sameItems(orderA.giveTokenIds, orderA.giveAmounts, orderB.takeTokenIds, orderB.takeAmounts), "Swap items mismatch");
+        require(_sameItems(orderB.giveTokenIds, orderB.giveAmounts, orderA.takeTokenIds, orderA.takeAmounts), "Swap items mismatch");
+        require(orderA.giveTokenIds.length > 0 && orderB.giveTokenIds.length > 0, "Swap items mismatch");
+        require(orderA.giveMoe >= orderB.takeMoe && orderB.giveMoe >= orderA.takeMoe, "Swap MOE mismatch");
+        if (orderA.takeMoe > 0 || orderB.takeMoe > 0) {
+            require(isPaymentTokenAllowed[address(paymentToken)], "Currency not allowed");
+        }
+
+        _verifySignature(orderA.maker, hashA, signatureA);
+        _verifySignature(orderB.maker, hashB, signatureB);
+
+        _fill(hashA, orderA.maker, orderA.nonce, 1, 0, 1);
+        _fill(hashB, orderB.maker, orderB.nonce, 1, 0, 1);
+
+        _swapTransfer(hashA, orderA, orderB);
+        _swapTransfer(hashB, orderB, orderA);
+
+        emit SwapMatched(hashA, hashB, orderA.maker, orderB.maker);
+    }
+
+    // --- Settlement ---
+
+    function _permitPayment(
+        address currency,
+        address buyer,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        // A relayed purchase needs the buyer's permit: without it the relayer
+        // could spend an allowance the buyer granted for something else
+        if (msg.sender != buyer) {
+            IERC20Permit(currency).permit(buyer, address(this), value, deadline, v, r, s);
+            return;
+        }
+        // The buyer's own call: ignore a failed permit (e.g. already used by a
+        // front-runner, or a currency without EIP-2612); the allowance is what counts
+        try IERC20Permit(currency).permit(buyer, address(this), value, deadline, v, r, s) {} catch {}
+    }
+
+    function _buyBundle(BundleSellOrder calldata bundle, bytes calldata bundleSignature, address buyer) internal {
+        bytes32 bundleHash = _hashBundleSellOrder(bundle);
+        _checkOrder(bundleHash, bundle.maker, bundle.nonce, bundle.deadline);
+        require(bundle.tokenIds.length > 0 && bundle.tokenIds.length == bundle.amounts.length, "Invalid bundle");
+        require(isPaymentTokenAllowed[bundle.currency], "Currency not allowed");
+        _verifySignature(bundle.maker, bundleHash, bundleSignature);
+
+        _fill(bundleHash, bundle.maker, bundle.nonce, 1, 0, 1);
+        _payoutBundle(bundleHash, bundle.currency, buyer, bundle.maker, bundle.tokenIds, bundle.amounts, bundle.price);
+
+        nftContract.safeBatchTransferFrom(bundle.maker, buyer, bundle.tokenIds, bundle.amounts, "");
+
+        emit BundleSold(bundleHash, bundle.maker, buyer, bundle.tokenIds, bundle.amounts, bundle.price);
+    }
+
+    function _buyDutchAuction(
+        DutchAuction calldata auction,
+        bytes calldata auctionSignature,
+        address buyer,
+        uint256 amount,
+        uint256 maxPrice
+    ) internal {
+        bytes32 auctionHash = _hashDutchAuction(auction);
+        _checkAuction(auctionHash, auction.maker, auction.nonce, auction.deadline);
+        require(auction.startPrice >= auction.endPrice && auction.endTime > auction.startTime, "Invalid auction");
+        require(block.timestamp >= auction.startTime, "Auction not started");
+        require(isPaymentTokenAllowed[auction.currency], "Currency not allowed");
+        _verifySignature(auction.maker, auctionHash, auctionSignature);
+
+        uint256 filled = filledAmount[auctionHash];
+        require(amount > 0 && amount <= auction.amount - filled, "Invalid amount");
+        uint256 price = _proRata(dutchAuctionPrice(auction), amount, auction.amount);
+        require(price <= maxPrice, "Price above max");
+        _fill(auctionHash, auction.maker, auction.nonce, auction.amount, filled, amount);
+
+        _payout(auctionHash, auction.currency, buyer, auction.maker, auction.tokenId, price);
+        nftContract.safeTransferFrom(auction.maker, buyer, auction.tokenId, amount, "");
+
+        emit OrderMatched(auctionHash, bytes32(0), auction.maker, buyer, auction.tokenId, amount, price);
+    }
+
+    /**
+     * @dev Fill amount of a Sell Order for buyer at the seller's price (buy now).
+     */
+    function _buy(SellOrder calldata sellOrder, bytes calldata sellSignature, address buyer, uint256 amount)
+        internal
+        returns (uint256 price)
+    {
+        bytes32 sellHash = _checkSellOrder(sellOrder);
+        _verifySignature(sellOrder.maker, sellHash, sellSignature);
+
+        uint256 sellFilled = filledAmount[sellHash];
+        require(amount > 0 && amount <= sellOrder.amount - sellFilled, "Invalid amount");
+        _fill(sellHash, sellOrder.maker, sellOrder.nonce, sellOrder.amount, sellFilled, amount);
+        price = _proRata(sellOrder.price, sellFilled + amount, sellOrder.amount)
+            - _proRata(sellOrder.price, sellFilled, sellOrder.amount);
+
+        _payout(sellHash, sellOrder.currency, buyer, sellOrder.maker, sellOrder.tokenId, price);
+        nftContract.safeTransferFrom(sellOrder.maker, buyer, sellOrder.tokenId, amount, "");
+
+        emit OrderMatched(sellHash, bytes32(0), sellOrder.maker, buyer, sellOrder.tokenId, amount, price);
+    }
+
+    /**
+     * @dev Validate, then settle a sell order against a buy order whose digest
+     * (BuyOrder or CollectionBuyOrder) is buyHash.
+     */
+    function _settle(
+        SellOrder calldata sellOrder,
+        bytes calldata sellSignature,
+        BuyOrder memory buyOrder,
+        bytes32 buyHash,
+        bytes calldata buySignature
+    ) internal {
         // 1. Validation Logic
-        bytes32 sellHash = _hashSellOrder(sellOrder);
-        bytes32 buyHash = _hashBuyOrder(buyOrder);
+        bytes32 sellHash = _checkSellOrder(sellOrder);
 
-        require(!isOrderExecuted[sellHash], "Sell order already executed");
         require(!isOrderExecuted[buyHash], "Buy order already executed");
-        require(!isNonceUsed[sellOrder.maker][sellOrder.nonce], "Sell nonce used");
-        require(!isNonceUsed[buyOrder.maker][buyOrder.nonce], "Buy nonce used");
-
-        require(sellOrder.deadline >= block.timestamp, "Sell order expired");
+        // A partially filled order has already used its nonce
+        require(filledAmount[buyHash] > 0 || !isNonceUsed[buyOrder.maker][buyOrder.nonce], "Buy nonce used");
+        require(!isOrderCancelled[buyOrder.maker][buyHash], "Buy order cancelled");
+        require(buyOrder.nonce >= minValidNonce[buyOrder.maker], "Buy nonce too low");
         require(buyOrder.deadline >= block.timestamp, "Buy order expired");
 
         require(sellOrder.tokenId == buyOrder.tokenId, "Token ID mismatch");
-        require(sellOrder.amount == buyOrder.amount, "Amount mismatch");
-        // Price check: Buyer must offer >= Seller's ask
-        require(buyOrder.price >= sellOrder.price, "Price mismatch");
+        require(sellOrder.currency == buyOrder.currency, "Currency mismatch");
+        require(buyOrder.amount > 0, "Invalid amount");
+        // Price check: Buyer's unit price must be >= Seller's unit price
+        require(buyOrder.price * sellOrder.amount >= sellOrder.price * buyOrder.amount, "Price mismatch");
 
         // 2. Verify Signatures
         _verifySignature(sellOrder.maker, sellHash, sellSignature);
         _verifySignature(buyOrder.maker, buyHash, buySignature);
 
         // 3. Execution (Atomic Swap)
-        // Mark orders as executed
-        isOrderExecuted[sellHash] = true;
-        isOrderExecuted[buyHash] = true;
-        isNonceUsed[sellOrder.maker][sellOrder.nonce] = true;
-        isNonceUsed[buyOrder.maker][buyOrder.nonce] = true;
-
-        // Use the Sell Price for execution (or split difference? Standard is usually sell price or match price)
-        // Let's use Sell Price to favor buyer, or Buy Price to favor seller? 
-        // For simplicity, we execute at the SELL Price (the agreed minimum). 
-        // Or if we want to be fair, usually the matching engine decides. Here let's assume strict equality or use SellPrice.
-        uint256 executionPrice = sellOrder.price;
-
-        // Transfer MOE from Buyer to Seller
+        // Record the fill (smaller remaining quantity) and its pro rata price
+        (uint256 fillAmount, uint256 executionPrice) = _recordFill(sellOrder, sellHash, buyOrder, buyHash);
+
+        // Transfer the order currency from Buyer to Seller, fee recipient and royalty receiver
         // Requires Buyer to have approved Marketplace
-        bool paySuccess = paymentToken.transferFrom(buyOrder.maker, sellOrder.maker, executionPrice);
-        require(paySuccess, "Payment transfer failed");
+        _payout(sellHash, sellOrder.currency, buyOrder.maker, sellOrder.maker, sellOrder.tokenId, executionPrice);
 
         // Transfer NFT from Seller to Buyer
         // Requires Seller to have approved Marketplace
-        nftContract.safeTransferFrom(sellOrder.maker, buyOrder.maker, sellOrder.tokenId, sellOrder.amount, "");
+        nftContract.safeTransferFrom(sellOrder.maker, buyOrder.maker, sellOrder.tokenId, fillAmount, "");
+
+        emit OrderMatched(sellHash, buyHash, sellOrder.maker, buyOrder.maker, sellOrder.tokenId, fillAmount, executionPrice);
+    }
+
+    // --- Payment Tokens ---
+
+    /**
+     * @dev Allow or disallow an ERC-20 as order currency.
+     * Disallowing a token stops its open orders from settling.
+     */
+    function setPaymentToken(address token, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid payment token");
+        isPaymentTokenAllowed[token] = allowed;
+        emit PaymentTokenUpdated(token, allowed);
+    }
+
+    // --- Pricing ---
+
+    function setPriceRule(PriceRule _priceRule) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        priceRule = _priceRule;
+        emit PriceRuleUpdated(_priceRule);
+    }
+
+    // --- Fees ---
+
+    /**
+     * @dev Set the protocol fee, in basis points of the execution price.
+     */
+    function setProtocolFee(uint256 feeBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        protocolFeeBps = feeBps;
+        emit ProtocolFeeUpdated(feeBps);
+    }
+
+    function setFeeRecipient(address _feeRecipient) external onlyRole(TREASURER_ROLE) {
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+
+    /**
+     * @dev Protocol fee and ERC-2981 royalty owed on a sale.
+     * NFT contracts without ERC-2981 pay no royalty.
+     */
+    function getFees(uint256 tokenId, uint256 price)
+        public
+        view
+        returns (uint256 protocolFee, address royaltyReceiver, uint256 royalty)
+    {
+        protocolFee = price * protocolFeeBps / FEE_DENOMINATOR;
+        try IERC2981(address(nftContract)).royaltyInfo(tokenId, price) returns (address receiver, uint256 amount) {
+            if (receiver != address(0)) {
+                (royaltyReceiver, royalty) = (receiver, amount);
+            }
+        } catch {}
+    }
+
+    // --- Cancellation ---
+
+    /**
+     * @dev Cancel orders of the caller by their EIP-712 digest.
+     * Works for sell and buy orders, including partially filled ones.
+     */
+    function cancelOrders(bytes32[] calldata orderHashes) external {
+        _cancelOrders(msg.sender, orderHashes);
+    }
 
-        emit OrderMatched(sellHash, buyHash, sellOrder.maker, buyOrder.maker, sellOrder.tokenId, sellOrder.amount, executionPrice);
+    /**
+     * @dev Gasless cancellation: anyone (usually the Backend) submits a
+     * CancelOrders message signed by the maker.
+     */
+    function cancelOrdersWithSignature(
+        address maker,
+        bytes32[] calldata orderHashes,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(deadline >= block.timestamp, "Cancel expired");
+        bytes32 hash = _hashTypedDataV4(keccak256(abi.encode(
+            CANCEL_ORDERS_TYPEHASH,
+            maker,
+            keccak256(abi.encodePacked(orderHashes)),
+            deadline
+        )));
+        _verifySignature(maker, hash, signature);
+        _cancelOrders(maker, orderHashes);
+    }
+
+    /**
+     * @dev Invalidate every order of the caller with a nonce below minNonce.
+     * The minimum can only be raised.
+     */
+    function setMinValidNonce(uint256 minNonce) external {
+        _setMinValidNonce(msg.sender, minNonce);
+    }
+
+    /**
+     * @dev Gasless version of setMinValidNonce with a MinValidNonce message signed by the maker.
+     * Replaying the signature has no effect because the minimum must increase.
+     */
+    function setMinValidNonceWithSignature(
+        address maker,
+        uint256 minNonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        require(deadline >= block.timestamp, "Cancel expired");
+        bytes32 hash = _hashTypedDataV4(keccak256(abi.encode(
+            MIN_VALID_NONCE_TYPEHASH,
+            maker,
+            minNonce,
+            deadline
+        )));
+        _verifySignature(maker, hash, signature);
+        _setMinValidNonce(maker, minNonce);
+    }
+
+    // --- Order Status ---
+
+    /**
+     * @dev What happened to an order: its status and the quantity filled so far.
+     * Works for every order type (digest, maker, nonce and deadline are shared).
+     * A filled order stays Filled after its deadline; a partially filled one
+     * becomes Cancelled or Expired when it can no longer be matched.
+     */
+    function getOrderStatus(OrderRef calldata order) public view returns (OrderStatus status, uint256 filled) {
+        filled = filledAmount[order.orderHash];
+        if (isOrderExecuted[order.orderHash]) {
+            status = OrderStatus.Filled;
+        } else if (
+            isOrderCancelled[order.maker][order.orderHash]
+                || order.nonce < minValidNonce[order.maker]
+                || (filled == 0 && isNonceUsed[order.maker][order.nonce])
+        ) {
+            status = OrderStatus.Cancelled;
+        } else if (order.deadline < block.timestamp) {
+            status = OrderStatus.Expired;
+        } else {
+            status = filled > 0 ? OrderStatus.PartiallyFilled : OrderStatus.Unfilled;
+        }
+    }
+
+    /**
+     * @dev Batched getOrderStatus, so the Backend can reconcile its order book in one call.
+     */
+    function getOrderStatuses(OrderRef[] calldata orders)
+        external
+        view
+        returns (OrderStatus[] memory statuses, uint256[] memory filled)
+    {
+        statuses = new OrderStatus[](orders.length);
+        filled = new uint256[](orders.length);
+        for (uint256 i = 0; i < orders.length; i++) {
+            (statuses[i], filled[i]) = getOrderStatus(orders[i]);
+        }
     }
 
     // --- Internal Helpers ---
 
+    function _payout(bytes32 sellHash, address currency, address buyer, address seller, uint256 tokenId, uint256 price) internal {
+        (uint256 protocolFee, address royaltyReceiver, uint256 royalty) = getFees(tokenId, price);
+        require(protocolFee + royalty <= price, "Fees exceed price");
+
+        _pay(currency, buyer, seller, price - protocolFee - royalty);
+        if (protocolFee + royalty > 0) {
+            _pay(currency, buyer, feeRecipient, protocolFee);
+            _pay(currency, buyer, royaltyReceiver, royalty);
+            emit FeesPaid(sellHash, feeRecipient, protocolFee, royaltyReceiver, royalty);
+        }
+    }
+
+    /**
+     * @dev One side of a swap: `to` pays the MOE `from` takes for the cards `from`
+     * gives (with fees and royalties), and receives those cards.
+     */
+    function _swapTransfer(bytes32 fromHash, SwapOrder calldata from, SwapOrder calldata to) internal {
+        _payoutBundle(fromHash, address(paymentToken), to.maker, from.maker, from.giveTokenIds, from.giveAmounts, from.takeMoe);
+        nftContract.safeBatchTransferFrom(from.maker, to.maker, from.giveTokenIds, from.giveAmounts, "");
+    }
+
+    /**
+     * @dev _payout for several cards at one price: fees and royalties are split
+     * over the cards pro rata to their amounts.
+     */
+    function _payoutBundle(
+        bytes32 sellHash,
+        address currency,
+        address buyer,
+        address seller,
+        uint256[] calldata tokenIds,
+        uint256[] calldata amounts,
+        uint256 price
+    ) internal {
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            totalAmount += amounts[i];
+        }
+        require(totalAmount > 0, "Invalid bundle");
+        if (price == 0) {
+            return;
+        }
+
+        // Each card's share of the price, computed cumulatively so that the shares add up to the price
+        uint256 filled = 0;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 share = _proRata(price, filled + amounts[i], totalAmount) - _proRata(price, filled, totalAmount);
+            filled += amounts[i];
+            _payout(sellHash, currency, buyer, seller, tokenIds[i], share);
+        }
+    }
+
+    function _pay(address currency, address from, address to, uint256 amount) internal {
+        if (amount > 0) {
+            IERC20(currency).safeTransferFrom(from, to, amount);
+        }
+    }
+
+    function _cancelOrders(address maker, bytes32[] calldata orderHashes) internal {
+        for (uint256 i = 0; i < orderHashes.length; i++) {
+            isOrderCancelled[maker][orderHashes[i]] = true;
+            emit OrderCancelled(maker, orderHashes[i]);
+        }
+    }
+
+    function _setMinValidNonce(address maker, uint256 minNonce) internal {
+        require(minNonce > minValidNonce[maker], "Nonce must increase");
+        minValidNonce[maker] = minNonce;
+        emit MinValidNonceUpdated(maker, minNonce);
+    }
+
+    /**
+     * @dev Fill the smaller remaining quantity of the two orders, mark orders
+     * executed once fully filled, and mark both nonces used.
+     * @return fillAmount Quantity transferred by this match
+     * @return executionPrice Price paid for fillAmount
+     */
+    function _recordFill(
+        SellOrder calldata sellOrder,
+        bytes32 sellHash,
+        BuyOrder memory buyOrder,
+        bytes32 buyHash
+    ) internal returns (uint256 fillAmount, uint256 executionPrice) {
+        uint256 sellFilled = filledAmount[sellHash];
+        uint256 buyFilled = filledAmount[buyHash];
+        fillAmount = sellOrder.amount - sellFilled;
+        if (buyOrder.amount - buyFilled < fillAmount) {
+            fillAmount = buyOrder.amount - buyFilled;
+        }
+
+        _fill(sellHash, sellOrder.maker, sellOrder.nonce, sellOrder.amount, sellFilled, fillAmount);
+        _fill(buyHash, buyOrder.maker, buyOrder.nonce, buyOrder.amount, buyFilled, fillAmount);
+
+        // Each side's price pro rata to the filled quantity, computed cumulatively
+        // so that all fills of an order add up to exactly its price.
+        uint256 askPrice = _proRata(sellOrder.price, sellFilled + fillAmount, sellOrder.amount)
+            - _proRata(sellOrder.price, sellFilled, sellOrder.amount);
+        uint256 bidPrice = _proRata(buyOrder.price, buyFilled + fillAmount, buyOrder.amount)
+            - _proRata(buyOrder.price, buyFilled, buyOrder.amount);
+        executionPrice = _applyPriceRule(askPrice, bidPrice);
+    }
+
+    function _applyPriceRule(uint256 askPrice, uint256 bidPrice) internal view returns (uint256) {
+        // Rounding can leave the bid slightly below the ask; never pay less than the ask
+        if (bidPrice < askPrice || priceRule == PriceRule.SellerPrice) {
+            return askPrice;
+        }
+        if (priceRule == PriceRule.BuyerPrice) {
+            return bidPrice;
+        }
+        return askPrice + (bidPrice - askPrice) / 2;
+    }
+
+    /**
+     * @dev Record fillAmount more of an order, mark it executed once fully
+     * filled, and mark its nonce used.
+     */
+    function _fill(
+        bytes32 orderHash,
+        address maker,
+        uint256 nonce,
+        uint256 orderAmount,
+        uint256 filledBefore,
+        uint256 fillAmount
+    ) internal {
+        filledAmount[orderHash] = filledBefore + fillAmount;
+        isOrderExecuted[orderHash] = filledBefore + fillAmount == orderAmount;
+        isNonceUsed[maker][nonce] = true;
+    }
+
+    function _proRata(uint256 price, uint256 filled, uint256 amount) internal pure returns (uint256) {
+        return price * filled / amount;
+    }
+
+    /**
+     * @dev Checks of a Sell Order other than its signature.
+     * @return sellHash EIP-712 digest of the order
+     */
+    function _checkSellOrder(SellOrder calldata sellOrder) internal view returns (bytes32 sellHash) {
+        sellHash = _hashSellOrder(sellOrder);
+        require(!isOrderExecuted[sellHash], "Sell order already executed");
+        // A partially filled order has already used its nonce
+        require(filledAmount[sellHash] > 0 || !isNonceUsed[sellOrder.maker][sellOrder.nonce], "Sell nonce used");
+        require(!isOrderCancelled[sellOrder.maker][sellHash], "Sell order cancelled");
+        require(sellOrder.nonce >= minValidNonce[sellOrder.maker], "Sell nonce too low");
+        require(sellOrder.deadline >= block.timestamp, "Sell order expired");
+        require(sellOrder.amount > 0, "Invalid amount");
+        require(isPaymentTokenAllowed[sellOrder.currency], "Currency not allowed");
+    }
+
+    /**
+     * @dev Checks of a swap or bundle order (or any order filled in one go) other than
+     * its signature, with the same nonce and cancellation rules as Sell Orders.
+     */
+    function _checkOrder(bytes32 orderHash, address maker, uint256 nonce, uint256 deadline) internal view {
+        require(!isOrderExecuted[orderHash], "Order already executed");
+        require(!isNonceUsed[maker][nonce], "Order nonce used");
+        require(!isOrderCancelled[maker][orderHash], "Order cancelled");
+        require(nonce >= minValidNonce[maker], "Order nonce too low");
+        require(deadline >= block.timestamp, "Order expired");
+    }
+
+    function _sameItems(
+        uint256[] calldata tokenIds,
+        uint256[] calldata amounts,
+        uint256[] calldata otherTokenIds,
+        uint256[] calldata otherAmounts
+    ) internal pure returns (bool) {
+        return tokenIds.length == amounts.length
+            && keccak256(abi.encodePacked(tokenIds)) == keccak256(abi.encodePacked(otherTokenIds))
+            && keccak256(abi.encodePacked(amounts)) == keccak256(abi.encodePacked(otherAmounts));
+    }
+
+    /**
+     * @dev Checks of an auction other than its signature (same nonce and
+     * cancellation rules as Sell Orders).
+     */
+    function _checkAuction(bytes32 auctionHash, address maker, uint256 nonce, uint256 deadline) internal view {
+        require(!isOrderExecuted[auctionHash], "Auction already executed");
+        require(filledAmount[auctionHash] > 0 || !isNonceUsed[maker][nonce], "Auction nonce used");
+        require(!isOrderCancelled[maker][auctionHash], "Auction cancelled");
+        require(nonce >= minValidNonce[maker], "Auction nonce too low");
+        require(deadline >= block.timestamp, "Auction expired");
+    }
+
     function _hashSellOrder(SellOrder calldata order) internal view returns (bytes32) {
         return _hashTypedDataV4(keccak256(abi.encode(
             SELL_ORDER_TYPEHASH,
             order.maker,
             order.tokenId,
             order.amount,
+            order.currency,
             order.price,
             order.deadline,
             order.nonce
@@ -142,12 +979,99 @@ contract MoeGirlsMarketplace is EIP712, ReentrancyGuard, Ownable {
             order.maker,
             order.tokenId,
             order.amount,
+            order.currency,
             order.price,
             order.deadline,
             order.nonce
         )));
     }
 
+    function _hashCollectionBuyOrder(CollectionBuyOrder calldata order) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            COLLECTION_BUY_ORDER_TYPEHASH,
+            order.maker,
+            order.tokenIdsRoot,
+            order.amount,
+            order.currency,
+            order.price,
+            order.deadline,
+            order.nonce
+        )));
+    }
+
+    function _hashDutchAuction(DutchAuction calldata auction) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            DUTCH_AUCTION_TYPEHASH,
+            auction.maker,
+            auction.tokenId,
+            auction.amount,
+            auction.currency,
+            auction.startPrice,
+            auction.endPrice,
+            auction.startTime,
+            auction.endTime,
+            auction.deadline,
+            auction.nonce
+        )));
+    }
+
+    function _hashEnglishAuction(EnglishAuction calldata auction) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ENGLISH_AUCTION_TYPEHASH,
+            auction.maker,
+            auction.tokenId,
+            auction.amount,
+            auction.currency,
+            auction.reservePrice,
+            auction.endTime,
+            auction.deadline,
+            auction.nonce
+        )));
+    }
+
+    function _hashAuctionBid(AuctionBid calldata bid) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            AUCTION_BID_TYPEHASH,
+            bid.bidder,
+            bid.auctionHash,
+            bid.price,
+            bid.deadline
+        )));
+    }
+
+    function _hashBundleSellOrder(BundleSellOrder calldata order) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            BUNDLE_SELL_ORDER_TYPEHASH,
+            order.maker,
+            keccak256(abi.encodePacked(order.tokenIds)),
+            keccak256(abi.encodePacked(order.amounts)),
+            order.currency,
+            order.price,
+            order.deadline,
+            order.nonce
+        )));
+    }
+
+    function _hashSwapOrder(SwapOrder calldata order) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SWAP_ORDER_TYPEHASH,
+            order.maker,
+            keccak256(abi.encodePacked(order.giveTokenIds)),
+            keccak256(abi.encodePacked(order.giveAmounts)),
+            order.giveMoe,
+            keccak256(abi.encodePacked(order.takeTokenIds)),
+            keccak256(abi.encodePacked(order.takeAmounts)),
+            order.takeMoe,
+            order.deadline,
+            order.nonce
+        )));
+    }
+
+    function _tokenIdLeaf(uint256 tokenId) internal pure returns (bytes32) {
+        // Double hashed so that a leaf can never be mistaken for an inner node
+        return keccak256(bytes.concat(keccak256(abi.encode(tokenId))));
+    }
+
     function _verifySignature(address signer, bytes32 hash, bytes memory signature) internal view {
         // Support both ECDSA and EIP-1271 signatures via SignatureChecker
         require(SignatureChecker.isValidSignatureNow(signer, hash, signature), "Invalid signature");
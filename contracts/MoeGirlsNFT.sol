@@ -2,10 +2,12 @@
 pragma solidity ^0.8.20;
 
 import "./extensions/ERC1155Permit.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "./extensions/GuardianPausable.sol";
 
 /**
  * @title MoeGirlsNFT
@@ -19,16 +21,32 @@ import "@openzeppelin/contracts/utils/Strings.sol";
  * - ERC-1155 Multi-token standard
  * - ERC-7604 Permit for gasless NFT approvals
  * - Minting with MOE payment using EIP-2612 Permit
+ * - ERC-2981 royalty info per cardId (honoured by MoeGirlsMarketplace)
+ * - Minting can be paused by the guardian (GuardianPausable)
+ *
+ * Roles (AccessControl):
+ * - DEFAULT_ADMIN_ROLE: grants and revokes roles, sets royalties
+ * - RELAYER_ROLE: mints for players (Backend relayer)
+ * - TREASURER_ROLE: chooses the treasury that receives mint payments
  */
-contract MoeGirlsNFT is ERC1155Permit, Ownable {
+contract MoeGirlsNFT is ERC1155Permit, ERC2981, AccessControl, GuardianPausable {
     using Strings for uint256;
 
+    bytes32 public constant RELAYER_ROLE = keccak256("RELAYER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
     // Token ID -> IPFS Metadata URI mapping
     mapping(uint256 => string) private _tokenURIs;
 
     // MOE Token contract address
     IERC20Permit public immutable moeToken;
 
+    // Maximum royalty per card: 10% (in basis points of the sale price)
+    uint96 public constant MAX_ROYALTY_BPS = 1000;
+
+    // Receives the MOE paid for mints
+    address public treasury;
+
     // Events
     event NFTMinted(
         address indexed to,
@@ -41,18 +59,25 @@ contract MoeGirlsNFT is ERC1155Permit, Ownable {
         uint256[] tokenIds,
         uint256[] cardIds
     );
+    event TokenRoyaltySet(uint256 indexed tokenId, address receiver, uint96 royaltyBps);
+    event TokenRoyaltyReset(uint256 indexed tokenId);
+    event TreasuryUpdated(address indexed treasury);
 
     constructor(address _moeToken)
         ERC1155("")
         EIP712("MoeGirlsNFT", "1")
-        Ownable(msg.sender)
     {
         require(_moeToken != address(0), "Invalid MOE Token address");
         moeToken = IERC20Permit(_moeToken);
+        treasury = msg.sender;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(RELAYER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
     }
 
     /**
-     * @dev Mint NFT with MOE payment (called by Relayer/Owner)
+     * @dev Mint NFT with MOE payment (called by the Relayer)
      * @param payer Address to pull MOE tokens from (user's EOA)
      * @param to Address to receive the NFT (user's EOA)
      * @param amount Number of copies to mint
@@ -67,7 +92,7 @@ contract MoeGirlsNFT is ERC1155Permit, Ownable {
         uint256 cardId,
         string memory metadataUri,
         uint256 price
-    ) external onlyOwner {
+    ) external onlyRole(RELAYER_ROLE) whenNotPaused {
         require(payer != address(0), "Invalid payer");
         require(to != address(0), "Invalid recipient");
         require(cardId > 0, "Invalid card ID");
@@ -75,7 +100,7 @@ contract MoeGirlsNFT is ERC1155Permit, Ownable {
         // 1. Pull Payment (Interactions)
         // requires payer to have approved this contract
         if (price > 0) {
-            bool success = IERC20(address(moeToken)).transferFrom(payer, owner(), price);
+            bool success = IERC20(address(moeToken)).transferFrom(payer, treasury, price);
             require(success, "Payment failed");
         }
 
@@ -110,7 +135,7 @@ contract MoeGirlsNFT is ERC1155Permit, Ownable {
      * @param s ECDSA signature s component
      *
      * Requirements:
-     * - Only owner (backend) can call
+     * - Only RELAYER_ROLE (backend) can call
      * - Payer must have signed valid EIP-2612 permit for MOE
      * - Deadline must not be expired
      *
@@ -127,7 +152,7 @@ contract MoeGirlsNFT is ERC1155Permit, Ownable {
         uint8 v,
         bytes32 r,
         bytes32 s
-    ) external onlyOwner returns (uint256 tokenId) {
+    ) external onlyRole(RELAYER_ROLE) whenNotPaused returns (uint256 tokenId) {
         require(payer != address(0), "Invalid payer");
         require(to != address(0), "Invalid recipient");
         require(cardId > 0, "Invalid card ID");
@@ -137,8 +162,8 @@ contract MoeGirlsNFT is ERC1155Permit, Ownable {
             // Execute permit: user grants allowance to this contract
             moeToken.permit(payer, address(this), price, deadline, v, r, s);
 
-            // Transfer MOE from payer to owner (platform)
-            bool success = IERC20(address(moeToken)).transferFrom(payer, owner(), price);
+            // Transfer MOE from payer to the treasury (platform)
+            bool success = IERC20(address(moeToken)).transferFrom(payer, treasury, price);
             require(success, "Payment failed");
         }
 
@@ -156,10 +181,51 @@ contract MoeGirlsNFT is ERC1155Permit, Ownable {
         return tokenId;
     }
 
+    /**
+     * @dev Set the ERC-2981 royalty of a card (tokenId = cardId)
+     * @param cardId Game Card ID
+     * @param receiver Address that receives the royalty (e.g. the card's creator)
+     * @param royaltyBps Royalty in basis points of the sale price, at most MAX_ROYALTY_BPS
+     */
+    function setTokenRoyalty(uint256 cardId, address receiver, uint96 royaltyBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(royaltyBps <= MAX_ROYALTY_BPS, "Royalty too high");
+        _setTokenRoyalty(cardId, receiver, royaltyBps);
+        emit TokenRoyaltySet(cardId, receiver, royaltyBps);
+    }
+
+    /**
+     * @dev Remove the royalty of a card
+     */
+    function resetTokenRoyalty(uint256 cardId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _resetTokenRoyalty(cardId);
+        emit TokenRoyaltyReset(cardId);
+    }
+
+    /**
+     * @dev Set the address that receives mint payments
+     */
+    function setTreasury(address _treasury) external onlyRole(TREASURER_ROLE) {
+        require(_treasury != address(0), "Invalid treasury");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
     /**
      * @dev Returns the custom URI for a token ID
      */
     function uri(uint256 tokenId) public view override returns (string memory) {
         return _tokenURIs[tokenId];
     }
+
+    /**
+     * @dev See {IERC165-supportsInterface}
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC1155Permit, ERC2981, AccessControl)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
 }
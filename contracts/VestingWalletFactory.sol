@@ -3,9 +3,12 @@ pragma solidity ^0.8.28;
 
 import "./StageBasedVestingWallet.sol";
 import "./MOEToken.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./extensions/GuardianPausable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title VestingWalletFactory
@@ -15,21 +18,34 @@ import "@openzeppelin/contracts/proxy/Clones.sol";
  * - 为玩家创建独立的 VestingWallet（使用 minimal proxy 节省 gas）
  * - 从自身余额转账 MOE 到 VestingWallet
  * - 记录所有创建的 VestingWallet 地址
+ * - 兑现 Backend 签名的 EIP-712 提现凭证（WithdrawalVoucher）
+ * - guardian 可暂停 createVesting / redeemVoucher（熔断）
+ *
+ * 角色（AccessControl）：
+ * - DEFAULT_ADMIN_ROLE：授予 / 撤销角色
+ * - RELAYER_ROLE：createVesting、签发提现凭证（Backend relayer）
  *
  * 经济模型：
- * 1. 部署后，Owner 转账 MOE 到 Factory（例如 500万）
- * 2. 玩家提现时，Backend 调用 createVesting()
+ * 1. 部署后，Admin 转账 MOE 到 Factory（例如 500万）
+ * 2. 玩家提现时，Backend（RELAYER_ROLE）调用 createVesting()，
+ *    或签发提现凭证，由任何人调用 redeemVoucher() 兑现
  * 3. Factory 从自身余额 transfer MOE 到新创建的 VestingWallet
- * 4. 当 Factory 余额不足时，Owner 可以 mint 或 transfer 补充
+ * 4. 当 Factory 余额不足时，Minter 可以 mint、持币者可以 transfer 补充
  *
  * Gas 优化（EIP-1167）：
  * - 旧方式：每次部署新合约（~150k gas）
  * - 新方式：克隆实现合约（~50k gas）
  * - 节省：~100k gas per wallet (67% 降低)
  */
-contract VestingWalletFactory is Ownable {
+contract VestingWalletFactory is EIP712, AccessControl, GuardianPausable {
     using Clones for address;
 
+    bytes32 public constant RELAYER_ROLE = keccak256("RELAYER_ROLE");
+
+    // 提现凭证 TypeHash（Domain 由 EIP712("VestingWalletFactory", "1") 计算）
+    bytes32 public constant WITHDRAWAL_VOUCHER_TYPEHASH =
+        keccak256("WithdrawalVoucher(address player,uint256 amount,uint256 nonce,uint256 deadline)");
+
     MOEToken public immutable moeToken;
 
     // 实现合约地址（只部署一次）
@@ -41,6 +57,9 @@ contract VestingWalletFactory is Ownable {
     // 记录所有创建的 VestingWallet 地址
     address[] public allVestingWallets;
 
+    // 已兑现的提现凭证 nonce（玩家 => nonce => 已使用），防止重放
+    mapping(address => mapping(uint256 => bool)) public isVoucherNonceUsed;
+
     /**
      * @dev 当新的 Vesting 被创建时触发
      * @param beneficiary 受益人地址（玩家）
@@ -55,17 +74,36 @@ contract VestingWalletFactory is Ownable {
         uint64 startTime
     );
 
+    /**
+     * @dev 当提现凭证被兑现时触发（紧随 VestingCreated）
+     * @param player 玩家地址
+     * @param nonce 凭证 nonce
+     * @param vestingWallet 新创建的 VestingWallet 地址
+     * @param amount 锁定金额
+     * @param signer 签发凭证的 Backend 地址
+     */
+    event VoucherRedeemed(
+        address indexed player,
+        uint256 indexed nonce,
+        address indexed vestingWallet,
+        uint256 amount,
+        address signer
+    );
+
     /**
      * @dev 构造函数
      * @param _moeToken MOEToken 合约地址
-     * @param initialOwner 合约所有者（Backend）
+     * @param initialAdmin 初始 admin（同时获得 RELAYER_ROLE，部署脚本按配置重新分配）
      *
      * 部署时会创建一个实现合约实例，后续所有 vesting wallet 都是它的 proxy
      */
-    constructor(address _moeToken, address initialOwner) Ownable(initialOwner) {
+    constructor(address _moeToken, address initialAdmin) EIP712("VestingWalletFactory", "1") {
         require(_moeToken != address(0), "Factory: MOEToken is zero address");
         moeToken = MOEToken(_moeToken);
 
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(RELAYER_ROLE, initialAdmin);
+
         // 部署实现合约（只部署一次）
         vestingWalletImplementation = address(new StageBasedVestingWallet());
     }
@@ -86,7 +124,8 @@ contract VestingWalletFactory is Ownable {
      * 7. 发出 VestingCreated 事件
      *
      * 要求：
-     * - 只有 owner 可以调用
+     * - 只有 RELAYER_ROLE 可以调用
+     * - 合约未暂停（guardian 可暂停）
      * - beneficiary 不能为零地址
      * - amount 必须大于 0
      * - amount 必须能被 4 整除（因为 4 个阶段各 25%）
@@ -96,9 +135,64 @@ contract VestingWalletFactory is Ownable {
      */
     function createVesting(address beneficiary, uint256 amount)
         external
-        onlyOwner
+        onlyRole(RELAYER_ROLE)
+        whenNotPaused
         returns (address vestingWallet)
     {
+        return _createVesting(beneficiary, amount);
+    }
+
+    /**
+     * @dev 兑现 Backend 签名的提现凭证，为玩家创建 vesting wallet
+     * @param player 玩家地址（VestingWallet 受益人）
+     * @param amount 锁定金额
+     * @param nonce 凭证 nonce（每个玩家的每个 nonce 只能兑现一次）
+     * @param deadline 凭证截止时间
+     * @param signature RELAYER_ROLE 对 WithdrawalVoucher 的 EIP-712 签名
+     * @return vestingWallet 新创建的 VestingWallet 地址
+     *
+     * 要求：
+     * - 任何人都可以调用（玩家自己或 Backend 代付 gas），MOE 只会锁定给 player
+     * - 合约未暂停（guardian 可暂停）
+     * - 未超过 deadline
+     * - nonce 未被使用
+     * - 签名者持有 RELAYER_ROLE（签发后撤销角色的凭证随之失效）
+     * - 其余检查与 createVesting 相同
+     */
+    function redeemVoucher(
+        address player,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused returns (address vestingWallet) {
+        require(block.timestamp <= deadline, "Factory: voucher expired");
+        require(!isVoucherNonceUsed[player][nonce], "Factory: voucher nonce used");
+
+        bytes32 hash = _hashTypedDataV4(keccak256(abi.encode(
+            WITHDRAWAL_VOUCHER_TYPEHASH,
+            player,
+            amount,
+            nonce,
+            deadline
+        )));
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(hash, signature);
+        require(
+            err == ECDSA.RecoverError.NoError && hasRole(RELAYER_ROLE, signer),
+            "Factory: invalid voucher signature"
+        );
+
+        // 先标记 nonce，再创建 VestingWallet
+        isVoucherNonceUsed[player][nonce] = true;
+        vestingWallet = _createVesting(player, amount);
+
+        emit VoucherRedeemed(player, nonce, vestingWallet, amount, signer);
+    }
+
+    /**
+     * @dev createVesting / redeemVoucher 共用的创建逻辑
+     */
+    function _createVesting(address beneficiary, uint256 amount) internal returns (address vestingWallet) {
         // 1. Checks - 输入验证
         require(beneficiary != address(0), "Factory: beneficiary is zero address");
         require(amount > 0, "Factory: amount must be positive");
@@ -162,7 +256,7 @@ contract VestingWalletFactory is Ownable {
      *
      * 用途：
      * - Backend 监控 Factory 余额
-     * - 当余额不足时，Owner 可以 mint 或 transfer 补充
+     * - 当余额不足时，Minter 可以 mint、持币者可以 transfer 补充
      */
     function getBalance() external view returns (uint256) {
         return moeToken.balanceOf(address(this));
@@ -5,6 +5,7 @@ import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 
 /**
  * @title ERC1155Permit
@@ -15,11 +16,13 @@ import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
  * Architecture: EOA + EIP-7604 Permit
  * - Users sign off-chain permit messages (0 gas)
  * - Backend relayer submits permit + executes transaction (pays gas)
+ * - Smart contract wallets (e.g. Safe) use permitWithSignature (ERC-1271)
  *
  * Standards:
  * - EIP-712: Typed structured data hashing and signing
  * - ERC-7604: ERC-1155 Permit Approvals (DRAFT)
  * - ERC-165: Interface detection
+ * - ERC-1271: Contract signature validation (permitWithSignature)
  *
  * Reference: https://eips.ethereum.org/EIPS/eip-7604
  */
@@ -103,6 +106,48 @@ abstract contract ERC1155Permit is ERC1155, EIP712, Nonces {
         _setApprovalForAll(owner, operator, approved);
     }
 
+    /**
+     * @dev Same as {permit}, with the signature as bytes so that contract
+     * wallets can approve: ERC-1271 isValidSignature for contract owners,
+     * ECDSA otherwise. Signs the same Permit message and uses the same nonces.
+     *
+     * @param owner The token owner granting approval (EOA or ERC-1271 wallet)
+     * @param operator The address being granted approval
+     * @param approved Whether to grant or revoke approval
+     * @param deadline Expiration timestamp for the permit
+     * @param signature ECDSA signature or the wallet's ERC-1271 signature
+     *
+     * Emits an {ApprovalForAll} event
+     */
+    function permitWithSignature(
+        address owner,
+        address operator,
+        bool approved,
+        uint256 deadline,
+        bytes memory signature
+    ) public virtual {
+        if (block.timestamp > deadline) {
+            revert ERC1155PermitExpired(deadline);
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PERMIT_TYPEHASH,
+                owner,
+                operator,
+                approved,
+                _useNonce(owner),
+                deadline
+            )
+        );
+
+        if (!SignatureChecker.isValidSignatureNow(owner, _hashTypedDataV4(structHash), signature)) {
+            revert ERC1155PermitInvalidSignature();
+        }
+
+        _setApprovalForAll(owner, operator, approved);
+    }
+
     /**
      * @dev Returns the current nonce for an owner
      * @param owner The address to query
@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title GuardianPausable
+ * @dev Circuit breaker controlled by a guardian, separate from the access roles.
+ *
+ * The Backend relayer key is exactly the key that may leak. The guardian
+ * (e.g. a cold key or a Safe held by the team) can pause and unpause the
+ * guarded functions (`whenNotPaused`), and hand the role to another address.
+ * Role holders, admins included, cannot pause, unpause or replace the guardian.
+ *
+ * The deployer is the initial guardian; scripts/deploy.js hands the role to
+ * the `guardian` of the deploy config.
+ */
+abstract contract GuardianPausable is Pausable {
+    address private _guardian;
+
+    event GuardianTransferred(address indexed previousGuardian, address indexed newGuardian);
+
+    /**
+     * @dev The caller is not the guardian
+     */
+    error GuardianUnauthorizedAccount(address account);
+
+    /**
+     * @dev The new guardian is the zero address
+     */
+    error GuardianInvalidAddress(address guardian);
+
+    constructor() {
+        _transferGuardian(msg.sender);
+    }
+
+    modifier onlyGuardian() {
+        if (msg.sender != _guardian) {
+            revert GuardianUnauthorizedAccount(msg.sender);
+        }
+        _;
+    }
+
+    /**
+     * @dev Current guardian
+     */
+    function guardian() public view returns (address) {
+        return _guardian;
+    }
+
+    /**
+     * @dev Halt the guarded functions
+     */
+    function pause() external onlyGuardian {
+        _pause();
+    }
+
+    /**
+     * @dev Resume the guarded functions
+     */
+    function unpause() external onlyGuardian {
+        _unpause();
+    }
+
+    /**
+     * @dev Hand the guardian role to another address
+     */
+    function transferGuardian(address newGuardian) external onlyGuardian {
+        if (newGuardian == address(0)) {
+            revert GuardianInvalidAddress(newGuardian);
+        }
+        _transferGuardian(newGuardian);
+    }
+
+    function _transferGuardian(address newGuardian) internal {
+        address previous = _guardian;
+        _guardian = newGuardian;
+        emit GuardianTransferred(previous, newGuardian);
+    }
+}
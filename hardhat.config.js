@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/verify");
+require("./tasks/pause");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -29,8 +31,18 @@ module.exports = {
   },
   etherscan: {
     apiKey: {
-      arbitrumSepolia: process.env.ETHERSCAN_API_KEY || "",
+      arbitrumSepolia: process.env.ARBISCAN_API_KEY || process.env.ETHERSCAN_API_KEY || "",
     },
+    customChains: [
+      {
+        network: "arbitrumSepolia",
+        chainId: 421614,
+        urls: {
+          apiURL: "https://api-sepolia.arbiscan.io/api",
+          browserURL: "https://sepolia.arbiscan.io",
+        },
+      },
+    ],
   },
   gasReporter: {
     enabled: process.env.REPORT_GAS === "true",
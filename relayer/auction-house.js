@@ -0,0 +1,197 @@
+const { ethers } = require("ethers");
+const { buildEnglishAuction, buildAuctionBid, hashTypedData, recoverTypedDataSigner } = require("../sdk");
+
+/**
+ * Off-chain bid book for MoeGirlsMarketplace English auctions.
+ *
+ * Sellers sign an EnglishAuction and bidders sign AuctionBids on its digest.
+ * Bids are accepted until endTime, must meet the reserve and beat the current
+ * highest bid, and must stay valid until the auction ends. Once an auction
+ * has ended, settle() submits the highest bid through the relayer's
+ * settleEnglishAuction; if that fails (e.g. the bidder no longer has the tokens)
+ * the next highest bid is tried. The marketplace accepts any bid at or above
+ * the reserve, so this ordering is the only thing that makes the highest bid win.
+ *
+ * Signatures are checked with ECDSA only; bids from contract wallets
+ * (EIP-1271) are verified by the marketplace at settlement.
+ */
+
+const AUCTION_FIELDS = ["maker", "tokenId", "amount", "currency", "reservePrice", "endTime", "deadline", "nonce"];
+const BID_FIELDS = ["bidder", "auctionHash", "price", "deadline"];
+
+function normalize(source, fields, label) {
+    const normalized = {};
+    for (const field of fields) {
+        if (source[field] === undefined || source[field] === null) {
+            throw new Error(`${label}.${field} is required`);
+        }
+        if (field === "maker" || field === "bidder" || field === "currency") {
+            normalized[field] = ethers.utils.getAddress(source[field]);
+        } else if (field === "auctionHash") {
+            normalized[field] = ethers.utils.hexlify(source[field]);
+        } else {
+            normalized[field] = ethers.BigNumber.from(source[field]).toString();
+        }
+    }
+    return normalized;
+}
+
+function signedBy(typedData, signature, expected) {
+    try {
+        return recoverTypedDataSigner(typedData, signature) === expected;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {Contract} options.marketplace MoeGirlsMarketplace connected to a provider
+ */
+function createAuctionHouse({ marketplace }) {
+    // auctionHash => { hash, auction, signature, bids: [{ hash, bid, signature }] highest first }
+    const auctions = new Map();
+    let chainId;
+
+    async function getChainId() {
+        if (chainId === undefined) {
+            chainId = (await marketplace.provider.getNetwork()).chainId;
+        }
+        return chainId;
+    }
+
+    async function latestTimestamp(options) {
+        return options.timestamp !== undefined
+            ? options.timestamp
+            : (await marketplace.provider.getBlock("latest")).timestamp;
+    }
+
+    /**
+     * Add a signed EnglishAuction.
+     * @return {Promise<object>} { ok, hash, errors }
+     */
+    async function addAuction(auction, signature) {
+        let normalized;
+        try {
+            normalized = normalize(auction, AUCTION_FIELDS, "auction");
+        } catch (e) {
+            return { ok: false, hash: null, errors: [e.message] };
+        }
+
+        const typedData = buildEnglishAuction({ marketplace: marketplace.address, chainId: await getChainId(), auction: normalized });
+        const hash = hashTypedData(typedData);
+        if (!signedBy(typedData, signature, normalized.maker)) {
+            return { ok: false, hash, errors: ["Invalid signature"] };
+        }
+        if (auctions.has(hash)) {
+            return { ok: false, hash, errors: ["Auction already in the house"] };
+        }
+
+        auctions.set(hash, { hash, auction: normalized, signature, bids: [] });
+        return { ok: true, hash, errors: [] };
+    }
+
+    /**
+     * Add a signed AuctionBid to its auction.
+     * @param {object} [options] { timestamp } defaults to the latest block timestamp
+     * @return {Promise<object>} { ok, hash, errors }
+     */
+    async function placeBid(bid, signature, options = {}) {
+        let normalized;
+        try {
+            normalized = normalize(bid, BID_FIELDS, "bid");
+        } catch (e) {
+            return { ok: false, hash: null, errors: [e.message] };
+        }
+
+        const typedData = buildAuctionBid({ marketplace: marketplace.address, chainId: await getChainId(), bid: normalized });
+        const hash = hashTypedData(typedData);
+        const entry = auctions.get(normalized.auctionHash);
+        if (!entry) {
+            return { ok: false, hash, errors: ["Unknown auction"] };
+        }
+
+        const price = ethers.BigNumber.from(normalized.price);
+        const highest = entry.bids[0];
+        const errors = [];
+        if (!ethers.BigNumber.from(entry.auction.endTime).gt(await latestTimestamp(options))) {
+            errors.push("Auction ended");
+        }
+        if (price.lt(entry.auction.reservePrice)) {
+            errors.push("Bid below reserve");
+        }
+        if (highest && price.lte(highest.bid.price)) {
+            errors.push("Bid too low");
+        }
+        if (ethers.BigNumber.from(normalized.deadline).lt(entry.auction.endTime)) {
+            errors.push("Bid expires before the auction ends");
+        }
+        if (!signedBy(typedData, signature, normalized.bidder)) {
+            errors.push("Invalid signature");
+        }
+        if (errors.length > 0) {
+            return { ok: false, hash, errors };
+        }
+
+        entry.bids.unshift({ hash, bid: normalized, signature });
+        return { ok: true, hash, errors: [] };
+    }
+
+    function getAuction(hash) {
+        return auctions.get(hash);
+    }
+
+    function getHighestBid(hash) {
+        const entry = auctions.get(hash);
+        return entry ? entry.bids[0] : undefined;
+    }
+
+    /**
+     * Settle every ended auction with its highest valid bid. Auctions are
+     * removed once settled, or once past their deadline without a winner.
+     * @param {object} relayer createRelayer() with the marketplace contract
+     * @param {object} [options] { timestamp } defaults to the latest block timestamp
+     * @return {Promise<object[]>} [{ auctionHash, bidHash, result }] relayer results, failed bids included
+     */
+    async function settle(relayer, options = {}) {
+        const timestamp = await latestTimestamp(options);
+        const settled = [];
+
+        for (const entry of [...auctions.values()]) {
+            if (ethers.BigNumber.from(entry.auction.endTime).gt(timestamp)) {
+                continue;
+            }
+            while (entry.bids.length > 0) {
+                const { hash, bid, signature } = entry.bids[0];
+                const result = await relayer.settleEnglishAuction({
+                    auction: entry.auction,
+                    auctionSignature: entry.signature,
+                    bid,
+                    bidSignature: signature
+                });
+                settled.push({ auctionHash: entry.hash, bidHash: hash, result });
+                if (result.ok) {
+                    auctions.delete(entry.hash);
+                    break;
+                }
+                entry.bids.shift();
+            }
+            if (entry.bids.length === 0 && ethers.BigNumber.from(entry.auction.deadline).lt(timestamp)) {
+                auctions.delete(entry.hash);
+            }
+        }
+        return settled;
+    }
+
+    return {
+        addAuction,
+        placeBid,
+        getAuction,
+        getHighestBid,
+        settle
+    };
+}
+
+module.exports = {
+    createAuctionHouse
+};
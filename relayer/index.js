@@ -0,0 +1,14 @@
+/**
+ * MoeGirls Project backend relayer
+ *
+ * Submits player-signed payloads on behalf of the backend wallet and keeps
+ * the off-chain marketplace order book and auction bids. Depends on ethers v5
+ * and ../sdk.
+ */
+module.exports = {
+    ...require("./relayer"),
+    ...require("./nonce-manager"),
+    ...require("./order-book"),
+    ...require("./auction-house"),
+    ...require("./revert")
+};
@@ -0,0 +1,270 @@
+const { ethers } = require("ethers");
+
+/**
+ * Local nonce allocation for the relayer wallet.
+ *
+ * The backend sends many transactions from one owner key. Letting the node
+ * pick the nonce (getTransactionCount("pending")) makes parallel sends collide,
+ * so the nonce manager keeps the next nonce locally and submits through a
+ * queue: one transaction is signed and broadcast at a time, and a nonce is only
+ * consumed once the node accepted the transaction.
+ *
+ * Every sent transaction stays tracked until it is mined. Transactions that
+ * have been pending for longer than `stuckAfter` can be sped up (same request,
+ * higher fees) or cancelled (0-value self transfer with the same nonce).
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {object} options
+ * @param {Signer} options.signer relayer wallet
+ * @param {number} [options.stuckAfter=60000] ms after which a pending transaction counts as stuck
+ * @param {number} [options.bumpPercent=15] fee increase per replacement (nodes require at least 10)
+ * @param {number} [options.pollInterval=1000] ms between receipt polls in wait()
+ */
+function createNonceManager({ signer, stuckAfter = 60000, bumpPercent = 15, pollInterval = 1000 }) {
+    if (!signer || !signer.provider) {
+        throw new Error("Nonce manager signer must be connected to a provider");
+    }
+
+    // nonce => { nonce, request, hashes, cancelHash, sentAt }
+    const pending = new Map();
+    let nextNonce = null;
+    let queue = Promise.resolve();
+
+    function enqueue(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    function bump(value, minimum) {
+        const bumped = ethers.BigNumber.from(value).mul(100 + bumpPercent).add(99).div(100);
+        return minimum && minimum.gt(bumped) ? minimum : bumped;
+    }
+
+    // Replacement fees: previous fees + bumpPercent, and at least the current network fees
+    async function bumpedFees(request) {
+        const feeData = await signer.provider.getFeeData();
+        if (request.gasPrice !== undefined && request.gasPrice !== null) {
+            return { gasPrice: bump(request.gasPrice, feeData.gasPrice) };
+        }
+        const maxPriorityFeePerGas = bump(request.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas);
+        let maxFeePerGas = bump(request.maxFeePerGas, feeData.maxFeePerGas);
+        if (maxFeePerGas.lt(maxPriorityFeePerGas)) {
+            maxFeePerGas = maxPriorityFeePerGas;
+        }
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    async function findReceipt(entry) {
+        for (const hash of [...entry.hashes].reverse()) {
+            const receipt = await signer.provider.getTransactionReceipt(hash);
+            if (receipt && receipt.blockNumber) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Wait until one of the transactions sent with `nonce` is mined.
+     * Behaves like ethers' TransactionResponse.wait(): resolves with the receipt
+     * (also when a sped-up replacement was mined), throws CALL_EXCEPTION with
+     * `receipt` if it reverted, and TRANSACTION_REPLACED with `cancelled: true`
+     * if the cancellation was mined.
+     */
+    async function waitForNonce(nonce, confirmations = 1) {
+        const entry = pending.get(nonce);
+        if (!entry) {
+            throw new Error(`Nonce ${nonce} is not tracked`);
+        }
+
+        for (;;) {
+            let receipt = await findReceipt(entry);
+
+            if (!receipt && (await signer.provider.getTransactionCount(entry.from, "latest")) > nonce) {
+                // Nonce consumed: re-check in case ours was mined in between
+                receipt = await findReceipt(entry);
+                if (!receipt) {
+                    pending.delete(nonce);
+                    throw new Error(`Nonce ${nonce} was used by a transaction not sent through the nonce manager`);
+                }
+            }
+
+            if (receipt && receipt.confirmations >= confirmations) {
+                pending.delete(nonce);
+
+                if (receipt.transactionHash === entry.cancelHash) {
+                    const error = new Error("transaction was replaced");
+                    Object.assign(error, {
+                        code: ethers.errors.TRANSACTION_REPLACED,
+                        reason: "cancelled",
+                        cancelled: true,
+                        hash: entry.hashes[0],
+                        replacement: { hash: receipt.transactionHash, nonce },
+                        receipt
+                    });
+                    throw error;
+                }
+                if (receipt.status === 0) {
+                    const error = new Error("transaction failed");
+                    Object.assign(error, {
+                        code: ethers.errors.CALL_EXCEPTION,
+                        transactionHash: receipt.transactionHash,
+                        receipt
+                    });
+                    throw error;
+                }
+                return receipt;
+            }
+
+            await sleep(pollInterval);
+        }
+    }
+
+    /**
+     * Allocate the next nonce and broadcast. If the node rejects the transaction
+     * the nonce is not consumed and the next send resynchronizes from the node.
+     * @return {Promise<object>} { hash, nonce, wait(confirmations) }
+     */
+    function sendTransaction(tx) {
+        return enqueue(async () => {
+            try {
+                if (nextNonce === null) {
+                    nextNonce = await signer.getTransactionCount("pending");
+                }
+                const request = await signer.populateTransaction({ ...tx, nonce: nextNonce });
+                const response = await signer.sendTransaction(request);
+                nextNonce += 1;
+
+                pending.set(request.nonce, {
+                    nonce: request.nonce,
+                    from: request.from,
+                    request,
+                    hashes: [response.hash],
+                    cancelHash: null,
+                    sentAt: Date.now()
+                });
+
+                return {
+                    hash: response.hash,
+                    nonce: request.nonce,
+                    wait: (confirmations) => waitForNonce(request.nonce, confirmations)
+                };
+            } catch (e) {
+                nextNonce = null;
+                throw e;
+            }
+        });
+    }
+
+    function replace(nonce, buildRequest) {
+        return enqueue(async () => {
+            const entry = pending.get(nonce);
+            if (!entry) {
+                throw new Error(`Nonce ${nonce} is not pending`);
+            }
+            if (await findReceipt(entry)) {
+                throw new Error(`Nonce ${nonce} is already mined`);
+            }
+
+            const request = await buildRequest(entry);
+            const response = await signer.sendTransaction(request);
+            entry.hashes.push(response.hash);
+            entry.sentAt = Date.now();
+            return { entry, request, hash: response.hash };
+        });
+    }
+
+    /**
+     * Resend the pending transaction with higher fees.
+     * @return {Promise<string>} replacement hash
+     */
+    async function speedUp(nonce) {
+        const { entry, request, hash } = await replace(nonce, async (entry) => ({
+            ...entry.request,
+            ...(await bumpedFees(entry.request))
+        }));
+        entry.request = request;
+        return hash;
+    }
+
+    /**
+     * Replace the pending transaction with a 0-value transfer to self.
+     * @return {Promise<string>} cancellation hash
+     */
+    async function cancel(nonce) {
+        const { entry, request, hash } = await replace(nonce, async (entry) => ({
+            type: entry.request.type,
+            chainId: entry.request.chainId,
+            from: entry.request.from,
+            to: entry.request.from,
+            value: 0,
+            data: "0x",
+            nonce,
+            gasLimit: 21000,
+            ...(await bumpedFees(entry.request))
+        }));
+        entry.request = request;
+        entry.cancelHash = hash;
+        return hash;
+    }
+
+    /**
+     * Pending transactions sent (or last replaced) more than `stuckAfter` ms ago.
+     * @return {Promise<object[]>} [{ nonce, hashes, sentAt }]
+     */
+    async function findStuck({ now = Date.now() } = {}) {
+        const stuck = [];
+        for (const entry of pending.values()) {
+            if (now - entry.sentAt < stuckAfter || (await findReceipt(entry))) {
+                continue;
+            }
+            stuck.push({ nonce: entry.nonce, hashes: [...entry.hashes], sentAt: entry.sentAt });
+        }
+        return stuck.sort((a, b) => a.nonce - b.nonce);
+    }
+
+    /**
+     * Speed up (default) or cancel every stuck transaction.
+     * @return {Promise<object[]>} [{ nonce, hash }] of the replacements
+     */
+    async function replaceStuck({ action = "speedUp", now } = {}) {
+        if (action !== "speedUp" && action !== "cancel") {
+            throw new Error(`Unknown replacement action: ${action}`);
+        }
+        const replaced = [];
+        for (const { nonce } of await findStuck({ now })) {
+            const hash = action === "cancel" ? await cancel(nonce) : await speedUp(nonce);
+            replaced.push({ nonce, hash });
+        }
+        return replaced;
+    }
+
+    /**
+     * Forget the local nonce; the next send reads it from the node again.
+     */
+    function reset() {
+        return enqueue(async () => {
+            nextNonce = null;
+        });
+    }
+
+    return {
+        signer,
+        sendTransaction,
+        waitForNonce,
+        speedUp,
+        cancel,
+        findStuck,
+        replaceStuck,
+        reset,
+        pendingNonces: () => [...pending.keys()].sort((a, b) => a - b)
+    };
+}
+
+module.exports = {
+    createNonceManager
+};
@@ -0,0 +1,402 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { verifyOrder, executionPrice, getOrderStatuses } = require("../sdk");
+
+/**
+ * Off-chain order book for MoeGirlsMarketplace.
+ *
+ * Holds signed SellOrder/BuyOrder payloads until the backend can pair them.
+ * Orders are checked with the SDK verifier when added (signature, deadline,
+ * executed digest, used nonce, cancellation, currency), indexed by tokenId and
+ * sorted by price, and crossing pairs are handed to the relayer's matchOrders.
+ * Only orders priced in the same currency are crossed.
+ * Cancellation events from the marketplace remove orders from the book, and
+ * reconcile() brings every order up to date with one getOrderStatuses call.
+ *
+ * Prices are for the whole order amount, so orders are ranked and crossed by
+ * unit price (price / amount). Matching uses price-time priority: the highest
+ * buy is filled from the cheapest sells that it crosses, equal unit prices go
+ * to the older order, and orders of different sizes fill the smaller remaining
+ * quantity (partial fills, tracked on chain by filledAmount). Each match is
+ * quoted with the marketplace's priceRule, so the price shown is the one that
+ * settles.
+ *
+ * Stored orders look like:
+ *   { hash, side: "sell" | "buy", order: { maker, tokenId, amount, currency, price, deadline, nonce }, signature, filled, addedAt }
+ * with every number as a decimal string and addresses checksummed, so the store can be plain JSON.
+ */
+
+const ORDER_FIELDS = ["maker", "tokenId", "amount", "currency", "price", "deadline", "nonce"];
+const ADDRESS_FIELDS = ["maker", "currency"];
+
+/**
+ * Store that keeps orders in memory only.
+ */
+function createMemoryStore() {
+    let orders = [];
+    return {
+        load: () => orders.map((o) => ({ ...o })),
+        save: (next) => {
+            orders = next.map((o) => ({ ...o }));
+        }
+    };
+}
+
+/**
+ * Store that keeps orders in a JSON file (created on first save).
+ */
+function createFileStore(file) {
+    return {
+        load: () => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : []),
+        save: (orders) => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(orders, null, 2));
+        }
+    };
+}
+
+function normalizeOrder(order) {
+    const normalized = {};
+    for (const field of ORDER_FIELDS) {
+        if (order[field] === undefined || order[field] === null) {
+            throw new Error(`order.${field} is required`);
+        }
+        normalized[field] = ADDRESS_FIELDS.includes(field)
+            ? ethers.utils.getAddress(order[field])
+            : ethers.BigNumber.from(order[field]).toString();
+    }
+    return normalized;
+}
+
+// Compare unit prices without division: a.price / a.amount vs b.price / b.amount
+function comparePrice(a, b) {
+    const pa = ethers.BigNumber.from(a.order.price).mul(b.order.amount);
+    const pb = ethers.BigNumber.from(b.order.price).mul(a.order.amount);
+    return pa.lt(pb) ? -1 : (pa.gt(pb) ? 1 : 0);
+}
+
+function remainingOf(entry) {
+    return ethers.BigNumber.from(entry.order.amount).sub(entry.filled);
+}
+
+// Sells: cheapest unit price first. Buys: highest first. Ties: oldest first.
+function bookOrder(side) {
+    return (a, b) => (side === "sell" ? comparePrice(a, b) : comparePrice(b, a)) || a.addedAt - b.addedAt;
+}
+
+/**
+ * @param {object} options
+ * @param {Contract} options.marketplace MoeGirlsMarketplace connected to a provider
+ * @param {object} [options.store] createMemoryStore() (default) or createFileStore(file)
+ */
+function createOrderBook({ marketplace, store = createMemoryStore() }) {
+    // hash => stored order
+    const orders = new Map();
+    // tokenId => { sell: [], buy: [] }, each sorted by bookOrder
+    const index = new Map();
+
+    function indexOrder(entry) {
+        const tokenId = entry.order.tokenId;
+        if (!index.has(tokenId)) {
+            index.set(tokenId, { sell: [], buy: [] });
+        }
+        const list = index.get(tokenId)[entry.side];
+        list.push(entry);
+        list.sort(bookOrder(entry.side));
+    }
+
+    function unindexOrder(entry) {
+        const book = index.get(entry.order.tokenId);
+        book[entry.side] = book[entry.side].filter((o) => o.hash !== entry.hash);
+        if (book.sell.length === 0 && book.buy.length === 0) {
+            index.delete(entry.order.tokenId);
+        }
+    }
+
+    function persist() {
+        store.save([...orders.values()]);
+    }
+
+    for (const entry of store.load()) {
+        // Stores written before partial fills have no filled field
+        entry.filled = entry.filled || "0";
+        orders.set(entry.hash, entry);
+        indexOrder(entry);
+    }
+
+    /**
+     * Verify and add a signed order.
+     * @param {"sell"|"buy"} side
+     * @return {Promise<object>} { ok, hash, errors }
+     */
+    async function addOrder(side, order, signature) {
+        if (side !== "sell" && side !== "buy") {
+            return { ok: false, hash: null, errors: [`Unknown order side: ${side}`] };
+        }
+
+        let normalized;
+        try {
+            normalized = normalizeOrder(order);
+        } catch (e) {
+            return { ok: false, hash: null, errors: [e.message] };
+        }
+
+        const result = await verifyOrder(marketplace, side, normalized, signature);
+        if (!result.valid) {
+            return { ok: false, hash: result.hash, errors: result.errors };
+        }
+        if (orders.has(result.hash)) {
+            return { ok: false, hash: result.hash, errors: ["Order already in the book"] };
+        }
+
+        const entry = {
+            hash: result.hash,
+            side,
+            order: normalized,
+            signature,
+            filled: result.filledAmount,
+            addedAt: Date.now()
+        };
+        orders.set(entry.hash, entry);
+        indexOrder(entry);
+        persist();
+        return { ok: true, hash: entry.hash, errors: [] };
+    }
+
+    function getOrder(hash) {
+        return orders.get(hash);
+    }
+
+    /**
+     * @return {boolean} whether the order was in the book
+     */
+    function removeOrder(hash) {
+        const entry = orders.get(hash);
+        if (!entry) {
+            return false;
+        }
+        orders.delete(hash);
+        unindexOrder(entry);
+        persist();
+        return true;
+    }
+
+    /**
+     * Orders of one side, in book order. Without tokenId, all tokens are listed
+     * (grouped by tokenId).
+     * @param {object} filter { side, tokenId }
+     */
+    function getOrders({ side, tokenId }) {
+        if (tokenId !== undefined) {
+            const book = index.get(ethers.BigNumber.from(tokenId).toString());
+            return book ? [...book[side]] : [];
+        }
+        return [...index.values()].flatMap((book) => book[side]);
+    }
+
+    /**
+     * Crossing pairs, the quantity each one fills and its execution price, in
+     * the order they should be settled. Expired orders are skipped.
+     * @param {object} [options] { timestamp } defaults to the latest block timestamp
+     * @return {Promise<object[]>} [{ sell, buy, amount, price }] stored orders, fill quantity and price (strings)
+     */
+    async function findMatches(options = {}) {
+        const timestamp = options.timestamp !== undefined
+            ? options.timestamp
+            : (await marketplace.provider.getBlock("latest")).timestamp;
+        const priceRule = await marketplace.priceRule();
+        const live = (entry) => !ethers.BigNumber.from(entry.order.deadline).lt(timestamp);
+
+        const matches = [];
+        for (const book of index.values()) {
+            const sells = book.sell.filter(live).map((entry) => ({ entry, remaining: remainingOf(entry) }));
+            const quote = (sell, buy, remaining, amount) => executionPrice({
+                priceRule,
+                sellOrder: sell.entry.order,
+                buyOrder: buy.order,
+                amount,
+                sellFilled: ethers.BigNumber.from(sell.entry.order.amount).sub(sell.remaining),
+                buyFilled: ethers.BigNumber.from(buy.order.amount).sub(remaining)
+            }).toString();
+
+            for (const buy of book.buy.filter(live)) {
+                let remaining = remainingOf(buy);
+                for (const sell of sells) {
+                    if (remaining.isZero()) {
+                        break;
+                    }
+                    if (sell.remaining.isZero() || sell.entry.order.currency !== buy.order.currency
+                        || comparePrice(buy, sell.entry) < 0) {
+                        continue;
+                    }
+                    const amount = remaining.lt(sell.remaining) ? remaining : sell.remaining;
+                    const price = quote(sell, buy, remaining, amount);
+                    remaining = remaining.sub(amount);
+                    sell.remaining = sell.remaining.sub(amount);
+                    matches.push({ sell: sell.entry, buy, amount: amount.toString(), price });
+                }
+            }
+        }
+        return matches;
+    }
+
+    // Re-read the fill of an order from the chain; drop it once fully filled
+    async function refreshFill(entry) {
+        if (!orders.has(entry.hash)) {
+            return;
+        }
+        entry.filled = (await marketplace.filledAmount(entry.hash)).toString();
+        if (remainingOf(entry).lte(0)) {
+            orders.delete(entry.hash);
+            unindexOrder(entry);
+        }
+    }
+
+    /**
+     * Remove orders that can no longer be matched (expired, executed, nonce used).
+     * @return {Promise<object[]>} [{ hash, errors }] of the removed orders
+     */
+    async function prune(options = {}) {
+        const removed = [];
+        for (const entry of [...orders.values()]) {
+            const result = await verifyOrder(marketplace, entry.side, entry.order, entry.signature, options);
+            if (!result.valid || result.remainingAmount === "0") {
+                orders.delete(entry.hash);
+                unindexOrder(entry);
+                removed.push({ hash: entry.hash, errors: result.errors });
+            }
+        }
+        if (removed.length > 0) {
+            persist();
+        }
+        return removed;
+    }
+
+    /**
+     * Read the on-chain status of every order in one call: update fills and
+     * remove orders that are filled, cancelled or expired.
+     * @return {Promise<object[]>} [{ hash, status, filledAmount }] of the removed orders
+     */
+    async function reconcile() {
+        const entries = [...orders.values()];
+        const statuses = await getOrderStatuses(marketplace, entries.map((entry) => ({ hash: entry.hash, ...entry.order })));
+
+        const removed = [];
+        statuses.forEach((result, i) => {
+            const entry = entries[i];
+            entry.filled = result.filledAmount;
+            if (result.status !== "Unfilled" && result.status !== "PartiallyFilled") {
+                orders.delete(entry.hash);
+                unindexOrder(entry);
+                removed.push(result);
+            }
+        });
+        if (entries.length > 0) {
+            persist();
+        }
+        return removed;
+    }
+
+    /**
+     * Apply a marketplace cancellation event (OrderCancelled or
+     * MinValidNonceUpdated, as returned by queryFilter or a relayer result).
+     * @param {object} event { event, args }
+     * @return {string[]} hashes of the removed orders
+     */
+    function applyEvent({ event, args }) {
+        const maker = args.maker && ethers.utils.getAddress(args.maker);
+        let removed = [];
+
+        if (event === "OrderCancelled") {
+            const entry = orders.get(args.orderHash);
+            if (entry && entry.order.maker === maker) {
+                removed = [entry.hash];
+            }
+        } else if (event === "MinValidNonceUpdated") {
+            const minNonce = ethers.BigNumber.from(args.minNonce);
+            removed = [...orders.values()]
+                .filter((entry) => entry.order.maker === maker && minNonce.gt(entry.order.nonce))
+                .map((entry) => entry.hash);
+        }
+
+        for (const hash of removed) {
+            const entry = orders.get(hash);
+            orders.delete(hash);
+            unindexOrder(entry);
+        }
+        if (removed.length > 0) {
+            persist();
+        }
+        return removed;
+    }
+
+    /**
+     * Read cancellation events from the marketplace and apply them.
+     * @param {object} [range] { fromBlock = 0, toBlock = "latest" }
+     * @return {Promise<object>} { removed, toBlock } (pass toBlock + 1 as the next fromBlock)
+     */
+    async function syncCancellations({ fromBlock = 0, toBlock } = {}) {
+        const to = toBlock !== undefined ? toBlock : await marketplace.provider.getBlockNumber();
+        const events = [
+            ...await marketplace.queryFilter(marketplace.filters.OrderCancelled(), fromBlock, to),
+            ...await marketplace.queryFilter(marketplace.filters.MinValidNonceUpdated(), fromBlock, to)
+        ].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        const removed = [];
+        for (const event of events) {
+            removed.push(...applyEvent(event));
+        }
+        return { removed, toBlock: to };
+    }
+
+    /**
+     * Submit every crossing pair through relayer.matchOrders. Filled quantities
+     * are re-read from the chain and fully filled orders are removed; after a
+     * failed match, orders that became invalid are pruned and the others stay
+     * in the book.
+     * @param {object} relayer createRelayer() with the marketplace contract
+     * @return {Promise<object[]>} [{ sellHash, buyHash, result }] relayer results
+     */
+    async function settleMatches(relayer, options = {}) {
+        const settled = [];
+        for (const { sell, buy } of await findMatches(options)) {
+            const result = await relayer.matchOrders({
+                sellOrder: sell.order,
+                sellSignature: sell.signature,
+                buyOrder: buy.order,
+                buySignature: buy.signature
+            });
+
+            if (result.ok) {
+                await refreshFill(sell);
+                await refreshFill(buy);
+                persist();
+            }
+            settled.push({ sellHash: sell.hash, buyHash: buy.hash, result });
+        }
+        if (settled.some(({ result }) => !result.ok)) {
+            await prune();
+        }
+        return settled;
+    }
+
+    return {
+        addOrder,
+        getOrder,
+        removeOrder,
+        getOrders,
+        findMatches,
+        prune,
+        reconcile,
+        applyEvent,
+        syncCancellations,
+        settleMatches
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createOrderBook
+};
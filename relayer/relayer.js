@@ -0,0 +1,309 @@
+const { ethers } = require("ethers");
+const { decodeRevert, decodeRevertData } = require("./revert");
+
+/**
+ * Backend relayer.
+ *
+ * Accepts payloads signed by players (permits, marketplace orders), simulates
+ * the contract call with eth_call from the relayer address, and only submits
+ * the transaction when the simulation succeeds. The relayer wallet pays gas
+ * and holds RELAYER_ROLE on the contracts it calls; it cannot mint MOE or
+ * administer them.
+ *
+ * Every call resolves to a result object instead of throwing:
+ *
+ *   {
+ *     action, ok,
+ *     status: "confirmed" | "reverted" | "rejected" | "failed" | "cancelled",
+ *     stage: "validation" | "simulation" | "submission" | "receipt" (when not ok),
+ *     returnValue,   // decoded return value of the simulation
+ *     txHash, blockNumber, gasUsed,
+ *     events,        // [{ address, event, args }] decoded from the receipt
+ *     error          // { reason, name, args, data, message }
+ *   }
+ */
+
+// Signed payloads the relayer can submit, and the contract method each maps to
+const ACTIONS = {
+    depositWithPermit: {
+        contract: "depositContract",
+        fields: ["player", "amount", "deadline"],
+        signed: "permit",
+        args: (p, sig) => [p.player, p.amount, p.deadline, sig.v, sig.r, sig.s]
+    },
+    mintWithPermit: {
+        contract: "nft",
+        fields: ["payer", "to", "amount", "cardId", "metadataUri", "price", "deadline"],
+        signed: "permit",
+        args: (p, sig) => [p.payer, p.to, p.amount, p.cardId, p.metadataUri, p.price, p.deadline, sig.v, sig.r, sig.s]
+    },
+    matchOrders: {
+        contract: "marketplace",
+        fields: ["sellOrder", "sellSignature", "buyOrder", "buySignature"],
+        args: (p) => [p.sellOrder, p.sellSignature, p.buyOrder, p.buySignature]
+    },
+    buyWithPermit: {
+        contract: "marketplace",
+        fields: ["sellOrder", "sellSignature", "buyer", "amount", "value", "deadline"],
+        signed: "permit",
+        args: (p, sig) => [p.sellOrder, p.sellSignature, p.buyer, p.amount, p.value, p.deadline, sig.v, sig.r, sig.s]
+    },
+    buyBundleWithPermit: {
+        contract: "marketplace",
+        fields: ["bundle", "bundleSignature", "buyer", "value", "deadline"],
+        signed: "permit",
+        args: (p, sig) => [p.bundle, p.bundleSignature, p.buyer, p.value, p.deadline, sig.v, sig.r, sig.s]
+    },
+    buyDutchAuction: {
+        contract: "marketplace",
+        fields: ["auction", "auctionSignature", "buyer", "amount", "maxPrice", "value", "deadline"],
+        signed: "permit",
+        args: (p, sig) => [p.auction, p.auctionSignature, p.buyer, p.amount, p.maxPrice, p.value, p.deadline, sig.v, sig.r, sig.s]
+    },
+    settleEnglishAuction: {
+        contract: "marketplace",
+        fields: ["auction", "auctionSignature", "bid", "bidSignature"],
+        args: (p) => [p.auction, p.auctionSignature, p.bid, p.bidSignature]
+    },
+    matchSwapOrders: {
+        contract: "marketplace",
+        fields: ["orderA", "signatureA", "orderB", "signatureB"],
+        args: (p) => [p.orderA, p.signatureA, p.orderB, p.signatureB]
+    },
+    matchCollectionOrder: {
+        contract: "marketplace",
+        fields: ["sellOrder", "sellSignature", "buyOrder", "buySignature", "tokenIdProof"],
+        args: (p) => [p.sellOrder, p.sellSignature, p.buyOrder, p.buySignature, p.tokenIdProof]
+    },
+    cancelOrdersWithSignature: {
+        contract: "marketplace",
+        fields: ["maker", "orderHashes", "deadline", "signature"],
+        args: (p) => [p.maker, p.orderHashes, p.deadline, p.signature]
+    },
+    setMinValidNonceWithSignature: {
+        contract: "marketplace",
+        fields: ["maker", "minNonce", "deadline", "signature"],
+        args: (p) => [p.maker, p.minNonce, p.deadline, p.signature]
+    },
+    createVesting: {
+        contract: "vestingFactory",
+        fields: ["beneficiary", "amount"],
+        args: (p) => [p.beneficiary, p.amount]
+    },
+    redeemVoucher: {
+        contract: "vestingFactory",
+        fields: ["player", "amount", "nonce", "deadline", "signature"],
+        args: (p) => [p.player, p.amount, p.nonce, p.deadline, p.signature]
+    }
+};
+
+function toPlain(value) {
+    if (ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    return value;
+}
+
+// Named outputs/inputs of an ABI fragment as a plain object
+function namedValues(params, values) {
+    const result = {};
+    params.forEach((param, i) => {
+        result[param.name || String(i)] = toPlain(values[i]);
+    });
+    return result;
+}
+
+// { v, r, s } from either the split components or a 65-byte signature
+function permitSignature(payload) {
+    if (payload.signature !== undefined) {
+        const { v, r, s } = ethers.utils.splitSignature(payload.signature);
+        return { v, r, s };
+    }
+    if (payload.v === undefined || payload.r === undefined || payload.s === undefined) {
+        throw new Error("signature (or v, r, s) is required");
+    }
+    return { v: payload.v, r: payload.r, s: payload.s };
+}
+
+/**
+ * @param {object} options
+ * @param {Signer} options.signer relayer wallet (pays gas, owns the contracts)
+ * @param {object} options.contracts { depositContract, nft, marketplace, vestingFactory, moeToken }
+ *        ethers Contracts; only the ones needed for the actions in use are required.
+ *        moeToken is only used to decode permit errors and Transfer events.
+ * @param {number} [options.confirmations=1] confirmations to wait for
+ * @param {object} [options.nonceManager] createNonceManager() for the same signer;
+ *        without it the node assigns nonces, which is unsafe for parallel relays
+ */
+function createRelayer({ signer, contracts, confirmations = 1, nonceManager }) {
+    if (!signer || !signer.provider) {
+        throw new Error("Relayer signer must be connected to a provider");
+    }
+
+    const interfaces = Object.values(contracts).filter(Boolean).map((c) => c.interface);
+    const byAddress = {};
+    for (const contract of Object.values(contracts).filter(Boolean)) {
+        byAddress[contract.address.toLowerCase()] = contract.interface;
+    }
+
+    function fail(action, status, stage, error, extra = {}) {
+        return { action, ok: false, status, stage, returnValue: null, txHash: null, events: [], ...extra, error };
+    }
+
+    function parseEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            const iface = byAddress[log.address.toLowerCase()];
+            if (!iface) {
+                continue;
+            }
+            try {
+                const parsed = iface.parseLog(log);
+                events.push({
+                    address: log.address,
+                    event: parsed.name,
+                    args: namedValues(parsed.eventFragment.inputs, parsed.args)
+                });
+            } catch (e) {
+                // Event not in the ABI
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Validate a payload and build the unsigned transaction.
+     * @return {Promise<object>} { contract, tx }
+     */
+    async function prepare(action, payload) {
+        const spec = ACTIONS[action];
+        if (!spec) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        const contract = contracts[spec.contract];
+        if (!contract) {
+            throw new Error(`Relayer has no ${spec.contract} contract`);
+        }
+        for (const field of spec.fields) {
+            if (payload[field] === undefined || payload[field] === null) {
+                throw new Error(`${action}.${field} is required`);
+            }
+        }
+
+        const sig = spec.signed === "permit" ? permitSignature(payload) : undefined;
+        const tx = await contract.populateTransaction[action](...spec.args(payload, sig));
+        tx.from = await signer.getAddress();
+        return { contract, tx };
+    }
+
+    /**
+     * eth_call the action from the relayer address without sending it.
+     * @return {Promise<object>} { action, ok, returnValue, error }
+     */
+    async function simulate(action, payload) {
+        let prepared;
+        try {
+            prepared = await prepare(action, payload);
+        } catch (e) {
+            return fail(action, "rejected", "validation", { reason: e.message, name: null, args: [], data: null, message: e.message });
+        }
+
+        const { contract, tx } = prepared;
+        try {
+            const data = await signer.call(tx);
+            const fragment = contract.interface.getFunction(action);
+            const decoded = contract.interface.decodeFunctionResult(fragment, data);
+            const returnValue = fragment.outputs.length === 1
+                ? toPlain(decoded[0])
+                : (fragment.outputs.length === 0 ? null : namedValues(fragment.outputs, decoded));
+            return { action, ok: true, returnValue, tx };
+        } catch (e) {
+            return fail(action, "rejected", "simulation", decodeRevert(e, interfaces));
+        }
+    }
+
+    /**
+     * Simulate, submit and wait for the receipt.
+     * @return {Promise<object>} see the module comment
+     */
+    async function relay(action, payload) {
+        const simulation = await simulate(action, payload);
+        if (!simulation.ok) {
+            return simulation;
+        }
+        const { tx, returnValue } = simulation;
+
+        let response;
+        try {
+            response = nonceManager ? await nonceManager.sendTransaction(tx) : await signer.sendTransaction(tx);
+        } catch (e) {
+            return fail(action, "failed", "submission", decodeRevert(e, interfaces), { returnValue });
+        }
+
+        let receipt;
+        try {
+            receipt = await response.wait(confirmations);
+        } catch (e) {
+            if (e.code === ethers.errors.TRANSACTION_REPLACED && e.cancelled) {
+                const message = "Transaction cancelled";
+                return fail(action, "cancelled", "receipt", { reason: message, name: null, args: [], data: null, message }, {
+                    returnValue,
+                    txHash: e.replacement.hash,
+                    blockNumber: e.receipt.blockNumber
+                });
+            }
+            if (!e.receipt) {
+                return fail(action, "failed", "receipt", decodeRevert(e, interfaces), { returnValue, txHash: response.hash });
+            }
+            // Sped up: the replacement carries the same call
+            receipt = e.receipt;
+        }
+
+        if (receipt.status === 0) {
+            // Passed the simulation but reverted on chain (state changed in between).
+            // Replaying at the mined block usually reproduces the reason. Some nodes
+            // return the revert data of a historical eth_call instead of an error.
+            let error = { reason: null, name: null, args: [], data: null, message: "Transaction reverted" };
+            try {
+                const decoded = decodeRevertData(await signer.call(tx, receipt.blockNumber), interfaces);
+                if (decoded.name) {
+                    error = { ...decoded, message: error.message };
+                }
+            } catch (replayError) {
+                error = decodeRevert(replayError, interfaces);
+            }
+            return fail(action, "reverted", "receipt", error, {
+                returnValue,
+                txHash: receipt.transactionHash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString()
+            });
+        }
+
+        return {
+            action,
+            ok: true,
+            status: "confirmed",
+            returnValue,
+            txHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            events: parseEvents(receipt),
+            error: null
+        };
+    }
+
+    const relayer = { signer, contracts, simulate, relay };
+    for (const action of Object.keys(ACTIONS)) {
+        relayer[action] = (payload) => relay(action, payload);
+    }
+    return relayer;
+}
+
+module.exports = {
+    RELAYER_ACTIONS: Object.keys(ACTIONS),
+    createRelayer
+};
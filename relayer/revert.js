@@ -0,0 +1,116 @@
+const { ethers } = require("ethers");
+
+/**
+ * Revert data extraction and decoding.
+ *
+ * Providers wrap eth_call / eth_estimateGas failures differently (ethers
+ * JsonRpcProvider, Hardhat in-process provider, MetaMask), so the revert data
+ * is searched for anywhere in the error object.
+ */
+
+// Error(string)
+const ERROR_SELECTOR = "0x08c379a0";
+// Panic(uint256)
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_CODES = {
+    0x01: "Assertion failed",
+    0x11: "Arithmetic overflow or underflow",
+    0x12: "Division or modulo by zero",
+    0x21: "Invalid enum value",
+    0x22: "Invalid storage byte array",
+    0x31: "Pop on empty array",
+    0x32: "Array index out of bounds",
+    0x41: "Out of memory",
+    0x51: "Zero-initialized function pointer"
+};
+
+/**
+ * Find the raw revert data in a provider error.
+ * @return {string|null} hex revert data ("0x" for a revert without data)
+ */
+function extractRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== "object" || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+
+        if (typeof current.data === "string" && ethers.utils.isHexString(current.data)) {
+            return current.data;
+        }
+        if (current.data && typeof current.data.data === "string" && ethers.utils.isHexString(current.data.data)) {
+            return current.data.data;
+        }
+        if (typeof current.body === "string") {
+            try {
+                queue.push(JSON.parse(current.body));
+            } catch (e) {
+                // Not JSON
+            }
+        }
+        queue.push(current.error, current.data, current.info, current.cause);
+    }
+
+    return null;
+}
+
+/**
+ * Decode revert data into a readable reason.
+ * @param {string|null} data revert data
+ * @param {Interface[]} interfaces ABIs that may declare the custom error
+ * @return {object} { reason, name, args, data }
+ */
+function decodeRevertData(data, interfaces = []) {
+    if (data === null || data === undefined) {
+        return { reason: null, name: null, args: [], data: null };
+    }
+    if (data === "0x") {
+        return { reason: "Reverted without a reason", name: null, args: [], data };
+    }
+
+    const selector = data.slice(0, 10);
+
+    if (selector === ERROR_SELECTOR) {
+        const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(data, 4));
+        return { reason, name: "Error", args: [reason], data };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+        const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], ethers.utils.hexDataSlice(data, 4));
+        const description = PANIC_CODES[code.toNumber()] || "Unknown panic";
+        return { reason: `Panic(0x${code.toHexString().slice(2)}): ${description}`, name: "Panic", args: [code.toString()], data };
+    }
+
+    for (const iface of interfaces) {
+        try {
+            const parsed = iface.parseError(data);
+            const args = parsed.args.map((arg) => (ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg));
+            return { reason: `${parsed.name}(${args.join(", ")})`, name: parsed.name, args, data };
+        } catch (e) {
+            // Not declared in this interface
+        }
+    }
+
+    return { reason: `Unknown custom error ${selector}`, name: null, args: [], data };
+}
+
+/**
+ * extractRevertData + decodeRevertData, falling back to the error message.
+ * @return {object} { reason, name, args, data, message }
+ */
+function decodeRevert(error, interfaces = []) {
+    const decoded = decodeRevertData(extractRevertData(error), interfaces);
+    const message = error.reason || error.message || String(error);
+    return { ...decoded, reason: decoded.reason || message, message };
+}
+
+module.exports = {
+    extractRevertData,
+    decodeRevertData,
+    decodeRevert
+};
@@ -1,20 +1,42 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { openDeployment, deployContract, runStep } = require("./utils/deployments");
+const { loadDeployConfig, resolveDeployConfig, resolveContractAddress } = require("./utils/config");
+const { resolveExplorer } = require("./utils/verify");
+const { planRoles, executeRoles, planPayees, executePayees } = require("./utils/roles");
+const { PAUSABLE_CONTRACTS } = require("./utils/pause");
 
 /**
  * MoeGirls Project 部署脚本 v2.0
  *
  * 部署顺序：
- * 1. 部署 MOEToken（自动 mint 1000万到 owner）
+ * 1. 部署 MOEToken（自动 mint 1000万到部署账户）
  * 2. 部署 VestingWalletFactory
  * 3. 转账 500万 MOE 到 Factory
- * 4. 部署 DepositContract（recipient 设为 owner）
+ * 4. 部署 DepositContract（recipient 来自配置）
+ * 5. 部署 MoeGirlsNFT（MOE 支付，ERC-7604 Permit）
+ * 6. 部署 MoeGirlsMarketplace（NFT ↔ MOE 撮合）
+ * 7. 将 NFT treasury / Marketplace feeRecipient 设为配置的收款地址
+ * 8. 按配置授予角色（admin / relayer / minter / treasurer），撤销部署账户多余的角色
+ * 9. 将可暂停合约的 guardian 移交给配置的 guardian
+ * 10. 在区块浏览器上验证所有合约（配置了 API key 时）
+ *
+ * 配置：
+ * - 分配、收款地址（recipient / treasury / feeRecipient）、各角色与 guardian 的地址等来自 config/deploy/<network>.js
+ * - 发送任何交易之前先校验配置，配置无效直接退出
  *
  * 经济模型：
  * - 初始供应：10,000,000 MOE（部署时自动 mint）
- * - Owner 保留：5,000,000 MOE（50%）
+ * - 部署账户保留：5,000,000 MOE（50%）
  * - Factory 池子：5,000,000 MOE（50%）
- * - 玩家充值 → Owner（闭环）
- * - Owner 可随时补充 Factory
+ * - 玩家充值 → Recipient（闭环）
+ * - Minter 可随时补充 Factory
+ *
+ * 幂等 / 断点续跑：
+ * - 部署记录按 chainId 保存在 hardhat-data/deployments.json
+ * - 已部署的合约（链上有代码且构造参数一致）直接复用
+ * - 已完成的步骤（如转账到 Factory）跳过
+ * - 中途失败后重新运行，从失败的步骤继续
  */
 
 async function main() {
@@ -23,66 +45,177 @@ async function main() {
   console.log("=".repeat(60));
   console.log("部署 MoeGirls Project 合约 v2.0");
   console.log("=".repeat(60));
-  console.log("部署账户（Owner）:", deployer.address);
+  console.log("部署账户:", deployer.address);
   console.log("账户余额:", ethers.utils.formatEther(await deployer.getBalance()), "ETH");
   console.log("");
 
-  // 配置
-  const FACTORY_ALLOCATION = ethers.utils.parseEther("5000000"); // 500万给 Factory
+  // 读取并校验部署配置（在发送任何交易之前）
+  const { file: configFile, config: rawConfig } = loadDeployConfig(hre.network.name);
+  const config = resolveDeployConfig(ethers, rawConfig, deployer.address);
+  const fundingTotal = config.allocations.reduce((sum, a) => sum.add(a.amount), config.vestingFactory.funding);
 
-  console.log("📋 配置:");
+  console.log("📋 配置:", configFile);
   console.log("  初始总供应: 10,000,000 MOE (自动 mint)");
-  console.log("  Factory 分配:", ethers.utils.formatEther(FACTORY_ALLOCATION), "MOE");
-  console.log("  Owner 保留: 5,000,000 MOE");
+  console.log("  Factory 分配:", ethers.utils.formatEther(config.vestingFactory.funding), "MOE");
+  for (const allocation of config.allocations) {
+    console.log(`  分配给 ${allocation.label}:`, ethers.utils.formatEther(allocation.amount), "MOE");
+  }
+  console.log("  部署账户保留:", ethers.utils.formatEther(ethers.utils.parseEther("10000000").sub(fundingTotal)), "MOE");
+  console.log("  收款地址（recipient）:", config.depositContract.recipient);
+  console.log("  铸造收款（treasury）:", config.nft.treasury);
+  console.log("  手续费收款（feeRecipient）:", config.marketplace.feeRecipient);
+  for (const [role, accounts] of Object.entries(config.roles)) {
+    console.log(`  ${role}:`, accounts.join(", "));
+  }
+  console.log("  guardian:", config.guardian);
+  console.log("");
+
+  const deployment = await openDeployment(hre);
+  console.log("📁 部署记录:", deployment.file, `(chainId ${deployment.record.chainId})`);
   console.log("");
 
-  // 1. 部署 MOEToken（自动 mint 1000万到 deployer）
+  const contracts = {};
+
+  // 1. 部署 MOEToken（自动 mint 1000万到 deployer，部署账户持有全部角色，第 8 步按配置重新分配）
   console.log("1️⃣  部署 MOEToken...");
-  const MOEToken = await ethers.getContractFactory("MOEToken");
-  const moeToken = await MOEToken.deploy(deployer.address);
-  await moeToken.deployed();
-  console.log("   ✅ MOEToken 部署到:", moeToken.address);
+  const moeToken = contracts.MOEToken = await deployContract(deployment, "MOEToken", [deployer.address]);
   console.log("   💰 初始供应:", ethers.utils.formatEther(await moeToken.totalSupply()), "MOE");
-  console.log("   💰 Owner 余额:", ethers.utils.formatEther(await moeToken.balanceOf(deployer.address)), "MOE");
+  console.log("   💰 部署账户余额:", ethers.utils.formatEther(await moeToken.balanceOf(deployer.address)), "MOE");
   console.log("");
 
   // 2. 部署 VestingWalletFactory
   console.log("2️⃣  部署 VestingWalletFactory...");
-  const Factory = await ethers.getContractFactory("VestingWalletFactory");
-  const factory = await Factory.deploy(moeToken.address, deployer.address);
-  await factory.deployed();
-  console.log("   ✅ VestingWalletFactory 部署到:", factory.address);
+  const factory = contracts.VestingWalletFactory = await deployContract(deployment, "VestingWalletFactory", [
+    moeToken.address,
+    deployer.address
+  ]);
   console.log("");
 
-  // 3. 转账 MOE 到 Factory
-  console.log("3️⃣  转账 MOE 到 Factory...");
-  let tx = await moeToken.transfer(factory.address, FACTORY_ALLOCATION);
-  await tx.wait();
-  console.log("   ✅ 已转账", ethers.utils.formatEther(FACTORY_ALLOCATION), "MOE 到 Factory");
+  // 3. 分配 MOE（Factory 提现池 + 配置的其他分配）
+  console.log("3️⃣  分配 MOE...");
+  const funding = config.vestingFactory.funding;
+  if (funding.gt(0)) {
+    const funded = await runStep(
+      deployment,
+      "fundFactory",
+      [factory.address, funding],
+      () => moeToken.transfer(factory.address, funding)
+    );
+    if (funded) {
+      console.log("   ✅ 已转账", ethers.utils.formatEther(funding), "MOE 到 Factory");
+    }
+  }
+  for (const allocation of config.allocations) {
+    const allocated = await runStep(
+      deployment,
+      `allocation:${allocation.to}`,
+      [allocation.to, allocation.amount],
+      () => moeToken.transfer(allocation.to, allocation.amount)
+    );
+    if (allocated) {
+      console.log("   ✅ 已转账", ethers.utils.formatEther(allocation.amount), "MOE 到", allocation.label);
+    }
+  }
   console.log("   💰 Factory 余额:", ethers.utils.formatEther(await factory.getBalance()), "MOE");
   console.log("");
 
-  // 4. 部署 DepositContract（recipient 设为 deployer 即 owner）
+  // 4. 部署 DepositContract
   console.log("4️⃣  部署 DepositContract...");
-  const DepositContract = await ethers.getContractFactory("DepositContract");
-  const depositContract = await DepositContract.deploy(
+  const depositContract = contracts.DepositContract = await deployContract(deployment, "DepositContract", [
     moeToken.address,
-    deployer.address,  // recipient 设为 owner
-    deployer.address   // initialOwner 设为 owner（访问控制）
-  );
-  await depositContract.deployed();
-  console.log("   ✅ DepositContract 部署到:", depositContract.address);
-  console.log("   🏦 收款地址（recipient）:", deployer.address);
-  console.log("   🔐 合约 Owner:", deployer.address);
+    config.depositContract.recipient,  // 收款地址
+    deployer.address                   // initialAdmin（第 8 步按配置重新分配角色）
+  ]);
+  console.log("   🏦 收款地址（recipient）:", config.depositContract.recipient);
+  console.log("");
+
+  // 5. 部署 MoeGirlsNFT（铸造收款 MOE → treasury，第 7 步设置）
+  console.log("5️⃣  部署 MoeGirlsNFT...");
+  const nftPaymentToken = resolveContractAddress(config.nft.paymentToken, contracts);
+  const nft = contracts.MoeGirlsNFT = await deployContract(deployment, "MoeGirlsNFT", [nftPaymentToken]);
+  console.log("   🔗 支付代币:", await nft.moeToken());
+  console.log("");
+
+  // 6. 部署 MoeGirlsMarketplace（交易 nft，以 MOE 结算）
+  console.log("6️⃣  部署 MoeGirlsMarketplace...");
+  const marketplaceNft = resolveContractAddress(config.marketplace.nftContract, contracts);
+  const marketplacePaymentToken = resolveContractAddress(config.marketplace.paymentToken, contracts);
+  const marketplace = contracts.MoeGirlsMarketplace = await deployContract(deployment, "MoeGirlsMarketplace", [
+    marketplaceNft,
+    marketplacePaymentToken
+  ]);
+  console.log("   🔗 NFT 合约:", await marketplace.nftContract());
+  console.log("   🔗 支付代币:", await marketplace.paymentToken());
+  console.log("");
+
+  // 校验合约之间的关联
+  if ((await nft.moeToken()) !== nftPaymentToken) {
+    throw new Error("MoeGirlsNFT.moeToken 与配置的支付代币地址不一致");
+  }
+  if ((await marketplace.nftContract()) !== marketplaceNft ||
+      (await marketplace.paymentToken()) !== marketplacePaymentToken) {
+    throw new Error("MoeGirlsMarketplace 关联的 NFT / 支付代币地址与配置不一致");
+  }
+
+  // 7. 设置收款地址（部署时为部署账户，必须在第 8 步撤销部署账户的 treasurer 之前）
+  console.log("7️⃣  设置收款地址...");
+  const payeePlan = await planPayees(deployment, contracts, config);
+  await executePayees(deployment, payeePlan, config);
+  for (const name of payeePlan.done) {
+    console.log(`   ⏭️  ${name} 收款地址已与配置一致`);
+  }
+  for (const { name, field, account } of payeePlan.changes) {
+    console.log(`   ✅ ${name} ${field}:`, account);
+  }
+  console.log("");
+
+  // 8. 授予角色（部署时部署账户持有全部角色）
+  console.log("8️⃣  设置合约角色...");
+  const rolePlan = await planRoles(deployment, contracts, config.roles);
+  for (const name of rolePlan.done) {
+    console.log(`   ⏭️  ${name} 角色已与配置一致`);
+  }
+  for (const name of rolePlan.handedOff) {
+    console.log(`   ⏭️  ${name} admin 已移交给多签，角色由多签管理`);
+  }
+  await executeRoles(deployment, rolePlan, config.roles);
+  for (const { name, role, account, grant } of rolePlan.changes) {
+    console.log(`   ✅ ${name} ${grant ? "授予" : "撤销"} ${role}:`, account);
+  }
+  console.log("");
+
+  // 9. 移交 guardian（部署时部署账户是 guardian）
+  console.log("9️⃣  移交 guardian...");
+  for (const name of PAUSABLE_CONTRACTS) {
+    const contract = contracts[name];
+    const current = await contract.guardian();
+    if (current === config.guardian) {
+      console.log(`   ⏭️  ${name} guardian 已是`, config.guardian);
+      continue;
+    }
+    if (current !== deployer.address) {
+      throw new Error(`${name}: 链上 guardian 为 ${current}，部署账户无法移交`);
+    }
+    await runStep(
+      deployment,
+      `guardian:${name}`,
+      [config.guardian],
+      () => contract.transferGuardian(config.guardian)
+    );
+    if ((await contract.guardian()) !== config.guardian) {
+      throw new Error(`${name}: 移交后链上 guardian 与配置不一致`);
+    }
+    console.log(`   ✅ ${name} guardian:`, config.guardian);
+  }
   console.log("");
 
   // 验证余额
-  console.log("5️⃣  验证余额...");
+  console.log("🔟 验证余额...");
   const ownerBalance = await moeToken.balanceOf(deployer.address);
   const factoryBalance = await moeToken.balanceOf(factory.address);
   const totalSupply = await moeToken.totalSupply();
 
-  console.log("   💰 Owner 余额:", ethers.utils.formatEther(ownerBalance), "MOE");
+  console.log("   💰 部署账户余额:", ethers.utils.formatEther(ownerBalance), "MOE");
   console.log("   💰 Factory 余额:", ethers.utils.formatEther(factoryBalance), "MOE");
   console.log("   📊 总供应量:", ethers.utils.formatEther(totalSupply), "MOE");
   console.log("");
@@ -96,7 +229,11 @@ async function main() {
   console.log("   MOEToken:              ", moeToken.address);
   console.log("   VestingWalletFactory:  ", factory.address);
   console.log("   DepositContract:       ", depositContract.address);
-  console.log("   Owner (Recipient):     ", deployer.address);
+  console.log("   MoeGirlsNFT:           ", nft.address);
+  console.log("   MoeGirlsMarketplace:   ", marketplace.address);
+  console.log("   Recipient:             ", config.depositContract.recipient);
+  console.log("   Treasury:              ", config.nft.treasury);
+  console.log("   Fee Recipient:         ", config.marketplace.feeRecipient);
   console.log("");
   console.log("🔑 网络信息:");
   const network = await ethers.provider.getNetwork();
@@ -105,17 +242,19 @@ async function main() {
   console.log("");
   console.log("💡 后续步骤:");
   console.log("   1. 保存合约地址到 .env 文件");
-  console.log("   2. 在区块浏览器上验证合约:");
-  console.log("      npx hardhat verify --network <network> <address>");
+  console.log("   2. 在区块浏览器上验证合约（配置了 API key 时部署后自动执行）:");
+  console.log("      npx hardhat verify-deployments --network <network>");
   console.log("   3. 配置 Backend:");
   console.log("      - MOE_TOKEN_ADDRESS=" + moeToken.address);
   console.log("      - FACTORY_ADDRESS=" + factory.address);
   console.log("      - DEPOSIT_CONTRACT_ADDRESS=" + depositContract.address);
+  console.log("      - NFT_CONTRACT_ADDRESS=" + nft.address);
+  console.log("      - MARKETPLACE_ADDRESS=" + marketplace.address);
   console.log("");
   console.log("📊 经济模型（闭环）:");
   console.log("   1. 玩家充值:");
   console.log("      玩家签名 permit → Backend 调用 depositWithPermit");
-  console.log("      → MOE 转账到 Owner");
+  console.log("      → MOE 转账到 Recipient");
   console.log("   2. 玩家提现:");
   console.log("      Backend 调用 factory.createVesting(player, amount)");
   console.log("      → 创建 StageBasedVestingWallet");
@@ -123,45 +262,44 @@ async function main() {
   console.log("   3. 玩家领取:");
   console.log("      玩家调用 vestingWallet.release(moeToken)");
   console.log("      → 阶段解锁（30/60/90/120秒，各25%）");
-  console.log("   4. Factory 补充:");
-  console.log("      Owner 可随时 transfer 或 mint MOE 到 Factory");
+  console.log("   4. NFT 铸造:");
+  console.log("      玩家签名 permit → Backend 调用 nft.mintWithPermit");
+  console.log("      → MOE 转账到 Treasury");
+  console.log("   5. NFT 交易:");
+  console.log("      买卖双方签名订单 → Backend 调用 marketplace.matchOrders");
+  console.log("   6. Factory 补充:");
+  console.log("      Minter 可随时 mint（持币者可 transfer） MOE 到 Factory");
   console.log("");
   console.log("🔄 闭环:");
-  console.log("   Deposit → Owner → Factory → VestingWallet → Player");
+  console.log("   Deposit → Recipient → Factory → VestingWallet → Player");
   console.log("");
   console.log("=".repeat(60));
 
-  // 保存部署信息到 JSON 文件
-  const fs = require("fs");
-  const path = require("path");
-  const dataDir = path.join(__dirname, "..", "hardhat-data");
-
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  const deploymentInfo = {
-    timestamp: new Date().toISOString(),
-    network: network.name,
-    chainId: network.chainId,
-    deployer: deployer.address,
-    contracts: {
-      MOEToken: moeToken.address,
-      VestingWalletFactory: factory.address,
-      DepositContract: depositContract.address,
-    },
-    env: {
-      MOE_TOKEN_ADDRESS: moeToken.address,
-      VESTING_FACTORY_ADDRESS: factory.address,
-      DEPOSIT_CONTRACT_ADDRESS: depositContract.address,
-      BACKEND_PRIVATE_KEY: process.env.BACKEND_PRIVATE_KEY || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80"
-    }
+  // 保存 Backend 所需的环境变量到当前网络的部署记录
+  deployment.record.env = {
+    MOE_TOKEN_ADDRESS: moeToken.address,
+    VESTING_FACTORY_ADDRESS: factory.address,
+    DEPOSIT_CONTRACT_ADDRESS: depositContract.address,
+    NFT_CONTRACT_ADDRESS: nft.address,
+    MARKETPLACE_ADDRESS: marketplace.address,
+    BACKEND_PRIVATE_KEY: process.env.BACKEND_PRIVATE_KEY || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80"
   };
-
-  const deploymentFile = path.join(dataDir, "deployments.json");
-  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
-  console.log("💾 部署信息已保存到:", deploymentFile);
+  deployment.save();
+  console.log("💾 部署信息已保存到:", deployment.file, `(chainId ${deployment.record.chainId})`);
   console.log("");
+
+  // 自动验证合约（本地网络或未配置 API key 时跳过）
+  const explorer = resolveExplorer(hre.config.etherscan, deployment.record.chainId);
+  if (explorer && explorer.apiKey) {
+    try {
+      await hre.run("verify-deployments", { file: deployment.file });
+    } catch (error) {
+      // 验证失败不影响部署结果，可稍后单独重试
+      console.log("   ⚠️ ", error.message);
+      console.log("   稍后重试: npx hardhat verify-deployments --network", hre.network.name);
+    }
+    console.log("");
+  }
 }
 
 main()
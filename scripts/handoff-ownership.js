@@ -0,0 +1,86 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { openDeployment } = require("./utils/deployments");
+const { loadDeployConfig, resolveDeployConfig } = require("./utils/config");
+const { resolveHandoffConfig, planOwnershipHandoff, executeOwnershipHandoff } = require("./utils/ownership");
+
+/**
+ * MoeGirls Project admin 移交脚本
+ *
+ * 用法：
+ *   npx hardhat run scripts/handoff-ownership.js --network <network>
+ *
+ * 流程：
+ * 1. 读取部署配置（config/deploy/<network>.js）中的 roles.admin 与 handoff.owner
+ * 2. 检查目标是 Safe 多签，且所有合约的链上 admin 与配置一致
+ *    （任何一个合约存在配置之外的 admin 则拒绝执行，不发送任何交易）
+ * 3. 逐个授予多签 DEFAULT_ADMIN_ROLE、撤销原 admin，并在链上确认多签是唯一的 admin
+ * 4. 移交结果写入 hardhat-data/deployments.json 的 ownership 字段
+ *
+ * MOEToken 的 minter 一起移交给多签（增发需要多签签名）；
+ * relayer / treasurer 角色不变，移交后由多签管理
+ *
+ * 已经移交给多签的合约会跳过，中途失败后可以重新运行
+ */
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("移交 MoeGirls Project 合约 admin");
+  console.log("=".repeat(60));
+
+  const [deployer] = await ethers.getSigners();
+  const { file: configFile, config: rawConfig } = loadDeployConfig(hre.network.name);
+  const config = resolveDeployConfig(ethers, rawConfig, deployer.address);
+  const handoff = resolveHandoffConfig(ethers, rawConfig.handoff);
+
+  const deployment = await openDeployment(hre);
+  console.log("📋 配置:", configFile);
+  console.log("📁 部署记录:", deployment.file, `(chainId ${deployment.record.chainId})`);
+  console.log("🔐 新 admin:", handoff.owner);
+  console.log("");
+
+  // 1. 检查
+  console.log("1️⃣  检查当前 admin...");
+  const plan = await planOwnershipHandoff(deployment, config.roles.admin, handoff);
+  if (plan.safe) {
+    console.log(`   🛡️  Safe 多签: ${plan.safe.threshold}/${plan.safe.owners.length}`);
+    for (const owner of plan.safe.owners) {
+      console.log("      -", owner);
+    }
+  }
+  for (const name of plan.done) {
+    console.log(`   ⏭️  ${name} 已移交`);
+  }
+  for (const { name, from, roles } of plan.transfers) {
+    console.log(`   🔑 ${name}: ${from.join(", ")} → ${handoff.owner}`);
+    for (const { role, from: holders } of roles) {
+      console.log(`   🔑 ${name} ${role}: ${holders.join(", ") || "（无）"} → ${handoff.owner}`);
+    }
+  }
+  console.log("   ℹ️  relayer / treasurer 角色不变");
+  console.log("");
+
+  // 2. 移交
+  console.log("2️⃣  移交 admin...");
+  const ownership = await executeOwnershipHandoff(deployment, plan, handoff);
+  for (const { name, roles } of plan.transfers) {
+    console.log(`   ✅ ${name} admin 已确认为:`, ownership[name].admin, `(tx: ${ownership[name].txHash})`);
+    for (const { role } of roles) {
+      console.log(`   ✅ ${name} ${role} 已确认为:`, ownership[name].roles[role].holder);
+    }
+  }
+  console.log("");
+
+  console.log("=".repeat(60));
+  console.log("✅ 移交完成！");
+  console.log("=".repeat(60));
+  console.log("💾 移交记录已保存到:", deployment.file, `(chainId ${deployment.record.chainId})`);
+  console.log("");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
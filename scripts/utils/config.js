@@ -0,0 +1,186 @@
+const fs = require("fs");
+const path = require("path");
+const { ROLE_CONSTANTS } = require("./roles");
+
+/**
+ * 部署配置工具
+ *
+ * 每个网络一份配置：config/deploy/<network>.js（或 .json）
+ * 也可以通过 DEPLOY_CONFIG 环境变量指定配置文件路径
+ *
+ * 部署脚本在发送任何交易之前调用 resolveDeployConfig() 校验配置，
+ * 所有问题一次性列出后抛出错误
+ */
+
+const CONFIG_DIR = path.join(__dirname, "..", "..", "config", "deploy");
+
+// 部署顺序（合约名引用只能指向排在前面的合约）
+const DEPLOY_ORDER = [
+  "MOEToken",
+  "VestingWalletFactory",
+  "DepositContract",
+  "MoeGirlsNFT",
+  "MoeGirlsMarketplace",
+];
+
+// MOEToken 构造函数 mint 的初始供应
+const INITIAL_SUPPLY_MOE = "10000000";
+
+/**
+ * @dev 读取网络配置文件
+ * @param networkName Hardhat 网络名
+ * @param options.file 指定配置文件（默认 DEPLOY_CONFIG 或 config/deploy/<network>.js|.json）
+ * @return { file, config }
+ */
+function loadDeployConfig(networkName, options = {}) {
+  const candidates = options.file || process.env.DEPLOY_CONFIG
+    ? [path.resolve(options.file || process.env.DEPLOY_CONFIG)]
+    : [path.join(CONFIG_DIR, `${networkName}.js`), path.join(CONFIG_DIR, `${networkName}.json`)];
+
+  const file = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!file) {
+    throw new Error(`找不到网络 ${networkName} 的部署配置: ${candidates.join(" 或 ")}`);
+  }
+
+  return { file, config: require(file) };
+}
+
+/**
+ * @dev 校验并解析部署配置
+ * @param ethers hardhat ethers
+ * @param config loadDeployConfig() 读取的原始配置
+ * @param deployer 部署账户地址
+ * @return 解析后的配置（地址为 checksum 地址，金额为 BigNumber）
+ */
+function resolveDeployConfig(ethers, config, deployer) {
+  const errors = [];
+
+  const resolveAddress = (field, value) => {
+    if (value === "deployer") {
+      return deployer;
+    }
+    if (typeof value !== "string" || !ethers.utils.isAddress(value)) {
+      errors.push(`${field}: 无效地址 ${JSON.stringify(value)}`);
+      return undefined;
+    }
+    if (value === ethers.constants.AddressZero) {
+      errors.push(`${field}: 不能为零地址`);
+      return undefined;
+    }
+    return ethers.utils.getAddress(value);
+  };
+
+  // 合约名引用（本次部署、排在 contractName 之前的合约）或地址
+  const resolveContractRef = (field, value, contractName) => {
+    const earlier = DEPLOY_ORDER.slice(0, DEPLOY_ORDER.indexOf(contractName));
+    if (earlier.includes(value)) {
+      return value;
+    }
+    if (DEPLOY_ORDER.includes(value)) {
+      errors.push(`${field}: ${value} 在 ${contractName} 之后部署，不能引用`);
+      return undefined;
+    }
+    return resolveAddress(field, value);
+  };
+
+  const parseAmount = (field, value) => {
+    try {
+      const amount = ethers.utils.parseEther(String(value));
+      if (amount.lt(0)) {
+        errors.push(`${field}: 金额不能为负数`);
+        return undefined;
+      }
+      return amount;
+    } catch (e) {
+      errors.push(`${field}: 无效金额 ${JSON.stringify(value)}`);
+      return undefined;
+    }
+  };
+
+  // 每个角色一个或多个地址
+  const roles = {};
+  for (const role of Object.keys(ROLE_CONSTANTS)) {
+    const value = (config.roles || {})[role];
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0) {
+      errors.push(`roles.${role}: 至少需要一个地址`);
+    }
+    const field = (i) => Array.isArray(value) ? `roles.${role}[${i}]` : `roles.${role}`;
+    roles[role] = [...new Set(list.map((address, i) => resolveAddress(field(i), address)))];
+  }
+
+  // guardian（熔断）必须是独立的密钥，不能与 admin / relayer 相同
+  const guardian = resolveAddress("guardian", config.guardian);
+  if (guardian && [...(roles.admin || []), ...(roles.relayer || [])].includes(guardian)) {
+    errors.push(`guardian: ${guardian} 不能与 admin / relayer 相同`);
+  }
+
+  const seen = new Set();
+  const allocations = (config.allocations || []).map((allocation, i) => {
+    const to = resolveAddress(`allocations[${i}].to`, allocation.to);
+    const amount = parseAmount(`allocations[${i}].amount`, allocation.amount);
+    if (amount && amount.isZero()) {
+      errors.push(`allocations[${i}].amount: 金额必须大于 0`);
+    }
+    if (to && seen.has(to)) {
+      errors.push(`allocations[${i}].to: 重复的分配地址 ${to}`);
+    }
+    seen.add(to);
+    return { to, amount, label: allocation.label || to };
+  });
+
+  const vestingFactory = {
+    funding: parseAmount("vestingFactory.funding", (config.vestingFactory || {}).funding),
+  };
+
+  const depositContract = {
+    recipient: resolveAddress("depositContract.recipient", (config.depositContract || {}).recipient),
+  };
+
+  // treasury / feeRecipient：铸造收款与手续费收款地址，部署时由 treasurer 设置
+  const nft = {
+    paymentToken: resolveContractRef("nft.paymentToken", (config.nft || {}).paymentToken, "MoeGirlsNFT"),
+    treasury: resolveAddress("nft.treasury", (config.nft || {}).treasury),
+  };
+
+  const marketplace = {
+    nftContract: resolveContractRef("marketplace.nftContract", (config.marketplace || {}).nftContract, "MoeGirlsMarketplace"),
+    paymentToken: resolveContractRef("marketplace.paymentToken", (config.marketplace || {}).paymentToken, "MoeGirlsMarketplace"),
+    feeRecipient: resolveAddress("marketplace.feeRecipient", (config.marketplace || {}).feeRecipient),
+  };
+
+  // 分配总额不能超过初始供应
+  if (errors.length === 0) {
+    const total = allocations.reduce((sum, a) => sum.add(a.amount), vestingFactory.funding);
+    const supply = ethers.utils.parseEther(INITIAL_SUPPLY_MOE);
+    if (total.gt(supply)) {
+      errors.push(
+        `allocations + vestingFactory.funding 共 ${ethers.utils.formatEther(total)} MOE，` +
+        `超过初始供应 ${INITIAL_SUPPLY_MOE} MOE`
+      );
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error("部署配置无效:\n  - " + errors.join("\n  - "));
+  }
+
+  return { roles, guardian, allocations, vestingFactory, depositContract, nft, marketplace };
+}
+
+/**
+ * @dev 将合约名引用转换为本次部署的合约地址
+ * @param ref resolveDeployConfig() 返回的地址或合约名
+ * @param contracts 已部署的合约实例 { MOEToken: contract, ... }
+ */
+function resolveContractAddress(ref, contracts) {
+  return DEPLOY_ORDER.includes(ref) ? contracts[ref].address : ref;
+}
+
+module.exports = {
+  CONFIG_DIR,
+  DEPLOY_ORDER,
+  loadDeployConfig,
+  resolveDeployConfig,
+  resolveContractAddress,
+};
@@ -0,0 +1,229 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * 部署记录工具
+ *
+ * hardhat-data/deployments.json 按 chainId 分组保存每条链的部署记录：
+ *
+ * {
+ *   "31337": {
+ *     "network": "localhost",
+ *     "chainId": 31337,
+ *     "deployer": "0x...",
+ *     "updatedAt": "2025-01-01T00:00:00.000Z",
+ *     "contracts": {
+ *       "MOEToken": { "address": "0x...", "txHash": "0x...", "blockNumber": 1, "args": ["0x..."] }
+ *     },
+ *     "steps": {
+ *       "fundFactory": { "txHash": "0x...", "blockNumber": 3, "args": ["0x...", "5000000000000000000000000"] }
+ *     },
+ *     "env": { ... }
+ *   },
+ *   "421614": { ... }
+ * }
+ *
+ * 幂等 / 断点续跑：
+ * - 合约：记录中已有地址、链上有代码且构造参数一致 → 直接复用，不再部署
+ * - 步骤：记录中已有且参数一致 → 跳过
+ * - 每完成一个合约或步骤立即写盘，中途失败后重新运行会从失败处继续
+ */
+
+const DEFAULT_DEPLOYMENTS_FILE = path.join(__dirname, "..", "..", "hardhat-data", "deployments.json");
+
+/**
+ * @dev 读取部署文件（不存在时返回空对象）
+ * 兼容旧格式（单条记录、没有 chainId 分组），自动迁移到新格式
+ */
+function loadDeployments(file = DEFAULT_DEPLOYMENTS_FILE) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return isLegacyRecord(data) ? migrateLegacyRecord(data) : data;
+}
+
+/**
+ * @dev 写入部署文件
+ */
+function saveDeployments(deployments, file = DEFAULT_DEPLOYMENTS_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployments, null, 2) + "\n");
+}
+
+function isLegacyRecord(data) {
+  return data.chainId !== undefined && data.contracts !== undefined;
+}
+
+/**
+ * @dev 旧格式：{ network, chainId, deployer, contracts: { Name: address }, env }
+ * 旧记录没有 txHash / blockNumber / args，迁移后 args 为 null，
+ * 复用时只检查链上代码
+ */
+function migrateLegacyRecord(data) {
+  const contracts = {};
+  for (const [name, address] of Object.entries(data.contracts)) {
+    contracts[name] = { address, txHash: null, blockNumber: null, args: null };
+  }
+
+  return {
+    [String(data.chainId)]: {
+      network: data.network,
+      chainId: data.chainId,
+      deployer: data.deployer,
+      updatedAt: data.timestamp,
+      contracts,
+      steps: {},
+      env: data.env || {},
+    },
+  };
+}
+
+/**
+ * @dev 打开当前网络的部署记录
+ * deployer / network 只在新建记录时写入：pause、handoff 等脚本用 guardian 或
+ * 运维账户打开同一份记录，保存时不能覆盖原部署账户
+ * @param hre Hardhat Runtime Environment（需要 ethers 与 network）
+ * @param options.file 部署文件路径（默认 hardhat-data/deployments.json）
+ * @return 部署上下文 { file, deployments, record, save() }
+ */
+async function openDeployment(hre, options = {}) {
+  const file = options.file || DEFAULT_DEPLOYMENTS_FILE;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const [deployer] = await hre.ethers.getSigners();
+
+  const deployments = loadDeployments(file);
+  const key = String(chainId);
+  const record = {
+    network: hre.network.name,
+    chainId,
+    deployer: deployer.address,
+    contracts: {},
+    steps: {},
+    env: {},
+    ...deployments[key],
+  };
+  deployments[key] = record;
+
+  return {
+    hre,
+    file,
+    deployments,
+    record,
+    save() {
+      record.updatedAt = new Date().toISOString();
+      saveDeployments(deployments, file);
+    },
+  };
+}
+
+/**
+ * @dev 将构造参数规范化为可写入 JSON、可比较的形式
+ * BigNumber → 十进制字符串，地址 → checksum 地址
+ */
+function normalizeArgs(ethers, args) {
+  return args.map((arg) => {
+    if (ethers.BigNumber.isBigNumber(arg) || typeof arg === "number" || typeof arg === "bigint") {
+      return ethers.BigNumber.from(arg).toString();
+    }
+    if (typeof arg === "string" && ethers.utils.isAddress(arg)) {
+      return ethers.utils.getAddress(arg);
+    }
+    if (Array.isArray(arg)) {
+      return normalizeArgs(ethers, arg);
+    }
+    return arg;
+  });
+}
+
+function sameArgs(recorded, normalized) {
+  return JSON.stringify(recorded) === JSON.stringify(normalized);
+}
+
+/**
+ * @dev 部署合约，已部署则复用
+ * @param deployment openDeployment() 返回的上下文
+ * @param name 合约名称（同时作为记录的 key）
+ * @param args 构造参数
+ * @return 合约实例
+ *
+ * 复用条件：
+ * - 记录中有该合约地址
+ * - 该地址链上有代码
+ * - 记录的构造参数与本次一致（旧格式迁移的记录 args 为 null，不比较）
+ */
+async function deployContract(deployment, name, args = []) {
+  const { ethers } = deployment.hre;
+  const normalized = normalizeArgs(ethers, args);
+  const existing = deployment.record.contracts[name];
+
+  if (existing) {
+    const code = await ethers.provider.getCode(existing.address);
+    if (code === "0x") {
+      console.log(`   ⚠️  ${name} 记录地址 ${existing.address} 上没有代码，重新部署`);
+    } else if (existing.args !== null && !sameArgs(existing.args, normalized)) {
+      console.log(`   ⚠️  ${name} 构造参数已变更，重新部署`);
+    } else {
+      console.log(`   ⏭️  ${name} 已部署，跳过:`, existing.address);
+      return ethers.getContractAt(name, existing.address);
+    }
+  }
+
+  const Factory = await ethers.getContractFactory(name);
+  const contract = await Factory.deploy(...args);
+  const receipt = await contract.deployTransaction.wait();
+
+  deployment.record.contracts[name] = {
+    address: contract.address,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    args: normalized,
+  };
+  deployment.save();
+
+  console.log(`   ✅ ${name} 部署到:`, contract.address);
+  return contract;
+}
+
+/**
+ * @dev 执行一次性的部署步骤（如转账、授权），已完成则跳过
+ * 记录中的交易在链上找不到（如本地节点重启）时视为未完成
+ * @param deployment openDeployment() 返回的上下文
+ * @param name 步骤名称
+ * @param args 步骤参数（参数变化时重新执行）
+ * @param fn 返回交易对象的异步函数
+ * @return 是否实际执行
+ */
+async function runStep(deployment, name, args, fn) {
+  const { ethers } = deployment.hre;
+  const normalized = normalizeArgs(ethers, args);
+  const existing = deployment.record.steps[name];
+
+  if (existing && sameArgs(existing.args, normalized) &&
+      (await ethers.provider.getTransactionReceipt(existing.txHash)) !== null) {
+    console.log(`   ⏭️  ${name} 已完成，跳过 (tx: ${existing.txHash})`);
+    return false;
+  }
+
+  const tx = await fn();
+  const receipt = await tx.wait();
+
+  deployment.record.steps[name] = {
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    args: normalized,
+  };
+  deployment.save();
+
+  return true;
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_FILE,
+  loadDeployments,
+  saveDeployments,
+  openDeployment,
+  deployContract,
+  runStep,
+};
@@ -0,0 +1,226 @@
+/**
+ * Admin 移交工具
+ *
+ * 把部署记录中所有合约的 admin（DEFAULT_ADMIN_ROLE）从部署配置中的 admin（config.roles.admin）
+ * 移交给多签（Safe）：授予多签 admin，再撤销原 admin
+ *
+ * MOEToken 的 MINTER_ROLE（无上限增发）同时移交给多签，原 minter 全部撤销；
+ * relayer / treasurer 角色不变
+ *
+ * 安全检查（任何一项不通过都不会发送交易）：
+ * - 目标地址必须是 Safe 合约（requireSafe 为 true 时）
+ * - 每个合约的链上 admin（从 RoleGranted 事件枚举）只能是配置中的 admin 或目标地址
+ * - 每个合约的链上 admin 必须包含配置中的 admin，或只剩目标地址（已移交，跳过）
+ * - 至少一个原 admin 的私钥必须在 Hardhat 的 accounts 中
+ *
+ * 每次移交后在链上确认多签是唯一的 admin（和 minter），并写入部署记录的 ownership 字段
+ */
+
+const SafeArtifact = require("@safe-global/safe-contracts/build/artifacts/contracts/Safe.sol/Safe.json");
+const { ROLE_CONSTANTS, getRoleHolders } = require("./roles");
+
+// 需要移交的合约（均为 OpenZeppelin AccessControl）
+const ADMIN_CONTRACTS = [
+  "MOEToken",
+  "VestingWalletFactory",
+  "DepositContract",
+  "MoeGirlsNFT",
+  "MoeGirlsMarketplace",
+];
+
+// 与 admin 一起移交给多签的角色
+const HANDOFF_ROLES = {
+  MOEToken: ["minter"],
+};
+
+/**
+ * @dev 校验移交配置
+ * @param config 部署配置中的 handoff 字段 { owner, requireSafe }
+ * @return { owner, requireSafe }
+ */
+function resolveHandoffConfig(ethers, config = {}) {
+  const { owner } = config;
+  if (typeof owner !== "string" || !ethers.utils.isAddress(owner) || owner === ethers.constants.AddressZero) {
+    throw new Error(`handoff.owner: 无效地址 ${JSON.stringify(owner)}（.env 中的 MULTISIG_ADDRESS）`);
+  }
+  return {
+    owner: ethers.utils.getAddress(owner),
+    requireSafe: config.requireSafe !== false,
+  };
+}
+
+/**
+ * @dev 读取 Safe 的 owners 与 threshold
+ * @return { owners, threshold }，不是 Safe 合约时返回 undefined
+ */
+async function inspectSafe(ethers, address) {
+  if ((await ethers.provider.getCode(address)) === "0x") {
+    return undefined;
+  }
+  const safe = new ethers.Contract(address, SafeArtifact.abi, ethers.provider);
+  try {
+    const [owners, threshold] = await Promise.all([safe.getOwners(), safe.getThreshold()]);
+    return { owners, threshold: threshold.toNumber() };
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * @dev 移交前检查，返回移交计划
+ * @param deployment openDeployment() 返回的上下文
+ * @param expectedAdmins 部署配置中的 admin（resolveDeployConfig().roles.admin）
+ * @param handoff resolveHandoffConfig() 的结果
+ * @return { safe, transfers: [{ name, contract, from, granted, roles: [{ role, roleId, from, granted }] }], done: [name] }
+ */
+async function planOwnershipHandoff(deployment, expectedAdmins, handoff) {
+  const { ethers } = deployment.hre;
+  const errors = [];
+
+  const safe = await inspectSafe(ethers, handoff.owner);
+  if (handoff.requireSafe && !safe) {
+    errors.push(`${handoff.owner} 不是 Safe 合约`);
+  }
+
+  const signers = await ethers.getSigners();
+  const transfers = [];
+  const done = [];
+
+  for (const name of ADMIN_CONTRACTS) {
+    const entry = deployment.record.contracts[name];
+    if (!entry) {
+      errors.push(`${name}: 部署记录中没有该合约`);
+      continue;
+    }
+
+    const contract = await ethers.getContractAt(name, entry.address);
+    const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+    const admins = await getRoleHolders(contract, adminRole, entry.blockNumber);
+    const granted = admins.includes(handoff.owner);
+
+    const unexpected = admins.filter((admin) => admin !== handoff.owner && !expectedAdmins.includes(admin));
+    if (unexpected.length > 0) {
+      errors.push(`${name}: 存在配置之外的 admin ${unexpected.join(", ")}`);
+      continue;
+    }
+    const from = admins.filter((admin) => admin !== handoff.owner);
+
+    // 一起移交的角色：多签之外的持有者全部撤销
+    const roles = [];
+    for (const role of HANDOFF_ROLES[name] || []) {
+      const roleId = await contract[ROLE_CONSTANTS[role]]();
+      const holders = await getRoleHolders(contract, roleId, entry.blockNumber);
+      const others = holders.filter((holder) => holder !== handoff.owner);
+      if (others.length > 0 || !holders.includes(handoff.owner)) {
+        roles.push({ role, roleId, from: others, granted: holders.includes(handoff.owner) });
+      }
+    }
+
+    if (granted && from.length === 0) {
+      if (roles.length > 0) {
+        errors.push(`${name}: admin 已移交，${roles.map((r) => r.role).join(", ")} 需由多签移交`);
+        continue;
+      }
+      done.push(name);
+      continue;
+    }
+    if (from.length === 0) {
+      errors.push(`${name}: 配置中的 admin（${expectedAdmins.join(", ")}）都没有链上 admin 角色`);
+      continue;
+    }
+
+    const signer = signers.find((s) => from.includes(s.address));
+    if (!signer) {
+      errors.push(`${name}: 没有 admin ${from.join(", ")} 的私钥，无法签名移交交易`);
+      continue;
+    }
+
+    transfers.push({ name, contract: contract.connect(signer), from, granted, roles });
+  }
+
+  if (errors.length > 0) {
+    throw new Error("拒绝移交 admin:\n  - " + errors.join("\n  - "));
+  }
+
+  return { safe, transfers, done };
+}
+
+/**
+ * @dev 执行移交计划，并在链上确认每个合约的 admin
+ * 签名的 admin 最后 renounce 自己的角色
+ * @return 部署记录中的 ownership 字段
+ */
+async function executeOwnershipHandoff(deployment, plan, handoff) {
+  const ownership = deployment.record.ownership = deployment.record.ownership || {};
+
+  // 已经在链上移交、但没有记录的合约（例如手动移交）补上记录
+  for (const name of plan.done) {
+    if (!ownership[name]) {
+      ownership[name] = {
+        admin: handoff.owner,
+        previousAdmins: [],
+        roles: {},
+        txHash: null,
+        blockNumber: null,
+        verifiedAt: new Date().toISOString(),
+      };
+    }
+  }
+  deployment.save();
+
+  for (const { name, contract, from, granted, roles } of plan.transfers) {
+    const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+    const self = await contract.signer.getAddress();
+
+    let receipt = null;
+    if (!granted) {
+      receipt = await (await contract.grantRole(adminRole, handoff.owner)).wait();
+    }
+    // 其他角色在撤销 admin 之前移交
+    for (const { roleId, from: holders, granted: roleGranted } of roles) {
+      if (!roleGranted) {
+        await (await contract.grantRole(roleId, handoff.owner)).wait();
+      }
+      for (const holder of holders) {
+        await (await contract.revokeRole(roleId, holder)).wait();
+      }
+    }
+    for (const admin of from.filter((a) => a !== self)) {
+      await (await contract.revokeRole(adminRole, admin)).wait();
+    }
+    const renounced = await (await contract.renounceRole(adminRole, self)).wait();
+    receipt = receipt || renounced;
+
+    if (!(await contract.hasRole(adminRole, handoff.owner))) {
+      throw new Error(`${name}: 移交后 ${handoff.owner} 没有 admin 角色`);
+    }
+    const entry = deployment.record.contracts[name];
+    for (const { role, roleId } of [{ role: "admin", roleId: adminRole }, ...roles]) {
+      const holders = await getRoleHolders(contract, roleId, entry.blockNumber);
+      if (holders.length !== 1 || holders[0] !== handoff.owner) {
+        throw new Error(`${name}: 移交后 ${role} 角色持有者为 ${holders.join(", ")}，预期只有 ${handoff.owner}`);
+      }
+    }
+
+    ownership[name] = {
+      admin: handoff.owner,
+      previousAdmins: from,
+      roles: Object.fromEntries(roles.map(({ role, from: holders }) => [role, { holder: handoff.owner, previous: holders }])),
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      verifiedAt: new Date().toISOString(),
+    };
+    deployment.save();
+  }
+
+  return ownership;
+}
+
+module.exports = {
+  ADMIN_CONTRACTS,
+  HANDOFF_ROLES,
+  resolveHandoffConfig,
+  inspectSafe,
+  planOwnershipHandoff,
+  executeOwnershipHandoff,
+};
@@ -0,0 +1,135 @@
+/**
+ * 熔断工具
+ *
+ * 一次性暂停 / 恢复部署记录中所有可暂停的合约（GuardianPausable）
+ *
+ * 安全检查（任何一项不通过都不会发送交易）：
+ * - 部署记录中至少有一个可暂停的合约
+ * - 每个合约的链上 guardian 的私钥必须在 Hardhat 的 accounts 中，或者 guardian 是 Safe 多签
+ * - 已经处于目标状态的合约跳过
+ *
+ * 私钥 guardian：直接发送交易，在链上确认 paused()，并写入部署记录的 pause 字段
+ * Safe guardian：无法直接发送，生成 Transaction Builder 批量交易文件（部署记录旁的
+ * safe-<pause|unpause>-<chainId>-<safe>.json），由多签 owners 导入 Safe{Wallet} 签名执行；
+ * 提案写入部署记录 pause 字段的 proposal
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { buildSafeTransactionBatch } = require("../../sdk/safe");
+const { inspectSafe } = require("./ownership");
+
+// 可暂停的合约（MOEToken 不暂停，玩家之间的转账不受影响）
+const PAUSABLE_CONTRACTS = [
+  "VestingWalletFactory",
+  "DepositContract",
+  "MoeGirlsNFT",
+  "MoeGirlsMarketplace",
+];
+
+/**
+ * @dev 操作前检查，返回暂停 / 恢复计划
+ * @param deployment openDeployment() 返回的上下文
+ * @param paused 目标状态（true 暂停，false 恢复）
+ * @return { paused, changes: [{ name, contract, guardian }], proposals: [{ name, guardian, to, data }], done: [name] }
+ */
+async function planPause(deployment, paused) {
+  const { ethers } = deployment.hre;
+  const errors = [];
+
+  const names = PAUSABLE_CONTRACTS.filter((name) => deployment.record.contracts[name]);
+  if (names.length === 0) {
+    errors.push("部署记录中没有可暂停的合约");
+  }
+
+  const signers = await ethers.getSigners();
+  const changes = [];
+  const proposals = [];
+  const done = [];
+
+  for (const name of names) {
+    const contract = await ethers.getContractAt(name, deployment.record.contracts[name].address);
+
+    if ((await contract.paused()) === paused) {
+      done.push(name);
+      continue;
+    }
+
+    const guardian = await contract.guardian();
+    const signer = signers.find((s) => s.address === guardian);
+    if (signer) {
+      changes.push({ name, contract: contract.connect(signer), guardian });
+    } else if (await inspectSafe(ethers, guardian)) {
+      const data = contract.interface.encodeFunctionData(paused ? "pause" : "unpause");
+      proposals.push({ name, guardian, to: contract.address, data });
+    } else {
+      errors.push(`${name}: 没有 guardian ${guardian} 的私钥，guardian 也不是 Safe 合约，无法签名`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`拒绝${paused ? "暂停" : "恢复"}合约:\n  - ` + errors.join("\n  - "));
+  }
+
+  return { paused, changes, proposals, done };
+}
+
+/**
+ * @dev 执行计划，并在链上确认每个合约的 paused()；Safe guardian 的调用按 Safe 写入批量交易文件
+ * @return 部署记录中的 pause 字段
+ */
+async function executePause(deployment, plan) {
+  const pause = deployment.record.pause = deployment.record.pause || {};
+
+  for (const { name, contract, guardian } of plan.changes) {
+    const tx = plan.paused ? await contract.pause() : await contract.unpause();
+    const receipt = await tx.wait();
+
+    const paused = await contract.paused();
+    if (paused !== plan.paused) {
+      throw new Error(`${name}: 操作后链上 paused() 为 ${paused}，预期为 ${plan.paused}`);
+    }
+
+    pause[name] = {
+      paused,
+      guardian,
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      updatedAt: new Date().toISOString(),
+    };
+    deployment.save();
+  }
+
+  for (const safe of new Set(plan.proposals.map((proposal) => proposal.guardian))) {
+    const proposals = plan.proposals.filter((proposal) => proposal.guardian === safe);
+    const action = plan.paused ? "pause" : "unpause";
+    const { chainId } = deployment.record;
+    const file = path.join(path.dirname(deployment.file), `safe-${action}-${chainId}-${safe}.json`);
+
+    const batch = buildSafeTransactionBatch({
+      safe,
+      chainId,
+      name: `${action} ${proposals.map((proposal) => proposal.name).join(", ")}`,
+      transactions: proposals,
+    });
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+
+    for (const { name, to, data } of proposals) {
+      pause[name] = {
+        ...pause[name],
+        guardian: safe,
+        proposal: { paused: plan.paused, to, data, file, createdAt: new Date().toISOString() },
+      };
+    }
+    deployment.save();
+  }
+
+  return pause;
+}
+
+module.exports = {
+  PAUSABLE_CONTRACTS,
+  planPause,
+  executePause,
+};
@@ -0,0 +1,252 @@
+/**
+ * 角色工具（AccessControl）
+ *
+ * 部署配置中的 roles 字段按角色列出地址：
+ * - admin：DEFAULT_ADMIN_ROLE，授予 / 撤销角色，修改合约设置
+ * - relayer：RELAYER_ROLE，Backend relayer（createVesting / depositWithPermit / mintWithPermit / matchOrders，签发提现凭证）
+ * - minter：MINTER_ROLE，MOEToken.mint
+ * - treasurer：TREASURER_ROLE，NFT 铸造收款地址、Marketplace 手续费收款地址
+ *
+ * 合约部署时部署账户持有全部角色，按配置授予后撤销部署账户多余的角色
+ *
+ * 安全检查（任何一项不通过都不会发送交易）：
+ * - 需要变更角色的合约，Hardhat 的 accounts 中必须有持有 admin 的私钥
+ * - admin 已移交给多签的合约（部署记录的 ownership 字段）跳过，由多签管理角色
+ *
+ * 每次变更后在链上确认 hasRole()，并写入部署记录的 roles 字段
+ *
+ * 收款地址（NFT treasury、Marketplace feeRecipient）部署时默认是部署账户，
+ * 必须在撤销部署账户的 treasurer 角色之前设置为配置的地址（planPayees / executePayees）
+ */
+
+// 配置中的角色名 → 合约中的角色常量
+const ROLE_CONSTANTS = {
+  admin: "DEFAULT_ADMIN_ROLE",
+  relayer: "RELAYER_ROLE",
+  minter: "MINTER_ROLE",
+  treasurer: "TREASURER_ROLE",
+};
+
+// 各合约使用的角色（admin 放在最后，撤销部署账户的 admin 必须是最后一步）
+const CONTRACT_ROLES = {
+  MOEToken: ["minter", "admin"],
+  VestingWalletFactory: ["relayer", "admin"],
+  DepositContract: ["relayer", "admin"],
+  MoeGirlsNFT: ["relayer", "treasurer", "admin"],
+  MoeGirlsMarketplace: ["relayer", "treasurer", "admin"],
+};
+
+// 由 treasurer 设置的收款地址：合约 → 配置字段、getter / setter
+const PAYEES = {
+  MoeGirlsNFT: { config: "nft", field: "treasury", setter: "setTreasury" },
+  MoeGirlsMarketplace: { config: "marketplace", field: "feeRecipient", setter: "setFeeRecipient" },
+};
+
+/**
+ * @dev 角色的全部链上持有者（AccessControl 不可枚举，从 RoleGranted 事件收集后以 hasRole() 确认）
+ * @param contract AccessControl 合约实例
+ * @param roleId 角色 ID
+ * @param fromBlock 开始扫描的区块（部署区块）
+ * @return 当前持有者地址数组
+ */
+async function getRoleHolders(contract, roleId, fromBlock = 0) {
+  const events = await contract.queryFilter(contract.filters.RoleGranted(roleId), fromBlock);
+  const holders = [];
+  for (const account of new Set(events.map((event) => event.args.account))) {
+    if (await contract.hasRole(roleId, account)) {
+      holders.push(account);
+    }
+  }
+  return holders;
+}
+
+/**
+ * @dev 变更前检查，返回角色计划
+ * @param deployment openDeployment() 返回的上下文
+ * @param contracts 已部署的合约实例 { MOEToken: contract, ... }
+ * @param roles 部署配置中的角色（resolveDeployConfig().roles）
+ * @return { changes: [{ name, contract, role, roleId, account, grant }], done: [name], handedOff: [name] }
+ */
+async function planRoles(deployment, contracts, roles) {
+  const { ethers } = deployment.hre;
+  const signers = await ethers.getSigners();
+  const [deployer] = signers;
+  const recorded = deployment.record.roles || {};
+  const ownership = deployment.record.ownership || {};
+  const errors = [];
+  const changes = [];
+  const done = [];
+  const handedOff = [];
+
+  for (const [name, roleNames] of Object.entries(CONTRACT_ROLES)) {
+    const contract = contracts[name];
+    if (!contract) {
+      continue;
+    }
+    if (ownership[name]) {
+      handedOff.push(name);
+      continue;
+    }
+
+    const grants = [];
+    const revokes = [];
+    for (const role of roleNames) {
+      const roleId = await contract[ROLE_CONSTANTS[role]]();
+      const configured = roles[role];
+
+      for (const account of configured) {
+        if (!(await contract.hasRole(roleId, account))) {
+          grants.push({ name, role, roleId, account, grant: true });
+        }
+      }
+
+      // 部署账户（构造函数授予）与上次记录的持有者中，不在配置里的撤销
+      const candidates = new Set([deployer.address, ...((recorded[name] || {})[role] || [])]);
+      for (const account of candidates) {
+        if (!configured.includes(account) && (await contract.hasRole(roleId, account))) {
+          revokes.push({ name, role, roleId, account, grant: false });
+        }
+      }
+    }
+
+    if (grants.length === 0 && revokes.length === 0) {
+      done.push(name);
+      continue;
+    }
+
+    // 由持有 admin 的账户签名（首次部署时为部署账户）
+    const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+    let signer;
+    for (const candidate of signers) {
+      if (await contract.hasRole(adminRole, candidate.address)) {
+        signer = candidate;
+        break;
+      }
+    }
+    if (!signer) {
+      errors.push(`${name}: 没有持有 admin 角色的私钥，无法变更角色`);
+      continue;
+    }
+
+    // 先授予再撤销，admin 最后撤销，签名账户自己的 admin 放在最后 renounce
+    const isSelf = (change) => change.role === "admin" && change.account === signer.address;
+    for (const change of [...grants, ...revokes.filter((c) => !isSelf(c)), ...revokes.filter(isSelf)]) {
+      changes.push({ ...change, contract: contract.connect(signer) });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error("拒绝设置角色:\n  - " + errors.join("\n  - "));
+  }
+
+  return { changes, done, handedOff };
+}
+
+/**
+ * @dev 执行角色计划，并在链上确认每次变更
+ * @param roles 部署配置中的角色（写入部署记录）
+ * @return 部署记录中的 roles 字段
+ */
+async function executeRoles(deployment, plan, roles) {
+  for (const { name, contract, role, roleId, account, grant } of plan.changes) {
+    let tx;
+    if (grant) {
+      tx = await contract.grantRole(roleId, account);
+    } else if (account === (await contract.signer.getAddress())) {
+      tx = await contract.renounceRole(roleId, account);
+    } else {
+      tx = await contract.revokeRole(roleId, account);
+    }
+    await tx.wait();
+
+    if ((await contract.hasRole(roleId, account)) !== grant) {
+      throw new Error(`${name}: ${account} 的 ${role} 角色${grant ? "授予" : "撤销"}后链上状态不一致`);
+    }
+  }
+
+  const recorded = deployment.record.roles = deployment.record.roles || {};
+  for (const name of new Set([...plan.done, ...plan.changes.map((change) => change.name)])) {
+    recorded[name] = Object.fromEntries(CONTRACT_ROLES[name].map((role) => [role, roles[role]]));
+  }
+  deployment.save();
+
+  return recorded;
+}
+
+/**
+ * @dev 设置收款地址前检查（在 planRoles 之前调用，此时部署账户仍持有 treasurer）
+ * @param config resolveDeployConfig() 返回的配置
+ * @return { changes: [{ name, contract, field, setter, account }], done: [name] }
+ */
+async function planPayees(deployment, contracts, config) {
+  const { ethers } = deployment.hre;
+  const signers = await ethers.getSigners();
+  const errors = [];
+  const changes = [];
+  const done = [];
+
+  for (const [name, { config: section, field, setter }] of Object.entries(PAYEES)) {
+    const contract = contracts[name];
+    if (!contract) {
+      continue;
+    }
+    const account = config[section][field];
+    if ((await contract[field]()) === account) {
+      done.push(name);
+      continue;
+    }
+
+    const treasurerRole = await contract.TREASURER_ROLE();
+    let signer;
+    for (const candidate of signers) {
+      if (await contract.hasRole(treasurerRole, candidate.address)) {
+        signer = candidate;
+        break;
+      }
+    }
+    if (!signer) {
+      errors.push(`${name}: 没有持有 treasurer 角色的私钥，无法设置 ${field}`);
+      continue;
+    }
+    changes.push({ name, contract: contract.connect(signer), field, setter, account });
+  }
+
+  if (errors.length > 0) {
+    throw new Error("拒绝设置收款地址:\n  - " + errors.join("\n  - "));
+  }
+
+  return { changes, done };
+}
+
+/**
+ * @dev 执行收款地址计划，在链上确认后写入部署记录的 payees 字段
+ * @return 部署记录中的 payees 字段 { MoeGirlsNFT: { treasury }, MoeGirlsMarketplace: { feeRecipient } }
+ */
+async function executePayees(deployment, plan, config) {
+  for (const { name, contract, field, setter, account } of plan.changes) {
+    await (await contract[setter](account)).wait();
+    if ((await contract[field]()) !== account) {
+      throw new Error(`${name}: 设置后链上 ${field} 与配置不一致`);
+    }
+  }
+
+  const recorded = deployment.record.payees = deployment.record.payees || {};
+  for (const name of [...plan.done, ...plan.changes.map((change) => change.name)]) {
+    const { config: section, field } = PAYEES[name];
+    recorded[name] = { [field]: config[section][field] };
+  }
+  deployment.save();
+
+  return recorded;
+}
+
+module.exports = {
+  ROLE_CONSTANTS,
+  CONTRACT_ROLES,
+  PAYEES,
+  getRoleHolders,
+  planRoles,
+  executeRoles,
+  planPayees,
+  executePayees,
+};
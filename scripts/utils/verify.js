@@ -0,0 +1,181 @@
+/**
+ * 区块浏览器合约验证工具（Etherscan 兼容 API）
+ *
+ * 直接使用 Hardhat 编译产物中的 build info（standard JSON input + solc 完整版本号）
+ * 提交验证，不依赖外部的 solc 版本列表，可以对本地的 stub 服务进行测试
+ *
+ * 浏览器 API 地址与 API key 复用 hardhat.config.js 的 etherscan 配置，
+ * 只认 etherscan.customChains（按 chainId 匹配），新网络需要在那里添加
+ */
+
+// 轮询验证结果的间隔
+const DEFAULT_POLL_INTERVAL_MS = 3000;
+// 轮询次数上限，超过后按失败处理（默认约 3 分钟）
+const DEFAULT_MAX_ATTEMPTS = 60;
+
+/**
+ * @dev 根据 chainId 查找浏览器 API 配置
+ * @return { network, urls: { apiURL, browserURL }, apiKey } 或 undefined
+ */
+function resolveExplorer(etherscanConfig, chainId) {
+  const explorer = [...(etherscanConfig.customChains || [])]
+    .reverse() // 与 hardhat-etherscan 一致：后面的配置优先
+    .find((chain) => chain.chainId === chainId);
+  if (!explorer) {
+    return undefined;
+  }
+
+  const apiKey = typeof etherscanConfig.apiKey === "string"
+    ? etherscanConfig.apiKey
+    : (etherscanConfig.apiKey || {})[explorer.network];
+
+  return { network: explorer.network, urls: explorer.urls, apiKey: apiKey || "" };
+}
+
+async function sendRequest(url, init) {
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    throw new Error(`浏览器 API 请求失败: HTTP ${response.status} ${await response.text()}`);
+  }
+  return response.json();
+}
+
+/**
+ * @dev 查询合约是否已验证
+ */
+async function isVerified(explorer, address) {
+  const url = new URL(explorer.urls.apiURL);
+  url.search = new URLSearchParams({
+    module: "contract",
+    action: "getsourcecode",
+    address,
+    apikey: explorer.apiKey,
+  }).toString();
+
+  const json = await sendRequest(url);
+  const sourceCode = json.message === "OK" && json.result && json.result[0] && json.result[0].SourceCode;
+  return Boolean(sourceCode);
+}
+
+/**
+ * @dev 构建验证请求参数
+ * @param hre Hardhat Runtime Environment
+ * @param name 合约名
+ * @param address 合约地址
+ * @param args 构造参数
+ */
+async function buildVerifyRequest(hre, name, address, args) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const fqn = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fqn);
+  if (!buildInfo) {
+    throw new Error(`找不到 ${fqn} 的 build info，请先运行 npx hardhat compile`);
+  }
+
+  const encodedArgs = new hre.ethers.utils.Interface(artifact.abi).encodeDeploy(args);
+
+  return {
+    module: "contract",
+    action: "verifysourcecode",
+    contractaddress: address,
+    sourceCode: JSON.stringify(buildInfo.input),
+    codeformat: "solidity-standard-json-input",
+    contractname: fqn,
+    compilerversion: `v${buildInfo.solcLongVersion}`,
+    // Etherscan API 的参数名就是这个拼写
+    constructorArguements: encodedArgs.slice(2),
+  };
+}
+
+/**
+ * @dev 提交验证并等待结果
+ * @param options { pollInterval, maxAttempts } 轮询 maxAttempts 次仍在排队时返回 failed
+ * @return { status: "verified" | "already-verified" | "failed", guid?, message }
+ */
+async function verifyContract(hre, explorer, { name, address, args }, options = {}) {
+  const pollInterval = options.pollInterval === undefined ? DEFAULT_POLL_INTERVAL_MS : options.pollInterval;
+  const maxAttempts = options.maxAttempts === undefined ? DEFAULT_MAX_ATTEMPTS : options.maxAttempts;
+
+  if (await isVerified(explorer, address)) {
+    return { status: "already-verified", message: "Already Verified" };
+  }
+
+  const request = await buildVerifyRequest(hre, name, address, args);
+  const submitted = await sendRequest(explorer.urls.apiURL, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ ...request, apikey: explorer.apiKey }).toString(),
+  });
+
+  if (String(submitted.status) !== "1") {
+    if (/already verified/i.test(submitted.result)) {
+      return { status: "already-verified", message: submitted.result };
+    }
+    return { status: "failed", message: submitted.result };
+  }
+
+  const guid = submitted.result;
+  const url = new URL(explorer.urls.apiURL);
+  url.search = new URLSearchParams({
+    module: "contract",
+    action: "checkverifystatus",
+    guid,
+    apikey: explorer.apiKey,
+  }).toString();
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    const status = await sendRequest(url);
+
+    if (status.result === "Pending in queue") {
+      continue;
+    }
+    if (status.result === "Pass - Verified") {
+      return { status: "verified", guid, message: status.result };
+    }
+    if (/already verified/i.test(status.result)) {
+      return { status: "already-verified", guid, message: status.result };
+    }
+    return { status: "failed", guid, message: status.result };
+  }
+
+  return { status: "failed", guid, message: `轮询 ${maxAttempts} 次后仍在排队，稍后重试` };
+}
+
+/**
+ * @dev 列出部署记录中需要验证的合约
+ * 包括 VestingWalletFactory 构造函数中创建的 StageBasedVestingWallet 实现合约
+ * @return [{ name, address, args }]，以及无法验证（缺少构造参数）的合约名
+ */
+async function collectVerificationTargets(hre, record) {
+  const targets = [];
+  const skipped = [];
+
+  for (const [name, entry] of Object.entries(record.contracts || {})) {
+    if (!Array.isArray(entry.args)) {
+      skipped.push(name);
+      continue;
+    }
+    targets.push({ name, address: entry.address, args: entry.args });
+  }
+
+  const factory = (record.contracts || {}).VestingWalletFactory;
+  if (factory) {
+    const instance = await hre.ethers.getContractAt("VestingWalletFactory", factory.address);
+    targets.push({
+      name: "StageBasedVestingWallet",
+      address: await instance.vestingWalletImplementation(),
+      args: [],
+    });
+  }
+
+  return { targets, skipped };
+}
+
+module.exports = {
+  resolveExplorer,
+  isVerified,
+  buildVerifyRequest,
+  verifyContract,
+  collectVerificationTargets,
+};
@@ -0,0 +1,65 @@
+const { ethers } = require("ethers");
+const { buildDutchAuction, buildEnglishAuction, buildAuctionBid, hashTypedData } = require("./eip712");
+
+/**
+ * Helpers for MoeGirlsMarketplace auctions.
+ *
+ * Dutch auctions are bought with buyDutchAuction at the price returned by
+ * dutchAuctionPrice(). English auctions collect AuctionBid signatures
+ * off-chain (see relayer/auction-house.js) and the Backend settles the
+ * highest bid with settleEnglishAuction once the auction has ended.
+ */
+
+/**
+ * EIP-712 digest of a DutchAuction, identical to MoeGirlsMarketplace._hashDutchAuction.
+ * @param {object} params { marketplace, chainId, auction }
+ */
+function hashDutchAuction(params) {
+    return hashTypedData(buildDutchAuction(params));
+}
+
+/**
+ * EIP-712 digest of an EnglishAuction (the auctionHash that bids commit to).
+ * @param {object} params { marketplace, chainId, auction }
+ */
+function hashEnglishAuction(params) {
+    return hashTypedData(buildEnglishAuction(params));
+}
+
+/**
+ * EIP-712 digest of an AuctionBid.
+ * @param {object} params { marketplace, chainId, bid }
+ */
+function hashAuctionBid(params) {
+    return hashTypedData(buildAuctionBid(params));
+}
+
+/**
+ * Price of a whole Dutch auction at a timestamp, identical to
+ * MoeGirlsMarketplace.dutchAuctionPrice.
+ * @param {object} auction { startPrice, endPrice, startTime, endTime }
+ * @param {number} timestamp seconds
+ * @return {BigNumber}
+ */
+function dutchAuctionPrice(auction, timestamp) {
+    const startPrice = ethers.BigNumber.from(auction.startPrice);
+    const endPrice = ethers.BigNumber.from(auction.endPrice);
+    const startTime = ethers.BigNumber.from(auction.startTime);
+    const endTime = ethers.BigNumber.from(auction.endTime);
+    const now = ethers.BigNumber.from(timestamp);
+
+    if (now.lte(startTime)) {
+        return startPrice;
+    }
+    if (now.gte(endTime)) {
+        return endPrice;
+    }
+    return startPrice.sub(startPrice.sub(endPrice).mul(now.sub(startTime)).div(endTime.sub(startTime)));
+}
+
+module.exports = {
+    hashDutchAuction,
+    hashEnglishAuction,
+    hashAuctionBid,
+    dutchAuctionPrice
+};
@@ -0,0 +1,582 @@
+const { ethers } = require("ethers");
+
+/**
+ * EIP-712 typed data for every signed message the MoeGirls contracts accept.
+ *
+ * Offline only: nothing here talks to a node. Callers supply the contract
+ * address, chainId and nonce (read `nonces(owner)` from the contract), then
+ * sign the result with any ethers v5 signer that supports `_signTypedData`
+ * (Wallet, JsonRpcSigner, Hardhat signer).
+ *
+ * Typed data objects have the shape { domain, types, primaryType, message },
+ * which is also what `eth_signTypedData_v4` expects once serialized.
+ */
+
+// EIP-712 domain name/version of each contract (must match the constructors)
+const DOMAINS = {
+    MOEToken: { name: "MoeGirls Token", version: "1" },
+    MoeGirlsNFT: { name: "MoeGirlsNFT", version: "1" },
+    MoeGirlsMarketplace: { name: "MoeGirlsMarketplace", version: "1" },
+    VestingWalletFactory: { name: "VestingWalletFactory", version: "1" }
+};
+
+// EIP-2612 permit (MOEToken)
+const ERC20_PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// ERC-7604 permit (MoeGirlsNFT, see contracts/extensions/ERC1155Permit.sol)
+const ERC1155_PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "operator", type: "address" },
+        { name: "approved", type: "bool" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// MoeGirlsMarketplace orders
+const SELL_ORDER_TYPES = {
+    SellOrder: [
+        { name: "maker", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "currency", type: "address" },
+        { name: "price", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+const BUY_ORDER_TYPES = {
+    BuyOrder: [
+        { name: "maker", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "currency", type: "address" },
+        { name: "price", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+// Bid on any token of a set, committed as a Merkle root (see ./merkle.js)
+const COLLECTION_BUY_ORDER_TYPES = {
+    CollectionBuyOrder: [
+        { name: "maker", type: "address" },
+        { name: "tokenIdsRoot", type: "bytes32" },
+        { name: "amount", type: "uint256" },
+        { name: "currency", type: "address" },
+        { name: "price", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+// Several cards sold together at one total price
+const BUNDLE_SELL_ORDER_TYPES = {
+    BundleSellOrder: [
+        { name: "maker", type: "address" },
+        { name: "tokenIds", type: "uint256[]" },
+        { name: "amounts", type: "uint256[]" },
+        { name: "currency", type: "address" },
+        { name: "price", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+// Card-for-card trade: give a bundle (and MOE), take a bundle (and MOE)
+const SWAP_ORDER_TYPES = {
+    SwapOrder: [
+        { name: "maker", type: "address" },
+        { name: "giveTokenIds", type: "uint256[]" },
+        { name: "giveAmounts", type: "uint256[]" },
+        { name: "giveMoe", type: "uint256" },
+        { name: "takeTokenIds", type: "uint256[]" },
+        { name: "takeAmounts", type: "uint256[]" },
+        { name: "takeMoe", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+// MoeGirlsMarketplace auctions (see ./auctions.js)
+const DUTCH_AUCTION_TYPES = {
+    DutchAuction: [
+        { name: "maker", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "currency", type: "address" },
+        { name: "startPrice", type: "uint256" },
+        { name: "endPrice", type: "uint256" },
+        { name: "startTime", type: "uint256" },
+        { name: "endTime", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+const ENGLISH_AUCTION_TYPES = {
+    EnglishAuction: [
+        { name: "maker", type: "address" },
+        { name: "tokenId", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "currency", type: "address" },
+        { name: "reservePrice", type: "uint256" },
+        { name: "endTime", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+const AUCTION_BID_TYPES = {
+    AuctionBid: [
+        { name: "bidder", type: "address" },
+        { name: "auctionHash", type: "bytes32" },
+        { name: "price", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// MoeGirlsMarketplace gasless cancellation
+const CANCEL_ORDERS_TYPES = {
+    CancelOrders: [
+        { name: "maker", type: "address" },
+        { name: "orderHashes", type: "bytes32[]" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const MIN_VALID_NONCE_TYPES = {
+    MinValidNonce: [
+        { name: "maker", type: "address" },
+        { name: "minNonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// Withdrawal voucher signed by the Backend, redeemed on VestingWalletFactory
+const WITHDRAWAL_VOUCHER_TYPES = {
+    WithdrawalVoucher: [
+        { name: "player", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * Build the EIP-712 domain of a deployed contract.
+ * @param {string} contractName Key of DOMAINS ("MOEToken", "MoeGirlsNFT", "MoeGirlsMarketplace", "VestingWalletFactory")
+ * @param {string} verifyingContract Contract address
+ * @param {number|string|BigNumber} chainId
+ */
+function buildDomain(contractName, verifyingContract, chainId) {
+    const domain = DOMAINS[contractName];
+    if (!domain) {
+        throw new Error(`Unknown contract: ${contractName}`);
+    }
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: ethers.BigNumber.from(chainId).toNumber(),
+        verifyingContract: ethers.utils.getAddress(verifyingContract)
+    };
+}
+
+function pick(source, types, primaryType) {
+    const message = {};
+    for (const { name } of types[primaryType]) {
+        if (source[name] === undefined) {
+            throw new Error(`${primaryType}.${name} is required`);
+        }
+        message[name] = source[name];
+    }
+    return message;
+}
+
+/**
+ * EIP-2612 permit for MOEToken.
+ * @param {object} params { token, chainId, owner, spender, value, nonce, deadline }
+ */
+function buildERC20Permit({ token, chainId, ...fields }) {
+    return {
+        domain: buildDomain("MOEToken", token, chainId),
+        types: ERC20_PERMIT_TYPES,
+        primaryType: "Permit",
+        message: pick(fields, ERC20_PERMIT_TYPES, "Permit")
+    };
+}
+
+/**
+ * ERC-7604 permit (setApprovalForAll by signature) for MoeGirlsNFT.
+ * @param {object} params { nft, chainId, owner, operator, approved, nonce, deadline }
+ */
+function buildERC1155Permit({ nft, chainId, ...fields }) {
+    return {
+        domain: buildDomain("MoeGirlsNFT", nft, chainId),
+        types: ERC1155_PERMIT_TYPES,
+        primaryType: "Permit",
+        message: pick(fields, ERC1155_PERMIT_TYPES, "Permit")
+    };
+}
+
+/**
+ * Marketplace SellOrder.
+ * @param {object} params { marketplace, chainId, order: { maker, tokenId, amount, currency, price, deadline, nonce } }
+ */
+function buildSellOrder({ marketplace, chainId, order }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: SELL_ORDER_TYPES,
+        primaryType: "SellOrder",
+        message: pick(order, SELL_ORDER_TYPES, "SellOrder")
+    };
+}
+
+/**
+ * Marketplace BuyOrder.
+ * @param {object} params { marketplace, chainId, order: { maker, tokenId, amount, currency, price, deadline, nonce } }
+ */
+function buildBuyOrder({ marketplace, chainId, order }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: BUY_ORDER_TYPES,
+        primaryType: "BuyOrder",
+        message: pick(order, BUY_ORDER_TYPES, "BuyOrder")
+    };
+}
+
+/**
+ * Marketplace CollectionBuyOrder.
+ * @param {object} params { marketplace, chainId, order: { maker, tokenIdsRoot, amount, currency, price, deadline, nonce } }
+ */
+function buildCollectionBuyOrder({ marketplace, chainId, order }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: COLLECTION_BUY_ORDER_TYPES,
+        primaryType: "CollectionBuyOrder",
+        message: pick(order, COLLECTION_BUY_ORDER_TYPES, "CollectionBuyOrder")
+    };
+}
+
+/**
+ * Marketplace BundleSellOrder.
+ * @param {object} params { marketplace, chainId, order: { maker, tokenIds, amounts, currency, price, deadline, nonce } }
+ */
+function buildBundleSellOrder({ marketplace, chainId, order }) {
+    if (!Array.isArray(order.tokenIds) || !Array.isArray(order.amounts) || order.tokenIds.length !== order.amounts.length) {
+        throw new Error("BundleSellOrder.tokenIds and amounts must be arrays of the same length");
+    }
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: BUNDLE_SELL_ORDER_TYPES,
+        primaryType: "BundleSellOrder",
+        message: pick(order, BUNDLE_SELL_ORDER_TYPES, "BundleSellOrder")
+    };
+}
+
+/**
+ * Marketplace SwapOrder. Matches the order whose give/take bundles are the reverse of this one.
+ * @param {object} params { marketplace, chainId, order: { maker, giveTokenIds, giveAmounts, giveMoe, takeTokenIds, takeAmounts, takeMoe, deadline, nonce } }
+ */
+function buildSwapOrder({ marketplace, chainId, order }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: SWAP_ORDER_TYPES,
+        primaryType: "SwapOrder",
+        message: pick(order, SWAP_ORDER_TYPES, "SwapOrder")
+    };
+}
+
+/**
+ * Marketplace DutchAuction.
+ * @param {object} params { marketplace, chainId, auction: { maker, tokenId, amount, currency, startPrice, endPrice, startTime, endTime, deadline, nonce } }
+ */
+function buildDutchAuction({ marketplace, chainId, auction }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: DUTCH_AUCTION_TYPES,
+        primaryType: "DutchAuction",
+        message: pick(auction, DUTCH_AUCTION_TYPES, "DutchAuction")
+    };
+}
+
+/**
+ * Marketplace EnglishAuction.
+ * @param {object} params { marketplace, chainId, auction: { maker, tokenId, amount, currency, reservePrice, endTime, deadline, nonce } }
+ */
+function buildEnglishAuction({ marketplace, chainId, auction }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: ENGLISH_AUCTION_TYPES,
+        primaryType: "EnglishAuction",
+        message: pick(auction, ENGLISH_AUCTION_TYPES, "EnglishAuction")
+    };
+}
+
+/**
+ * Marketplace AuctionBid on an EnglishAuction.
+ * @param {object} params { marketplace, chainId, bid: { bidder, auctionHash, price, deadline } }
+ */
+function buildAuctionBid({ marketplace, chainId, bid }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: AUCTION_BID_TYPES,
+        primaryType: "AuctionBid",
+        message: pick(bid, AUCTION_BID_TYPES, "AuctionBid")
+    };
+}
+
+/**
+ * Marketplace CancelOrders (cancel orders by digest, submitted by anyone).
+ * @param {object} params { marketplace, chainId, maker, orderHashes, deadline }
+ */
+function buildCancelOrders({ marketplace, chainId, ...fields }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: CANCEL_ORDERS_TYPES,
+        primaryType: "CancelOrders",
+        message: pick(fields, CANCEL_ORDERS_TYPES, "CancelOrders")
+    };
+}
+
+/**
+ * Marketplace MinValidNonce (invalidate all orders with a lower nonce).
+ * @param {object} params { marketplace, chainId, maker, minNonce, deadline }
+ */
+function buildMinValidNonce({ marketplace, chainId, ...fields }) {
+    return {
+        domain: buildDomain("MoeGirlsMarketplace", marketplace, chainId),
+        types: MIN_VALID_NONCE_TYPES,
+        primaryType: "MinValidNonce",
+        message: pick(fields, MIN_VALID_NONCE_TYPES, "MinValidNonce")
+    };
+}
+
+/**
+ * VestingWalletFactory WithdrawalVoucher (redeemed with redeemVoucher).
+ * @param {object} params { factory, chainId, voucher: { player, amount, nonce, deadline } }
+ */
+function buildWithdrawalVoucher({ factory, chainId, voucher }) {
+    return {
+        domain: buildDomain("VestingWalletFactory", factory, chainId),
+        types: WITHDRAWAL_VOUCHER_TYPES,
+        primaryType: "WithdrawalVoucher",
+        message: pick(voucher, WITHDRAWAL_VOUCHER_TYPES, "WithdrawalVoucher")
+    };
+}
+
+/**
+ * EIP-712 digest of typed data (what the contract passes to ecrecover).
+ */
+function hashTypedData({ domain, types, message }) {
+    return ethers.utils._TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * Sign typed data with an ethers v5 signer.
+ * @return {Promise<string>} 65-byte signature
+ */
+async function signTypedData(signer, { domain, types, message }) {
+    return signer._signTypedData(domain, types, message);
+}
+
+/**
+ * Split a 65-byte signature into the { v, r, s } arguments of permit functions.
+ */
+function splitSignature(signature) {
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { v, r, s };
+}
+
+/**
+ * Recover the address that signed typed data.
+ */
+function recoverTypedDataSigner({ domain, types, message }, signature) {
+    return ethers.utils.verifyTypedData(domain, types, message, signature);
+}
+
+/**
+ * Build, sign and split an EIP-2612 permit.
+ * @return {Promise<object>} typed data plus { signature, v, r, s }
+ */
+async function signERC20Permit(signer, params) {
+    const typedData = buildERC20Permit(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, signature, ...splitSignature(signature) };
+}
+
+/**
+ * Build, sign and split an ERC-7604 permit.
+ * @return {Promise<object>} typed data plus { signature, v, r, s }
+ */
+async function signERC1155Permit(signer, params) {
+    const typedData = buildERC1155Permit(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, signature, ...splitSignature(signature) };
+}
+
+/**
+ * Build and sign a SellOrder.
+ * @return {Promise<object>} typed data plus { order, signature }
+ */
+async function signSellOrder(signer, params) {
+    const typedData = buildSellOrder(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, order: typedData.message, signature };
+}
+
+/**
+ * Build and sign a BuyOrder.
+ * @return {Promise<object>} typed data plus { order, signature }
+ */
+async function signBuyOrder(signer, params) {
+    const typedData = buildBuyOrder(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, order: typedData.message, signature };
+}
+
+/**
+ * Build and sign a CollectionBuyOrder.
+ * @return {Promise<object>} typed data plus { order, signature }
+ */
+async function signCollectionBuyOrder(signer, params) {
+    const typedData = buildCollectionBuyOrder(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, order: typedData.message, signature };
+}
+
+/**
+ * Build and sign a BundleSellOrder.
+ * @return {Promise<object>} typed data plus { order, signature }
+ */
+async function signBundleSellOrder(signer, params) {
+    const typedData = buildBundleSellOrder(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, order: typedData.message, signature };
+}
+
+/**
+ * Build and sign a SwapOrder.
+ * @return {Promise<object>} typed data plus { order, signature }
+ */
+async function signSwapOrder(signer, params) {
+    const typedData = buildSwapOrder(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, order: typedData.message, signature };
+}
+
+/**
+ * Build and sign a DutchAuction.
+ * @return {Promise<object>} typed data plus { auction, signature }
+ */
+async function signDutchAuction(signer, params) {
+    const typedData = buildDutchAuction(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, auction: typedData.message, signature };
+}
+
+/**
+ * Build and sign an EnglishAuction.
+ * @return {Promise<object>} typed data plus { auction, signature }
+ */
+async function signEnglishAuction(signer, params) {
+    const typedData = buildEnglishAuction(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, auction: typedData.message, signature };
+}
+
+/**
+ * Build and sign an AuctionBid.
+ * @return {Promise<object>} typed data plus { bid, signature }
+ */
+async function signAuctionBid(signer, params) {
+    const typedData = buildAuctionBid(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, bid: typedData.message, signature };
+}
+
+/**
+ * Build and sign a CancelOrders message.
+ * @return {Promise<object>} typed data plus { signature }
+ */
+async function signCancelOrders(signer, params) {
+    const typedData = buildCancelOrders(params);
+    return { ...typedData, signature: await signTypedData(signer, typedData) };
+}
+
+/**
+ * Build and sign a MinValidNonce message.
+ * @return {Promise<object>} typed data plus { signature }
+ */
+async function signMinValidNonce(signer, params) {
+    const typedData = buildMinValidNonce(params);
+    return { ...typedData, signature: await signTypedData(signer, typedData) };
+}
+
+/**
+ * Build and sign a WithdrawalVoucher (Backend key holding RELAYER_ROLE).
+ * @return {Promise<object>} typed data plus { voucher, signature }
+ */
+async function signWithdrawalVoucher(signer, params) {
+    const typedData = buildWithdrawalVoucher(params);
+    const signature = await signTypedData(signer, typedData);
+    return { ...typedData, voucher: typedData.message, signature };
+}
+
+module.exports = {
+    DOMAINS,
+    ERC20_PERMIT_TYPES,
+    ERC1155_PERMIT_TYPES,
+    SELL_ORDER_TYPES,
+    BUY_ORDER_TYPES,
+    COLLECTION_BUY_ORDER_TYPES,
+    BUNDLE_SELL_ORDER_TYPES,
+    SWAP_ORDER_TYPES,
+    DUTCH_AUCTION_TYPES,
+    ENGLISH_AUCTION_TYPES,
+    AUCTION_BID_TYPES,
+    CANCEL_ORDERS_TYPES,
+    MIN_VALID_NONCE_TYPES,
+    WITHDRAWAL_VOUCHER_TYPES,
+    buildDomain,
+    buildERC20Permit,
+    buildERC1155Permit,
+    buildSellOrder,
+    buildBuyOrder,
+    buildCollectionBuyOrder,
+    buildBundleSellOrder,
+    buildSwapOrder,
+    buildDutchAuction,
+    buildEnglishAuction,
+    buildAuctionBid,
+    buildCancelOrders,
+    buildMinValidNonce,
+    buildWithdrawalVoucher,
+    hashTypedData,
+    signTypedData,
+    splitSignature,
+    recoverTypedDataSigner,
+    signERC20Permit,
+    signERC1155Permit,
+    signSellOrder,
+    signBuyOrder,
+    signCollectionBuyOrder,
+    signBundleSellOrder,
+    signSwapOrder,
+    signDutchAuction,
+    signEnglishAuction,
+    signAuctionBid,
+    signCancelOrders,
+    signMinValidNonce,
+    signWithdrawalVoucher
+};
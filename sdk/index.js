@@ -0,0 +1,14 @@
+/**
+ * MoeGirls Project JS SDK
+ *
+ * Shared by the frontend, the backend relayer and the tests.
+ * Depends only on ethers v5.
+ */
+module.exports = {
+    ...require("./eip712"),
+    ...require("./orders"),
+    ...require("./merkle"),
+    ...require("./auctions"),
+    ...require("./vouchers"),
+    ...require("./safe")
+};
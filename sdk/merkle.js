@@ -0,0 +1,97 @@
+const { ethers } = require("ethers");
+
+/**
+ * Merkle trees over tokenIds, for MoeGirlsMarketplace collection bids.
+ *
+ * Matches OpenZeppelin MerkleProof: leaves are
+ * keccak256(bytes.concat(keccak256(abi.encode(tokenId)))) and each pair of
+ * nodes is hashed in sorted order, so a proof is just the list of siblings.
+ */
+
+/**
+ * Leaf of a tokenId, identical to MoeGirlsMarketplace._tokenIdLeaf.
+ */
+function tokenIdLeaf(tokenId) {
+    const inner = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["uint256"], [tokenId]));
+    return ethers.utils.keccak256(inner);
+}
+
+function hashPair(a, b) {
+    return ethers.utils.keccak256(ethers.utils.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+}
+
+/**
+ * Every tokenId from `from` to `to`, inclusive (e.g. cards 1000-1099).
+ * @return {string[]} tokenIds as decimal strings
+ */
+function tokenIdRange(from, to) {
+    const start = ethers.BigNumber.from(from);
+    const end = ethers.BigNumber.from(to);
+    if (end.lt(start)) {
+        throw new Error("Invalid tokenId range");
+    }
+    const ids = [];
+    for (let id = start; id.lte(end); id = id.add(1)) {
+        ids.push(id.toString());
+    }
+    return ids;
+}
+
+/**
+ * Build the tree of a set of tokenIds (a range, or every card with a trait).
+ * @param {BigNumberish[]} tokenIds duplicates are ignored
+ * @return {object} { root, tokenIds, getProof(tokenId) }
+ */
+function buildTokenIdTree(tokenIds) {
+    const ids = [...new Set(tokenIds.map((id) => ethers.BigNumber.from(id).toString()))];
+    if (ids.length === 0) {
+        throw new Error("At least one tokenId is required");
+    }
+
+    // levels[0] are the sorted leaves, the last level is [root]
+    const levels = [ids.map(tokenIdLeaf).sort()];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            // An odd node is carried up unchanged
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+
+    /**
+     * @return {string[]} proof for matchCollectionOrder
+     */
+    function getProof(tokenId) {
+        let index = levels[0].indexOf(tokenIdLeaf(tokenId));
+        if (index === -1) {
+            throw new Error(`tokenId ${ethers.BigNumber.from(tokenId).toString()} is not in the tree`);
+        }
+        const proof = [];
+        for (const level of levels.slice(0, -1)) {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            if (sibling < level.length) {
+                proof.push(level[sibling]);
+            }
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    }
+
+    return { root: levels[levels.length - 1][0], tokenIds: ids, getProof };
+}
+
+/**
+ * MerkleProof.verify for a tokenId.
+ */
+function verifyTokenIdProof(root, tokenId, proof) {
+    return proof.reduce(hashPair, tokenIdLeaf(tokenId)) === root;
+}
+
+module.exports = {
+    tokenIdLeaf,
+    tokenIdRange,
+    buildTokenIdTree,
+    verifyTokenIdProof
+};
@@ -0,0 +1,281 @@
+const { ethers } = require("ethers");
+const { buildSellOrder, buildBuyOrder, buildCollectionBuyOrder, buildBundleSellOrder, buildSwapOrder, hashTypedData, recoverTypedDataSigner } = require("./eip712");
+
+/**
+ * Off-chain checks for MoeGirlsMarketplace orders.
+ *
+ * Mirrors the validation at the top of matchOrders() so that a backend can
+ * reject an order when it is submitted instead of finding out from a revert.
+ * Error strings are the contract's revert reasons. executionPrice() quotes a
+ * match with the marketplace's price rule, and getOrderStatuses() reads what
+ * happened to orders after they were submitted.
+ */
+
+// bytes4(keccak256("isValidSignature(bytes32,bytes)"))
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
+// MoeGirlsMarketplace.PriceRule
+const PRICE_RULES = {
+    SellerPrice: 0,
+    BuyerPrice: 1,
+    Midpoint: 2
+};
+
+// MoeGirlsMarketplace.OrderStatus, by enum value
+const ORDER_STATUSES = ["Unfilled", "PartiallyFilled", "Filled", "Cancelled", "Expired"];
+
+const ERC1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+
+const SIDES = {
+    sell: { label: "Sell", build: buildSellOrder },
+    buy: { label: "Buy", build: buildBuyOrder },
+    // Collection bids are checked like buy orders
+    collection: { label: "Buy", build: buildCollectionBuyOrder }
+};
+
+function sideOf(side) {
+    const entry = SIDES[side];
+    if (!entry) {
+        throw new Error(`Unknown order side: ${side}`);
+    }
+    return entry;
+}
+
+/**
+ * EIP-712 digest of a SellOrder, identical to MoeGirlsMarketplace._hashSellOrder.
+ * @param {object} params { marketplace, chainId, order }
+ */
+function hashSellOrder(params) {
+    return hashTypedData(buildSellOrder(params));
+}
+
+/**
+ * EIP-712 digest of a BuyOrder, identical to MoeGirlsMarketplace._hashBuyOrder.
+ * @param {object} params { marketplace, chainId, order }
+ */
+function hashBuyOrder(params) {
+    return hashTypedData(buildBuyOrder(params));
+}
+
+function proRata(price, filled, amount) {
+    return ethers.BigNumber.from(price).mul(filled).div(amount);
+}
+
+/**
+ * Price paid for one match, identical to MoeGirlsMarketplace._recordFill:
+ * each order's price pro rata to the filled quantity, combined by the price rule.
+ * @param {object} params
+ * @param {number} params.priceRule PRICE_RULES value (marketplace.priceRule())
+ * @param {object} params.sellOrder { amount, price }
+ * @param {object} params.buyOrder { amount, price }
+ * @param {BigNumberish} params.amount quantity filled by this match
+ * @param {BigNumberish} [params.sellFilled] quantity of the sell order filled before this match
+ * @param {BigNumberish} [params.buyFilled] quantity of the buy order filled before this match
+ * @return {BigNumber}
+ */
+function executionPrice({ priceRule, sellOrder, buyOrder, amount, sellFilled = 0, buyFilled = 0 }) {
+    const fill = (order, filled) => proRata(order.price, ethers.BigNumber.from(filled).add(amount), order.amount)
+        .sub(proRata(order.price, filled, order.amount));
+    const ask = fill(sellOrder, sellFilled);
+    const bid = fill(buyOrder, buyFilled);
+
+    const rule = Number(priceRule);
+    if (!Object.values(PRICE_RULES).includes(rule)) {
+        throw new Error(`Unknown price rule: ${priceRule}`);
+    }
+    // Rounding can leave the bid slightly below the ask; never pay less than the ask
+    if (bid.lt(ask) || rule === PRICE_RULES.SellerPrice) {
+        return ask;
+    }
+    if (rule === PRICE_RULES.BuyerPrice) {
+        return bid;
+    }
+    return ask.add(bid.sub(ask).div(2));
+}
+
+/**
+ * EIP-712 digest of a CollectionBuyOrder, identical to MoeGirlsMarketplace._hashCollectionBuyOrder.
+ * @param {object} params { marketplace, chainId, order }
+ */
+function hashCollectionBuyOrder(params) {
+    return hashTypedData(buildCollectionBuyOrder(params));
+}
+
+/**
+ * EIP-712 digest of a BundleSellOrder, identical to MoeGirlsMarketplace._hashBundleSellOrder.
+ * @param {object} params { marketplace, chainId, order }
+ */
+function hashBundleSellOrder(params) {
+    return hashTypedData(buildBundleSellOrder(params));
+}
+
+/**
+ * EIP-712 digest of a SwapOrder, identical to MoeGirlsMarketplace._hashSwapOrder.
+ * @param {object} params { marketplace, chainId, order }
+ */
+function hashSwapOrder(params) {
+    return hashTypedData(buildSwapOrder(params));
+}
+
+/**
+ * Offline ECDSA check of an order signature.
+ * Contract makers (EIP-1271) cannot be checked offline; use verifyOrder.
+ * @param {"sell"|"buy"|"collection"} side
+ * @param {object} params { marketplace, chainId, order }
+ * @return {object} { hash, signer, valid } (signer is null for malformed signatures)
+ */
+function verifyOrderSignature(side, params, signature) {
+    const typedData = sideOf(side).build(params);
+    const hash = hashTypedData(typedData);
+
+    let signer = null;
+    try {
+        signer = recoverTypedDataSigner(typedData, signature);
+    } catch (e) {
+        // Malformed signature: treated as invalid, like ECDSA.tryRecover
+    }
+
+    const valid = signer !== null && signer === ethers.utils.getAddress(params.order.maker);
+    return { hash, signer, valid };
+}
+
+/**
+ * SignatureChecker.isValidSignatureNow: EIP-1271 for contract makers, ECDSA otherwise.
+ */
+async function isValidSignatureNow(provider, maker, hash, signature, recovered) {
+    if ((await provider.getCode(maker)) === "0x") {
+        return recovered;
+    }
+    try {
+        const wallet = new ethers.Contract(maker, ERC1271_ABI, provider);
+        return (await wallet.isValidSignature(hash, signature)) === ERC1271_MAGIC_VALUE;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Check an order against a deployed marketplace, in the same order as matchOrders:
+ * executed digest, used nonce, cancellation, minimum nonce, deadline, amount,
+ * currency allowlist, then signature.
+ * A partially filled order has used its nonce but can still be matched.
+ *
+ * @param {Contract} marketplace MoeGirlsMarketplace instance connected to a provider
+ * @param {"sell"|"buy"|"collection"} side
+ * @param {object} order { maker, tokenId (tokenIdsRoot for collection bids), amount, currency, price, deadline, nonce }
+ * @param {string} signature
+ * @param {object} [options] { timestamp } defaults to the latest block timestamp
+ * @return {Promise<object>} { hash, signer, valid, errors, filledAmount, remainingAmount }
+ */
+async function verifyOrder(marketplace, side, order, signature, options = {}) {
+    const { label } = sideOf(side);
+    const provider = marketplace.provider;
+    const { chainId } = await provider.getNetwork();
+
+    const { hash, signer, valid: recovered } = verifyOrderSignature(
+        side,
+        { marketplace: marketplace.address, chainId, order },
+        signature
+    );
+
+    const timestamp = options.timestamp !== undefined
+        ? options.timestamp
+        : (await provider.getBlock("latest")).timestamp;
+
+    const [executed, filled, nonceUsed, cancelled, minNonce, currencyAllowed, signatureValid] = await Promise.all([
+        marketplace.isOrderExecuted(hash),
+        marketplace.filledAmount(hash),
+        marketplace.isNonceUsed(order.maker, order.nonce),
+        marketplace.isOrderCancelled(order.maker, hash),
+        marketplace.minValidNonce(order.maker),
+        marketplace.isPaymentTokenAllowed(order.currency),
+        isValidSignatureNow(provider, order.maker, hash, signature, recovered)
+    ]);
+
+    const errors = [];
+    if (executed) {
+        errors.push(`${label} order already executed`);
+    }
+    if (nonceUsed && filled.isZero()) {
+        errors.push(`${label} nonce used`);
+    }
+    if (cancelled) {
+        errors.push(`${label} order cancelled`);
+    }
+    if (minNonce.gt(order.nonce)) {
+        errors.push(`${label} nonce too low`);
+    }
+    if (ethers.BigNumber.from(order.deadline).lt(timestamp)) {
+        errors.push(`${label} order expired`);
+    }
+    if (ethers.BigNumber.from(order.amount).isZero()) {
+        errors.push("Invalid amount");
+    }
+    if (!currencyAllowed) {
+        errors.push("Currency not allowed");
+    }
+    if (!signatureValid) {
+        errors.push("Invalid signature");
+    }
+
+    const remaining = ethers.BigNumber.from(order.amount).sub(filled);
+    return {
+        hash,
+        signer,
+        valid: errors.length === 0,
+        errors,
+        filledAmount: filled.toString(),
+        remainingAmount: remaining.isNegative() ? "0" : remaining.toString()
+    };
+}
+
+/**
+ * On-chain status of many orders in one call (MoeGirlsMarketplace.getOrderStatuses).
+ * @param {Contract} marketplace MoeGirlsMarketplace instance connected to a provider
+ * @param {object[]} orders [{ hash, maker, nonce, deadline }]
+ * @return {Promise<object[]>} [{ hash, status, filledAmount }] with status one of ORDER_STATUSES
+ */
+async function getOrderStatuses(marketplace, orders) {
+    if (orders.length === 0) {
+        return [];
+    }
+    const [statuses, filled] = await marketplace.getOrderStatuses(orders.map((order) => ({
+        orderHash: order.hash,
+        maker: order.maker,
+        nonce: order.nonce,
+        deadline: order.deadline
+    })));
+    return orders.map((order, i) => ({
+        hash: order.hash,
+        status: ORDER_STATUSES[statuses[i]],
+        filledAmount: filled[i].toString()
+    }));
+}
+
+/**
+ * verifyOrder that throws the first failing check.
+ * @return {Promise<string>} order hash
+ */
+async function assertOrderValid(marketplace, side, order, signature, options) {
+    const result = await verifyOrder(marketplace, side, order, signature, options);
+    if (!result.valid) {
+        throw new Error(result.errors[0]);
+    }
+    return result.hash;
+}
+
+module.exports = {
+    ERC1271_MAGIC_VALUE,
+    PRICE_RULES,
+    ORDER_STATUSES,
+    hashSellOrder,
+    hashBuyOrder,
+    hashCollectionBuyOrder,
+    hashBundleSellOrder,
+    hashSwapOrder,
+    verifyOrderSignature,
+    verifyOrder,
+    assertOrderValid,
+    getOrderStatuses,
+    executionPrice
+};
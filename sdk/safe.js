@@ -0,0 +1,84 @@
+const { ethers } = require("ethers");
+const { signTypedData } = require("./eip712");
+
+/**
+ * Signatures for Safe (v1.4.1) accounts acting as makers, and transaction
+ * batches for Safe accounts holding a contract role (e.g. the guardian).
+ *
+ * A Safe answers ERC-1271 isValidSignature through its
+ * CompatibilityFallbackHandler: the owners sign a SafeMessage that wraps the
+ * 32-byte EIP-712 digest (of an order, a permit, ...) under the Safe's own
+ * domain, and the owner signatures are concatenated in ascending owner
+ * address order. The result goes wherever the contracts take a `bytes`
+ * signature: marketplace orders, MoeGirlsNFT.permitWithSignature and
+ * MOEToken.permitWithSignature.
+ */
+
+const SAFE_MESSAGE_TYPES = {
+    SafeMessage: [
+        { name: "message", type: "bytes" }
+    ]
+};
+
+/**
+ * SafeMessage for a digest signed on behalf of a Safe.
+ * @param {object} params { safe, chainId, hash } hash is the digest the contract checks
+ */
+function buildSafeMessage({ safe, chainId, hash }) {
+    return {
+        domain: {
+            chainId: ethers.BigNumber.from(chainId).toNumber(),
+            verifyingContract: ethers.utils.getAddress(safe)
+        },
+        types: SAFE_MESSAGE_TYPES,
+        primaryType: "SafeMessage",
+        message: { message: ethers.utils.hexlify(hash) }
+    };
+}
+
+/**
+ * Sign a digest with Safe owners (at least the Safe's threshold of them).
+ * @param {Signer[]} owners
+ * @param {object} params { safe, chainId, hash }
+ * @return {Promise<object>} typed data plus { signature } (the Safe's ERC-1271 signature)
+ */
+async function signSafeMessage(owners, params) {
+    const typedData = buildSafeMessage(params);
+    const signed = await Promise.all(owners.map(async (owner) => ({
+        owner: (await owner.getAddress()).toLowerCase(),
+        signature: await signTypedData(owner, typedData)
+    })));
+    signed.sort((a, b) => (a.owner < b.owner ? -1 : 1));
+    return { ...typedData, signature: ethers.utils.hexConcat(signed.map((s) => s.signature)) };
+}
+
+/**
+ * Transaction Builder batch for a Safe: the JSON file the Safe{Wallet}
+ * Transaction Builder app imports, so the owners can review, sign and
+ * execute the calls as one multisend transaction.
+ * @param {object} params { safe, chainId, name, transactions: [{ to, data, value? }] }
+ * @return {object} batch file contents
+ */
+function buildSafeTransactionBatch({ safe, chainId, name, transactions }) {
+    return {
+        version: "1.0",
+        chainId: ethers.BigNumber.from(chainId).toString(),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            createdFromSafeAddress: ethers.utils.getAddress(safe)
+        },
+        transactions: transactions.map(({ to, data, value }) => ({
+            to: ethers.utils.getAddress(to),
+            value: ethers.BigNumber.from(value || 0).toString(),
+            data: ethers.utils.hexlify(data)
+        }))
+    };
+}
+
+module.exports = {
+    SAFE_MESSAGE_TYPES,
+    buildSafeMessage,
+    signSafeMessage,
+    buildSafeTransactionBatch
+};
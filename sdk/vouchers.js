@@ -0,0 +1,114 @@
+const { ethers } = require("ethers");
+const { buildWithdrawalVoucher, hashTypedData, recoverTypedDataSigner } = require("./eip712");
+
+/**
+ * Withdrawal vouchers for VestingWalletFactory.
+ *
+ * The Backend issues a voucher with signWithdrawalVoucher (any key holding
+ * RELAYER_ROLE on the factory). Anyone can redeem it with redeemVoucher,
+ * which creates a VestingWallet for the player. Each (player, nonce) pair
+ * can be redeemed once, so the Backend can use its withdrawal request id
+ * as the nonce. Error strings are the contract's revert reasons.
+ */
+
+/**
+ * EIP-712 digest of a WithdrawalVoucher, identical to the digest in
+ * VestingWalletFactory.redeemVoucher.
+ * @param {object} params { factory, chainId, voucher }
+ */
+function hashWithdrawalVoucher(params) {
+    return hashTypedData(buildWithdrawalVoucher(params));
+}
+
+/**
+ * Offline recovery of the address that signed a voucher.
+ * @param {object} params { factory, chainId, voucher }
+ * @return {object} { hash, signer } (signer is null for malformed signatures)
+ */
+function recoverWithdrawalVoucherSigner(params, signature) {
+    const typedData = buildWithdrawalVoucher(params);
+    const hash = hashTypedData(typedData);
+
+    let signer = null;
+    try {
+        signer = recoverTypedDataSigner(typedData, signature);
+    } catch (e) {
+        // Malformed signature: treated as invalid, like ECDSA.tryRecover
+    }
+    return { hash, signer };
+}
+
+/**
+ * Check a voucher against a deployed factory, in the same order as redeemVoucher:
+ * deadline, used nonce, signer role, then the createVesting checks
+ * (player, amount, factory balance).
+ *
+ * @param {Contract} factory VestingWalletFactory instance connected to a provider
+ * @param {object} voucher { player, amount, nonce, deadline }
+ * @param {string} signature
+ * @param {object} [options] { timestamp } defaults to the latest block timestamp
+ * @return {Promise<object>} { hash, signer, valid, errors }
+ */
+async function verifyWithdrawalVoucher(factory, voucher, signature, options = {}) {
+    const provider = factory.provider;
+    const { chainId } = await provider.getNetwork();
+
+    const { hash, signer } = recoverWithdrawalVoucherSigner(
+        { factory: factory.address, chainId, voucher },
+        signature
+    );
+
+    const timestamp = options.timestamp !== undefined
+        ? options.timestamp
+        : (await provider.getBlock("latest")).timestamp;
+
+    const [nonceUsed, signerAllowed, balance] = await Promise.all([
+        factory.isVoucherNonceUsed(voucher.player, voucher.nonce),
+        signer === null ? false : factory.hasRole(await factory.RELAYER_ROLE(), signer),
+        factory.getBalance()
+    ]);
+
+    const amount = ethers.BigNumber.from(voucher.amount);
+    const errors = [];
+    if (ethers.BigNumber.from(voucher.deadline).lt(timestamp)) {
+        errors.push("Factory: voucher expired");
+    }
+    if (nonceUsed) {
+        errors.push("Factory: voucher nonce used");
+    }
+    if (!signerAllowed) {
+        errors.push("Factory: invalid voucher signature");
+    }
+    if (voucher.player === ethers.constants.AddressZero) {
+        errors.push("Factory: beneficiary is zero address");
+    }
+    if (amount.isZero()) {
+        errors.push("Factory: amount must be positive");
+    } else if (!amount.mod(4).isZero()) {
+        errors.push("Factory: amount must be divisible by 4");
+    }
+    if (balance.lt(amount)) {
+        errors.push("Factory: insufficient MOE balance");
+    }
+
+    return { hash, signer, valid: errors.length === 0, errors };
+}
+
+/**
+ * verifyWithdrawalVoucher that throws the first failing check.
+ * @return {Promise<string>} voucher hash
+ */
+async function assertWithdrawalVoucherValid(factory, voucher, signature, options) {
+    const result = await verifyWithdrawalVoucher(factory, voucher, signature, options);
+    if (!result.valid) {
+        throw new Error(result.errors[0]);
+    }
+    return result.hash;
+}
+
+module.exports = {
+    hashWithdrawalVoucher,
+    recoverWithdrawalVoucherSigner,
+    verifyWithdrawalVoucher,
+    assertWithdrawalVoucherValid
+};
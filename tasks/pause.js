@@ -0,0 +1,49 @@
+const { task } = require("hardhat/config");
+
+/**
+ * pause-deployments / unpause-deployments：熔断部署记录中的所有合约
+ *
+ * 用法：
+ *   npx hardhat pause-deployments --network arbitrumSepolia
+ *   npx hardhat unpause-deployments --network arbitrumSepolia
+ *
+ * - 读取 hardhat-data/deployments.json 中当前 chainId 的记录
+ * - 由 guardian（不是 Owner）逐个 pause() / unpause()，并在链上确认 paused()
+ * - guardian 是 Safe 多签时生成 Transaction Builder 批量交易文件，由 owners 在 Safe{Wallet} 中执行
+ * - 任何一个合约的 guardian 既没有私钥也不是 Safe，则拒绝执行，不发送任何交易
+ * - 已处于目标状态的合约跳过
+ * - 结果写回部署记录的 pause 字段
+ */
+async function setPaused(hre, file, paused) {
+  const { openDeployment } = require("../scripts/utils/deployments");
+  const { planPause, executePause } = require("../scripts/utils/pause");
+
+  const deployment = await openDeployment(hre, { file });
+  console.log(paused ? "🛑 暂停合约" : "▶️  恢复合约", `(chainId ${deployment.record.chainId})`);
+
+  const plan = await planPause(deployment, paused);
+  for (const name of plan.done) {
+    console.log(`   ⏭️  ${name} 已${paused ? "暂停" : "恢复"}，跳过`);
+  }
+
+  const pause = await executePause(deployment, plan);
+  for (const { name } of plan.changes) {
+    console.log(`   ✅ ${name} paused() 已确认为:`, pause[name].paused, `(tx: ${pause[name].txHash})`);
+  }
+  for (const { name, guardian, to, data } of plan.proposals) {
+    console.log(`   📝 ${name} 需要 Safe ${guardian} 执行: to ${to}, data ${data}`);
+  }
+  for (const file of new Set(plan.proposals.map(({ name }) => pause[name].proposal.file))) {
+    console.log("   📁 Safe 批量交易文件（导入 Safe{Wallet} Transaction Builder）:", file);
+  }
+
+  return pause;
+}
+
+task("pause-deployments", "Pause every pausable contract in the deployment record (guardian key)")
+  .addOptionalParam("file", "Deployment record file (default: hardhat-data/deployments.json)")
+  .setAction(async ({ file }, hre) => setPaused(hre, file, true));
+
+task("unpause-deployments", "Unpause every pausable contract in the deployment record (guardian key)")
+  .addOptionalParam("file", "Deployment record file (default: hardhat-data/deployments.json)")
+  .setAction(async ({ file }, hre) => setPaused(hre, file, false));
@@ -0,0 +1,80 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * verify-deployments：验证部署记录中的所有合约
+ *
+ * 用法：
+ *   npx hardhat verify-deployments --network arbitrumSepolia
+ *
+ * - 读取 hardhat-data/deployments.json 中当前 chainId 的记录
+ * - 按记录的构造参数逐个提交到区块浏览器
+ * - 包括 VestingWalletFactory 内部创建的 StageBasedVestingWallet 实现合约
+ * - 验证结果写回部署记录的 verification 字段
+ */
+task("verify-deployments", "Verify every contract in the deployment record on the block explorer")
+  .addOptionalParam("file", "Deployment record file (default: hardhat-data/deployments.json)")
+  .addOptionalParam("pollInterval", "Verification status polling interval in ms", undefined, types.int)
+  .addOptionalParam("maxAttempts", "Status polls per contract before it is reported as failed", undefined, types.int)
+  .setAction(async ({ file, pollInterval, maxAttempts }, hre) => {
+    const { DEFAULT_DEPLOYMENTS_FILE, loadDeployments, saveDeployments } = require("../scripts/utils/deployments");
+    const { resolveExplorer, verifyContract, collectVerificationTargets } = require("../scripts/utils/verify");
+
+    const deploymentsFile = file || DEFAULT_DEPLOYMENTS_FILE;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const deployments = loadDeployments(deploymentsFile);
+    const record = deployments[String(chainId)];
+    if (!record) {
+      throw new Error(`${deploymentsFile} 中没有 chainId ${chainId} 的部署记录`);
+    }
+
+    const explorer = resolveExplorer(hre.config.etherscan, chainId);
+    if (!explorer) {
+      throw new Error(`chainId ${chainId} 没有配置区块浏览器，请在 hardhat.config.js 的 etherscan.customChains 中添加`);
+    }
+    if (!explorer.apiKey) {
+      throw new Error(`网络 ${explorer.network} 没有配置 API key（.env 中的 ARBISCAN_API_KEY）`);
+    }
+
+    console.log("🔍 验证合约:", explorer.urls.browserURL, `(chainId ${chainId})`);
+
+    const { targets, skipped } = await collectVerificationTargets(hre, record);
+    for (const name of skipped) {
+      console.log(`   ⚠️  ${name} 没有记录构造参数（旧格式记录），跳过`);
+    }
+
+    record.verification = record.verification || {};
+    const failed = [];
+
+    for (const target of targets) {
+      let result;
+      try {
+        result = await verifyContract(hre, explorer, target, { pollInterval, maxAttempts });
+      } catch (e) {
+        result = { status: "failed", message: e.message };
+      }
+
+      record.verification[target.name] = {
+        address: target.address,
+        status: result.status,
+        guid: result.guid || null,
+        message: result.message,
+        checkedAt: new Date().toISOString(),
+      };
+      saveDeployments(deployments, deploymentsFile);
+
+      if (result.status === "failed") {
+        failed.push(target.name);
+        console.log(`   ❌ ${target.name} 验证失败:`, result.message);
+      } else if (result.status === "already-verified") {
+        console.log(`   ⏭️  ${target.name} 已验证:`, target.address);
+      } else {
+        console.log(`   ✅ ${target.name} 验证成功:`, target.address);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`以下合约验证失败: ${failed.join(", ")}`);
+    }
+
+    return record.verification;
+  });
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContractsFixture } = require("./fixtures");
+const sdk = require("../sdk");
+const { createRelayer, createAuctionHouse } = require("../relayer");
+
+describe("Auction house", function () {
+    const ether = (value) => ethers.utils.parseEther(String(value));
+    let deployer, user1, user2, bidder3;
+    let moeToken, nft, marketplace;
+    let chainId, house, relayer, endTime, auctionHash;
+
+    async function bid(bidder, price, overrides = {}) {
+        const signed = await sdk.signAuctionBid(bidder, {
+            marketplace: marketplace.address,
+            chainId,
+            bid: { bidder: bidder.address, auctionHash, price: ether(price), deadline: endTime + 3600, ...overrides }
+        });
+        return house.placeBid(signed.bid, signed.signature);
+    }
+
+    beforeEach(async function () {
+        const fixture = await loadFixture(deployContractsFixture);
+        ({ deployer, user1, user2, moeToken, nft, marketplace } = fixture);
+        bidder3 = fixture.relayer;
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        await moeToken.connect(user1).approve(nft.address, ether(10));
+        await nft.mintWithApproval(user1.address, user1.address, 1, 1, "ipfs://auction", ether(10));
+        await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+        await moeToken.connect(user2).approve(marketplace.address, ether(1000));
+
+        house = createAuctionHouse({ marketplace });
+        // moeToken only to decode its errors
+        relayer = createRelayer({ signer: deployer, contracts: { marketplace, moeToken } });
+
+        // Short auction: later suites sign deadlines from Date.now()
+        endTime = (await time.latest()) + 60;
+        const auction = await sdk.signEnglishAuction(user1, {
+            marketplace: marketplace.address,
+            chainId,
+            auction: { maker: user1.address, tokenId: 1, amount: 1, currency: moeToken.address, reservePrice: ether(100), endTime, deadline: endTime + 86400, nonce: 1 }
+        });
+        const added = await house.addAuction(auction.auction, auction.signature);
+        expect(added.errors).to.deep.equal([]);
+        auctionHash = added.hash;
+        expect(auctionHash).to.equal(sdk.hashEnglishAuction({ marketplace: marketplace.address, chainId, auction: auction.auction }));
+    });
+
+    it("Should reject forged and duplicate auctions", async function () {
+        const { auction, signature } = house.getAuction(auctionHash);
+        expect((await house.addAuction(auction, signature)).errors).to.deep.equal(["Auction already in the house"]);
+        expect((await house.addAuction({ ...auction, reservePrice: "1" }, signature)).errors).to.deep.equal(["Invalid signature"]);
+    });
+
+    it("Should only accept bids that beat the highest bid", async function () {
+        expect((await bid(user2, 99)).errors).to.deep.equal(["Bid below reserve"]);
+        expect((await bid(user2, 100)).ok).to.equal(true);
+        expect((await bid(bidder3, 100)).errors).to.deep.equal(["Bid too low"]);
+        expect((await bid(bidder3, 120)).ok).to.equal(true);
+
+        expect(house.getHighestBid(auctionHash).bid).to.include({ bidder: bidder3.address, price: ether(120).toString() });
+        expect(house.getAuction(auctionHash).bids).to.have.length(2);
+    });
+
+    it("Should reject bids that are forged, late or expire too early", async function () {
+        const signed = await sdk.signAuctionBid(user1, {
+            marketplace: marketplace.address,
+            chainId,
+            bid: { bidder: user2.address, auctionHash, price: ether(100), deadline: endTime + 3600 }
+        });
+        expect((await house.placeBid(signed.bid, signed.signature)).errors).to.deep.equal(["Invalid signature"]);
+        expect((await bid(user2, 100, { deadline: endTime - 1 })).errors).to.deep.equal(["Bid expires before the auction ends"]);
+        expect((await bid(user2, 100, { auctionHash: ethers.constants.HashZero })).errors).to.deep.equal(["Unknown auction"]);
+
+        await time.increaseTo(endTime);
+        expect((await bid(user2, 100)).errors).to.deep.equal(["Auction ended"]);
+    });
+
+    it("Should settle the highest bid once the auction has ended", async function () {
+        await bid(user2, 100);
+        await bid(user2, 150);
+
+        expect(await house.settle(relayer)).to.deep.equal([]);
+
+        await time.increaseTo(endTime);
+        const [settled] = await house.settle(relayer);
+        expect(settled.result.status).to.equal("confirmed");
+        expect(settled.result.events.find((e) => e.event === "OrderMatched").args.price).to.equal(ether(150).toString());
+        expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+        expect(house.getAuction(auctionHash)).to.equal(undefined);
+    });
+
+    it("Should fall back to the next bid when the highest one cannot pay", async function () {
+        await bid(user2, 100);
+        // bidder3 never approved the marketplace
+        await bid(bidder3, 500);
+
+        await time.increaseTo(endTime);
+        const settled = await house.settle(relayer);
+
+        expect(settled.map(({ result }) => result.status)).to.deep.equal(["rejected", "confirmed"]);
+        expect(settled[0].result.error.name).to.equal("ERC20InsufficientAllowance");
+        expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+    });
+});
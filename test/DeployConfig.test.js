@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    loadDeployConfig,
+    resolveDeployConfig,
+    resolveContractAddress
+} = require("../scripts/utils/config");
+
+describe("Deploy config", function () {
+    let deployer, backend, pool, guardian;
+
+    // A complete, valid config that individual tests break on purpose
+    function baseConfig() {
+        return {
+            roles: {
+                admin: "deployer",
+                relayer: backend.address,
+                minter: "deployer",
+                treasurer: [pool.address]
+            },
+            guardian: guardian.address,
+            allocations: [],
+            vestingFactory: { funding: "5000000" },
+            depositContract: { recipient: pool.address },
+            nft: { paymentToken: "MOEToken", treasury: pool.address },
+            marketplace: { nftContract: "MoeGirlsNFT", paymentToken: "MOEToken", feeRecipient: pool.address }
+        };
+    }
+
+    beforeEach(async function () {
+        [deployer, backend, pool, guardian] = await ethers.getSigners();
+    });
+
+    it("Should load and validate the shipped localhost config", function () {
+        const { config } = loadDeployConfig("localhost");
+        const resolved = resolveDeployConfig(ethers, config, deployer.address);
+
+        expect(resolved.roles.admin).to.deep.equal([deployer.address]);
+        expect(resolved.roles.relayer).to.deep.equal([deployer.address]);
+        expect(resolved.guardian).to.not.equal(deployer.address);
+        expect(resolved.depositContract.recipient).to.equal(deployer.address);
+        expect(resolved.vestingFactory.funding).to.equal(ethers.utils.parseEther("5000000"));
+    });
+
+    it("Should throw for a network without a config file", function () {
+        expect(() => loadDeployConfig("mainnet")).to.throw("找不到网络 mainnet 的部署配置");
+    });
+
+    it("Should resolve deployer, addresses, amounts and contract references", function () {
+        const config = baseConfig();
+        config.allocations = [{ to: pool.address.toLowerCase(), amount: "1000", label: "Pool" }];
+
+        const resolved = resolveDeployConfig(ethers, config, deployer.address);
+
+        expect(resolved.roles).to.deep.equal({
+            admin: [deployer.address],
+            relayer: [backend.address],
+            minter: [deployer.address],
+            treasurer: [pool.address]
+        });
+        expect(resolved.allocations).to.deep.equal([
+            { to: pool.address, amount: ethers.utils.parseEther("1000"), label: "Pool" }
+        ]);
+        expect(resolved.marketplace.nftContract).to.equal("MoeGirlsNFT");
+        expect(resolveContractAddress("MoeGirlsNFT", { MoeGirlsNFT: { address: pool.address } })).to.equal(pool.address);
+        expect(resolveContractAddress(backend.address, {})).to.equal(backend.address);
+    });
+
+    it("Should report every invalid field at once", function () {
+        const config = baseConfig();
+        config.roles.relayer = "backend_wallet_address_here";
+        config.depositContract.recipient = undefined;
+        config.vestingFactory.funding = "lots";
+
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw(/roles\.relayer: 无效地址[\s\S]*vestingFactory\.funding: 无效金额[\s\S]*depositContract\.recipient: 无效地址/);
+    });
+
+    it("Should reject the zero address", function () {
+        const config = baseConfig();
+        config.roles.treasurer = [pool.address, ethers.constants.AddressZero];
+
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw("roles.treasurer[1]: 不能为零地址");
+    });
+
+    it("Should require at least one address per role", function () {
+        const config = baseConfig();
+        config.roles.minter = [];
+        delete config.roles.admin;
+
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw(/roles\.admin: 无效地址[\s\S]*roles\.minter: 至少需要一个地址/);
+    });
+
+    it("Should require a guardian separate from the admin and relayer", function () {
+        const config = baseConfig();
+        delete config.guardian;
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw("guardian: 无效地址");
+
+        config.guardian = "deployer";
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw(`guardian: ${deployer.address} 不能与 admin / relayer 相同`);
+        config.guardian = backend.address;
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw(`guardian: ${backend.address} 不能与 admin / relayer 相同`);
+
+        config.guardian = pool.address;
+        expect(resolveDeployConfig(ethers, config, deployer.address).guardian).to.equal(pool.address);
+    });
+
+    it("Should require the NFT treasury and marketplace fee recipient", function () {
+        const config = baseConfig();
+        delete config.nft.treasury;
+        config.marketplace.feeRecipient = "treasury_address_here";
+
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw(/nft\.treasury: 无效地址[\s\S]*marketplace\.feeRecipient: 无效地址/);
+
+        config.nft.treasury = "deployer";
+        config.marketplace.feeRecipient = pool.address.toLowerCase();
+        const resolved = resolveDeployConfig(ethers, config, deployer.address);
+        expect(resolved.nft.treasury).to.equal(deployer.address);
+        expect(resolved.marketplace.feeRecipient).to.equal(pool.address);
+    });
+
+    it("Should reject references to contracts deployed later", function () {
+        const config = baseConfig();
+        config.nft.paymentToken = "MoeGirlsMarketplace";
+
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw("nft.paymentToken: MoeGirlsMarketplace 在 MoeGirlsNFT 之后部署，不能引用");
+    });
+
+    it("Should reject duplicate and zero allocations", function () {
+        const config = baseConfig();
+        config.allocations = [
+            { to: pool.address, amount: "10" },
+            { to: pool.address, amount: "0" }
+        ];
+
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw(/allocations\[1\]\.amount: 金额必须大于 0[\s\S]*allocations\[1\]\.to: 重复的分配地址/);
+    });
+
+    it("Should reject allocations exceeding the initial supply", function () {
+        const config = baseConfig();
+        config.allocations = [{ to: pool.address, amount: "5000001" }];
+
+        expect(() => resolveDeployConfig(ethers, config, deployer.address))
+            .to.throw("超过初始供应 10000000 MOE");
+    });
+});
@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const {
+    loadDeployments,
+    saveDeployments,
+    openDeployment,
+    deployContract,
+    runStep
+} = require("../scripts/utils/deployments");
+const { useScratchDeployment } = require("./fixtures");
+
+describe("Deployment records", function () {
+    const { ethers } = hre;
+    let file;
+    let deployer;
+    let chainKey;
+    const scratch = useScratchDeployment("moe-deploy-");
+
+    beforeEach(async function () {
+        file = scratch.file;
+        [deployer] = await ethers.getSigners();
+        chainKey = String((await ethers.provider.getNetwork()).chainId);
+    });
+
+    describe("deployContract", function () {
+        it("Should record address, tx hash, block number and args under the chainId", async function () {
+            const deployment = await openDeployment(hre, { file });
+            const moeToken = await deployContract(deployment, "MOEToken", [deployer.address]);
+
+            const saved = loadDeployments(file)[chainKey];
+            const receipt = await moeToken.deployTransaction.wait();
+
+            expect(saved.chainId).to.equal(Number(chainKey));
+            expect(saved.deployer).to.equal(deployer.address);
+            expect(saved.contracts.MOEToken).to.deep.equal({
+                address: moeToken.address,
+                txHash: receipt.transactionHash,
+                blockNumber: receipt.blockNumber,
+                args: [deployer.address]
+            });
+        });
+
+        it("Should reuse a contract that is already deployed with the same args", async function () {
+            const first = await deployContract(await openDeployment(hre, { file }), "MOEToken", [deployer.address]);
+            const blockBefore = await ethers.provider.getBlockNumber();
+
+            const second = await deployContract(await openDeployment(hre, { file }), "MOEToken", [deployer.address]);
+
+            expect(second.address).to.equal(first.address);
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        });
+
+        it("Should redeploy when constructor args change", async function () {
+            const [, other] = await ethers.getSigners();
+            const first = await deployContract(await openDeployment(hre, { file }), "MOEToken", [deployer.address]);
+            const second = await deployContract(await openDeployment(hre, { file }), "MOEToken", [other.address]);
+
+            expect(second.address).to.not.equal(first.address);
+            expect(loadDeployments(file)[chainKey].contracts.MOEToken.args).to.deep.equal([other.address]);
+        });
+
+        it("Should redeploy when the recorded address has no code", async function () {
+            const stale = ethers.Wallet.createRandom().address;
+            saveDeployments({
+                [chainKey]: {
+                    contracts: {
+                        MOEToken: { address: stale, txHash: null, blockNumber: null, args: [deployer.address] }
+                    }
+                }
+            }, file);
+
+            const moeToken = await deployContract(await openDeployment(hre, { file }), "MOEToken", [deployer.address]);
+
+            expect(moeToken.address).to.not.equal(stale);
+            expect(await ethers.provider.getCode(moeToken.address)).to.not.equal("0x");
+        });
+
+        it("Should keep records of other chains untouched", async function () {
+            const otherChain = {
+                network: "arbitrumSepolia",
+                chainId: 421614,
+                contracts: { MOEToken: { address: "0x000000000000000000000000000000000000dEaD" } }
+            };
+            saveDeployments({ 421614: otherChain }, file);
+
+            await deployContract(await openDeployment(hre, { file }), "MOEToken", [deployer.address]);
+
+            const saved = loadDeployments(file);
+            expect(saved["421614"]).to.deep.equal(otherChain);
+            expect(saved[chainKey].contracts.MOEToken).to.not.be.undefined;
+        });
+
+        it("Should keep the recorded deployer when another account saves the record", async function () {
+            const original = ethers.Wallet.createRandom().address;
+            saveDeployments({ [chainKey]: { network: "localhost", chainId: Number(chainKey), deployer: original, contracts: {} } }, file);
+
+            // e.g. the pause task or the handoff, signing with the guardian or the operator key
+            const deployment = await openDeployment(hre, { file });
+            deployment.record.pause = {};
+            deployment.save();
+
+            const saved = loadDeployments(file)[chainKey];
+            expect(saved.deployer).to.equal(original);
+            expect(saved.network).to.equal("localhost");
+        });
+    });
+
+    describe("runStep", function () {
+        it("Should run a step once and skip it on the next run", async function () {
+            const deployment = await openDeployment(hre, { file });
+            const moeToken = await deployContract(deployment, "MOEToken", [deployer.address]);
+            const amount = ethers.utils.parseEther("100");
+            const [, receiver] = await ethers.getSigners();
+            const transfer = () => moeToken.transfer(receiver.address, amount);
+
+            expect(await runStep(deployment, "fund", [receiver.address, amount], transfer)).to.equal(true);
+            expect(await runStep(await openDeployment(hre, { file }), "fund", [receiver.address, amount], transfer)).to.equal(false);
+
+            expect(await moeToken.balanceOf(receiver.address)).to.equal(amount);
+            expect(loadDeployments(file)[chainKey].steps.fund.args).to.deep.equal([receiver.address, amount.toString()]);
+        });
+
+        it("Should not record a failed step so the next run resumes it", async function () {
+            const deployment = await openDeployment(hre, { file });
+            const moeToken = await deployContract(deployment, "MOEToken", [deployer.address]);
+            const [, receiver] = await ethers.getSigners();
+            const tooMuch = ethers.utils.parseEther("20000000");
+
+            await expect(
+                runStep(deployment, "fund", [receiver.address, tooMuch], () => moeToken.transfer(receiver.address, tooMuch))
+            ).to.be.reverted;
+            expect(loadDeployments(file)[chainKey].steps.fund).to.be.undefined;
+
+            const amount = ethers.utils.parseEther("100");
+            const resumed = await openDeployment(hre, { file });
+            expect(resumed.record.contracts.MOEToken.address).to.equal(moeToken.address);
+            expect(await runStep(resumed, "fund", [receiver.address, amount], () => moeToken.transfer(receiver.address, amount))).to.equal(true);
+        });
+    });
+
+    describe("Legacy file format", function () {
+        it("Should migrate a single un-keyed record into the chainId map", function () {
+            fs.writeFileSync(file, JSON.stringify({
+                timestamp: "2025-01-01T00:00:00.000Z",
+                network: "unknown",
+                chainId: 31337,
+                deployer: deployer.address,
+                contracts: { MOEToken: "0x5FbDB2315678afecb367f032d93F642f64180aa3" },
+                env: { MOE_TOKEN_ADDRESS: "0x5FbDB2315678afecb367f032d93F642f64180aa3" }
+            }));
+
+            const migrated = loadDeployments(file);
+
+            expect(Object.keys(migrated)).to.deep.equal(["31337"]);
+            expect(migrated["31337"].contracts.MOEToken).to.deep.equal({
+                address: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+                txHash: null,
+                blockNumber: null,
+                args: null
+            });
+            expect(migrated["31337"].env.MOE_TOKEN_ADDRESS).to.equal("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+        });
+    });
+});
@@ -133,6 +133,46 @@ describe("DepositContract", function () {
     });
   });
 
+  describe("Pause (guardian)", function () {
+    it("Should block every deposit path while paused", async function () {
+      const depositAmount = ethers.utils.parseEther("100");
+      await moeToken.connect(player1).approve(depositContract.address, depositAmount);
+
+      await expect(depositContract.pause())
+        .to.emit(depositContract, "Paused")
+        .withArgs(owner.address);
+
+      await expect(
+        depositContract.connect(player1).deposit(depositAmount)
+      ).to.be.revertedWithCustomError(depositContract, "EnforcedPause");
+      await expect(
+        depositContract.depositFor(player1.address, depositAmount)
+      ).to.be.revertedWithCustomError(depositContract, "EnforcedPause");
+
+      await depositContract.unpause();
+      await depositContract.connect(player1).deposit(depositAmount);
+      expect(await depositContract.getTotalDeposits()).to.equal(1);
+    });
+
+    it("Should keep the admin out once the guardian is handed over", async function () {
+      await expect(depositContract.transferGuardian(player2.address))
+        .to.emit(depositContract, "GuardianTransferred")
+        .withArgs(owner.address, player2.address);
+      expect(await depositContract.guardian()).to.equal(player2.address);
+
+      await expect(
+        depositContract.connect(owner).pause()
+      ).to.be.revertedWithCustomError(depositContract, "GuardianUnauthorizedAccount")
+        .withArgs(owner.address);
+      await expect(
+        depositContract.connect(player2).transferGuardian(ethers.constants.AddressZero)
+      ).to.be.revertedWithCustomError(depositContract, "GuardianInvalidAddress");
+
+      await depositContract.connect(player2).pause();
+      expect(await depositContract.paused()).to.equal(true);
+    });
+  });
+
   describe("Querying Deposits", function () {
     beforeEach(async function () {
       // Create some test deposits
@@ -374,7 +414,7 @@ describe("DepositContract", function () {
       ).to.be.reverted;
     });
 
-    it("Should revert when non-owner calls depositWithPermit", async function () {
+    it("Should revert when a non-relayer calls depositWithPermit", async function () {
       const depositAmount = ethers.utils.parseEther("200");
       const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
 
@@ -410,7 +450,7 @@ describe("DepositContract", function () {
       const signature = await player1._signTypedData(domain, types, value);
       const sig = ethers.utils.splitSignature(signature);
 
-      // Non-owner (player2) tries to call depositWithPermit - should revert
+      // Non-relayer (player2) tries to call depositWithPermit - should revert
       await expect(
         depositContract.connect(player2).depositWithPermit(
           player1.address,
@@ -420,10 +460,10 @@ describe("DepositContract", function () {
           sig.r,
           sig.s
         )
-      ).to.be.revertedWithCustomError(depositContract, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should allow owner to call depositWithPermit", async function () {
+    it("Should allow the relayer to call depositWithPermit", async function () {
       const depositAmount = ethers.utils.parseEther("200");
       const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
 
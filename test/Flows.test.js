@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { deployContractsFixture } = require("./fixtures");
+const { buildDomain, ERC20_PERMIT_TYPES, ERC1155_PERMIT_TYPES, SELL_ORDER_TYPES, BUY_ORDER_TYPES } = require("../sdk");
 
 describe("MoeGirls Flows (EOA + Permit)", function () {
     this.timeout(120000); // 120s timeout for Fork tests
@@ -26,20 +27,10 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
         chainId = network.chainId;
 
         // MOE Token EIP-712 Domain
-        moeDomain = {
-            name: await moeToken.name(),
-            version: "1",
-            chainId: chainId,
-            verifyingContract: moeToken.address
-        };
+        moeDomain = buildDomain("MOEToken", moeToken.address, chainId);
 
         // NFT EIP-712 Domain (for ERC-7604 Permit)
-        nftDomain = {
-            name: "MoeGirlsNFT",
-            version: "1",
-            chainId: chainId,
-            verifyingContract: nft.address
-        };
+        nftDomain = buildDomain("MoeGirlsNFT", nft.address, chainId);
     });
 
     describe("Flow 3: Withdraw (Vesting)", function () {
@@ -127,15 +118,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             };
 
             // EIP-712 Permit types
-            const types = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "spender", type: "address" },
-                    { name: "value", type: "uint256" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const types = ERC20_PERMIT_TYPES;
 
             // Step 2: User signs Permit (frontend, gasless)
             const signature = await user1._signTypedData(moeDomain, types, permitMessage);
@@ -167,15 +150,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             const deadline = Math.floor(Date.now() / 1000) - 3600; // Expired
 
             const nonce = await moeToken.nonces(user1.address);
-            const types = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "spender", type: "address" },
-                    { name: "value", type: "uint256" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const types = ERC20_PERMIT_TYPES;
 
             const signature = await user1._signTypedData(moeDomain, types, {
                 owner: user1.address,
@@ -201,15 +176,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             // Build and sign MOE Permit
             const nonce = await moeToken.nonces(user1.address);
-            const types = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "spender", type: "address" },
-                    { name: "value", type: "uint256" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const types = ERC20_PERMIT_TYPES;
 
             const signature = await user1._signTypedData(moeDomain, types, {
                 owner: user1.address,
@@ -254,15 +221,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             let cardId = 1;
             for (const user of [user1, user2]) {
                 const nonce = await moeToken.nonces(user.address);
-                const types = {
-                    Permit: [
-                        { name: "owner", type: "address" },
-                        { name: "spender", type: "address" },
-                        { name: "value", type: "uint256" },
-                        { name: "nonce", type: "uint256" },
-                        { name: "deadline", type: "uint256" }
-                    ]
-                };
+                const types = ERC20_PERMIT_TYPES;
 
                 const signature = await user._signTypedData(moeDomain, types, {
                     owner: user.address,
@@ -300,15 +259,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             const nonce = await nft.nonces(user1.address);
 
             // Build ERC-7604 Permit message
-            const types = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "operator", type: "address" },
-                    { name: "approved", type: "bool" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const types = ERC1155_PERMIT_TYPES;
 
             const permitMessage = {
                 owner: user1.address,
@@ -339,15 +290,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             const deadline = Math.floor(Date.now() / 1000) + 3600;
             const nonce = await nft.nonces(user1.address);
 
-            const types = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "operator", type: "address" },
-                    { name: "approved", type: "bool" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const types = ERC1155_PERMIT_TYPES;
 
             // user2 signs but claims to be user1
             const signature = await user2._signTypedData(nftDomain, types, {
@@ -374,15 +317,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             const deadline = Math.floor(Date.now() / 1000) - 3600; // Expired
             const nonce = await nft.nonces(user1.address);
 
-            const types = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "operator", type: "address" },
-                    { name: "approved", type: "bool" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const types = ERC1155_PERMIT_TYPES;
 
             const signature = await user1._signTypedData(nftDomain, types, {
                 owner: user1.address,
@@ -411,27 +346,14 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
         beforeEach(async function () {
             // Marketplace EIP-712 Domain
-            marketplaceDomain = {
-                name: "MoeGirlsMarketplace",
-                version: "1",
-                chainId: chainId,
-                verifyingContract: marketplace.address
-            };
+            marketplaceDomain = buildDomain("MoeGirlsMarketplace", marketplace.address, chainId);
 
             // Mint NFT for user1 (seller)
             const price = ethers.utils.parseEther("1000");
             const deadline = Math.floor(Date.now() / 1000) + 3600;
             const nonce = await moeToken.nonces(user1.address);
 
-            const permitTypes = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "spender", type: "address" },
-                    { name: "value", type: "uint256" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const permitTypes = ERC20_PERMIT_TYPES;
 
             const signature = await user1._signTypedData(moeDomain, permitTypes, {
                 owner: user1.address,
@@ -459,15 +381,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             // Step 1: Seller approves NFT to marketplace using ERC-7604 Permit
             const nftNonce = await nft.nonces(user1.address);
-            const nftPermitTypes = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "operator", type: "address" },
-                    { name: "approved", type: "bool" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const nftPermitTypes = ERC1155_PERMIT_TYPES;
 
             const nftSig = ethers.utils.splitSignature(
                 await user1._signTypedData(nftDomain, nftPermitTypes, {
@@ -484,15 +398,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             // Step 2: Buyer approves MOE to marketplace using EIP-2612 Permit
             const moeNonce = await moeToken.nonces(user2.address);
-            const moePermitTypes = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "spender", type: "address" },
-                    { name: "value", type: "uint256" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const moePermitTypes = ERC20_PERMIT_TYPES;
 
             const moeSig = ethers.utils.splitSignature(
                 await user2._signTypedData(moeDomain, moePermitTypes, {
@@ -508,21 +414,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             expect(await moeToken.allowance(user2.address, marketplace.address)).to.equal(ethers.constants.MaxUint256);
 
             // Step 3: Create and sign SellOrder (EIP-712)
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellOrder = {
                 maker: user1.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: sellPrice,
                 deadline: deadline,
                 nonce: 1
@@ -531,21 +429,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
             // Step 4: Create and sign BuyOrder (EIP-712)
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: buyPrice,
                 deadline: deadline,
                 nonce: 1
@@ -587,21 +477,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             await nft.connect(user1).setApprovalForAll(marketplace.address, true);
             await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellOrder = {
                 maker: user1.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 2
@@ -609,21 +491,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 2
@@ -644,21 +518,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             await nft.connect(user1).setApprovalForAll(marketplace.address, true);
             await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellOrder = {
                 maker: user1.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: sellPrice,
                 deadline: deadline,
                 nonce: 3
@@ -666,21 +532,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: buyPrice,
                 deadline: deadline,
                 nonce: 3
@@ -700,21 +558,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             await nft.connect(user1).setApprovalForAll(marketplace.address, true);
             await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellOrder = {
                 maker: user1.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 4
@@ -723,21 +573,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             // user2 signs but order claims user1 is maker
             const fakeSellSig = await user2._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 4
@@ -757,21 +599,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             await nft.connect(user1).setApprovalForAll(marketplace.address, true);
             await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellOrder = {
                 maker: user1.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 5
@@ -779,21 +613,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 5
@@ -809,15 +635,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             const mintDeadline = Math.floor(Date.now() / 1000) + 3600;
             const mintNonce = await moeToken.nonces(user1.address);
 
-            const permitTypes = {
-                Permit: [
-                    { name: "owner", type: "address" },
-                    { name: "spender", type: "address" },
-                    { name: "value", type: "uint256" },
-                    { name: "nonce", type: "uint256" },
-                    { name: "deadline", type: "uint256" }
-                ]
-            };
+            const permitTypes = ERC20_PERMIT_TYPES;
 
             const mintSig = ethers.utils.splitSignature(
                 await user1._signTypedData(moeDomain, permitTypes, {
@@ -846,6 +664,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
                 maker: user1.address,
                 tokenId: newTokenId, // Different tokenId
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 5  // Same nonce as before - REPLAY ATTACK
@@ -857,6 +676,7 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
                 maker: user2.address,
                 tokenId: newTokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 10  // Different nonce for buyer (not reusing)
@@ -877,21 +697,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             await nft.connect(user1).setApprovalForAll(marketplace.address, true);
             await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellOrder = {
                 maker: user1.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 8
@@ -899,21 +711,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: tokenId.add(999), // Different tokenId
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 8
@@ -926,28 +730,20 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
             ).to.be.revertedWith("Token ID mismatch");
         });
 
-        it("should reject orders with amount mismatch", async function () {
+        it("should fill the smaller amount when order sizes differ", async function () {
             const deadline = Math.floor(Date.now() / 1000) + 3600;
             const price = ethers.utils.parseEther("100");
 
             await nft.connect(user1).setApprovalForAll(marketplace.address, true);
             await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellOrder = {
                 maker: user1.address,
                 tokenId: tokenId,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 9
@@ -955,22 +751,14 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: tokenId,
-                amount: 2, // Different amount
-                price: price,
+                amount: 2, // Different amount, same unit price
+                currency: moeToken.address,
+                price: price.mul(2),
                 deadline: deadline,
                 nonce: 9
             };
@@ -979,7 +767,13 @@ describe("MoeGirls Flows (EOA + Permit)", function () {
 
             await expect(
                 marketplace.connect(deployer).matchOrders(sellOrder, sellSig, buyOrder, buySig)
-            ).to.be.revertedWith("Amount mismatch");
+            ).to.changeTokenBalances(moeToken, [user1, user2], [price, price.mul(-1)]);
+
+            // Buy order stays open for the second copy
+            const buyHash = ethers.utils._TypedDataEncoder.hash(marketplaceDomain, buyOrderTypes, buyOrder);
+            expect(await nft.balanceOf(user2.address, tokenId)).to.equal(1);
+            expect(await marketplace.filledAmount(buyHash)).to.equal(1);
+            expect(await marketplace.isOrderExecuted(buyHash)).to.be.false;
         });
     });
 });
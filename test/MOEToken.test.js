@@ -111,6 +111,65 @@ describe("MOEToken", function () {
         moeToken.permit(addr1.address, addr2.address, amount, deadline, sig.v, sig.r, sig.s)
       ).to.be.reverted;
     });
+
+    describe("permitWithSignature (ERC-1271)", function () {
+      const amount = ethers.utils.parseEther("100");
+      let domain;
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+
+      async function signPermit(signer, deadline) {
+        const value = {
+          owner: addr1.address,
+          spender: addr2.address,
+          value: amount,
+          nonce: await moeToken.nonces(addr1.address),
+          deadline: deadline,
+        };
+        return signer._signTypedData(domain, types, value);
+      }
+
+      beforeEach(async function () {
+        domain = {
+          name: "MoeGirls Token",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: moeToken.address,
+        };
+      });
+
+      it("Should accept an EOA signature as bytes and share permit nonces", async function () {
+        const deadline = Math.floor(Date.now() / 1000) + 3600;
+        const signature = await signPermit(addr1, deadline);
+
+        await moeToken.permitWithSignature(addr1.address, addr2.address, amount, deadline, signature);
+
+        expect(await moeToken.allowance(addr1.address, addr2.address)).to.equal(amount);
+        expect(await moeToken.nonces(addr1.address)).to.equal(1);
+        // The same signature cannot be replayed through either entry point
+        await expect(moeToken.permitWithSignature(addr1.address, addr2.address, amount, deadline, signature))
+          .to.be.revertedWithCustomError(moeToken, "MOEPermitInvalidSignature")
+          .withArgs(addr1.address);
+      });
+
+      it("Should reject signatures from others and expired permits", async function () {
+        const deadline = Math.floor(Date.now() / 1000) + 3600;
+
+        await expect(moeToken.permitWithSignature(addr1.address, addr2.address, amount, deadline, await signPermit(addr2, deadline)))
+          .to.be.revertedWithCustomError(moeToken, "MOEPermitInvalidSignature");
+
+        const expired = Math.floor(Date.now() / 1000) - 3600;
+        await expect(moeToken.permitWithSignature(addr1.address, addr2.address, amount, expired, await signPermit(addr1, expired)))
+          .to.be.revertedWithCustomError(moeToken, "ERC2612ExpiredSignature");
+      });
+    });
   });
 
   describe("Deployment", function () {
@@ -123,8 +182,9 @@ describe("MOEToken", function () {
       expect(await moeToken.decimals()).to.equal(18);
     });
 
-    it("Should set the correct owner", async function () {
-      expect(await moeToken.owner()).to.equal(owner.address);
+    it("Should grant admin and minter roles to the initial admin", async function () {
+      expect(await moeToken.hasRole(await moeToken.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await moeToken.hasRole(await moeToken.MINTER_ROLE(), owner.address)).to.equal(true);
     });
 
     it("Should have initial supply of 10,000,000 MOE", async function () {
@@ -164,12 +224,13 @@ describe("MOEToken", function () {
       expect(await moeToken.totalSupply()).to.equal(initialSupply.add(mintAmount1).add(mintAmount2));
     });
 
-    it("Should revert if non-owner tries to mint", async function () {
+    it("Should revert if a non-minter tries to mint", async function () {
       const mintAmount = ethers.utils.parseEther("1000");
 
       await expect(
         moeToken.connect(addr1).mint(addr2.address, mintAmount)
-      ).to.be.revertedWithCustomError(moeToken, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(moeToken, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, await moeToken.MINTER_ROLE());
     });
 
     it("Should revert if minting to zero address", async function () {
@@ -243,14 +304,11 @@ describe("MOEToken", function () {
     });
   });
 
-  describe("Ownership", function () {
-    it("Should allow owner to transfer ownership", async function () {
-      await moeToken.transferOwnership(addr1.address);
-      expect(await moeToken.owner()).to.equal(addr1.address);
-    });
-
-    it("Should allow new owner to mint after ownership transfer", async function () {
-      await moeToken.transferOwnership(addr1.address);
+  describe("Roles", function () {
+    it("Should let the admin hand the minter role to another account", async function () {
+      const minterRole = await moeToken.MINTER_ROLE();
+      await moeToken.grantRole(minterRole, addr1.address);
+      await moeToken.renounceRole(minterRole, owner.address);
 
       const initialSupply = await moeToken.totalSupply();
       const mintAmount = ethers.utils.parseEther("500");
@@ -260,13 +318,24 @@ describe("MOEToken", function () {
       expect(await moeToken.totalSupply()).to.equal(initialSupply.add(mintAmount));
     });
 
-    it("Should prevent old owner from minting after ownership transfer", async function () {
-      await moeToken.transferOwnership(addr1.address);
+    it("Should prevent the old minter from minting after its role is revoked", async function () {
+      const minterRole = await moeToken.MINTER_ROLE();
+      await moeToken.grantRole(minterRole, addr1.address);
+      await moeToken.revokeRole(minterRole, owner.address);
 
       const mintAmount = ethers.utils.parseEther("500");
       await expect(
         moeToken.mint(addr2.address, mintAmount)
-      ).to.be.revertedWithCustomError(moeToken, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(moeToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not let a minter grant roles", async function () {
+      const minterRole = await moeToken.MINTER_ROLE();
+      await moeToken.grantRole(minterRole, addr1.address);
+
+      await expect(
+        moeToken.connect(addr1).grantRole(minterRole, addr2.address)
+      ).to.be.revertedWithCustomError(moeToken, "AccessControlUnauthorizedAccount");
     });
   });
 });
@@ -1,7 +1,32 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { deployContractsFixture } = require("./fixtures");
+const {
+    buildDomain,
+    SELL_ORDER_TYPES,
+    BUY_ORDER_TYPES,
+    signCancelOrders,
+    signMinValidNonce,
+    signERC20Permit,
+    signERC1155Permit,
+    signSwapOrder,
+    hashSwapOrder,
+    signBundleSellOrder,
+    hashBundleSellOrder,
+    signCollectionBuyOrder,
+    hashCollectionBuyOrder,
+    buildTokenIdTree,
+    tokenIdRange,
+    signDutchAuction,
+    signEnglishAuction,
+    signAuctionBid,
+    hashDutchAuction,
+    hashAuctionBid,
+    dutchAuctionPrice,
+    getOrderStatuses
+} = require("../sdk");
 
 describe("MoeGirlsMarketplace", function () {
     let deployer, user1, user2;
@@ -20,12 +45,7 @@ describe("MoeGirlsMarketplace", function () {
 
         chainId = (await ethers.provider.getNetwork()).chainId;
 
-        marketplaceDomain = {
-            name: "MoeGirlsMarketplace",
-            version: "1",
-            chainId: chainId,
-            verifyingContract: marketplace.address
-        };
+        marketplaceDomain = buildDomain("MoeGirlsMarketplace", marketplace.address, chainId);
 
         // Mint an NFT for user1 to use in tests
         const price = ethers.utils.parseEther("1000");
@@ -68,49 +88,33 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 0, // Zero amount
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 1
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
             const buyOrder = {
                 maker: user2.address,
                 tokenId: 1,
-                amount: 1, // Mismatch
+                amount: 1, // Nothing to sell
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 1
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
             await expect(
                 marketplace.connect(deployer).matchOrders(sellOrder, sellSig, buyOrder, buySig)
-            ).to.be.revertedWith("Amount mismatch");
+            ).to.be.revertedWith("Invalid amount");
         });
 
         it("Should handle very large price values", async function () {
@@ -127,21 +131,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: largePrice,
                 deadline: deadline,
                 nonce: 1
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -149,21 +145,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: largePrice,
                 deadline: deadline,
                 nonce: 1
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -198,21 +186,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 100, // Match the minted cardId
                 amount: 5,
+                currency: moeToken.address,
                 price: tradePrice,
                 deadline: deadline,
                 nonce: 10
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -220,21 +200,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 100, // Match the minted cardId
                 amount: 5,
+                currency: moeToken.address,
                 price: tradePrice,
                 deadline: deadline,
                 nonce: 10
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -246,6 +218,97 @@ describe("MoeGirlsMarketplace", function () {
         });
     });
 
+    describe("Partial Fills", function () {
+        const cardId = 200;
+        let deadline;
+
+        async function signOrder(maker, types, fields) {
+            const order = { maker: maker.address, tokenId: cardId, currency: moeToken.address, deadline, ...fields };
+            const signature = await maker._signTypedData(marketplaceDomain, types, order);
+            const hash = ethers.utils._TypedDataEncoder.hash(marketplaceDomain, types, order);
+            return { order, signature, hash };
+        }
+
+        beforeEach(async function () {
+            // Seller lists 10 copies of one card
+            const mintPrice = ethers.utils.parseEther("100");
+            await moeToken.connect(user1).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 10, cardId, "ipfs://partial", mintPrice);
+
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+            deadline = (await time.latest()) + 3600;
+        });
+
+        it("Should let one sell order be bought one copy at a time", async function () {
+            const total = ethers.utils.parseEther("1000"); // 100 MOE per copy
+            const sell = await signOrder(user1, SELL_ORDER_TYPES, { amount: 10, price: total, nonce: 1 });
+
+            for (let i = 1; i <= 10; i++) {
+                const buy = await signOrder(user2, BUY_ORDER_TYPES, { amount: 1, price: ethers.utils.parseEther("100"), nonce: i });
+
+                await expect(marketplace.connect(deployer).matchOrders(sell.order, sell.signature, buy.order, buy.signature))
+                    .to.emit(marketplace, "OrderMatched")
+                    .withArgs(sell.hash, buy.hash, user1.address, user2.address, cardId, 1, ethers.utils.parseEther("100"));
+
+                expect(await marketplace.filledAmount(sell.hash)).to.equal(i);
+                expect(await marketplace.isOrderExecuted(sell.hash)).to.equal(i === 10);
+                expect(await marketplace.isOrderExecuted(buy.hash)).to.be.true;
+            }
+
+            expect(await nft.balanceOf(user2.address, cardId)).to.equal(10);
+
+            const extra = await signOrder(user2, BUY_ORDER_TYPES, { amount: 1, price: total, nonce: 11 });
+            await expect(marketplace.connect(deployer).matchOrders(sell.order, sell.signature, extra.order, extra.signature))
+                .to.be.revertedWith("Sell order already executed");
+        });
+
+        it("Should fill only the remaining quantity of a larger buy order", async function () {
+            const sell = await signOrder(user1, SELL_ORDER_TYPES, { amount: 4, price: ethers.utils.parseEther("400"), nonce: 1 });
+            const buy = await signOrder(user2, BUY_ORDER_TYPES, { amount: 6, price: ethers.utils.parseEther("600"), nonce: 1 });
+
+            await marketplace.connect(deployer).matchOrders(sell.order, sell.signature, buy.order, buy.signature);
+            expect(await marketplace.filledAmount(sell.hash)).to.equal(4);
+            expect(await marketplace.filledAmount(buy.hash)).to.equal(4);
+            expect(await marketplace.isOrderExecuted(sell.hash)).to.be.true;
+            expect(await marketplace.isOrderExecuted(buy.hash)).to.be.false;
+
+            // The rest of the buy order matches a later sell order, even though its nonce is used
+            expect(await marketplace.isNonceUsed(user2.address, 1)).to.be.true;
+            const sell2 = await signOrder(user1, SELL_ORDER_TYPES, { amount: 5, price: ethers.utils.parseEther("500"), nonce: 2 });
+            await expect(marketplace.connect(deployer).matchOrders(sell2.order, sell2.signature, buy.order, buy.signature))
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(sell2.hash, buy.hash, user1.address, user2.address, cardId, 2, ethers.utils.parseEther("200"));
+
+            expect(await marketplace.isOrderExecuted(buy.hash)).to.be.true;
+            expect(await marketplace.filledAmount(sell2.hash)).to.equal(2);
+            expect(await nft.balanceOf(user2.address, cardId)).to.equal(6);
+        });
+
+        it("Should pay the seller exactly the order price across rounded fills", async function () {
+            // 10 wei for 3 copies does not divide evenly
+            const sell = await signOrder(user1, SELL_ORDER_TYPES, { amount: 3, price: 10, nonce: 1 });
+            const paid = [];
+
+            for (let i = 1; i <= 3; i++) {
+                const buy = await signOrder(user2, BUY_ORDER_TYPES, { amount: 1, price: 4, nonce: i });
+                const receipt = await (await marketplace.connect(deployer).matchOrders(sell.order, sell.signature, buy.order, buy.signature)).wait();
+                paid.push(receipt.events.find((e) => e.event === "OrderMatched").args.price.toNumber());
+            }
+
+            expect(paid).to.deep.equal([3, 3, 4]);
+        });
+
+        it("Should compare unit prices when amounts differ", async function () {
+            const sell = await signOrder(user1, SELL_ORDER_TYPES, { amount: 1, price: ethers.utils.parseEther("100"), nonce: 1 });
+            // 75 MOE per copy < 100 MOE ask
+            const buy = await signOrder(user2, BUY_ORDER_TYPES, { amount: 2, price: ethers.utils.parseEther("150"), nonce: 1 });
+
+            await expect(marketplace.connect(deployer).matchOrders(sell.order, sell.signature, buy.order, buy.signature))
+                .to.be.revertedWith("Price mismatch");
+        });
+    });
+
     describe("Timestamp Validation (Deadline Boundaries)", function () {
         it("Should accept order at exact deadline time", async function () {
             const deadline = (await time.latest()) + 60; // 60 seconds from now
@@ -258,21 +321,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 20
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -280,21 +335,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 20
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -318,21 +365,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 30
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -340,21 +379,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 30
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -378,21 +409,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: sellDeadline,
                 nonce: 40
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -400,21 +423,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: buyDeadline, // Shorter deadline
                 nonce: 40
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -439,21 +454,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 50
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -471,21 +478,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 50
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -511,21 +510,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: nonce
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -533,21 +524,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: nonce
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -583,21 +566,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: sharedNonce
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig1 = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder1);
 
@@ -605,21 +580,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: sharedNonce
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig1 = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder1);
 
@@ -647,21 +614,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 110
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -669,21 +628,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 110
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -714,21 +665,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 200
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -742,21 +685,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 200
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -794,21 +729,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 400
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -816,21 +743,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 400
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -851,21 +770,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 410
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -873,21 +784,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 410
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -908,21 +811,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address, // user2 doesn't have tokenId 1
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 420
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user2._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -930,21 +825,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 420
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user1._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -954,8 +841,1241 @@ describe("MoeGirlsMarketplace", function () {
         });
     });
 
+    describe("Buy Now", function () {
+        const price = ethers.utils.parseEther("100");
+        const noPermit = [0, ethers.constants.HashZero, ethers.constants.HashZero];
+        let sellOrder, sellSignature, sellHash;
+
+        async function signPermit(owner, value, deadline) {
+            const permit = await signERC20Permit(owner, {
+                token: moeToken.address,
+                chainId,
+                owner: owner.address,
+                spender: marketplace.address,
+                value,
+                nonce: await moeToken.nonces(owner.address),
+                deadline
+            });
+            return [value, deadline, permit.v, permit.r, permit.s];
+        }
+
+        beforeEach(async function () {
+            const mintPrice = ethers.utils.parseEther("10");
+            await moeToken.connect(user1).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 2, 1, "ipfs://test", mintPrice);
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+
+            // 3 copies of card 1 for 300 MOE
+            const deadline = (await time.latest()) + 3600;
+            sellOrder = { maker: user1.address, tokenId: 1, amount: 3, currency: moeToken.address, price: price.mul(3), deadline, nonce: 1 };
+            sellSignature = await user1._signTypedData(marketplaceDomain, SELL_ORDER_TYPES, sellOrder);
+            sellHash = ethers.utils._TypedDataEncoder.hash(marketplaceDomain, SELL_ORDER_TYPES, sellOrder);
+        });
+
+        it("Should let the Backend relay a purchase with the buyer's permit", async function () {
+            const permit = await signPermit(user2, price, sellOrder.deadline);
+
+            const tx = marketplace.connect(deployer).buyWithPermit(sellOrder, sellSignature, user2.address, 1, ...permit);
+            await expect(tx).to.changeTokenBalances(moeToken, [user2, user1], [price.mul(-1), price]);
+            await expect(tx)
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(sellHash, ethers.constants.HashZero, user1.address, user2.address, 1, 1, price);
+
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+            expect(await marketplace.filledAmount(sellHash)).to.equal(1);
+            expect(await moeToken.allowance(user2.address, marketplace.address)).to.equal(0);
+        });
+
+        it("Should let the buyer purchase directly with an existing allowance", async function () {
+            await moeToken.connect(user2).approve(marketplace.address, price.mul(3));
+
+            // No permit: the failed permit call is ignored
+            await marketplace.connect(user2).buyWithPermit(sellOrder, sellSignature, user2.address, 3, 0, 0, ...noPermit);
+
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(3);
+            expect(await marketplace.isOrderExecuted(sellHash)).to.be.true;
+            await expect(marketplace.connect(user2).buyWithPermit(sellOrder, sellSignature, user2.address, 1, 0, 0, ...noPermit))
+                .to.be.revertedWith("Sell order already executed");
+        });
+
+        it("Should not buy more than the order's remaining quantity", async function () {
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+            await marketplace.connect(user2).buyWithPermit(sellOrder, sellSignature, user2.address, 2, 0, 0, ...noPermit);
+
+            await expect(marketplace.connect(user2).buyWithPermit(sellOrder, sellSignature, user2.address, 2, 0, 0, ...noPermit))
+                .to.be.revertedWith("Invalid amount");
+            await expect(marketplace.connect(user2).buyWithPermit(sellOrder, sellSignature, user2.address, 0, 0, 0, ...noPermit))
+                .to.be.revertedWith("Invalid amount");
+        });
+
+        it("Should not let anyone else spend the buyer's permit", async function () {
+            const permit = await signPermit(user2, price, sellOrder.deadline);
+
+            await expect(marketplace.connect(user1).buyWithPermit(sellOrder, sellSignature, user2.address, 1, ...permit))
+                .to.be.revertedWith("Not buyer or relayer");
+        });
+
+        it("Should not let the Backend spend a standing allowance without the buyer's permit", async function () {
+            // e.g. an approval granted for matchOrders
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+
+            await expect(marketplace.connect(deployer).buyWithPermit(sellOrder, sellSignature, user2.address, 1, price, sellOrder.deadline, ...noPermit))
+                .to.be.revertedWithCustomError(moeToken, "ECDSAInvalidSignature");
+            const [, , v, r, s] = await signPermit(user1, price, sellOrder.deadline);
+            await expect(marketplace.connect(deployer).buyWithPermit(sellOrder, sellSignature, user2.address, 1, price, sellOrder.deadline, v, r, s))
+                .to.be.revertedWithCustomError(moeToken, "ERC2612InvalidSigner");
+
+            // A valid permit only buys at exactly its value
+            const permit = await signPermit(user2, price.mul(3), sellOrder.deadline);
+            await expect(marketplace.connect(deployer).buyWithPermit(sellOrder, sellSignature, user2.address, 1, ...permit))
+                .to.be.revertedWith("Permit value mismatch");
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(0);
+        });
+
+        it("Should revert when the permit does not cover the price", async function () {
+            const permit = await signPermit(user2, price.sub(1), sellOrder.deadline);
+
+            await expect(marketplace.connect(deployer).buyWithPermit(sellOrder, sellSignature, user2.address, 1, ...permit))
+                .to.be.revertedWithCustomError(moeToken, "ERC20InsufficientAllowance");
+        });
+
+        it("Should apply sell order checks", async function () {
+            const permit = await signPermit(user2, price, sellOrder.deadline);
+            const forged = await user2._signTypedData(marketplaceDomain, SELL_ORDER_TYPES, sellOrder);
+
+            await expect(marketplace.connect(deployer).buyWithPermit(sellOrder, forged, user2.address, 1, ...permit))
+                .to.be.revertedWith("Invalid signature");
+
+            await marketplace.connect(user1).cancelOrders([sellHash]);
+            await expect(marketplace.connect(deployer).buyWithPermit(sellOrder, sellSignature, user2.address, 1, ...permit))
+                .to.be.revertedWith("Sell order cancelled");
+        });
+
+        it("Should pay fees and royalties", async function () {
+            await marketplace.connect(deployer).setProtocolFee(500);
+            await nft.connect(deployer).setTokenRoyalty(1, deployer.address, 500);
+            const permit = await signPermit(user2, price, sellOrder.deadline);
+
+            await expect(marketplace.connect(deployer).buyWithPermit(sellOrder, sellSignature, user2.address, 1, ...permit))
+                .to.changeTokenBalances(moeToken, [user2, user1, deployer], [price.mul(-1), price.mul(90).div(100), price.div(10)]);
+        });
+    });
+
+    describe("Bundle Listings", function () {
+        const moe = (value) => ethers.utils.parseEther(String(value));
+        const price = moe(400);
+        const noPermit = [0, 0, 0, ethers.constants.HashZero, ethers.constants.HashZero];
+        let bundle, signature, bundleHash;
+
+        async function signBundle(overrides = {}) {
+            const signed = await signBundleSellOrder(user1, {
+                marketplace: marketplace.address,
+                chainId,
+                order: {
+                    maker: user1.address,
+                    tokenIds: [1, 2, 3],
+                    amounts: [1, 2, 1],
+                    currency: moeToken.address,
+                    price,
+                    deadline: (await time.latest()) + 3600,
+                    nonce: 1,
+                    ...overrides
+                }
+            });
+            return [signed.order, signed.signature];
+        }
+
+        beforeEach(async function () {
+            // Starter deck: card 1 (already minted), 2x card 2, card 3
+            for (const [cardId, amount] of [[2, 2], [3, 1]]) {
+                await moeToken.connect(user1).approve(nft.address, moe(10));
+                await nft.connect(deployer).mintWithApproval(user1.address, user1.address, amount, cardId, "ipfs://test", moe(10));
+            }
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+
+            [bundle, signature] = await signBundle();
+            bundleHash = hashBundleSellOrder({ marketplace: marketplace.address, chainId, order: bundle });
+        });
+
+        it("Should sell every card of the bundle in one settlement", async function () {
+            const permit = await signERC20Permit(user2, {
+                token: moeToken.address,
+                chainId,
+                owner: user2.address,
+                spender: marketplace.address,
+                value: price,
+                nonce: await moeToken.nonces(user2.address),
+                deadline: bundle.deadline
+            });
+
+            const tx = marketplace.connect(deployer).buyBundleWithPermit(
+                bundle, signature, user2.address, price, bundle.deadline, permit.v, permit.r, permit.s
+            );
+            await expect(tx).to.changeTokenBalances(moeToken, [user2, user1], [price.mul(-1), price]);
+            await expect(tx)
+                .to.emit(marketplace, "BundleSold")
+                .withArgs(bundleHash, user1.address, user2.address, [1, 2, 3], [1, 2, 1], price);
+            await expect(tx).to.emit(nft, "TransferBatch");
+
+            expect(await nft.balanceOfBatch([user2.address, user2.address, user2.address], [1, 2, 3]))
+                .to.deep.equal([1, 2, 1].map(ethers.BigNumber.from));
+            await expect(marketplace.connect(user2).buyBundleWithPermit(bundle, signature, user2.address, ...noPermit))
+                .to.be.revertedWith("Order already executed");
+        });
+
+        it("Should not let the Backend spend a standing allowance without the buyer's permit", async function () {
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+
+            const garbage = [price, bundle.deadline, 0, ethers.constants.HashZero, ethers.constants.HashZero];
+            await expect(marketplace.connect(deployer).buyBundleWithPermit(bundle, signature, user2.address, ...garbage))
+                .to.be.revertedWithCustomError(moeToken, "ECDSAInvalidSignature");
+            await expect(marketplace.connect(deployer).buyBundleWithPermit(bundle, signature, user2.address, ...noPermit))
+                .to.be.revertedWith("Permit value mismatch");
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(0);
+        });
+
+        it("Should split fees and royalties over the cards", async function () {
+            await moeToken.connect(user2).approve(marketplace.address, price);
+            await marketplace.connect(deployer).setProtocolFee(500); // 5%
+            await nft.connect(deployer).setTokenRoyalty(2, deployer.address, 1000); // 10% on card 2 only
+
+            // Card 2 is half of the copies: a 200 MOE share, 20 MOE royalty; 20 MOE protocol fee in total
+            await expect(marketplace.connect(user2).buyBundleWithPermit(bundle, signature, user2.address, ...noPermit))
+                .to.changeTokenBalances(moeToken, [user2, user1, deployer], [price.mul(-1), moe(360), moe(40)]);
+        });
+
+        it("Should reject empty, tampered and expired bundles", async function () {
+            await moeToken.connect(user2).approve(marketplace.address, price);
+
+            const empty = await signBundle({ tokenIds: [], amounts: [], nonce: 2 });
+            await expect(marketplace.connect(user2).buyBundleWithPermit(...empty, user2.address, ...noPermit))
+                .to.be.revertedWith("Invalid bundle");
+            const zero = await signBundle({ tokenIds: [1], amounts: [0], nonce: 3 });
+            await expect(marketplace.connect(user2).buyBundleWithPermit(...zero, user2.address, ...noPermit))
+                .to.be.revertedWith("Invalid bundle");
+
+            await expect(marketplace.connect(user2).buyBundleWithPermit({ ...bundle, price: 1 }, signature, user2.address, ...noPermit))
+                .to.be.revertedWith("Invalid signature");
+            await expect(marketplace.connect(user1).buyBundleWithPermit(bundle, signature, user2.address, ...noPermit))
+                .to.be.revertedWith("Not buyer or relayer");
+
+            await time.increaseTo(bundle.deadline + 1);
+            await expect(marketplace.connect(user2).buyBundleWithPermit(bundle, signature, user2.address, ...noPermit))
+                .to.be.revertedWith("Order expired");
+        });
+    });
+
+    describe("Swap Orders", function () {
+        const moe = (value) => ethers.utils.parseEther(String(value));
+        let deadline;
+
+        // user1 gives cards 1 + 2x card 2 and takes card 5 plus 50 MOE; user2 the reverse
+        async function signSwaps({ a = {}, b = {} } = {}) {
+            const orderA = {
+                maker: user1.address,
+                giveTokenIds: [1, 2],
+                giveAmounts: [1, 2],
+                giveMoe: 0,
+                takeTokenIds: [5],
+                takeAmounts: [1],
+                takeMoe: moe(50),
+                deadline,
+                nonce: 1,
+                ...a
+            };
+            const orderB = {
+                maker: user2.address,
+                giveTokenIds: [5],
+                giveAmounts: [1],
+                giveMoe: moe(50),
+                takeTokenIds: [1, 2],
+                takeAmounts: [1, 2],
+                takeMoe: 0,
+                deadline,
+                nonce: 1,
+                ...b
+            };
+            const signedA = await signSwapOrder(user1, { marketplace: marketplace.address, chainId, order: orderA });
+            const signedB = await signSwapOrder(user2, { marketplace: marketplace.address, chainId, order: orderB });
+            return [signedA.order, signedA.signature, signedB.order, signedB.signature];
+        }
+
+        async function approveWithPermit(owner) {
+            const permit = await signERC1155Permit(owner, {
+                nft: nft.address,
+                chainId,
+                owner: owner.address,
+                operator: marketplace.address,
+                approved: true,
+                nonce: await nft.nonces(owner.address),
+                deadline
+            });
+            // Submitted by the Backend
+            await nft.connect(deployer).permit(owner.address, marketplace.address, true, deadline, permit.v, permit.r, permit.s);
+        }
+
+        beforeEach(async function () {
+            deadline = (await time.latest()) + 3600;
+            const mintPrice = moe(10);
+            await moeToken.connect(user1).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 2, 2, "ipfs://test", mintPrice);
+            await moeToken.connect(user2).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user2.address, user2.address, 1, 5, "ipfs://test", mintPrice);
+
+            await approveWithPermit(user1);
+            await approveWithPermit(user2);
+            await moeToken.connect(user2).approve(marketplace.address, moe(1000));
+        });
+
+        it("Should swap card bundles and MOE atomically", async function () {
+            const orders = await signSwaps();
+            const hashA = hashSwapOrder({ marketplace: marketplace.address, chainId, order: orders[0] });
+            const hashB = hashSwapOrder({ marketplace: marketplace.address, chainId, order: orders[2] });
+
+            const tx = marketplace.connect(deployer).matchSwapOrders(...orders);
+            await expect(tx).to.changeTokenBalances(moeToken, [user2, user1], [moe(-50), moe(50)]);
+            await expect(tx)
+                .to.emit(marketplace, "SwapMatched")
+                .withArgs(hashA, hashB, user1.address, user2.address);
+
+            expect(await nft.balanceOfBatch([user2.address, user2.address, user1.address], [1, 2, 5])).to.deep.equal([1, 2, 1].map(ethers.BigNumber.from));
+            expect(await nft.balanceOf(user1.address, 1)).to.equal(0);
+            expect(await marketplace.isOrderExecuted(hashA)).to.be.true;
+
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders)).to.be.revertedWith("Order already executed");
+        });
+
+        it("Should swap cards for cards without MOE", async function () {
+            const orders = await signSwaps({ a: { takeMoe: 0 }, b: { giveMoe: 0 } });
+
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders))
+                .to.changeTokenBalances(moeToken, [user2, user1], [0, 0]);
+            expect(await nft.balanceOf(user1.address, 5)).to.equal(1);
+        });
+
+        it("Should only pay the MOE the other side takes", async function () {
+            const orders = await signSwaps({ b: { giveMoe: moe(80) } });
+
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders))
+                .to.changeTokenBalances(moeToken, [user2, user1], [moe(-50), moe(50)]);
+        });
+
+        it("Should pay fees and royalties on the MOE a maker takes", async function () {
+            await marketplace.connect(deployer).setProtocolFee(500); // 5%
+            await nft.connect(deployer).setTokenRoyalty(2, deployer.address, 1000); // 10% on card 2 only
+            const orders = await signSwaps({ a: { takeMoe: moe(60) }, b: { giveMoe: moe(60) } });
+
+            // user1's cards 1 and 2x2 share the 60 MOE as 20 + 40: 3 MOE fee, 4 MOE royalty
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders))
+                .to.changeTokenBalances(moeToken, [user2, user1, deployer], [moe(-60), moe(53), moe(7)]);
+        });
+
+        it("Should reject swaps that move MOE once it is removed from the allowlist", async function () {
+            await marketplace.connect(deployer).setPaymentToken(moeToken.address, false);
+
+            await expect(marketplace.connect(deployer).matchSwapOrders(...await signSwaps()))
+                .to.be.revertedWith("Currency not allowed");
+
+            // Cards for cards move no MOE and still settle
+            const orders = await signSwaps({ a: { takeMoe: 0 }, b: { giveMoe: 0 } });
+            await marketplace.connect(deployer).matchSwapOrders(...orders);
+            expect(await nft.balanceOf(user1.address, 5)).to.equal(1);
+        });
+
+        it("Should not settle a card-for-MOE sale as a swap", async function () {
+            // Gives only MOE for card 5: a plain sale that would skip fees and royalties
+            const orders = await signSwaps({
+                a: { giveTokenIds: [], giveAmounts: [], giveMoe: moe(100), takeTokenIds: [5], takeAmounts: [1], takeMoe: 0 },
+                b: { giveMoe: 0, takeTokenIds: [], takeAmounts: [], takeMoe: moe(100) }
+            });
+            await moeToken.connect(user1).approve(marketplace.address, moe(100));
+
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders))
+                .to.be.revertedWith("Swap items mismatch");
+        });
+
+        it("Should reject swaps whose bundles or MOE do not match", async function () {
+            await expect(marketplace.connect(deployer).matchSwapOrders(...await signSwaps({ b: { takeAmounts: [1, 1] } })))
+                .to.be.revertedWith("Swap items mismatch");
+            await expect(marketplace.connect(deployer).matchSwapOrders(...await signSwaps({ b: { giveTokenIds: [6] } })))
+                .to.be.revertedWith("Swap items mismatch");
+            await expect(marketplace.connect(deployer).matchSwapOrders(...await signSwaps({ b: { giveMoe: moe(49) } })))
+                .to.be.revertedWith("Swap MOE mismatch");
+        });
+
+        it("Should apply order checks to swap orders", async function () {
+            const orders = await signSwaps();
+            const hashB = hashSwapOrder({ marketplace: marketplace.address, chainId, order: orders[2] });
+
+            await expect(marketplace.connect(deployer).matchSwapOrders(orders[0], orders[3], orders[2], orders[3]))
+                .to.be.revertedWith("Invalid signature");
+            await expect(marketplace.connect(user1).matchSwapOrders(...orders))
+                .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+
+            await marketplace.connect(user2).cancelOrders([hashB]);
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders)).to.be.revertedWith("Order cancelled");
+
+            await time.increaseTo(deadline + 1);
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders)).to.be.revertedWith("Order expired");
+        });
+
+        it("Should revert the whole swap when one side cannot deliver", async function () {
+            const orders = await signSwaps();
+            await nft.connect(user2).safeTransferFrom(user2.address, deployer.address, 5, 1, "0x");
+
+            await expect(marketplace.connect(deployer).matchSwapOrders(...orders))
+                .to.be.revertedWithCustomError(nft, "ERC1155InsufficientBalance");
+            expect(await nft.balanceOf(user1.address, 1)).to.equal(1);
+            expect(await moeToken.balanceOf(user1.address)).to.equal(moe(10000 - 1000 - 10));
+        });
+    });
+
+    describe("Dutch Auction", function () {
+        const startPrice = ethers.utils.parseEther("300");
+        const endPrice = ethers.utils.parseEther("100");
+        const noPermit = [0, 0, 0, ethers.constants.HashZero, ethers.constants.HashZero];
+        let start, auction, signature, auctionHash;
+
+        async function signAuction(overrides = {}) {
+            const signed = await signDutchAuction(user1, {
+                marketplace: marketplace.address,
+                chainId,
+                auction: {
+                    maker: user1.address,
+                    tokenId: 1,
+                    amount: 2,
+                    currency: moeToken.address,
+                    startPrice,
+                    endPrice,
+                    startTime: start,
+                    endTime: start + 1000,
+                    deadline: start + 2000,
+                    nonce: 1,
+                    ...overrides
+                }
+            });
+            return [signed.auction, signed.signature];
+        }
+
+        function buy(amount, maxPrice = startPrice, signed = [auction, signature]) {
+            return marketplace.connect(user2).buyDutchAuction(...signed, user2.address, amount, maxPrice, ...noPermit);
+        }
+
+        beforeEach(async function () {
+            const mintPrice = ethers.utils.parseEther("10");
+            await moeToken.connect(user1).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 1, 1, "ipfs://test", mintPrice);
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+
+            start = (await time.latest()) + 100;
+            [auction, signature] = await signAuction();
+            auctionHash = hashDutchAuction({ marketplace: marketplace.address, chainId, auction });
+        });
+
+        it("Should not sell before the start time", async function () {
+            await expect(buy(1)).to.be.revertedWith("Auction not started");
+        });
+
+        it("Should sell at a price falling linearly to the floor", async function () {
+            // A quarter of the way: 300 - 200 * 1/4 = 250 MOE for both copies
+            await time.setNextBlockTimestamp(start + 250);
+            await expect(buy(1))
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(auctionHash, ethers.constants.HashZero, user1.address, user2.address, 1, 1, ethers.utils.parseEther("125"));
+            expect(dutchAuctionPrice(auction, start + 250)).to.equal(ethers.utils.parseEther("250"));
+
+            // After endTime the price stays at the floor
+            await time.setNextBlockTimestamp(start + 1500);
+            await expect(buy(1)).to.changeTokenBalances(
+                moeToken,
+                [user2, user1],
+                [ethers.utils.parseEther("-50"), ethers.utils.parseEther("50")]
+            );
+            expect(await marketplace.isOrderExecuted(auctionHash)).to.be.true;
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(2);
+        });
+
+        it("Should match the SDK price at every point of the curve", async function () {
+            for (const offset of [0, 1, 333, 999, 1000, 1001]) {
+                expect(dutchAuctionPrice(auction, start + offset)).to.equal(
+                    startPrice.sub(startPrice.sub(endPrice).mul(Math.min(offset, 1000)).div(1000))
+                );
+            }
+            await time.setNextBlockTimestamp(start + 333);
+            await expect(buy(2))
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(auctionHash, ethers.constants.HashZero, user1.address, user2.address, 1, 2, dutchAuctionPrice(auction, start + 333));
+        });
+
+        it("Should respect the buyer's max price", async function () {
+            await time.setNextBlockTimestamp(start + 500);
+            // 200 MOE for both copies, 100 MOE for one
+            await expect(buy(1, ethers.utils.parseEther("99"))).to.be.revertedWith("Price above max");
+        });
+
+        it("Should reject expired, cancelled and invalid auctions", async function () {
+            const invalid = await signAuction({ startPrice: endPrice, endPrice: startPrice, nonce: 2 });
+            await time.increaseTo(start);
+            await expect(buy(1, startPrice, invalid)).to.be.revertedWith("Invalid auction");
+            await expect(buy(3)).to.be.revertedWith("Invalid amount");
+
+            await marketplace.connect(user1).cancelOrders([auctionHash]);
+            await expect(buy(1)).to.be.revertedWith("Auction cancelled");
+
+            const late = await signAuction({ nonce: 3 });
+            await time.increaseTo(start + 2001);
+            await expect(buy(1, startPrice, late)).to.be.revertedWith("Auction expired");
+        });
+
+        async function signPermit(value) {
+            const permit = await signERC20Permit(user2, {
+                token: moeToken.address,
+                chainId,
+                owner: user2.address,
+                spender: marketplace.address,
+                value,
+                nonce: await moeToken.nonces(user2.address),
+                deadline: auction.deadline
+            });
+            return [value, auction.deadline, permit.v, permit.r, permit.s];
+        }
+
+        it("Should let the Backend relay a purchase with the buyer's permit", async function () {
+            await time.increaseTo(start + 1000);
+            const permit = await signPermit(endPrice);
+            await expect(marketplace.connect(user1).buyDutchAuction(auction, signature, user2.address, 1, endPrice, ...permit))
+                .to.be.revertedWith("Not buyer or relayer");
+            await expect(marketplace.connect(deployer).buyDutchAuction(auction, signature, user2.address, 1, endPrice, ...permit))
+                .to.emit(marketplace, "OrderMatched");
+        });
+
+
+
+        it("Should not let the Backend spend a standing allowance without the buyer's permit", async function () {
+            await time.increaseTo(start + 1000);
+
+            // user2 approved the marketplace in beforeEach, but signed nothing for this purchase
+            const garbage = [endPrice, auction.deadline, 0, ethers.constants.HashZero, ethers.constants.HashZero];
+            await expect(marketplace.connect(deployer).buyDutchAuction(auction, signature, user2.address, 1, endPrice, ...garbage))
+                .to.be.revertedWithCustomError(moeToken, "ECDSAInvalidSignature");
+
+            // The relayer cannot raise the buyer's max price above the permit
+            const permit = await signPermit(endPrice);
+            await expect(marketplace.connect(deployer).buyDutchAuction(auction, signature, user2.address, 1, startPrice, ...permit))
+                .to.be.revertedWith("Permit value mismatch");
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(0);
+        });
+    });
+
+    describe("English Auction", function () {
+        const reservePrice = ethers.utils.parseEther("100");
+        let endTime, auction, auctionSignature, auctionHash;
+
+        async function signBid(bidder, price, overrides = {}) {
+            const signed = await signAuctionBid(bidder, {
+                marketplace: marketplace.address,
+                chainId,
+                bid: { bidder: bidder.address, auctionHash, price, deadline: endTime + 3600, ...overrides }
+            });
+            return [signed.bid, signed.signature];
+        }
+
+        function settle(bid, signer = deployer) {
+            return marketplace.connect(signer).settleEnglishAuction(auction, auctionSignature, ...bid);
+        }
+
+        beforeEach(async function () {
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+
+            endTime = (await time.latest()) + 3600;
+            const signed = await signEnglishAuction(user1, {
+                marketplace: marketplace.address,
+                chainId,
+                auction: { maker: user1.address, tokenId: 1, amount: 1, currency: moeToken.address, reservePrice, endTime, deadline: endTime + 86400, nonce: 1 }
+            });
+            auction = signed.auction;
+            auctionSignature = signed.signature;
+            auctionHash = ethers.utils._TypedDataEncoder.hash(signed.domain, signed.types, auction);
+        });
+
+        it("Should settle the winning bid after the auction ends", async function () {
+            const price = ethers.utils.parseEther("150");
+            const bid = await signBid(user2, price);
+            await expect(settle(bid)).to.be.revertedWith("Auction not ended");
+
+            await time.increaseTo(endTime);
+            const tx = settle(bid);
+            await expect(tx).to.changeTokenBalances(moeToken, [user2, user1], [price.mul(-1), price]);
+            await expect(tx)
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(auctionHash, anyValue, user1.address, user2.address, 1, 1, price);
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+
+            await expect(settle(bid)).to.be.revertedWith("Auction already executed");
+        });
+
+        it("Should reject bids below the reserve or for another auction", async function () {
+            await time.increaseTo(endTime);
+            await expect(settle(await signBid(user2, reservePrice.sub(1)))).to.be.revertedWith("Bid below reserve");
+            await expect(settle(await signBid(user2, reservePrice, { auctionHash: ethers.constants.HashZero })))
+                .to.be.revertedWith("Bid for another auction");
+        });
+
+        it("Should reject forged, expired and cancelled bids", async function () {
+            const [bid] = await signBid(user2, reservePrice);
+            const [, forgedSignature] = await signBid(user1, reservePrice, { bidder: user2.address });
+            const expiring = await signBid(user2, reservePrice, { deadline: endTime + 10 });
+
+            await time.increaseTo(endTime + 11);
+            await expect(settle([bid, forgedSignature])).to.be.revertedWith("Invalid signature");
+            await expect(settle(expiring)).to.be.revertedWith("Bid expired");
+
+            const cancelled = await signBid(user2, reservePrice.add(1));
+            await marketplace.connect(user2).cancelOrders([
+                hashAuctionBid({ marketplace: marketplace.address, chainId, bid: cancelled[0] })
+            ]);
+            await expect(settle(cancelled)).to.be.revertedWith("Bid cancelled");
+        });
+
+        it("Should not settle after the auction deadline", async function () {
+            const bid = await signBid(user2, reservePrice, { deadline: endTime + 100000 });
+            await time.increaseTo(endTime + 86401);
+            await expect(settle(bid)).to.be.revertedWith("Auction expired");
+        });
+
+        it("Should settle any valid bid at or above the reserve, not only the highest", async function () {
+            // The contract never sees the other bids: picking the highest is up to the relayer
+            await signBid(user2, reservePrice.mul(2));
+            const lowBid = await signBid(user2, reservePrice);
+
+            await time.increaseTo(endTime);
+            await expect(settle(lowBid)).to.changeTokenBalances(moeToken, [user2, user1], [reservePrice.mul(-1), reservePrice]);
+        });
+
+        it("Should only allow the relayer to settle", async function () {
+            const bid = await signBid(user2, reservePrice);
+            await time.increaseTo(endTime);
+            await expect(settle(bid, user2)).to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Collection Bids", function () {
+        const unitPrice = ethers.utils.parseEther("100");
+        let deadline;
+
+        async function signSell(tokenId, nonce) {
+            const sellOrder = { maker: user1.address, tokenId, amount: 1, currency: moeToken.address, price: unitPrice, deadline, nonce };
+            return [sellOrder, await user1._signTypedData(marketplaceDomain, SELL_ORDER_TYPES, sellOrder)];
+        }
+
+        async function signBid(tree, amount = 1) {
+            const bid = await signCollectionBuyOrder(user2, {
+                marketplace: marketplace.address,
+                chainId,
+                order: { maker: user2.address, tokenIdsRoot: tree.root, amount, currency: moeToken.address, price: unitPrice.mul(amount), deadline, nonce: 1 }
+            });
+            return [bid.order, bid.signature];
+        }
+
+        beforeEach(async function () {
+            deadline = (await time.latest()) + 3600;
+            // user1 already holds card 1; also give them cards 3 and 7
+            for (const cardId of [3, 7]) {
+                await moeToken.connect(user1).approve(nft.address, unitPrice);
+                await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 1, cardId, "ipfs://test", unitPrice);
+            }
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should fill a range bid from sell orders of different tokens", async function () {
+            // "Any copy of cards 1-5", two copies
+            const tree = buildTokenIdTree(tokenIdRange(1, 5));
+            const bid = await signBid(tree, 2);
+            const bidHash = hashCollectionBuyOrder({ marketplace: marketplace.address, chainId, order: bid[0] });
+
+            await expect(marketplace.connect(deployer).matchCollectionOrder(...await signSell(1, 1), ...bid, tree.getProof(1)))
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(anyValue, bidHash, user1.address, user2.address, 1, 1, unitPrice);
+            expect(await marketplace.filledAmount(bidHash)).to.equal(1);
+
+            await marketplace.connect(deployer).matchCollectionOrder(...await signSell(3, 2), ...bid, tree.getProof(3));
+            expect(await marketplace.isOrderExecuted(bidHash)).to.be.true;
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+            expect(await nft.balanceOf(user2.address, 3)).to.equal(1);
+        });
+
+        it("Should match a trait bid only for tokens in the set", async function () {
+            // e.g. every SSR card: 1 and 3
+            const tree = buildTokenIdTree([1, 3]);
+            const bid = await signBid(tree);
+            const sell = await signSell(7, 1);
+
+            // Proof of another token does not prove card 7
+            await expect(marketplace.connect(deployer).matchCollectionOrder(...sell, ...bid, tree.getProof(1)))
+                .to.be.revertedWith("Token not in collection");
+            await expect(marketplace.connect(deployer).matchCollectionOrder(...sell, ...bid, []))
+                .to.be.revertedWith("Token not in collection");
+        });
+
+        it("Should bind the signature to the token set", async function () {
+            const tree = buildTokenIdTree([1, 3]);
+            const [order, signature] = await signBid(tree);
+            const wider = buildTokenIdTree([1, 3, 7]);
+
+            await expect(marketplace.connect(deployer).matchCollectionOrder(
+                ...await signSell(7, 1),
+                { ...order, tokenIdsRoot: wider.root },
+                signature,
+                wider.getProof(7)
+            )).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should apply buy order checks to collection bids", async function () {
+            const tree = buildTokenIdTree([1]);
+            const bid = await signBid(tree);
+            const bidHash = hashCollectionBuyOrder({ marketplace: marketplace.address, chainId, order: bid[0] });
+
+            await marketplace.connect(user2).cancelOrders([bidHash]);
+            await expect(marketplace.connect(deployer).matchCollectionOrder(...await signSell(1, 1), ...bid, tree.getProof(1)))
+                .to.be.revertedWith("Buy order cancelled");
+        });
+
+        it("Should only allow the relayer to match collection bids", async function () {
+            const tree = buildTokenIdTree([1]);
+            await expect(marketplace.connect(user1).matchCollectionOrder(...await signSell(1, 1), ...await signBid(tree), []))
+                .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Execution Price", function () {
+        const ask = ethers.utils.parseEther("100");
+        const bid = ethers.utils.parseEther("120");
+        const SellerPrice = 0, BuyerPrice = 1, Midpoint = 2;
+
+        async function signOrders({ sellAmount = 1, buyAmount = 1, sellPrice = ask, buyPrice = bid } = {}) {
+            const deadline = (await time.latest()) + 3600;
+            const sellOrder = { maker: user1.address, tokenId: 1, amount: sellAmount, currency: moeToken.address, price: sellPrice, deadline, nonce: 1 };
+            const buyOrder = { maker: user2.address, tokenId: 1, amount: buyAmount, currency: moeToken.address, price: buyPrice, deadline, nonce: 1 };
+            return [
+                sellOrder,
+                await user1._signTypedData(marketplaceDomain, SELL_ORDER_TYPES, sellOrder),
+                buyOrder,
+                await user2._signTypedData(marketplaceDomain, BUY_ORDER_TYPES, buyOrder)
+            ];
+        }
+
+        async function expectSettledAt(orders, price) {
+            const tx = marketplace.connect(deployer).matchOrders(...orders);
+            await expect(tx).to.changeTokenBalances(moeToken, [user2, user1], [price.mul(-1), price]);
+            await expect(tx)
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(anyValue, anyValue, user1.address, user2.address, 1, anyValue, price);
+        }
+
+        beforeEach(async function () {
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should settle at the seller's price by default", async function () {
+            expect(await marketplace.priceRule()).to.equal(SellerPrice);
+            await expectSettledAt(await signOrders(), ask);
+        });
+
+        it("Should settle at the buyer's price", async function () {
+            await marketplace.connect(deployer).setPriceRule(BuyerPrice);
+            await expectSettledAt(await signOrders(), bid);
+        });
+
+        it("Should settle at the midpoint", async function () {
+            await marketplace.connect(deployer).setPriceRule(Midpoint);
+            await expectSettledAt(await signOrders(), ethers.utils.parseEther("110"));
+        });
+
+        it("Should apply the price rule pro rata on partial fills", async function () {
+            const mintPrice = ethers.utils.parseEther("10");
+            await moeToken.connect(user1).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 2, 1, "ipfs://test", mintPrice);
+            await marketplace.connect(deployer).setPriceRule(Midpoint);
+
+            // 3 copies at 10 MOE each vs 1 copy at 16 MOE: midpoint unit price is 13
+            const orders = await signOrders({
+                sellAmount: 3,
+                sellPrice: ethers.utils.parseEther("30"),
+                buyPrice: ethers.utils.parseEther("16")
+            });
+            await expectSettledAt(orders, ethers.utils.parseEther("13"));
+        });
+
+        it("Should settle at the common price when both sides agree", async function () {
+            await marketplace.connect(deployer).setPriceRule(BuyerPrice);
+            await expectSettledAt(await signOrders({ buyPrice: ask }), ask);
+        });
+
+        it("Should only allow the admin to set a valid price rule", async function () {
+            await expect(marketplace.connect(deployer).setPriceRule(Midpoint))
+                .to.emit(marketplace, "PriceRuleUpdated")
+                .withArgs(Midpoint);
+            await expect(marketplace.connect(deployer).setPriceRule(3)).to.be.reverted;
+            await expect(marketplace.connect(user1).setPriceRule(BuyerPrice))
+                .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Payment Tokens", function () {
+        const price = ethers.utils.parseUnits("25", 6); // 25 USDC
+        let usdc;
+
+        async function signOrders({ sellCurrency = usdc.address, buyCurrency = usdc.address, nonce = 1 } = {}) {
+            const deadline = (await time.latest()) + 3600;
+            const sellOrder = { maker: user1.address, tokenId: 1, amount: 1, currency: sellCurrency, price, deadline, nonce };
+            const buyOrder = { maker: user2.address, tokenId: 1, amount: 1, currency: buyCurrency, price, deadline, nonce };
+            return [
+                sellOrder,
+                await user1._signTypedData(marketplaceDomain, SELL_ORDER_TYPES, sellOrder),
+                buyOrder,
+                await user2._signTypedData(marketplaceDomain, BUY_ORDER_TYPES, buyOrder)
+            ];
+        }
+
+        beforeEach(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await usdc.deployed();
+            await usdc.mint(user2.address, ethers.utils.parseUnits("1000", 6));
+
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await usdc.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should allow only MOE at deployment and let the admin manage the allowlist", async function () {
+            expect(await marketplace.isPaymentTokenAllowed(moeToken.address)).to.equal(true);
+            expect(await marketplace.isPaymentTokenAllowed(usdc.address)).to.equal(false);
+
+            await expect(marketplace.connect(deployer).setPaymentToken(usdc.address, true))
+                .to.emit(marketplace, "PaymentTokenUpdated")
+                .withArgs(usdc.address, true);
+            expect(await marketplace.isPaymentTokenAllowed(usdc.address)).to.equal(true);
+
+            await expect(marketplace.connect(user1).setPaymentToken(usdc.address, false))
+                .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+            await expect(marketplace.connect(deployer).setPaymentToken(ethers.constants.AddressZero, true))
+                .to.be.revertedWith("Invalid payment token");
+        });
+
+        it("Should settle orders in an allowed stablecoin, fees included", async function () {
+            await marketplace.connect(deployer).setPaymentToken(usdc.address, true);
+            await marketplace.connect(deployer).setProtocolFee(200); // 2%
+            const protocolFee = ethers.utils.parseUnits("0.5", 6);
+
+            const tx = marketplace.connect(deployer).matchOrders(...await signOrders());
+            await expect(tx).to.changeTokenBalances(
+                usdc,
+                [user2, user1, deployer],
+                [price.mul(-1), price.sub(protocolFee), protocolFee]
+            );
+            await expect(tx).to.changeTokenBalances(moeToken, [user1, user2], [0, 0]);
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+        });
+
+        it("Should reject orders priced in a token that is not allowed", async function () {
+            await expect(marketplace.connect(deployer).matchOrders(...await signOrders()))
+                .to.be.revertedWith("Currency not allowed");
+
+            // Removing a token from the allowlist stops its open orders
+            await marketplace.connect(deployer).setPaymentToken(usdc.address, true);
+            const orders = await signOrders({ nonce: 2 });
+            await marketplace.connect(deployer).setPaymentToken(usdc.address, false);
+            await expect(marketplace.connect(deployer).matchOrders(...orders))
+                .to.be.revertedWith("Currency not allowed");
+        });
+
+        it("Should not match orders priced in different currencies", async function () {
+            await marketplace.connect(deployer).setPaymentToken(usdc.address, true);
+
+            await expect(marketplace.connect(deployer).matchOrders(...await signOrders({ buyCurrency: moeToken.address })))
+                .to.be.revertedWith("Currency mismatch");
+        });
+
+        it("Should bind the currency to the order signature", async function () {
+            await marketplace.connect(deployer).setPaymentToken(usdc.address, true);
+            const [sellOrder, sellSig, buyOrder, buySig] = await signOrders({ sellCurrency: moeToken.address, buyCurrency: moeToken.address });
+
+            // A listing signed in MOE cannot be settled in USDC
+            await expect(marketplace.connect(deployer).matchOrders(
+                { ...sellOrder, currency: usdc.address }, sellSig, { ...buyOrder, currency: usdc.address }, buySig
+            )).to.be.revertedWith("Invalid signature");
+        });
+    });
+
+    describe("Protocol Fee and Royalties", function () {
+        const price = ethers.utils.parseEther("100");
+        let feeRecipient;
+
+        async function signOrders({ sellAmount = 1, buyAmount = 1, nonce = 1 } = {}) {
+            const deadline = (await time.latest()) + 3600;
+            const sellOrder = { maker: user1.address, tokenId: 1, amount: sellAmount, currency: moeToken.address, price: price.mul(sellAmount), deadline, nonce };
+            const buyOrder = { maker: user2.address, tokenId: 1, amount: buyAmount, currency: moeToken.address, price: price.mul(buyAmount), deadline, nonce };
+            return [
+                sellOrder,
+                await user1._signTypedData(marketplaceDomain, SELL_ORDER_TYPES, sellOrder),
+                buyOrder,
+                await user2._signTypedData(marketplaceDomain, BUY_ORDER_TYPES, buyOrder)
+            ];
+        }
+
+        beforeEach(async function () {
+            feeRecipient = ethers.Wallet.createRandom().address;
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should default to no fee, paid to the deployer", async function () {
+            expect(await marketplace.protocolFeeBps()).to.equal(0);
+            expect(await marketplace.feeRecipient()).to.equal(deployer.address);
+        });
+
+        it("Should pay the seller in full when there are no fees", async function () {
+            const orders = await signOrders();
+
+            await expect(marketplace.connect(deployer).matchOrders(...orders))
+                .to.changeTokenBalances(moeToken, [user2, user1], [price.mul(-1), price])
+                .and.to.not.emit(marketplace, "FeesPaid");
+        });
+
+        it("Should split the payment between seller, fee recipient and royalty receiver", async function () {
+            const creator = ethers.Wallet.createRandom().address;
+            await marketplace.connect(deployer).setFeeRecipient(feeRecipient);
+            await marketplace.connect(deployer).setProtocolFee(250); // 2.5%
+            await nft.connect(deployer).setTokenRoyalty(1, creator, 500); // 5%
+
+            const orders = await signOrders();
+            const protocolFee = ethers.utils.parseEther("2.5");
+            const royalty = ethers.utils.parseEther("5");
+            const sellHash = ethers.utils._TypedDataEncoder.hash(marketplaceDomain, SELL_ORDER_TYPES, orders[0]);
+
+            const tx = marketplace.connect(deployer).matchOrders(...orders);
+            await expect(tx).to.changeTokenBalances(
+                moeToken,
+                [user2, user1, feeRecipient, creator],
+                [price.mul(-1), price.sub(protocolFee).sub(royalty), protocolFee, royalty]
+            );
+            await expect(tx)
+                .to.emit(marketplace, "FeesPaid")
+                .withArgs(sellHash, feeRecipient, protocolFee, creator, royalty);
+            // OrderMatched still reports the full price paid by the buyer
+            await expect(tx)
+                .to.emit(marketplace, "OrderMatched")
+                .withArgs(sellHash, anyValue, user1.address, user2.address, 1, 1, price);
+        });
+
+        it("Should charge fees on each partial fill", async function () {
+            const mintPrice = ethers.utils.parseEther("10");
+            await moeToken.connect(user1).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 2, 1, "ipfs://test", mintPrice);
+            await marketplace.connect(deployer).setFeeRecipient(feeRecipient);
+            await marketplace.connect(deployer).setProtocolFee(1000); // 10%
+
+            const orders = await signOrders({ sellAmount: 3, buyAmount: 1 });
+            await marketplace.connect(deployer).matchOrders(...orders);
+
+            expect(await moeToken.balanceOf(feeRecipient)).to.equal(ethers.utils.parseEther("10"));
+            expect(await marketplace.filledAmount(
+                ethers.utils._TypedDataEncoder.hash(marketplaceDomain, SELL_ORDER_TYPES, orders[0])
+            )).to.equal(1);
+        });
+
+        it("Should quote fees with getFees", async function () {
+            await marketplace.connect(deployer).setProtocolFee(100);
+            await nft.connect(deployer).setTokenRoyalty(1, user2.address, 1000);
+
+            const [protocolFee, royaltyReceiver, royalty] = await marketplace.getFees(1, price);
+            expect(protocolFee).to.equal(ethers.utils.parseEther("1"));
+            expect(royaltyReceiver).to.equal(user2.address);
+            expect(royalty).to.equal(ethers.utils.parseEther("10"));
+
+            // Card without a royalty
+            expect((await marketplace.getFees(2, price))[2]).to.equal(0);
+        });
+
+        it("Should cap the protocol fee and emit update events", async function () {
+            await expect(marketplace.connect(deployer).setProtocolFee(1000))
+                .to.emit(marketplace, "ProtocolFeeUpdated")
+                .withArgs(1000);
+            await expect(marketplace.connect(deployer).setProtocolFee(1001))
+                .to.be.revertedWith("Fee too high");
+
+            await expect(marketplace.connect(deployer).setFeeRecipient(feeRecipient))
+                .to.emit(marketplace, "FeeRecipientUpdated")
+                .withArgs(feeRecipient);
+            await expect(marketplace.connect(deployer).setFeeRecipient(ethers.constants.AddressZero))
+                .to.be.revertedWith("Invalid fee recipient");
+        });
+
+        it("Should only allow the admin and treasurer to configure fees", async function () {
+            await expect(marketplace.connect(user1).setProtocolFee(100))
+                .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+            await expect(marketplace.connect(user1).setFeeRecipient(user1.address))
+                .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Order Status", function () {
+        const price = ethers.utils.parseEther("100");
+        const [UNFILLED, PARTIALLY_FILLED, FILLED, CANCELLED, EXPIRED] = [0, 1, 2, 3, 4];
+        let deadline;
+
+        async function sign(maker, types, fields) {
+            const order = { maker: maker.address, tokenId: 1, currency: moeToken.address, deadline, ...fields };
+            const signature = await maker._signTypedData(marketplaceDomain, types, order);
+            const ref = {
+                orderHash: ethers.utils._TypedDataEncoder.hash(marketplaceDomain, types, order),
+                maker: order.maker,
+                nonce: order.nonce,
+                deadline: order.deadline
+            };
+            return { order, signature, ref };
+        }
+
+        async function statusOf(signed) {
+            const [status, filled] = await marketplace.getOrderStatus(signed.ref);
+            return [status, filled.toNumber()];
+        }
+
+        beforeEach(async function () {
+            deadline = (await time.latest()) + 3600;
+            await moeToken.connect(user1).approve(nft.address, price);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 2, 1, "ipfs://status", price);
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should report unfilled, partially filled and filled orders with their fill", async function () {
+            const sell = await sign(user1, SELL_ORDER_TYPES, { amount: 2, price: price.mul(2), nonce: 1 });
+            expect(await statusOf(sell)).to.deep.equal([UNFILLED, 0]);
+
+            const buy1 = await sign(user2, BUY_ORDER_TYPES, { amount: 1, price, nonce: 1 });
+            await marketplace.matchOrders(sell.order, sell.signature, buy1.order, buy1.signature);
+            expect(await statusOf(sell)).to.deep.equal([PARTIALLY_FILLED, 1]);
+            expect(await statusOf(buy1)).to.deep.equal([FILLED, 1]);
+
+            const buy2 = await sign(user2, BUY_ORDER_TYPES, { amount: 1, price, nonce: 2 });
+            await marketplace.matchOrders(sell.order, sell.signature, buy2.order, buy2.signature);
+            expect(await statusOf(sell)).to.deep.equal([FILLED, 2]);
+
+            // Filled orders stay filled after their deadline
+            await time.increaseTo(deadline + 1);
+            expect(await statusOf(sell)).to.deep.equal([FILLED, 2]);
+        });
+
+        it("Should report cancelled orders, nonces below the minimum and nonces used elsewhere", async function () {
+            const cancelled = await sign(user1, SELL_ORDER_TYPES, { amount: 1, price, nonce: 1 });
+            const belowMin = await sign(user1, SELL_ORDER_TYPES, { amount: 1, price, nonce: 2 });
+            const reused = await sign(user2, BUY_ORDER_TYPES, { amount: 1, price: price.mul(2), nonce: 1 });
+
+            await marketplace.connect(user1).cancelOrders([cancelled.ref.orderHash]);
+            expect(await statusOf(cancelled)).to.deep.equal([CANCELLED, 0]);
+
+            // Another order of user2 with nonce 1 is filled
+            const sell = await sign(user1, SELL_ORDER_TYPES, { amount: 1, price, nonce: 3 });
+            const buy = await sign(user2, BUY_ORDER_TYPES, { amount: 1, price, nonce: 1 });
+            await marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature);
+            expect(await statusOf(reused)).to.deep.equal([CANCELLED, 0]);
+
+            await marketplace.connect(user1).setMinValidNonce(3);
+            expect(await statusOf(belowMin)).to.deep.equal([CANCELLED, 0]);
+        });
+
+        it("Should report expired orders, including partially filled ones", async function () {
+            const open = await sign(user1, SELL_ORDER_TYPES, { amount: 2, price: price.mul(2), nonce: 1 });
+            const buy = await sign(user2, BUY_ORDER_TYPES, { amount: 1, price, nonce: 1 });
+            await marketplace.matchOrders(open.order, open.signature, buy.order, buy.signature);
+
+            await time.increaseTo(deadline + 1);
+            expect(await statusOf(open)).to.deep.equal([EXPIRED, 1]);
+        });
+
+        it("Should return the status of many orders in one call", async function () {
+            const sell = await sign(user1, SELL_ORDER_TYPES, { amount: 1, price, nonce: 1 });
+            const buy = await sign(user2, BUY_ORDER_TYPES, { amount: 1, price, nonce: 1 });
+            const pending = await sign(user1, SELL_ORDER_TYPES, { amount: 1, price, nonce: 2 });
+            await marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature);
+
+            const [statuses, filled] = await marketplace.getOrderStatuses([sell.ref, buy.ref, pending.ref]);
+            expect(statuses).to.deep.equal([FILLED, FILLED, UNFILLED]);
+            expect(filled.map((f) => f.toNumber())).to.deep.equal([1, 1, 0]);
+
+            const results = await getOrderStatuses(marketplace, [sell.ref, pending.ref].map((ref) => ({ ...ref, hash: ref.orderHash })));
+            expect(results).to.deep.equal([
+                { hash: sell.ref.orderHash, status: "Filled", filledAmount: "1" },
+                { hash: pending.ref.orderHash, status: "Unfilled", filledAmount: "0" }
+            ]);
+        });
+    });
+
+    describe("Order Cancellation", function () {
+        const price = ethers.utils.parseEther("100");
+        let deadline;
+
+        async function signOrders(nonce, amount = 1) {
+            const sellOrder = { maker: user1.address, tokenId: 1, amount, currency: moeToken.address, price: price.mul(amount), deadline, nonce };
+            const buyOrder = { maker: user2.address, tokenId: 1, amount: 1, currency: moeToken.address, price, deadline, nonce };
+            return {
+                sellOrder,
+                sellSig: await user1._signTypedData(marketplaceDomain, SELL_ORDER_TYPES, sellOrder),
+                sellHash: ethers.utils._TypedDataEncoder.hash(marketplaceDomain, SELL_ORDER_TYPES, sellOrder),
+                buyOrder,
+                buySig: await user2._signTypedData(marketplaceDomain, BUY_ORDER_TYPES, buyOrder),
+                buyHash: ethers.utils._TypedDataEncoder.hash(marketplaceDomain, BUY_ORDER_TYPES, buyOrder)
+            };
+        }
+
+        function match(o) {
+            return marketplace.connect(deployer).matchOrders(o.sellOrder, o.sellSig, o.buyOrder, o.buySig);
+        }
+
+        beforeEach(async function () {
+            deadline = (await time.latest()) + 3600;
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, ethers.constants.MaxUint256);
+        });
+
+        it("Should let a maker cancel their orders", async function () {
+            const o = await signOrders(1);
+
+            await expect(marketplace.connect(user1).cancelOrders([o.sellHash]))
+                .to.emit(marketplace, "OrderCancelled")
+                .withArgs(user1.address, o.sellHash);
+
+            expect(await marketplace.isOrderCancelled(user1.address, o.sellHash)).to.be.true;
+            await expect(match(o)).to.be.revertedWith("Sell order cancelled");
+        });
+
+        it("Should not let anyone cancel someone else's order", async function () {
+            const o = await signOrders(1);
+
+            // Cancellations are recorded per maker
+            await marketplace.connect(user2).cancelOrders([o.sellHash]);
+            expect(await marketplace.isOrderCancelled(user1.address, o.sellHash)).to.be.false;
+            await expect(match(o)).to.not.be.reverted;
+        });
+
+        it("Should stop a partially filled order from filling further", async function () {
+            const mintPrice = ethers.utils.parseEther("10");
+            await moeToken.connect(user1).approve(nft.address, mintPrice);
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 2, 1, "ipfs://test", mintPrice);
+
+            const first = await signOrders(1, 3);
+            await match(first);
+            expect(await marketplace.filledAmount(first.sellHash)).to.equal(1);
+
+            await marketplace.connect(user1).cancelOrders([first.sellHash]);
+            const second = await signOrders(2, 3);
+            await expect(marketplace.connect(deployer).matchOrders(first.sellOrder, first.sellSig, second.buyOrder, second.buySig))
+                .to.be.revertedWith("Sell order cancelled");
+        });
+
+        it("Should invalidate all orders below the minimum valid nonce", async function () {
+            const old = await signOrders(5);
+            const current = await signOrders(10);
+
+            await expect(marketplace.connect(user2).setMinValidNonce(10))
+                .to.emit(marketplace, "MinValidNonceUpdated")
+                .withArgs(user2.address, 10);
+
+            await expect(match(old)).to.be.revertedWith("Buy nonce too low");
+            await expect(match(current)).to.not.be.reverted;
+        });
+
+        it("Should only allow the minimum valid nonce to increase", async function () {
+            await marketplace.connect(user1).setMinValidNonce(10);
+
+            await expect(marketplace.connect(user1).setMinValidNonce(10)).to.be.revertedWith("Nonce must increase");
+            await expect(marketplace.connect(user1).setMinValidNonce(3)).to.be.revertedWith("Nonce must increase");
+        });
+
+        it("Should accept a gasless cancellation signed by the maker", async function () {
+            const o = await signOrders(1);
+            const cancel = await signCancelOrders(user1, {
+                marketplace: marketplace.address,
+                chainId,
+                maker: user1.address,
+                orderHashes: [o.sellHash],
+                deadline
+            });
+
+            // Submitted by the backend, user1 pays no gas
+            await expect(marketplace.connect(deployer).cancelOrdersWithSignature(user1.address, [o.sellHash], deadline, cancel.signature))
+                .to.emit(marketplace, "OrderCancelled")
+                .withArgs(user1.address, o.sellHash);
+            await expect(match(o)).to.be.revertedWith("Sell order cancelled");
+        });
+
+        it("Should reject gasless cancellations with a bad signature or past deadline", async function () {
+            const o = await signOrders(1);
+            const cancel = await signCancelOrders(user1, {
+                marketplace: marketplace.address,
+                chainId,
+                maker: user1.address,
+                orderHashes: [o.sellHash],
+                deadline
+            });
+
+            // Signed by user1, claimed for user2
+            await expect(marketplace.cancelOrdersWithSignature(user2.address, [o.sellHash], deadline, cancel.signature))
+                .to.be.revertedWith("Invalid signature");
+            // Different hashes than signed
+            await expect(marketplace.cancelOrdersWithSignature(user1.address, [o.buyHash], deadline, cancel.signature))
+                .to.be.revertedWith("Invalid signature");
+
+            await time.increaseTo(deadline + 1);
+            await expect(marketplace.cancelOrdersWithSignature(user1.address, [o.sellHash], deadline, cancel.signature))
+                .to.be.revertedWith("Cancel expired");
+        });
+
+        it("Should accept a gasless minimum nonce update and ignore replays", async function () {
+            const o = await signOrders(1);
+            const signed = await signMinValidNonce(user2, {
+                marketplace: marketplace.address,
+                chainId,
+                maker: user2.address,
+                minNonce: 2,
+                deadline
+            });
+
+            await expect(marketplace.setMinValidNonceWithSignature(user2.address, 2, deadline, signed.signature))
+                .to.emit(marketplace, "MinValidNonceUpdated")
+                .withArgs(user2.address, 2);
+            await expect(match(o)).to.be.revertedWith("Buy nonce too low");
+
+            await expect(marketplace.setMinValidNonceWithSignature(user2.address, 2, deadline, signed.signature))
+                .to.be.revertedWith("Nonce must increase");
+        });
+
+        it("Should block matching but still accept cancellations while paused", async function () {
+            const o = await signOrders(1);
+
+            await marketplace.connect(deployer).pause();
+            await expect(match(o)).to.be.revertedWithCustomError(marketplace, "EnforcedPause");
+            await expect(marketplace.connect(user2).cancelOrders([o.buyHash]))
+                .to.emit(marketplace, "OrderCancelled");
+
+            // Only the guardian can lift the pause
+            await marketplace.connect(deployer).transferGuardian(user1.address);
+            await expect(marketplace.connect(deployer).unpause())
+                .to.be.revertedWithCustomError(marketplace, "GuardianUnauthorizedAccount");
+            await marketplace.connect(user1).unpause();
+
+            const next = await signOrders(2);
+            await expect(match(next)).to.not.be.reverted;
+        });
+    });
+
     describe("Access Control", function () {
-        it("Should only allow owner to call matchOrders", async function () {
+        it("Should only allow the relayer to call matchOrders", async function () {
             const deadline = (await time.latest()) + 3600;
             const price = ethers.utils.parseEther("100");
 
@@ -966,21 +2086,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 700
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -988,21 +2100,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 1,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 700
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
@@ -1012,7 +2116,7 @@ describe("MoeGirlsMarketplace", function () {
             ).to.not.be.reverted;
         });
 
-        it("Should revert if non-owner tries to call matchOrders", async function () {
+        it("Should revert if a non-relayer tries to call matchOrders", async function () {
             // Mint another NFT for user1
             const mintPrice = ethers.utils.parseEther("1000");
             await moeToken.connect(user1).approve(nft.address, mintPrice);
@@ -1035,21 +2139,13 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user1.address,
                 tokenId: 2,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 710
             };
 
-            const sellOrderTypes = {
-                SellOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const sellOrderTypes = SELL_ORDER_TYPES;
 
             const sellSig = await user1._signTypedData(marketplaceDomain, sellOrderTypes, sellOrder);
 
@@ -1057,28 +2153,20 @@ describe("MoeGirlsMarketplace", function () {
                 maker: user2.address,
                 tokenId: 2,
                 amount: 1,
+                currency: moeToken.address,
                 price: price,
                 deadline: deadline,
                 nonce: 710
             };
 
-            const buyOrderTypes = {
-                BuyOrder: [
-                    { name: "maker", type: "address" },
-                    { name: "tokenId", type: "uint256" },
-                    { name: "amount", type: "uint256" },
-                    { name: "price", type: "uint256" },
-                    { name: "deadline", type: "uint256" },
-                    { name: "nonce", type: "uint256" }
-                ]
-            };
+            const buyOrderTypes = BUY_ORDER_TYPES;
 
             const buySig = await user2._signTypedData(marketplaceDomain, buyOrderTypes, buyOrder);
 
             // user1 is not owner, should fail
             await expect(
                 marketplace.connect(user1).matchOrders(sellOrder, sellSig, buyOrder, buySig)
-            ).to.be.revertedWithCustomError(marketplace, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
         });
     });
 });
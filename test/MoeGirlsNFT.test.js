@@ -2,6 +2,7 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 const { deployContractsFixture } = require("./fixtures");
+const { signERC1155Permit } = require("../sdk");
 
 describe("MoeGirlsNFT", function () {
     let deployer, user1, user2;
@@ -24,8 +25,11 @@ describe("MoeGirlsNFT", function () {
             expect(await nft.moeToken()).to.equal(moeToken.address);
         });
 
-        it("Should set the correct owner", async function () {
-            expect(await nft.owner()).to.equal(deployer.address);
+        it("Should grant every role and the treasury to the deployer", async function () {
+            for (const role of [await nft.DEFAULT_ADMIN_ROLE(), await nft.RELAYER_ROLE(), await nft.TREASURER_ROLE()]) {
+                expect(await nft.hasRole(role, deployer.address)).to.equal(true);
+            }
+            expect(await nft.treasury()).to.equal(deployer.address);
         });
 
         it("Should mint NFT with tokenId equal to cardId", async function () {
@@ -53,7 +57,7 @@ describe("MoeGirlsNFT", function () {
         const cardId = 1;
         const metadataUri = "ipfs://QmTest123";
 
-        it("Should allow owner to mint NFT with prior approval", async function () {
+        it("Should allow the relayer to mint NFT with prior approval", async function () {
             // User approves MOE to NFT contract
             await moeToken.connect(user1).approve(nft.address, price);
 
@@ -79,7 +83,7 @@ describe("MoeGirlsNFT", function () {
             expect(await nft.uri(tokenId)).to.equal(metadataUri);
         });
 
-        it("Should transfer MOE payment from payer to owner", async function () {
+        it("Should transfer MOE payment from payer to the treasury", async function () {
             await moeToken.connect(user1).approve(nft.address, price);
 
             const balanceBefore = await moeToken.balanceOf(deployer.address);
@@ -112,7 +116,7 @@ describe("MoeGirlsNFT", function () {
                 .withArgs(user1.address, cardId, cardId, metadataUri);
         });
 
-        it("Should revert if non-owner tries to mint", async function () {
+        it("Should revert if a non-relayer tries to mint", async function () {
             await moeToken.connect(user1).approve(nft.address, price);
 
             await expect(
@@ -124,7 +128,7 @@ describe("MoeGirlsNFT", function () {
                     metadataUri,
                     price
                 )
-            ).to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nft, "AccessControlUnauthorizedAccount");
         });
 
         it("Should revert if recipient is zero address", async function () {
@@ -245,6 +249,22 @@ describe("MoeGirlsNFT", function () {
             // User should have 3 copies of cardId
             expect(await nft.balanceOf(user1.address, cardId)).to.equal(3);
         });
+
+        it("Should revert while minting is paused by the guardian", async function () {
+            await moeToken.connect(user1).approve(nft.address, price);
+            await nft.connect(deployer).pause();
+
+            await expect(
+                nft.connect(deployer).mintWithApproval(user1.address, user1.address, 1, cardId, metadataUri, price)
+            ).to.be.revertedWithCustomError(nft, "EnforcedPause");
+            // Transfers between players are not affected
+            expect(await nft.paused()).to.equal(true);
+            await nft.connect(deployer).unpause();
+
+            await nft.connect(deployer).mintWithApproval(user1.address, user1.address, 1, cardId, metadataUri, price);
+            await nft.connect(user1).safeTransferFrom(user1.address, user2.address, cardId, 1, "0x");
+            expect(await nft.balanceOf(user2.address, cardId)).to.equal(1);
+        });
     });
 
     describe("mintWithPermit", function () {
@@ -252,7 +272,7 @@ describe("MoeGirlsNFT", function () {
         const cardId = 10;
         const metadataUri = "ipfs://QmPermitTest";
 
-        it("Should allow owner to mint NFT using EIP-2612 Permit", async function () {
+        it("Should allow the relayer to mint NFT using EIP-2612 Permit", async function () {
             // Get current nonce from MOEToken (might have been incremented by previous tests)
             const currentNonce = await moeToken.nonces(user1.address);
 
@@ -353,7 +373,7 @@ describe("MoeGirlsNFT", function () {
             ).to.be.revertedWithCustomError(moeToken, "ERC2612ExpiredSignature");
         });
 
-        it("Should revert if non-owner calls mintWithPermit", async function () {
+        it("Should revert if a non-relayer calls mintWithPermit", async function () {
             const deadline = Math.floor(Date.now() / 1000) + 3600;
             const nonce = await moeToken.nonces(user1.address);
 
@@ -386,7 +406,7 @@ describe("MoeGirlsNFT", function () {
             const sig = ethers.utils.splitSignature(signature);
 
             await expect(
-                nft.connect(user2).mintWithPermit( // user2 is not owner
+                nft.connect(user2).mintWithPermit( // user2 is not a relayer
                     user1.address,
                     user1.address,
                     1,
@@ -398,7 +418,7 @@ describe("MoeGirlsNFT", function () {
                     sig.r,
                     sig.s
                 )
-            ).to.be.revertedWithCustomError(nft, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nft, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -582,6 +602,99 @@ describe("MoeGirlsNFT", function () {
         });
     });
 
+    describe("Royalties (ERC-2981)", function () {
+        const salePrice = ethers.utils.parseEther("100");
+
+        it("Should support the ERC-2981 interface", async function () {
+            // ERC-2981 interface ID: 0x2a55205a
+            expect(await nft.supportsInterface("0x2a55205a")).to.be.true;
+            expect(await nft.supportsInterface("0xd9b67a26")).to.be.true;
+        });
+
+        it("Should set royalties per cardId", async function () {
+            await expect(nft.connect(deployer).setTokenRoyalty(1, user2.address, 500))
+                .to.emit(nft, "TokenRoyaltySet")
+                .withArgs(1, user2.address, 500);
+
+            const [receiver, royalty] = await nft.royaltyInfo(1, salePrice);
+            expect(receiver).to.equal(user2.address);
+            expect(royalty).to.equal(ethers.utils.parseEther("5"));
+
+            // Other cards have no royalty
+            const [otherReceiver, otherRoyalty] = await nft.royaltyInfo(2, salePrice);
+            expect(otherReceiver).to.equal(ethers.constants.AddressZero);
+            expect(otherRoyalty).to.equal(0);
+        });
+
+        it("Should reset a card's royalty", async function () {
+            await nft.connect(deployer).setTokenRoyalty(1, user2.address, 500);
+
+            await expect(nft.connect(deployer).resetTokenRoyalty(1))
+                .to.emit(nft, "TokenRoyaltyReset")
+                .withArgs(1);
+            expect((await nft.royaltyInfo(1, salePrice))[1]).to.equal(0);
+        });
+
+        it("Should cap royalties at MAX_ROYALTY_BPS", async function () {
+            const max = await nft.MAX_ROYALTY_BPS();
+            expect(max).to.equal(1000);
+
+            await nft.connect(deployer).setTokenRoyalty(1, user2.address, max);
+            await expect(nft.connect(deployer).setTokenRoyalty(1, user2.address, max + 1))
+                .to.be.revertedWith("Royalty too high");
+            await expect(nft.connect(deployer).setTokenRoyalty(1, ethers.constants.AddressZero, 100))
+                .to.be.revertedWithCustomError(nft, "ERC2981InvalidTokenRoyaltyReceiver");
+        });
+
+        it("Should only allow the admin to manage royalties", async function () {
+            await expect(nft.connect(user1).setTokenRoyalty(1, user1.address, 500))
+                .to.be.revertedWithCustomError(nft, "AccessControlUnauthorizedAccount");
+            await expect(nft.connect(user1).resetTokenRoyalty(1))
+                .to.be.revertedWithCustomError(nft, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("ERC-7604 permitWithSignature (ERC-1271)", function () {
+        async function signPermit(signer, deadline) {
+            return signERC1155Permit(signer, {
+                nft: nft.address,
+                chainId,
+                owner: user1.address,
+                operator: user2.address,
+                approved: true,
+                nonce: await nft.nonces(user1.address),
+                deadline
+            });
+        }
+
+        it("Should accept an EOA signature as bytes and share permit nonces", async function () {
+            const deadline = Math.floor(Date.now() / 1000) + 3600;
+            const permit = await signPermit(user1, deadline);
+
+            await expect(nft.permitWithSignature(user1.address, user2.address, true, deadline, permit.signature))
+                .to.emit(nft, "ApprovalForAll")
+                .withArgs(user1.address, user2.address, true);
+            expect(await nft.nonces(user1.address)).to.equal(1);
+
+            // The v/r/s form of the same permit is now spent
+            await expect(nft.permit(user1.address, user2.address, true, deadline, permit.v, permit.r, permit.s))
+                .to.be.revertedWithCustomError(nft, "ERC1155PermitInvalidSignature");
+        });
+
+        it("Should reject signatures from others and expired permits", async function () {
+            const deadline = Math.floor(Date.now() / 1000) + 3600;
+            const forged = await signPermit(user2, deadline);
+            await expect(nft.permitWithSignature(user1.address, user2.address, true, deadline, forged.signature))
+                .to.be.revertedWithCustomError(nft, "ERC1155PermitInvalidSignature");
+
+            const expired = Math.floor(Date.now() / 1000) - 3600;
+            const late = await signPermit(user1, expired);
+            await expect(nft.permitWithSignature(user1.address, user2.address, true, expired, late.signature))
+                .to.be.revertedWithCustomError(nft, "ERC1155PermitExpired")
+                .withArgs(expired);
+        });
+    });
+
     describe("Edge Cases", function () {
         it("Should handle very large price values", async function () {
             const largePrice = ethers.utils.parseEther("1000000"); // 1M MOE
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContractsFixture } = require("./fixtures");
+const { createRelayer, createNonceManager } = require("../relayer");
+
+describe("Relayer nonce manager", function () {
+    const amount = ethers.utils.parseEther("400");
+    let deployer, user1, user2;
+    let vestingFactory;
+    let nonceManager, relayer;
+
+    async function waitForPending(count) {
+        while (nonceManager.pendingNonces().length < count) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    }
+
+    async function pendingHashes() {
+        return (await network.provider.send("eth_getBlockByNumber", ["pending", false])).transactions;
+    }
+
+    beforeEach(async function () {
+        const fixture = await loadFixture(deployContractsFixture);
+        ({ deployer, user1, user2, vestingFactory } = fixture);
+
+        nonceManager = createNonceManager({ signer: deployer, stuckAfter: 60000, pollInterval: 10 });
+        relayer = createRelayer({ signer: deployer, contracts: { vestingFactory }, nonceManager });
+    });
+
+    afterEach(async function () {
+        await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("Should give parallel relays consecutive nonces", async function () {
+        const startNonce = await deployer.getTransactionCount();
+
+        const results = await Promise.all(
+            [user1, user2, user1, user2, user1].map((user) => relayer.createVesting({ beneficiary: user.address, amount }))
+        );
+
+        expect(results.map((r) => r.status)).to.deep.equal(Array(5).fill("confirmed"));
+        const nonces = await Promise.all(results.map(async (r) => (await ethers.provider.getTransaction(r.txHash)).nonce));
+        expect(nonces.sort((a, b) => a - b)).to.deep.equal([0, 1, 2, 3, 4].map((i) => startNonce + i));
+        expect(await vestingFactory.getTotalVestingWallets()).to.equal(5);
+    });
+
+    it("Should queue transactions while blocks are not being mined", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        const startNonce = await deployer.getTransactionCount();
+
+        const relays = [user1, user2, user1].map((user) => relayer.createVesting({ beneficiary: user.address, amount }));
+        await waitForPending(3);
+
+        expect(nonceManager.pendingNonces()).to.deep.equal([startNonce, startNonce + 1, startNonce + 2]);
+        expect(await pendingHashes()).to.have.length(3);
+
+        await network.provider.send("evm_mine");
+        const results = await Promise.all(relays);
+
+        expect(results.map((r) => r.status)).to.deep.equal(["confirmed", "confirmed", "confirmed"]);
+        expect(nonceManager.pendingNonces()).to.deep.equal([]);
+    });
+
+    it("Should not consume a nonce when the node rejects a transaction", async function () {
+        const startNonce = await deployer.getTransactionCount();
+
+        // estimateGas reverts, nothing is broadcast
+        await expect(nonceManager.sendTransaction({
+            to: vestingFactory.address,
+            data: vestingFactory.interface.encodeFunctionData("createVesting", [user1.address, 3])
+        })).to.be.rejected;
+
+        const sent = await nonceManager.sendTransaction({
+            to: vestingFactory.address,
+            data: vestingFactory.interface.encodeFunctionData("createVesting", [user1.address, amount])
+        });
+        expect(sent.nonce).to.equal(startNonce);
+        expect((await sent.wait()).status).to.equal(1);
+    });
+
+    it("Should only report transactions pending longer than stuckAfter", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        const relay = relayer.createVesting({ beneficiary: user1.address, amount });
+        await waitForPending(1);
+
+        expect(await nonceManager.findStuck()).to.deep.equal([]);
+
+        const stuck = await nonceManager.findStuck({ now: Date.now() + 60000 });
+        expect(stuck).to.have.length(1);
+        expect(stuck[0].nonce).to.equal(nonceManager.pendingNonces()[0]);
+
+        await network.provider.send("evm_mine");
+        await relay;
+        expect(await nonceManager.findStuck({ now: Date.now() + 60000 })).to.deep.equal([]);
+    });
+
+    it("Should speed up a stuck transaction with higher fees", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        const relay = relayer.createVesting({ beneficiary: user1.address, amount });
+        await waitForPending(1);
+
+        const [original] = await pendingHashes();
+        const before = await ethers.provider.getTransaction(original);
+        const replaced = await nonceManager.replaceStuck({ now: Date.now() + 60000 });
+        expect(replaced).to.have.length(1);
+        expect(await pendingHashes()).to.deep.equal([replaced[0].hash]);
+
+        const after = await ethers.provider.getTransaction(replaced[0].hash);
+        expect(after.nonce).to.equal(before.nonce);
+        expect(after.data).to.equal(before.data);
+        expect(after.maxFeePerGas).to.be.gte(before.maxFeePerGas.mul(115).div(100));
+        expect(after.maxPriorityFeePerGas).to.be.gte(before.maxPriorityFeePerGas.mul(115).div(100));
+
+        await network.provider.send("evm_mine");
+        const result = await relay;
+
+        expect(result).to.include({ status: "confirmed", txHash: replaced[0].hash });
+        expect(await ethers.provider.getTransactionReceipt(original)).to.equal(null);
+        expect((await vestingFactory.getPlayerVestingWallets(user1.address)).length).to.equal(1);
+    });
+
+    it("Should cancel a stuck transaction with a self transfer", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        const startNonce = await deployer.getTransactionCount();
+        const relay = relayer.createVesting({ beneficiary: user1.address, amount });
+        await waitForPending(1);
+
+        const [{ hash }] = await nonceManager.replaceStuck({ action: "cancel", now: Date.now() + 60000 });
+        const cancellation = await ethers.provider.getTransaction(hash);
+        expect(cancellation).to.include({ to: deployer.address, data: "0x", nonce: startNonce });
+
+        await network.provider.send("evm_mine");
+        const result = await relay;
+
+        expect(result).to.include({ ok: false, status: "cancelled", txHash: hash });
+        expect(result.error.reason).to.equal("Transaction cancelled");
+        expect(await vestingFactory.getTotalVestingWallets()).to.equal(0);
+        expect(await deployer.getTransactionCount()).to.equal(startNonce + 1);
+    });
+
+    it("Should refuse to replace a transaction that is already mined", async function () {
+        const sent = await nonceManager.sendTransaction({ to: user1.address, value: 1 });
+        await ethers.provider.waitForTransaction(sent.hash);
+
+        await expect(nonceManager.speedUp(sent.nonce)).to.be.rejectedWith(`Nonce ${sent.nonce} is already mined`);
+        await sent.wait();
+        await expect(nonceManager.cancel(sent.nonce)).to.be.rejectedWith(`Nonce ${sent.nonce} is not pending`);
+    });
+});
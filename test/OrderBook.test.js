@@ -0,0 +1,358 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContractsFixture } = require("./fixtures");
+const sdk = require("../sdk");
+const { createRelayer, createOrderBook, createFileStore } = require("../relayer");
+
+describe("Order book", function () {
+    const ether = (value) => ethers.utils.parseEther(String(value));
+    let deployer, user1, user2, relayerSigner;
+    let moeToken, nft, marketplace;
+    let chainId, book, nextNonce;
+
+    async function sign(side, maker, { tokenId = 1, amount = 1, currency, price = ether(100), deadline, nonce } = {}) {
+        const order = {
+            maker: maker.address,
+            tokenId,
+            amount,
+            currency: currency || moeToken.address,
+            price,
+            deadline: deadline || (await time.latest()) + 3600,
+            nonce: nonce || nextNonce++
+        };
+        const signOrder = side === "sell" ? sdk.signSellOrder : sdk.signBuyOrder;
+        return signOrder(maker, { marketplace: marketplace.address, chainId, order });
+    }
+
+    async function add(side, maker, fields) {
+        const signed = await sign(side, maker, fields);
+        const result = await book.addOrder(side, signed.order, signed.signature);
+        expect(result.errors).to.deep.equal([]);
+        return result.hash;
+    }
+
+    beforeEach(async function () {
+        const fixture = await loadFixture(deployContractsFixture);
+        ({ deployer, user1, user2, moeToken, nft, marketplace } = fixture);
+        relayerSigner = fixture.relayer;
+        chainId = (await ethers.provider.getNetwork()).chainId;
+        nextNonce = 1;
+
+        for (const cardId of [1, 2]) {
+            await moeToken.connect(user1).approve(nft.address, ether(10));
+            await nft.mintWithApproval(user1.address, user1.address, 3, cardId, "ipfs://book", ether(10));
+        }
+        await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+        await moeToken.connect(user2).approve(marketplace.address, ether(1000));
+
+        book = createOrderBook({ marketplace });
+    });
+
+    describe("addOrder", function () {
+        it("Should accept valid orders and normalize them", async function () {
+            const signed = await sign("sell", user1, { price: ether(5) });
+            const result = await book.addOrder("sell", signed.order, signed.signature);
+
+            expect(result.ok).to.equal(true);
+            expect(result.hash).to.equal(sdk.hashSellOrder({ marketplace: marketplace.address, chainId, order: signed.order }));
+            expect(book.getOrder(result.hash).order).to.deep.equal({
+                maker: user1.address,
+                tokenId: "1",
+                amount: "1",
+                currency: moeToken.address,
+                price: ether(5).toString(),
+                deadline: String(signed.order.deadline),
+                nonce: "1"
+            });
+        });
+
+        it("Should reject bad signatures, expired orders and duplicates", async function () {
+            const signed = await sign("buy", user2);
+
+            const tampered = await book.addOrder("buy", { ...signed.order, price: ether(1000) }, signed.signature);
+            expect(tampered).to.include({ ok: false });
+            expect(tampered.errors).to.deep.equal(["Invalid signature"]);
+
+            const expired = await sign("buy", user2, { deadline: (await time.latest()) - 1 });
+            expect((await book.addOrder("buy", expired.order, expired.signature)).errors).to.deep.equal(["Buy order expired"]);
+
+            expect((await book.addOrder("buy", signed.order, signed.signature)).ok).to.equal(true);
+            expect((await book.addOrder("buy", signed.order, signed.signature)).errors).to.deep.equal(["Order already in the book"]);
+        });
+
+        it("Should reject incomplete orders", async function () {
+            const signed = await sign("sell", user1);
+            const { nonce, ...withoutNonce } = signed.order;
+
+            expect((await book.addOrder("sell", withoutNonce, signed.signature)).errors).to.deep.equal(["order.nonce is required"]);
+            expect((await book.addOrder("swap", signed.order, signed.signature)).errors).to.deep.equal(["Unknown order side: swap"]);
+        });
+    });
+
+    describe("getOrders", function () {
+        it("Should index by tokenId and sort by price", async function () {
+            const sell30 = await add("sell", user1, { price: ether(30) });
+            const sell10 = await add("sell", user1, { price: ether(10) });
+            const sell20 = await add("sell", user1, { price: ether(20) });
+            const otherToken = await add("sell", user1, { tokenId: 2, price: ether(1) });
+            const buy5 = await add("buy", user2, { price: ether(5) });
+            const buy8 = await add("buy", user2, { price: ether(8) });
+
+            expect(book.getOrders({ side: "sell", tokenId: 1 }).map((o) => o.hash)).to.deep.equal([sell10, sell20, sell30]);
+            expect(book.getOrders({ side: "buy", tokenId: 1 }).map((o) => o.hash)).to.deep.equal([buy8, buy5]);
+            expect(book.getOrders({ side: "sell", tokenId: 2 }).map((o) => o.hash)).to.deep.equal([otherToken]);
+            expect(book.getOrders({ side: "sell" })).to.have.length(4);
+            expect(book.getOrders({ side: "buy", tokenId: 3 })).to.deep.equal([]);
+        });
+    });
+
+    describe("findMatches", function () {
+        it("Should pair the highest buy with the cheapest crossing sell", async function () {
+            const sellCheap = await add("sell", user1, { price: ether(10) });
+            const sellDear = await add("sell", user1, { price: ether(20) });
+            const buyHigh = await add("buy", user2, { price: ether(25) });
+            const buyMid = await add("buy", user2, { price: ether(20) });
+            await add("buy", user2, { price: ether(5) });
+
+            const matches = await book.findMatches();
+            expect(matches.map((m) => [m.sell.hash, m.buy.hash])).to.deep.equal([
+                [sellCheap, buyHigh],
+                [sellDear, buyMid]
+            ]);
+        });
+
+        it("Should not pair orders priced in different currencies", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await marketplace.connect(deployer).setPaymentToken(usdc.address, true);
+
+            await add("sell", user1, { price: ether(10) });
+            const usdcSell = await add("sell", user1, { currency: usdc.address, price: 10e6 });
+            const usdcBuy = await add("buy", user2, { currency: usdc.address, price: 20e6 });
+
+            const matches = await book.findMatches();
+            expect(matches.map((m) => [m.sell.hash, m.buy.hash])).to.deep.equal([[usdcSell, usdcBuy]]);
+        });
+
+        it("Should not pair different tokens or expired orders", async function () {
+            await add("sell", user1, { amount: 2, price: ether(10) });
+            await add("buy", user2, { tokenId: 2, amount: 2, price: ether(10) });
+            const deadline = (await time.latest()) + 60;
+            await add("buy", user2, { amount: 2, price: ether(10), deadline });
+
+            expect(await book.findMatches({ timestamp: deadline })).to.have.length(1);
+            expect(await book.findMatches({ timestamp: deadline + 1 })).to.deep.equal([]);
+        });
+
+        it("Should quote each match with the marketplace price rule", async function () {
+            // 3 copies at 10 MOE each, crossed by a buy of 2 copies at 13 MOE each
+            await add("sell", user1, { amount: 3, price: ether(30) });
+            await add("buy", user2, { amount: 2, price: ether(26) });
+            // then by a buy of 1 copy at 11 MOE
+            await add("buy", user2, { amount: 1, price: ether(11) });
+
+            const quotes = async () => (await book.findMatches()).map((m) => [m.amount, m.price]);
+            expect(await quotes()).to.deep.equal([["2", ether(20).toString()], ["1", ether(10).toString()]]);
+
+            await marketplace.setPriceRule(sdk.PRICE_RULES.BuyerPrice);
+            expect(await quotes()).to.deep.equal([["2", ether(26).toString()], ["1", ether(11).toString()]]);
+
+            await marketplace.setPriceRule(sdk.PRICE_RULES.Midpoint);
+            const matches = await book.findMatches();
+            expect(matches.map((m) => m.price)).to.deep.equal([ether(23).toString(), ether(10.5).toString()]);
+
+            // The quotes are what settles
+            const relayer = createRelayer({ signer: deployer, contracts: { marketplace } });
+            const settled = await book.settleMatches(relayer);
+            expect(settled.map(({ result }) => result.events.find((e) => e.event === "OrderMatched").args.price))
+                .to.deep.equal(matches.map((m) => m.price));
+        });
+
+        it("Should fill orders of different sizes by unit price", async function () {
+            // 3 copies at 10 MOE each, 2 copies at 12 MOE each
+            const sellCheap = await add("sell", user1, { amount: 3, price: ether(30) });
+            const sellDear = await add("sell", user1, { amount: 2, price: ether(24) });
+            // Wants 4 copies at up to 12 MOE each
+            const buy = await add("buy", user2, { amount: 4, price: ether(48) });
+            // Wants 1 copy at up to 11 MOE: nothing cheap enough is left
+            await add("buy", user2, { amount: 1, price: ether(11) });
+
+            const matches = await book.findMatches();
+            expect(matches.map((m) => [m.sell.hash, m.buy.hash, m.amount])).to.deep.equal([
+                [sellCheap, buy, "3"],
+                [sellDear, buy, "1"]
+            ]);
+        });
+    });
+
+    describe("settleMatches", function () {
+        it("Should settle crossing pairs through the relayer and remove them", async function () {
+            const sell = await add("sell", user1, { price: ether(10) });
+            const buy = await add("buy", user2, { price: ether(12) });
+            const resting = await add("buy", user2, { price: ether(1) });
+
+            const relayer = createRelayer({ signer: deployer, contracts: { marketplace } });
+            const [settled] = await book.settleMatches(relayer);
+
+            expect(settled).to.include({ sellHash: sell, buyHash: buy });
+            expect(settled.result.status).to.equal("confirmed");
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+            expect(book.getOrder(sell)).to.equal(undefined);
+            expect(book.getOrders({ side: "buy", tokenId: 1 }).map((o) => o.hash)).to.deep.equal([resting]);
+        });
+
+        it("Should keep orders after a failed match and prune the invalid ones", async function () {
+            const sell = await add("sell", user1, { price: ether(10) });
+            const buy = await add("buy", user2, { price: ether(10) });
+
+            // No RELAYER_ROLE on the marketplace: simulation fails, both orders stay
+            const stranger = createRelayer({ signer: relayerSigner, contracts: { marketplace } });
+            const [failed] = await book.settleMatches(stranger);
+            expect(failed.result.error.name).to.equal("AccessControlUnauthorizedAccount");
+            expect(book.getOrder(sell)).to.not.equal(undefined);
+            expect(book.getOrder(buy)).to.not.equal(undefined);
+
+            // Seller's nonce gets used elsewhere: the sell order is pruned
+            const other = await sign("sell", user1, { tokenId: 2, nonce: 1 });
+            const otherBuy = await sign("buy", user2, { tokenId: 2 });
+            await marketplace.matchOrders(other.order, other.signature, otherBuy.order, otherBuy.signature);
+
+            const removed = await book.prune();
+            expect(removed).to.deep.equal([{ hash: sell, errors: ["Sell nonce used"] }]);
+            expect(await book.findMatches()).to.deep.equal([]);
+        });
+    });
+
+    describe("partial fills", function () {
+        it("Should keep partially filled orders in the book with their remaining quantity", async function () {
+            const sell = await add("sell", user1, { amount: 3, price: ether(30) });
+            const buy1 = await add("buy", user2, { amount: 2, price: ether(20) });
+
+            const relayer = createRelayer({ signer: deployer, contracts: { marketplace } });
+            const [settled] = await book.settleMatches(relayer);
+            expect(settled.result.events.find((e) => e.event === "OrderMatched").args.amount).to.equal("2");
+
+            expect(book.getOrder(buy1)).to.equal(undefined);
+            expect(book.getOrder(sell).filled).to.equal("2");
+
+            // The last copy matches a later buy order
+            const buy2 = await add("buy", user2, { amount: 5, price: ether(50) });
+            const matches = await book.findMatches();
+            expect(matches.map((m) => [m.sell.hash, m.buy.hash, m.amount])).to.deep.equal([[sell, buy2, "1"]]);
+
+            await book.settleMatches(relayer);
+            expect(book.getOrder(sell)).to.equal(undefined);
+            expect(book.getOrder(buy2).filled).to.equal("1");
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(3);
+        });
+
+        it("Should accept a partially filled order whose nonce is already used", async function () {
+            const sell = await sign("sell", user1, { amount: 3, price: ether(30) });
+            const buy = await sign("buy", user2, { amount: 1, price: ether(10) });
+            await marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature);
+
+            const result = await book.addOrder("sell", sell.order, sell.signature);
+            expect(result.ok).to.equal(true);
+            expect(book.getOrder(result.hash).filled).to.equal("1");
+        });
+    });
+
+    describe("cancellations", function () {
+        it("Should drop orders cancelled through the relayer", async function () {
+            const signed = await sign("sell", user1, { price: ether(10) });
+            const sell = (await book.addOrder("sell", signed.order, signed.signature)).hash;
+            const other = await add("sell", user1, { price: ether(20) });
+            const deadline = (await time.latest()) + 3600;
+            const cancel = await sdk.signCancelOrders(user1, {
+                marketplace: marketplace.address,
+                chainId,
+                maker: user1.address,
+                orderHashes: [sell],
+                deadline
+            });
+
+            const relayer = createRelayer({ signer: deployer, contracts: { marketplace } });
+            const result = await relayer.cancelOrdersWithSignature({
+                maker: user1.address,
+                orderHashes: [sell],
+                deadline,
+                signature: cancel.signature
+            });
+            expect(result.status).to.equal("confirmed");
+
+            const removed = result.events.flatMap((event) => book.applyEvent(event));
+            expect(removed).to.deep.equal([sell]);
+            expect(book.getOrders({ side: "sell", tokenId: 1 }).map((o) => o.hash)).to.deep.equal([other]);
+            expect((await book.addOrder("sell", signed.order, signed.signature)).errors).to.deep.equal(["Sell order cancelled"]);
+        });
+
+        it("Should sync cancellations and nonce floors from marketplace events", async function () {
+            const sell = await add("sell", user1, { price: ether(10) });
+            const oldBuy = await add("buy", user2, { price: ether(1) });
+            const newBuy = await add("buy", user2, { price: ether(2), nonce: 50 });
+
+            // A cancellation by someone other than the maker does not touch the book
+            await marketplace.connect(user2).cancelOrders([sell]);
+            await marketplace.connect(user2).setMinValidNonce(10);
+
+            const { removed, toBlock } = await book.syncCancellations();
+            expect(removed).to.deep.equal([oldBuy]);
+            expect(book.getOrder(sell)).to.not.equal(undefined);
+            expect(book.getOrder(newBuy)).to.not.equal(undefined);
+
+            await marketplace.connect(user1).cancelOrders([sell]);
+            expect((await book.syncCancellations({ fromBlock: toBlock + 1 })).removed).to.deep.equal([sell]);
+        });
+    });
+
+    describe("reconcile", function () {
+        it("Should apply fills, cancellations and expiry from one status call", async function () {
+            const partial = await add("sell", user1, { amount: 3, price: ether(30) });
+            const filled = await add("sell", user1, { tokenId: 2, price: ether(10) });
+            const cancelled = await add("buy", user2, { price: ether(1) });
+            const expiring = await add("buy", user2, { tokenId: 2, price: ether(1), deadline: (await time.latest()) + 30 });
+
+            // Settled and cancelled on chain, outside the book
+            for (const [tokenId, price] of [[1, ether(10)], [2, ether(10)]]) {
+                const sell = book.getOrders({ side: "sell", tokenId })[0];
+                const buy = await sign("buy", user2, { tokenId, price });
+                await marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature);
+            }
+            await marketplace.connect(user2).cancelOrders([cancelled]);
+            await time.increase(60);
+
+            const removed = await book.reconcile();
+            expect(removed.map((r) => [r.hash, r.status])).to.have.deep.members([
+                [filled, "Filled"],
+                [cancelled, "Cancelled"],
+                [expiring, "Expired"]
+            ]);
+            expect(book.getOrders({ side: "sell" }).map((o) => [o.hash, o.filled])).to.deep.equal([[partial, "1"]]);
+            expect(book.getOrders({ side: "buy" })).to.deep.equal([]);
+        });
+    });
+
+    describe("createFileStore", function () {
+        it("Should persist the book across instances", async function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "moe-orderbook-"));
+            const file = path.join(dir, "orders.json");
+            try {
+                book = createOrderBook({ marketplace, store: createFileStore(file) });
+                const sell = await add("sell", user1, { price: ether(10) });
+                const buy = await add("buy", user2, { price: ether(10) });
+                book.removeOrder(buy);
+
+                const reopened = createOrderBook({ marketplace, store: createFileStore(file) });
+                expect(reopened.getOrders({ side: "sell", tokenId: 1 }).map((o) => o.hash)).to.deep.equal([sell]);
+                expect(reopened.getOrder(buy)).to.equal(undefined);
+                expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.have.length(1);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+});
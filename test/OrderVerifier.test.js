@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContractsFixture } = require("./fixtures");
+const sdk = require("../sdk");
+
+describe("SDK (order verifier)", function () {
+    let user1, user2;
+    let moeToken, nft, marketplace;
+    let chainId;
+    const price = ethers.utils.parseEther("100");
+
+    async function signOrders(overrides = {}) {
+        const deadline = (await time.latest()) + 3600;
+        const order = { tokenId: 1, amount: 1, currency: moeToken.address, price, deadline, nonce: 1, ...overrides };
+        const sell = await sdk.signSellOrder(user1, {
+            marketplace: marketplace.address,
+            chainId,
+            order: { ...order, maker: user1.address }
+        });
+        const buy = await sdk.signBuyOrder(user2, {
+            marketplace: marketplace.address,
+            chainId,
+            order: { ...order, maker: user2.address }
+        });
+        return { sell, buy };
+    }
+
+    beforeEach(async function () {
+        const fixture = await loadFixture(deployContractsFixture);
+        ({ user1, user2, moeToken, nft, marketplace } = fixture);
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        await moeToken.connect(user1).approve(nft.address, price);
+        await nft.mintWithApproval(user1.address, user1.address, 1, 1, "ipfs://verifier", price);
+        await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+        await moeToken.connect(user2).approve(marketplace.address, price.mul(2));
+    });
+
+    it("Should compute the same order hashes as the contract", async function () {
+        const { sell, buy } = await signOrders();
+        const sellHash = sdk.hashSellOrder({ marketplace: marketplace.address, chainId, order: sell.order });
+        const buyHash = sdk.hashBuyOrder({ marketplace: marketplace.address, chainId, order: buy.order });
+
+        await expect(marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature))
+            .to.emit(marketplace, "OrderMatched")
+            .withArgs(sellHash, buyHash, user1.address, user2.address, 1, 1, price);
+
+        expect(await marketplace.isOrderExecuted(sellHash)).to.equal(true);
+        expect(await marketplace.isOrderExecuted(buyHash)).to.equal(true);
+    });
+
+    it("Should accept valid orders and recover their makers", async function () {
+        const { sell, buy } = await signOrders();
+
+        const sellResult = await sdk.verifyOrder(marketplace, "sell", sell.order, sell.signature);
+        expect(sellResult).to.include({ valid: true, signer: user1.address });
+        expect(sellResult.errors).to.deep.equal([]);
+
+        const buyResult = await sdk.verifyOrder(marketplace, "buy", buy.order, buy.signature);
+        expect(buyResult).to.include({ valid: true, signer: user2.address });
+    });
+
+    it("Should reject a tampered order like the contract does", async function () {
+        const { sell, buy } = await signOrders();
+        const tampered = { ...sell.order, price: price.div(2) };
+
+        const result = await sdk.verifyOrder(marketplace, "sell", tampered, sell.signature);
+        expect(result.valid).to.equal(false);
+        expect(result.signer).to.not.equal(user1.address);
+        expect(result.errors).to.deep.equal(["Invalid signature"]);
+
+        await expect(marketplace.matchOrders(tampered, sell.signature, buy.order, buy.signature))
+            .to.be.revertedWith(result.errors[0]);
+    });
+
+    it("Should reject a signature from someone other than the maker", async function () {
+        const { buy } = await signOrders();
+        const forged = await sdk.signBuyOrder(user1, {
+            marketplace: marketplace.address,
+            chainId,
+            order: buy.order
+        });
+
+        expect(sdk.verifyOrderSignature("buy", { marketplace: marketplace.address, chainId, order: buy.order }, forged.signature))
+            .to.include({ valid: false, signer: user1.address });
+        await expect(sdk.assertOrderValid(marketplace, "buy", buy.order, forged.signature))
+            .to.be.rejectedWith("Invalid signature");
+    });
+
+    it("Should treat a malformed signature as invalid", async function () {
+        const { sell } = await signOrders();
+
+        const result = await sdk.verifyOrder(marketplace, "sell", sell.order, "0x1234");
+        expect(result).to.include({ valid: false, signer: null });
+        expect(result.errors).to.deep.equal(["Invalid signature"]);
+    });
+
+    it("Should reject expired orders like the contract does", async function () {
+        const { sell, buy } = await signOrders();
+        await time.increaseTo(sell.order.deadline + 1);
+
+        const result = await sdk.verifyOrder(marketplace, "sell", sell.order, sell.signature);
+        expect(result.errors).to.deep.equal(["Sell order expired"]);
+
+        await expect(marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature))
+            .to.be.revertedWith("Sell order expired");
+    });
+
+    it("Should check the deadline against a given timestamp", async function () {
+        const { sell } = await signOrders();
+
+        expect((await sdk.verifyOrder(marketplace, "sell", sell.order, sell.signature, { timestamp: sell.order.deadline })).valid)
+            .to.equal(true);
+        expect((await sdk.verifyOrder(marketplace, "sell", sell.order, sell.signature, { timestamp: sell.order.deadline + 1 })).errors)
+            .to.deep.equal(["Sell order expired"]);
+    });
+
+    it("Should reject executed orders and reused nonces", async function () {
+        const { sell, buy } = await signOrders();
+        await marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature);
+
+        const executed = await sdk.verifyOrder(marketplace, "sell", sell.order, sell.signature);
+        expect(executed.errors).to.deep.equal(["Sell order already executed"]);
+        expect(executed).to.include({ filledAmount: "1", remainingAmount: "0" });
+
+        // A new buy order reusing nonce 1
+        const { buy: reused } = await signOrders({ price: price.add(1) });
+        const result = await sdk.verifyOrder(marketplace, "buy", reused.order, reused.signature);
+        expect(result.errors).to.deep.equal(["Buy nonce used"]);
+    });
+
+    it("Should reject cancelled orders and nonces below the maker's minimum", async function () {
+        const { sell, buy } = await signOrders();
+        const sellHash = sdk.hashSellOrder({ marketplace: marketplace.address, chainId, order: sell.order });
+
+        await marketplace.connect(user1).cancelOrders([sellHash]);
+        expect((await sdk.verifyOrder(marketplace, "sell", sell.order, sell.signature)).errors)
+            .to.deep.equal(["Sell order cancelled"]);
+
+        await marketplace.connect(user2).setMinValidNonce(2);
+        const result = await sdk.verifyOrder(marketplace, "buy", buy.order, buy.signature);
+        expect(result.errors).to.deep.equal(["Buy nonce too low"]);
+
+        await expect(marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature))
+            .to.be.revertedWith("Sell order cancelled");
+    });
+
+    it("Should reject orders priced in a currency the marketplace does not allow", async function () {
+        const { sell } = await signOrders({ currency: nft.address });
+
+        const result = await sdk.verifyOrder(marketplace, "sell", sell.order, sell.signature);
+        expect(result.errors).to.deep.equal(["Currency not allowed"]);
+    });
+
+    it("Should verify collection bids like buy orders", async function () {
+        const deadline = (await time.latest()) + 3600;
+        const tree = sdk.buildTokenIdTree(sdk.tokenIdRange(1, 10));
+        const bid = await sdk.signCollectionBuyOrder(user2, {
+            marketplace: marketplace.address,
+            chainId,
+            order: { maker: user2.address, tokenIdsRoot: tree.root, amount: 1, currency: moeToken.address, price, deadline, nonce: 1 }
+        });
+
+        const result = await sdk.verifyOrder(marketplace, "collection", bid.order, bid.signature);
+        expect(result).to.include({ valid: true, signer: user2.address });
+        expect(result.hash).to.equal(sdk.hashCollectionBuyOrder({ marketplace: marketplace.address, chainId, order: bid.order }));
+
+        await time.increaseTo(deadline + 1);
+        expect((await sdk.verifyOrder(marketplace, "collection", bid.order, bid.signature)).errors)
+            .to.deep.equal(["Buy order expired"]);
+    });
+
+    it("Should reject unknown order sides", function () {
+        expect(() => sdk.verifyOrderSignature("swap", {}, "0x")).to.throw("Unknown order side: swap");
+    });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deploySafe, useScratchDeployment, deployRecordedContracts } = require("./fixtures");
+const { openDeployment, loadDeployments } = require("../scripts/utils/deployments");
+const { planRoles, executeRoles, planPayees, executePayees } = require("../scripts/utils/roles");
+const {
+    ADMIN_CONTRACTS,
+    resolveHandoffConfig,
+    planOwnershipHandoff,
+    executeOwnershipHandoff
+} = require("../scripts/utils/ownership");
+
+describe("Admin handoff", function () {
+    const { ethers } = hre;
+    const ADMIN_ROLE = hre.ethers.constants.HashZero;
+    let file, deployer, signer1, signer2, chainKey;
+    let deployment, contracts, expectedAdmins, safe;
+    const scratch = useScratchDeployment("moe-handoff-");
+
+    // Move the admin role of one contract away from the deployer
+    async function moveAdmin(contract, to) {
+        await contract.grantRole(ADMIN_ROLE, to);
+        await contract.renounceRole(ADMIN_ROLE, deployer.address);
+    }
+
+    beforeEach(async function () {
+        [deployer, signer1, signer2] = await ethers.getSigners();
+        chainKey = String((await ethers.provider.getNetwork()).chainId);
+        file = scratch.file;
+
+        deployment = await openDeployment(hre, { file });
+        contracts = await deployRecordedContracts(deployment, deployer.address);
+        expectedAdmins = [deployer.address];
+
+        safe = await deploySafe([signer1.address, signer2.address], 2);
+    });
+
+    it("Should hand every contract's admin role to the Safe and record it", async function () {
+        const handoff = resolveHandoffConfig(ethers, { owner: safe.address });
+        const plan = await planOwnershipHandoff(deployment, expectedAdmins, handoff);
+
+        expect(plan.safe).to.deep.equal({ owners: [signer1.address, signer2.address], threshold: 2 });
+        expect(plan.transfers.map((t) => t.name)).to.deep.equal(ADMIN_CONTRACTS);
+
+        await executeOwnershipHandoff(deployment, plan, handoff);
+
+        const ownership = loadDeployments(file)[chainKey].ownership;
+        for (const name of ADMIN_CONTRACTS) {
+            expect(await contracts[name].hasRole(ADMIN_ROLE, safe.address)).to.equal(true);
+            expect(await contracts[name].hasRole(ADMIN_ROLE, deployer.address)).to.equal(false);
+            expect(ownership[name]).to.deep.include({ admin: safe.address, previousAdmins: [deployer.address] });
+            expect(ownership[name].txHash).to.match(/^0x[0-9a-f]{64}$/);
+        }
+        // Minting moves to the Safe, the other operational roles stay where they were
+        const minterRole = await contracts.MOEToken.MINTER_ROLE();
+        expect(await contracts.MOEToken.hasRole(minterRole, safe.address)).to.equal(true);
+        expect(await contracts.MOEToken.hasRole(minterRole, deployer.address)).to.equal(false);
+        expect(ownership.MOEToken.roles).to.deep.equal({ minter: { holder: safe.address, previous: [deployer.address] } });
+        expect(await contracts.MoeGirlsMarketplace.hasRole(await contracts.MoeGirlsMarketplace.RELAYER_ROLE(), deployer.address)).to.equal(true);
+    });
+
+    it("Should leave mint payments and fees with the configured treasury after the handoff", async function () {
+        const [, , , treasury, backend] = await ethers.getSigners();
+        const config = { nft: { treasury: treasury.address }, marketplace: { feeRecipient: treasury.address } };
+        const roles = {
+            admin: [deployer.address],
+            relayer: [backend.address],
+            minter: [deployer.address],
+            treasurer: [treasury.address]
+        };
+
+        // Deploy steps 7 and 8, then the handoff
+        await executePayees(deployment, await planPayees(deployment, contracts, config), config);
+        await executeRoles(deployment, await planRoles(deployment, contracts, roles), roles);
+        const handoff = resolveHandoffConfig(ethers, { owner: safe.address });
+        await executeOwnershipHandoff(deployment, await planOwnershipHandoff(deployment, expectedAdmins, handoff), handoff);
+
+        const { MoeGirlsNFT: nft, MoeGirlsMarketplace: marketplace } = contracts;
+        expect(await nft.treasury()).to.equal(treasury.address);
+        expect(await marketplace.feeRecipient()).to.equal(treasury.address);
+        expect(loadDeployments(file)[chainKey].payees).to.deep.equal({
+            MoeGirlsNFT: { treasury: treasury.address },
+            MoeGirlsMarketplace: { feeRecipient: treasury.address }
+        });
+        for (const contract of [nft, marketplace]) {
+            expect(await contract.hasRole(await contract.TREASURER_ROLE(), deployer.address)).to.equal(false);
+            expect(await contract.hasRole(ADMIN_ROLE, deployer.address)).to.equal(false);
+        }
+    });
+
+    it("Should skip contracts already administered by the Safe", async function () {
+        const handoff = resolveHandoffConfig(ethers, { owner: safe.address });
+        await moveAdmin(contracts.DepositContract, safe.address);
+
+        const plan = await planOwnershipHandoff(deployment, expectedAdmins, handoff);
+        expect(plan.done).to.deep.equal(["DepositContract"]);
+        expect(plan.transfers).to.have.length(4);
+
+        await executeOwnershipHandoff(deployment, plan, handoff);
+        const rerun = await planOwnershipHandoff(deployment, expectedAdmins, handoff);
+        expect(rerun.transfers).to.have.length(0);
+        expect(rerun.done).to.deep.equal(ADMIN_CONTRACTS);
+        expect(loadDeployments(file)[chainKey].ownership.DepositContract.txHash).to.equal(null);
+    });
+
+    it("Should refuse to run if any contract has an unexpected admin", async function () {
+        const handoff = resolveHandoffConfig(ethers, { owner: safe.address });
+        await moveAdmin(contracts.MoeGirlsNFT, signer1.address);
+
+        await expect(planOwnershipHandoff(deployment, expectedAdmins, handoff))
+            .to.be.rejectedWith(`MoeGirlsNFT: 存在配置之外的 admin ${signer1.address}`);
+
+        // Nothing was transferred
+        expect(await contracts.MOEToken.hasRole(ADMIN_ROLE, deployer.address)).to.equal(true);
+        expect(await contracts.MoeGirlsMarketplace.hasRole(ADMIN_ROLE, safe.address)).to.equal(false);
+    });
+
+    it("Should refuse to run if an extra admin sits next to the expected one", async function () {
+        const handoff = resolveHandoffConfig(ethers, { owner: safe.address });
+        await contracts.DepositContract.grantRole(ADMIN_ROLE, signer2.address);
+
+        await expect(planOwnershipHandoff(deployment, expectedAdmins, handoff))
+            .to.be.rejectedWith(`DepositContract: 存在配置之外的 admin ${signer2.address}`);
+
+        // Revoked admins do not count
+        await contracts.DepositContract.revokeRole(ADMIN_ROLE, signer2.address);
+        const plan = await planOwnershipHandoff(deployment, expectedAdmins, handoff);
+        expect(plan.transfers).to.have.length(ADMIN_CONTRACTS.length);
+    });
+
+    it("Should refuse a target that is not a Safe", async function () {
+        const handoff = resolveHandoffConfig(ethers, { owner: signer1.address });
+
+        await expect(planOwnershipHandoff(deployment, expectedAdmins, handoff))
+            .to.be.rejectedWith(`${signer1.address} 不是 Safe 合约`);
+    });
+
+    it("Should allow a plain address when requireSafe is false", async function () {
+        const handoff = resolveHandoffConfig(ethers, { owner: signer1.address, requireSafe: false });
+        const plan = await planOwnershipHandoff(deployment, expectedAdmins, handoff);
+
+        await executeOwnershipHandoff(deployment, plan, handoff);
+        expect(await contracts.MOEToken.hasRole(ADMIN_ROLE, signer1.address)).to.equal(true);
+        expect(await contracts.MOEToken.hasRole(ADMIN_ROLE, deployer.address)).to.equal(false);
+    });
+
+    it("Should refuse when no signer holds a current admin key", async function () {
+        const handoff = resolveHandoffConfig(ethers, { owner: safe.address });
+        const stranger = ethers.Wallet.createRandom().address;
+        await moveAdmin(contracts.VestingWalletFactory, stranger);
+
+        await expect(planOwnershipHandoff(deployment, [...expectedAdmins, stranger], handoff))
+            .to.be.rejectedWith(`VestingWalletFactory: 没有 admin ${stranger} 的私钥`);
+    });
+
+    it("Should reject a missing multisig address", function () {
+        expect(() => resolveHandoffConfig(ethers, { owner: "multisig_address_here" }))
+            .to.throw("handoff.owner: 无效地址");
+        expect(() => resolveHandoffConfig(ethers, undefined)).to.throw("handoff.owner: 无效地址");
+    });
+});
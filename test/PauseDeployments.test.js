@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { openDeployment, loadDeployments } = require("../scripts/utils/deployments");
+const { deploySafe, useScratchDeployment, deployRecordedContracts } = require("./fixtures");
+const { PAUSABLE_CONTRACTS } = require("../scripts/utils/pause");
+
+describe("pause-deployments task", function () {
+    const { ethers } = hre;
+    let file, deployer, guardian, chainKey;
+    let contracts;
+    const scratch = useScratchDeployment("moe-pause-");
+
+    beforeEach(async function () {
+        [deployer, , , , guardian] = await ethers.getSigners();
+        chainKey = String((await ethers.provider.getNetwork()).chainId);
+        file = scratch.file;
+
+        contracts = await deployRecordedContracts(await openDeployment(hre, { file }), deployer.address);
+    });
+
+    it("Should pause and unpause every recorded contract and record it", async function () {
+        await hre.run("pause-deployments", { file });
+
+        let pause = loadDeployments(file)[chainKey].pause;
+        for (const name of PAUSABLE_CONTRACTS) {
+            expect(await contracts[name].paused()).to.equal(true);
+            expect(pause[name]).to.include({ paused: true, guardian: deployer.address });
+        }
+
+        // Already paused contracts are skipped
+        const txHash = pause.MoeGirlsNFT.txHash;
+        await hre.run("pause-deployments", { file });
+        expect(loadDeployments(file)[chainKey].pause.MoeGirlsNFT.txHash).to.equal(txHash);
+
+        await hre.run("unpause-deployments", { file });
+
+        pause = loadDeployments(file)[chainKey].pause;
+        for (const name of PAUSABLE_CONTRACTS) {
+            expect(await contracts[name].paused()).to.equal(false);
+            expect(pause[name].paused).to.equal(false);
+        }
+    });
+
+    it("Should use the guardian key rather than the admin key", async function () {
+        for (const name of PAUSABLE_CONTRACTS) {
+            await contracts[name].transferGuardian(guardian.address);
+        }
+
+        await hre.run("pause-deployments", { file });
+
+        const pause = loadDeployments(file)[chainKey].pause;
+        expect(pause.DepositContract.guardian).to.equal(guardian.address);
+        expect(await contracts.DepositContract.hasRole(ethers.constants.HashZero, deployer.address)).to.equal(true);
+        expect(await contracts.DepositContract.paused()).to.equal(true);
+    });
+
+    it("Should refuse to send anything without every guardian key", async function () {
+        const unknown = ethers.Wallet.createRandom().address;
+        await contracts.MoeGirlsMarketplace.transferGuardian(unknown);
+
+        await expect(hre.run("pause-deployments", { file }))
+            .to.be.rejectedWith(`MoeGirlsMarketplace: 没有 guardian ${unknown} 的私钥`);
+
+        for (const name of PAUSABLE_CONTRACTS) {
+            expect(await contracts[name].paused()).to.equal(false);
+        }
+        expect(loadDeployments(file)[chainKey].pause).to.equal(undefined);
+    });
+
+    it("Should write a Transaction Builder batch for a Safe guardian", async function () {
+        const [, owner] = await ethers.getSigners();
+        const safe = await deploySafe([owner.address], 1);
+        for (const name of ["DepositContract", "MoeGirlsMarketplace"]) {
+            await contracts[name].transferGuardian(safe.address);
+        }
+
+        await hre.run("pause-deployments", { file });
+
+        // Contracts with a local guardian key are paused directly, the Safe's are only proposed
+        expect(await contracts.MoeGirlsNFT.paused()).to.equal(true);
+        expect(await contracts.DepositContract.paused()).to.equal(false);
+
+        const pause = loadDeployments(file)[chainKey].pause;
+        expect(pause.MoeGirlsNFT.proposal).to.equal(undefined);
+        const { proposal } = pause.MoeGirlsMarketplace;
+        expect(proposal).to.include({ paused: true, to: contracts.MoeGirlsMarketplace.address });
+        expect(pause.MoeGirlsMarketplace.guardian).to.equal(safe.address);
+
+        const batch = JSON.parse(fs.readFileSync(proposal.file, "utf8"));
+        expect(batch).to.deep.include({ version: "1.0", chainId: chainKey });
+        expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+        expect(batch.transactions.map((tx) => tx.to)).to.deep.equal([
+            contracts.DepositContract.address,
+            contracts.MoeGirlsMarketplace.address
+        ]);
+
+        // Executed by the Safe, the calls pause the contracts
+        await ethers.provider.send("hardhat_impersonateAccount", [safe.address]);
+        await ethers.provider.send("hardhat_setBalance", [safe.address, "0xde0b6b3a7640000"]);
+        const safeSigner = await ethers.getSigner(safe.address);
+        for (const tx of batch.transactions) {
+            await safeSigner.sendTransaction({ to: tx.to, data: tx.data });
+        }
+        await ethers.provider.send("hardhat_stopImpersonatingAccount", [safe.address]);
+
+        expect(await contracts.DepositContract.paused()).to.equal(true);
+        expect(await contracts.MoeGirlsMarketplace.paused()).to.equal(true);
+    });
+
+    it("Should refuse to run without pausable contracts in the record", async function () {
+        fs.writeFileSync(file, JSON.stringify({ [chainKey]: { contracts: {} } }));
+
+        await expect(hre.run("pause-deployments", { file }))
+            .to.be.rejectedWith("部署记录中没有可暂停的合约");
+    });
+});
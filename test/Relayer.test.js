@@ -0,0 +1,339 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContractsFixture } = require("./fixtures");
+const sdk = require("../sdk");
+const { createRelayer, decodeRevertData } = require("../relayer");
+
+describe("Relayer", function () {
+    let deployer, user1, user2, relayerSigner;
+    let moeToken, depositContract, vestingFactory, nft, marketplace;
+    let chainId, relayer;
+
+    async function signPermit(owner, spender, value, deadline) {
+        return sdk.signERC20Permit(owner, {
+            token: moeToken.address,
+            chainId,
+            owner: owner.address,
+            spender,
+            value,
+            nonce: await moeToken.nonces(owner.address),
+            deadline
+        });
+    }
+
+    async function signOrders(price) {
+        const deadline = (await time.latest()) + 3600;
+        const order = { tokenId: 1, amount: 1, currency: moeToken.address, price, deadline, nonce: 1 };
+        const sell = await sdk.signSellOrder(user1, {
+            marketplace: marketplace.address,
+            chainId,
+            order: { ...order, maker: user1.address }
+        });
+        const buy = await sdk.signBuyOrder(user2, {
+            marketplace: marketplace.address,
+            chainId,
+            order: { ...order, maker: user2.address }
+        });
+        return { sellOrder: sell.order, sellSignature: sell.signature, buyOrder: buy.order, buySignature: buy.signature };
+    }
+
+    beforeEach(async function () {
+        const fixture = await loadFixture(deployContractsFixture);
+        ({ deployer, user1, user2, moeToken, depositContract, vestingFactory, nft, marketplace } = fixture);
+        relayerSigner = fixture.relayer;
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        relayer = createRelayer({
+            signer: deployer,
+            contracts: { depositContract, nft, marketplace, vestingFactory, moeToken }
+        });
+    });
+
+    describe("depositWithPermit", function () {
+        it("Should simulate, submit and return the receipt", async function () {
+            const amount = ethers.utils.parseEther("100");
+            const deadline = (await time.latest()) + 3600;
+            const permit = await signPermit(user1, depositContract.address, amount, deadline);
+
+            const result = await relayer.depositWithPermit({
+                player: user1.address,
+                amount,
+                deadline,
+                signature: permit.signature
+            });
+
+            expect(result).to.include({ action: "depositWithPermit", ok: true, status: "confirmed", error: null });
+            expect(result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+            expect(Number(result.gasUsed)).to.be.greaterThan(0);
+
+            const deposit = result.events.find((e) => e.event === "DepositMade");
+            expect(deposit.args).to.include({ player: user1.address, amount: amount.toString() });
+            expect(await depositContract.getTotalDeposits()).to.equal(1);
+        });
+
+        it("Should accept split v, r, s", async function () {
+            const amount = ethers.utils.parseEther("1");
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(user1, depositContract.address, amount, deadline);
+
+            const result = await relayer.depositWithPermit({ player: user1.address, amount, deadline, v, r, s });
+            expect(result.ok).to.equal(true);
+        });
+
+        it("Should reject a bad permit without sending a transaction", async function () {
+            const amount = ethers.utils.parseEther("100");
+            const deadline = (await time.latest()) + 3600;
+            const permit = await signPermit(user1, depositContract.address, amount, deadline);
+            const nonceBefore = await deployer.getTransactionCount();
+
+            const result = await relayer.depositWithPermit({
+                player: user1.address,
+                amount: amount.mul(2),
+                deadline,
+                signature: permit.signature
+            });
+
+            expect(result).to.include({ ok: false, status: "rejected", stage: "simulation", txHash: null });
+            expect(result.error.name).to.equal("ERC2612InvalidSigner");
+            expect(result.error.reason).to.match(/^ERC2612InvalidSigner\(0x[0-9a-fA-F]{40}, 0x[0-9a-fA-F]{40}\)$/);
+            expect(await deployer.getTransactionCount()).to.equal(nonceBefore);
+        });
+
+        it("Should reject a payload with missing fields", async function () {
+            const result = await relayer.depositWithPermit({ player: user1.address, amount: 1 });
+
+            expect(result).to.include({ ok: false, status: "rejected", stage: "validation" });
+            expect(result.error.reason).to.equal("depositWithPermit.deadline is required");
+        });
+    });
+
+    describe("mintWithPermit", function () {
+        it("Should return the minted tokenId", async function () {
+            const price = ethers.utils.parseEther("50");
+            const deadline = (await time.latest()) + 3600;
+            const permit = await signPermit(user1, nft.address, price, deadline);
+
+            const result = await relayer.mintWithPermit({
+                payer: user1.address,
+                to: user1.address,
+                amount: 1,
+                cardId: 42,
+                metadataUri: "ipfs://relayer",
+                price,
+                deadline,
+                signature: permit.signature
+            });
+
+            expect(result).to.include({ ok: true, returnValue: "42" });
+            expect(result.events.map((e) => e.event)).to.include.members(["Transfer", "TransferSingle", "NFTMinted"]);
+            expect(await nft.balanceOf(user1.address, 42)).to.equal(1);
+        });
+
+        it("Should decode require() reasons", async function () {
+            const result = await relayer.mintWithPermit({
+                payer: user1.address,
+                to: user1.address,
+                amount: 1,
+                cardId: 0,
+                metadataUri: "",
+                price: 0,
+                deadline: 0,
+                v: 27,
+                r: ethers.constants.HashZero,
+                s: ethers.constants.HashZero
+            });
+
+            expect(result.stage).to.equal("simulation");
+            expect(result.error).to.include({ reason: "Invalid card ID", name: "Error" });
+        });
+    });
+
+    describe("matchOrders", function () {
+        const price = ethers.utils.parseEther("100");
+
+        beforeEach(async function () {
+            await moeToken.connect(user1).approve(nft.address, price);
+            await nft.mintWithApproval(user1.address, user1.address, 1, 1, "ipfs://relayer", price);
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, price.mul(2));
+        });
+
+        it("Should settle matching orders", async function () {
+            const payload = await signOrders(price);
+            const result = await relayer.matchOrders(payload);
+
+            expect(result.status).to.equal("confirmed");
+            const matched = result.events.find((e) => e.event === "OrderMatched");
+            expect(matched.args).to.include({
+                sellOrderHash: sdk.hashSellOrder({ marketplace: marketplace.address, chainId, order: payload.sellOrder }),
+                seller: user1.address,
+                buyer: user2.address,
+                price: price.toString()
+            });
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+        });
+
+        afterEach(async function () {
+            // Runs even when the test below times out, so automine never stays off
+            await network.provider.send("evm_setAutomine", [true]);
+        });
+
+        it("Should report a revert that happens after a successful simulation", async function () {
+            const payload = await signOrders(price);
+
+            // With automine off the second send would be estimated against the
+            // pending block (and fail at submission), so give both a fixed nonce and gas limit
+            let nonce = await deployer.getTransactionCount();
+            const signer = Object.create(deployer);
+            signer.sendTransaction = (tx) => deployer.sendTransaction({ ...tx, nonce: nonce++, gasLimit: 1000000 });
+            const racingRelayer = createRelayer({ signer, contracts: { marketplace } });
+
+            // loadFixture rewinds the chain, so the provider may still remember a block number
+            // equal to the one mined below and skip polling for the receipts
+            ethers.provider.resetEventsBlock(Number(await network.provider.send("eth_blockNumber")));
+
+            await network.provider.send("evm_setAutomine", [false]);
+
+            // Both simulate against the same state, only one can settle
+            const first = racingRelayer.matchOrders(payload);
+            const second = racingRelayer.matchOrders(payload);
+
+            let sent = 0;
+            for (let attempt = 0; attempt < 200 && sent < 2; attempt++) {
+                await new Promise((resolve) => setTimeout(resolve, 10));
+                sent = (await network.provider.send("eth_getBlockByNumber", ["pending", false])).transactions.length;
+            }
+            expect(sent, "both transactions should reach the mempool").to.equal(2);
+            await network.provider.send("evm_mine");
+
+            const results = await Promise.all([first, second]);
+            expect(results.map((r) => r.status)).to.have.members(["confirmed", "reverted"]);
+            const confirmed = results.find((r) => r.status === "confirmed");
+            const reverted = results.find((r) => r.status === "reverted");
+            expect(reverted).to.include({ stage: "receipt", blockNumber: confirmed.blockNumber });
+            expect(reverted.error.reason).to.equal("Sell order already executed");
+        });
+    });
+
+    describe("buyWithPermit", function () {
+        const price = ethers.utils.parseEther("100");
+
+        it("Should fill a sell order with the buyer's permit", async function () {
+            await moeToken.connect(user1).approve(nft.address, price);
+            await nft.mintWithApproval(user1.address, user1.address, 1, 1, "ipfs://relayer", price);
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+
+            const { sellOrder, sellSignature } = await signOrders(price);
+            const permit = await signPermit(user2, marketplace.address, price, sellOrder.deadline);
+            const result = await relayer.buyWithPermit({
+                sellOrder,
+                sellSignature,
+                buyer: user2.address,
+                amount: 1,
+                value: price,
+                deadline: sellOrder.deadline,
+                signature: permit.signature
+            });
+
+            expect(result.status).to.equal("confirmed");
+            expect(result.events.find((e) => e.event === "OrderMatched").args).to.include({
+                buyOrderHash: ethers.constants.HashZero,
+                buyer: user2.address,
+                price: price.toString()
+            });
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+        });
+    });
+
+    describe("matchSwapOrders", function () {
+        it("Should settle a card swap", async function () {
+            const price = ethers.utils.parseEther("10");
+            for (const [user, cardId] of [[user1, 1], [user2, 2]]) {
+                await moeToken.connect(user).approve(nft.address, price);
+                await nft.mintWithApproval(user.address, user.address, 1, cardId, "ipfs://relayer", price);
+                await nft.connect(user).setApprovalForAll(marketplace.address, true);
+            }
+
+            const deadline = (await time.latest()) + 3600;
+            const swap = (maker, give, take) => sdk.signSwapOrder(maker, {
+                marketplace: marketplace.address,
+                chainId,
+                order: {
+                    maker: maker.address,
+                    giveTokenIds: [give],
+                    giveAmounts: [1],
+                    giveMoe: 0,
+                    takeTokenIds: [take],
+                    takeAmounts: [1],
+                    takeMoe: 0,
+                    deadline,
+                    nonce: 1
+                }
+            });
+            const a = await swap(user1, 1, 2);
+            const b = await swap(user2, 2, 1);
+
+            const result = await relayer.matchSwapOrders({ orderA: a.order, signatureA: a.signature, orderB: b.order, signatureB: b.signature });
+            expect(result.status).to.equal("confirmed");
+            expect(result.events.map((e) => e.event)).to.include("SwapMatched");
+            expect(await nft.balanceOf(user1.address, 2)).to.equal(1);
+            expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+        });
+    });
+
+    describe("createVesting", function () {
+        it("Should return the new vesting wallet", async function () {
+            const amount = ethers.utils.parseEther("400");
+            const result = await relayer.createVesting({ beneficiary: user1.address, amount });
+
+            const wallets = await vestingFactory.getPlayerVestingWallets(user1.address);
+            expect(result.returnValue).to.equal(wallets[0]);
+            expect(result.events.find((e) => e.event === "VestingCreated").args.vestingWallet).to.equal(wallets[0]);
+        });
+
+        it("Should reject calls from a relayer without RELAYER_ROLE", async function () {
+            const stranger = createRelayer({ signer: relayerSigner, contracts: { vestingFactory } });
+            const result = await stranger.createVesting({ beneficiary: user1.address, amount: 400 });
+
+            const role = await vestingFactory.RELAYER_ROLE();
+            expect(result.error).to.include({
+                name: "AccessControlUnauthorizedAccount",
+                reason: `AccessControlUnauthorizedAccount(${relayerSigner.address}, ${role})`
+            });
+        });
+    });
+
+    describe("redeemVoucher", function () {
+        it("Should redeem a voucher from a relayer without RELAYER_ROLE", async function () {
+            const { voucher, signature } = await sdk.signWithdrawalVoucher(deployer, {
+                factory: vestingFactory.address,
+                chainId,
+                voucher: { player: user1.address, amount: 400, nonce: 1, deadline: (await time.latest()) + 3600 }
+            });
+            const stranger = createRelayer({ signer: relayerSigner, contracts: { vestingFactory } });
+
+            const result = await stranger.redeemVoucher({ ...voucher, signature });
+            expect(result.status).to.equal("confirmed");
+            expect(result.events.find((e) => e.event === "VoucherRedeemed").args).to.include({ player: user1.address, signer: deployer.address });
+
+            const replay = await stranger.redeemVoucher({ ...voucher, signature });
+            expect(replay.error.reason).to.equal("Factory: voucher nonce used");
+        });
+    });
+
+    it("Should reject unknown actions", async function () {
+        const result = await relayer.relay("burn", {});
+        expect(result.error.reason).to.equal("Unknown action: burn");
+    });
+
+    describe("decodeRevertData", function () {
+        it("Should decode panics and empty reverts", function () {
+            const panic = "0x4e487b71" + ethers.utils.defaultAbiCoder.encode(["uint256"], [0x11]).slice(2);
+
+            expect(decodeRevertData(panic).reason).to.equal("Panic(0x11): Arithmetic overflow or underflow");
+            expect(decodeRevertData("0x").reason).to.equal("Reverted without a reason");
+            expect(decodeRevertData("0xdeadbeef").reason).to.equal("Unknown custom error 0xdeadbeef");
+        });
+    });
+});
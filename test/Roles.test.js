@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { openDeployment, loadDeployments } = require("../scripts/utils/deployments");
+const { useScratchDeployment, deployRecordedContracts } = require("./fixtures");
+const { CONTRACT_ROLES, planRoles, executeRoles, planPayees, executePayees } = require("../scripts/utils/roles");
+
+// Roles granted from the deploy config, with the Backend relayer key kept away
+// from minting and administration.
+describe("Roles", function () {
+    const { ethers } = hre;
+    const ADMIN_ROLE = hre.ethers.constants.HashZero;
+    let file, chainKey, deployer, admin, relayer, minter, treasurer, player;
+    let deployment, contracts, roles;
+    const scratch = useScratchDeployment("moe-roles-");
+
+    beforeEach(async function () {
+        [deployer, player, , , admin, relayer, minter, treasurer] = await ethers.getSigners();
+        chainKey = String((await ethers.provider.getNetwork()).chainId);
+        file = scratch.file;
+
+        deployment = await openDeployment(hre, { file });
+        contracts = await deployRecordedContracts(deployment, deployer.address);
+        roles = {
+            admin: [admin.address],
+            relayer: [relayer.address],
+            minter: [minter.address],
+            treasurer: [treasurer.address]
+        };
+    });
+
+    async function applyRoles() {
+        return executeRoles(deployment, await planRoles(deployment, contracts, roles), roles);
+    }
+
+    it("Should grant the configured roles and drop the deployer's", async function () {
+        await applyRoles();
+
+        for (const [name, roleNames] of Object.entries(CONTRACT_ROLES)) {
+            const contract = contracts[name];
+            for (const role of roleNames) {
+                const roleId = role === "admin" ? ADMIN_ROLE : await contract[`${role.toUpperCase()}_ROLE`]();
+                expect(await contract.hasRole(roleId, roles[role][0])).to.equal(true);
+                expect(await contract.hasRole(roleId, deployer.address)).to.equal(false);
+            }
+        }
+        expect(loadDeployments(file)[chainKey].roles.MOEToken).to.deep.equal({
+            minter: [minter.address],
+            admin: [admin.address]
+        });
+
+        const rerun = await planRoles(deployment, contracts, roles);
+        expect(rerun.changes).to.have.length(0);
+        expect(rerun.done).to.deep.equal(Object.keys(CONTRACT_ROLES));
+    });
+
+    it("Should keep a relayer key from minting or taking over", async function () {
+        await applyRoles();
+        const { MOEToken: moeToken, VestingWalletFactory: factory, MoeGirlsNFT: nft, MoeGirlsMarketplace: marketplace } = contracts;
+
+        // The relayer can do its job
+        await moeToken.transfer(factory.address, ethers.utils.parseEther("400"));
+        await expect(factory.connect(relayer).createVesting(player.address, ethers.utils.parseEther("400")))
+            .to.emit(factory, "VestingCreated");
+
+        await expect(moeToken.connect(relayer).mint(relayer.address, 1))
+            .to.be.revertedWithCustomError(moeToken, "AccessControlUnauthorizedAccount")
+            .withArgs(relayer.address, await moeToken.MINTER_ROLE());
+        for (const contract of Object.values(contracts)) {
+            await expect(contract.connect(relayer).grantRole(ADMIN_ROLE, relayer.address))
+                .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+                .withArgs(relayer.address, ADMIN_ROLE);
+        }
+        await expect(marketplace.connect(relayer).setFeeRecipient(relayer.address))
+            .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+        await expect(marketplace.connect(relayer).setProtocolFee(1000))
+            .to.be.revertedWithCustomError(marketplace, "AccessControlUnauthorizedAccount");
+        await expect(nft.connect(relayer).setTreasury(relayer.address))
+            .to.be.revertedWithCustomError(nft, "AccessControlUnauthorizedAccount");
+
+        // Each of those belongs to another key
+        await moeToken.connect(minter).mint(player.address, 1);
+        await nft.connect(treasurer).setTreasury(treasurer.address);
+        await marketplace.connect(admin).setProtocolFee(100);
+        expect(await nft.treasury()).to.equal(treasurer.address);
+    });
+
+    it("Should revoke a rotated relayer recorded by the previous run", async function () {
+        await applyRoles();
+        const [, , newRelayer] = await ethers.getSigners();
+        roles.relayer = [newRelayer.address];
+
+        const plan = await planRoles(deployment, contracts, roles);
+        expect(plan.changes.map(({ name, account, grant }) => [name, account, grant])).to.deep.include.members([
+            ["DepositContract", newRelayer.address, true],
+            ["DepositContract", relayer.address, false]
+        ]);
+        await executeRoles(deployment, plan, roles);
+
+        const relayerRole = await contracts.DepositContract.RELAYER_ROLE();
+        expect(await contracts.DepositContract.hasRole(relayerRole, relayer.address)).to.equal(false);
+        expect(await contracts.DepositContract.hasRole(relayerRole, newRelayer.address)).to.equal(true);
+    });
+
+    it("Should refuse to change roles without an admin key", async function () {
+        roles.admin = [ethers.Wallet.createRandom().address];
+        await applyRoles();
+
+        roles.relayer = [player.address];
+        await expect(planRoles(deployment, contracts, roles))
+            .to.be.rejectedWith("DepositContract: 没有持有 admin 角色的私钥");
+    });
+
+    describe("Payees", function () {
+        let payees;
+
+        beforeEach(function () {
+            payees = { nft: { treasury: treasurer.address }, marketplace: { feeRecipient: treasurer.address } };
+        });
+
+        it("Should point the treasury and fee recipient away from the deployer before its role goes", async function () {
+            const plan = await planPayees(deployment, contracts, payees);
+            expect(plan.changes.map(({ name, field }) => [name, field])).to.deep.equal([
+                ["MoeGirlsNFT", "treasury"],
+                ["MoeGirlsMarketplace", "feeRecipient"]
+            ]);
+            await executePayees(deployment, plan, payees);
+            await applyRoles();
+
+            expect(await contracts.MoeGirlsNFT.treasury()).to.equal(treasurer.address);
+            expect(await contracts.MoeGirlsMarketplace.feeRecipient()).to.equal(treasurer.address);
+            expect(loadDeployments(file)[chainKey].payees).to.deep.equal({
+                MoeGirlsNFT: { treasury: treasurer.address },
+                MoeGirlsMarketplace: { feeRecipient: treasurer.address }
+            });
+
+            const rerun = await planPayees(deployment, contracts, payees);
+            expect(rerun.changes).to.have.length(0);
+            expect(rerun.done).to.deep.equal(["MoeGirlsNFT", "MoeGirlsMarketplace"]);
+        });
+
+        it("Should refuse to change a payee without a treasurer key", async function () {
+            roles.treasurer = [ethers.Wallet.createRandom().address];
+            await applyRoles();
+
+            await expect(planPayees(deployment, contracts, payees))
+                .to.be.rejectedWith("MoeGirlsNFT: 没有持有 treasurer 角色的私钥，无法设置 treasury");
+            expect(await contracts.MoeGirlsNFT.treasury()).to.equal(deployer.address);
+        });
+    });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContractsFixture } = require("./fixtures");
+const sdk = require("../sdk");
+
+describe("SDK (EIP-712)", function () {
+    let deployer, user1, user2;
+    let moeToken, depositContract, vestingFactory, nft, marketplace;
+    let chainId;
+
+    beforeEach(async function () {
+        const fixture = await loadFixture(deployContractsFixture);
+        ({ deployer, user1, user2, moeToken, depositContract, vestingFactory, nft, marketplace } = fixture);
+        chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    describe("Domains", function () {
+        it("Should match the eip712Domain() of every contract", async function () {
+            for (const [name, contract] of [
+                ["MOEToken", moeToken],
+                ["MoeGirlsNFT", nft],
+                ["MoeGirlsMarketplace", marketplace],
+                ["VestingWalletFactory", vestingFactory]
+            ]) {
+                const onChain = await contract.eip712Domain();
+                expect(sdk.buildDomain(name, contract.address, chainId)).to.deep.equal({
+                    name: onChain.name,
+                    version: onChain.version,
+                    chainId: onChain.chainId.toNumber(),
+                    verifyingContract: onChain.verifyingContract
+                });
+            }
+        });
+
+        it("Should match DOMAIN_SEPARATOR() of MOEToken and MoeGirlsNFT", async function () {
+            expect(ethers.utils._TypedDataEncoder.hashDomain(sdk.buildDomain("MOEToken", moeToken.address, chainId)))
+                .to.equal(await moeToken.DOMAIN_SEPARATOR());
+            expect(ethers.utils._TypedDataEncoder.hashDomain(sdk.buildDomain("MoeGirlsNFT", nft.address, chainId)))
+                .to.equal(await nft.DOMAIN_SEPARATOR());
+        });
+
+        it("Should reject unknown contracts", function () {
+            expect(() => sdk.buildDomain("Unknown", moeToken.address, chainId)).to.throw("Unknown contract: Unknown");
+        });
+    });
+
+    describe("EIP-2612 permit (MOEToken)", function () {
+        it("Should produce a permit accepted by depositWithPermit", async function () {
+            const amount = ethers.utils.parseEther("100");
+            const deadline = (await time.latest()) + 3600;
+
+            const permit = await sdk.signERC20Permit(user1, {
+                token: moeToken.address,
+                chainId,
+                owner: user1.address,
+                spender: depositContract.address,
+                value: amount,
+                nonce: await moeToken.nonces(user1.address),
+                deadline
+            });
+
+            expect(permit.primaryType).to.equal("Permit");
+            expect(sdk.recoverTypedDataSigner(permit, permit.signature)).to.equal(user1.address);
+
+            await expect(
+                depositContract.connect(deployer).depositWithPermit(
+                    user1.address, amount, deadline, permit.v, permit.r, permit.s
+                )
+            ).to.emit(depositContract, "DepositMade");
+        });
+
+        it("Should require every message field", function () {
+            expect(() => sdk.buildERC20Permit({
+                token: moeToken.address,
+                chainId,
+                owner: user1.address,
+                spender: depositContract.address,
+                value: 1,
+                deadline: 1
+            })).to.throw("Permit.nonce is required");
+        });
+    });
+
+    describe("ERC-7604 permit (MoeGirlsNFT)", function () {
+        it("Should produce a permit accepted by nft.permit", async function () {
+            const deadline = (await time.latest()) + 3600;
+
+            const permit = await sdk.signERC1155Permit(user1, {
+                nft: nft.address,
+                chainId,
+                owner: user1.address,
+                operator: marketplace.address,
+                approved: true,
+                nonce: await nft.nonces(user1.address),
+                deadline
+            });
+
+            await nft.permit(user1.address, marketplace.address, true, deadline, permit.v, permit.r, permit.s);
+            expect(await nft.isApprovedForAll(user1.address, marketplace.address)).to.equal(true);
+        });
+    });
+
+    describe("Marketplace orders", function () {
+        it("Should produce orders accepted by matchOrders", async function () {
+            const price = ethers.utils.parseEther("100");
+            const deadline = (await time.latest()) + 3600;
+
+            await moeToken.connect(user1).approve(nft.address, price);
+            await nft.mintWithApproval(user1.address, user1.address, 1, 7, "ipfs://sdk", price);
+            await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+            await moeToken.connect(user2).approve(marketplace.address, price);
+
+            const order = { tokenId: 7, amount: 1, currency: moeToken.address, price, deadline, nonce: 1 };
+            const sell = await sdk.signSellOrder(user1, {
+                marketplace: marketplace.address,
+                chainId,
+                order: { ...order, maker: user1.address }
+            });
+            const buy = await sdk.signBuyOrder(user2, {
+                marketplace: marketplace.address,
+                chainId,
+                order: { ...order, maker: user2.address }
+            });
+
+            await expect(
+                marketplace.matchOrders(sell.order, sell.signature, buy.order, buy.signature)
+            ).to.emit(marketplace, "OrderMatched").withArgs(
+                sdk.hashTypedData(sell),
+                sdk.hashTypedData(buy),
+                user1.address,
+                user2.address,
+                7,
+                1,
+                price
+            );
+        });
+
+        it("Should keep only the signed fields of an order", function () {
+            const typedData = sdk.buildSellOrder({
+                marketplace: marketplace.address,
+                chainId,
+                order: { maker: user1.address, tokenId: 1, amount: 1, currency: moeToken.address, price: 1, deadline: 1, nonce: 1, extra: "ignored" }
+            });
+
+            expect(Object.keys(typedData.message)).to.deep.equal(["maker", "tokenId", "amount", "currency", "price", "deadline", "nonce"]);
+        });
+
+        it("Should require bundle items of the same length", function () {
+            const order = { maker: user1.address, tokenIds: [1, 2], amounts: [1], currency: moeToken.address, price: 1, deadline: 1, nonce: 1 };
+
+            expect(() => sdk.buildBundleSellOrder({ marketplace: marketplace.address, chainId, order }))
+                .to.throw("BundleSellOrder.tokenIds and amounts must be arrays of the same length");
+            expect(sdk.buildBundleSellOrder({ marketplace: marketplace.address, chainId, order: { ...order, amounts: [1, 1] } }).primaryType)
+                .to.equal("BundleSellOrder");
+        });
+    });
+
+    describe("Withdrawal vouchers", function () {
+        const amount = ethers.utils.parseEther("400");
+
+        // deployer holds RELAYER_ROLE on the factory in the fixture
+        async function issue(voucher = {}, signer = deployer) {
+            return sdk.signWithdrawalVoucher(signer, {
+                factory: vestingFactory.address,
+                chainId,
+                voucher: { player: user1.address, amount, nonce: 7, deadline: (await time.latest()) + 3600, ...voucher }
+            });
+        }
+
+        it("Should issue vouchers that verify and redeem on the factory", async function () {
+            const { voucher, signature } = await issue();
+
+            const result = await sdk.verifyWithdrawalVoucher(vestingFactory, voucher, signature);
+            expect(result).to.deep.include({ valid: true, errors: [], signer: deployer.address });
+            expect(result.hash).to.equal(sdk.hashWithdrawalVoucher({ factory: vestingFactory.address, chainId, voucher }));
+
+            await vestingFactory.connect(user2).redeemVoucher(voucher.player, voucher.amount, voucher.nonce, voucher.deadline, signature);
+            expect((await sdk.verifyWithdrawalVoucher(vestingFactory, voucher, signature)).errors)
+                .to.deep.equal(["Factory: voucher nonce used"]);
+        });
+
+        it("Should report tampered, forged and expired vouchers", async function () {
+            const { voucher, signature } = await issue();
+
+            const tampered = await sdk.verifyWithdrawalVoucher(vestingFactory, { ...voucher, amount: amount.mul(2) }, signature);
+            expect(tampered.valid).to.equal(false);
+            expect(tampered.signer).to.not.equal(deployer.address);
+            expect(tampered.errors).to.deep.equal(["Factory: invalid voucher signature"]);
+
+            const forged = await issue({}, user1);
+            expect((await sdk.verifyWithdrawalVoucher(vestingFactory, forged.voucher, forged.signature)).errors)
+                .to.deep.equal(["Factory: invalid voucher signature"]);
+            expect((await sdk.verifyWithdrawalVoucher(vestingFactory, voucher, "0x1234")).signer).to.equal(null);
+
+            await expect(sdk.assertWithdrawalVoucherValid(vestingFactory, voucher, signature, { timestamp: voucher.deadline + 1 }))
+                .to.be.rejectedWith("Factory: voucher expired");
+        });
+    });
+
+    describe("TokenId Merkle trees", function () {
+        it("Should prove every tokenId of a set", function () {
+            for (const size of [1, 2, 5, 8]) {
+                const tree = sdk.buildTokenIdTree(sdk.tokenIdRange(1000, 999 + size));
+                for (const tokenId of tree.tokenIds) {
+                    expect(sdk.verifyTokenIdProof(tree.root, tokenId, tree.getProof(tokenId))).to.equal(true);
+                }
+            }
+        });
+
+        it("Should use the leaf as the root of a single tokenId", function () {
+            const tree = sdk.buildTokenIdTree([42, "42"]);
+            expect(tree.tokenIds).to.deep.equal(["42"]);
+            expect(tree.root).to.equal(sdk.tokenIdLeaf(42));
+            expect(tree.getProof(42)).to.deep.equal([]);
+        });
+
+        it("Should not prove tokenIds outside the set", function () {
+            const tree = sdk.buildTokenIdTree([1, 3, 5]);
+
+            expect(sdk.verifyTokenIdProof(tree.root, 2, tree.getProof(1))).to.equal(false);
+            expect(() => tree.getProof(2)).to.throw("tokenId 2 is not in the tree");
+            expect(() => sdk.buildTokenIdTree([])).to.throw("At least one tokenId is required");
+            expect(() => sdk.tokenIdRange(5, 1)).to.throw("Invalid tokenId range");
+        });
+    });
+});
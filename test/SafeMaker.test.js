@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContractsFixture, deploySafe } = require("./fixtures");
+const sdk = require("../sdk");
+const { createRelayer } = require("../relayer");
+
+// A Safe (2-of-2 multisig) trading on the marketplace: every approval and
+// order is an ERC-1271 signature made by the Safe's owners, and the backend
+// submits everything, so the Safe never sends a transaction itself.
+describe("Safe as marketplace maker (ERC-1271)", function () {
+    const price = ethers.utils.parseEther("100");
+    const cardId = 1;
+    let deployer, user1, user2, owner1, owner2;
+    let moeToken, nft, marketplace;
+    let safe, relayer, chainId;
+
+    // Safe signature (both owners) over an EIP-712 digest
+    async function signAsSafe(typedData, owners = [owner1, owner2]) {
+        const hash = sdk.hashTypedData(typedData);
+        return (await sdk.signSafeMessage(owners, { safe: safe.address, chainId, hash })).signature;
+    }
+
+    async function orderFor(maker, nonce) {
+        return {
+            maker,
+            tokenId: cardId,
+            amount: 1,
+            currency: moeToken.address,
+            price,
+            deadline: (await time.latest()) + 3600,
+            nonce
+        };
+    }
+
+    beforeEach(async function () {
+        const fixture = await loadFixture(deployContractsFixture);
+        ({ deployer, user1, user2, moeToken, nft, marketplace } = fixture);
+        [owner1, owner2] = (await ethers.getSigners()).slice(4, 6);
+        chainId = (await ethers.provider.getNetwork()).chainId;
+
+        safe = await deploySafe([owner1.address, owner2.address], 2);
+        relayer = createRelayer({ signer: deployer, contracts: { nft, marketplace, moeToken } });
+    });
+
+    it("Should sell a card held by a Safe with owner-signed permit and order", async function () {
+        // user1 pays for a card minted into the Safe
+        await moeToken.connect(user1).approve(nft.address, price);
+        await nft.mintWithApproval(user1.address, safe.address, 1, cardId, "ipfs://safe", price);
+
+        // Gasless setApprovalForAll for the marketplace, signed by the Safe
+        const deadline = (await time.latest()) + 3600;
+        const permit = sdk.buildERC1155Permit({
+            nft: nft.address,
+            chainId,
+            owner: safe.address,
+            operator: marketplace.address,
+            approved: true,
+            nonce: await nft.nonces(safe.address),
+            deadline
+        });
+        await nft.permitWithSignature(safe.address, marketplace.address, true, deadline, await signAsSafe(permit));
+        expect(await nft.isApprovedForAll(safe.address, marketplace.address)).to.equal(true);
+
+        const sellOrder = await orderFor(safe.address, 1);
+        const sellSignature = await signAsSafe(sdk.buildSellOrder({ marketplace: marketplace.address, chainId, order: sellOrder }));
+        expect((await sdk.verifyOrder(marketplace, "sell", sellOrder, sellSignature)).valid).to.equal(true);
+
+        const buy = await sdk.signBuyOrder(user2, { marketplace: marketplace.address, chainId, order: await orderFor(user2.address, 1) });
+        await moeToken.connect(user2).approve(marketplace.address, price);
+
+        const result = await relayer.matchOrders({ sellOrder, sellSignature, buyOrder: buy.order, buySignature: buy.signature });
+        expect(result.status).to.equal("confirmed");
+        expect(await nft.balanceOf(user2.address, cardId)).to.equal(1);
+        expect(await moeToken.balanceOf(safe.address)).to.equal(price);
+    });
+
+    it("Should buy with MOE approved by a Safe permit", async function () {
+        await moeToken.mint(safe.address, price);
+        await moeToken.connect(user1).approve(nft.address, price);
+        await nft.mintWithApproval(user1.address, user1.address, 1, cardId, "ipfs://safe", price);
+        await nft.connect(user1).setApprovalForAll(marketplace.address, true);
+
+        const deadline = (await time.latest()) + 3600;
+        const permit = sdk.buildERC20Permit({
+            token: moeToken.address,
+            chainId,
+            owner: safe.address,
+            spender: marketplace.address,
+            value: price,
+            nonce: await moeToken.nonces(safe.address),
+            deadline
+        });
+        await moeToken.permitWithSignature(safe.address, marketplace.address, price, deadline, await signAsSafe(permit));
+        expect(await moeToken.allowance(safe.address, marketplace.address)).to.equal(price);
+
+        const sell = await sdk.signSellOrder(user1, { marketplace: marketplace.address, chainId, order: await orderFor(user1.address, 1) });
+        const buyOrder = await orderFor(safe.address, 1);
+        const buySignature = await signAsSafe(sdk.buildBuyOrder({ marketplace: marketplace.address, chainId, order: buyOrder }));
+
+        const result = await relayer.matchOrders({ sellOrder: sell.order, sellSignature: sell.signature, buyOrder, buySignature });
+        expect(result.status).to.equal("confirmed");
+        expect(await nft.balanceOf(safe.address, cardId)).to.equal(1);
+        // user1 paid 100 MOE for the mint and got it back from the Safe
+        expect(await moeToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("10000"));
+    });
+
+    it("Should reject Safe signatures below the threshold", async function () {
+        const deadline = (await time.latest()) + 3600;
+        const permit = sdk.buildERC1155Permit({
+            nft: nft.address,
+            chainId,
+            owner: safe.address,
+            operator: marketplace.address,
+            approved: true,
+            nonce: 0,
+            deadline
+        });
+        await expect(nft.permitWithSignature(safe.address, marketplace.address, true, deadline, await signAsSafe(permit, [owner1])))
+            .to.be.revertedWithCustomError(nft, "ERC1155PermitInvalidSignature");
+
+        const sellOrder = await orderFor(safe.address, 1);
+        const oneOwner = await signAsSafe(sdk.buildSellOrder({ marketplace: marketplace.address, chainId, order: sellOrder }), [owner1]);
+        expect((await sdk.verifyOrder(marketplace, "sell", sellOrder, oneOwner)).errors).to.deep.equal(["Invalid signature"]);
+
+        // An owner's plain ECDSA signature does not speak for the Safe either
+        const direct = await sdk.signSellOrder(owner1, { marketplace: marketplace.address, chainId, order: sellOrder });
+        expect((await sdk.verifyOrder(marketplace, "sell", sellOrder, direct.signature)).errors).to.deep.equal(["Invalid signature"]);
+    });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const { openDeployment, deployContract, loadDeployments } = require("../scripts/utils/deployments");
+const { useScratchDeployment } = require("./fixtures");
+
+/**
+ * Minimal Etherscan-compatible verification API.
+ * Every submission is pending for one poll, then passes unless its
+ * contract name is listed in `failing`. Contracts listed in `stuck`
+ * stay pending forever.
+ */
+function startStubExplorer() {
+    const stub = { submissions: [], verified: new Set(), failing: new Set(), stuck: new Set(), polls: {} };
+
+    stub.server = http.createServer((req, res) => {
+        const reply = (json) => {
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(json));
+        };
+
+        if (req.method === "POST") {
+            let body = "";
+            req.on("data", (chunk) => { body += chunk; });
+            req.on("end", () => {
+                const params = Object.fromEntries(new URLSearchParams(body));
+                const guid = `guid-${stub.submissions.length}`;
+                stub.submissions.push(params);
+                stub.polls[guid] = { params, count: 0 };
+                reply({ status: "1", message: "OK", result: guid });
+            });
+            return;
+        }
+
+        const query = Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+        if (query.action === "getsourcecode") {
+            const source = stub.verified.has(query.address.toLowerCase()) ? "contract {}" : "";
+            return reply({ status: "1", message: "OK", result: [{ SourceCode: source }] });
+        }
+        if (query.action === "checkverifystatus") {
+            const poll = stub.polls[query.guid];
+            const contract = poll.params.contractname.split(":")[1];
+            if (poll.count++ === 0 || stub.stuck.has(contract)) {
+                return reply({ status: "0", message: "NOTOK", result: "Pending in queue" });
+            }
+            if (stub.failing.has(contract)) {
+                return reply({ status: "0", message: "NOTOK", result: "Fail - Unable to verify" });
+            }
+            stub.verified.add(poll.params.contractaddress.toLowerCase());
+            return reply({ status: "1", message: "OK", result: "Pass - Verified" });
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+
+    return new Promise((resolve) => {
+        stub.server.listen(0, "127.0.0.1", () => {
+            stub.apiURL = `http://127.0.0.1:${stub.server.address().port}/api`;
+            resolve(stub);
+        });
+    });
+}
+
+describe("verify-deployments task", function () {
+    const { ethers } = hre;
+    let stub, file, deployer, chainId;
+    let moeToken, factory;
+    let originalEtherscan;
+    const scratch = useScratchDeployment("moe-verify-");
+
+    beforeEach(async function () {
+        file = scratch.file;
+        [deployer] = await ethers.getSigners();
+        chainId = (await ethers.provider.getNetwork()).chainId;
+        stub = await startStubExplorer();
+
+        const deployment = await openDeployment(hre, { file });
+        moeToken = await deployContract(deployment, "MOEToken", [deployer.address]);
+        factory = await deployContract(deployment, "VestingWalletFactory", [moeToken.address, deployer.address]);
+
+        // Point the local chain at the stub explorer
+        originalEtherscan = hre.config.etherscan;
+        hre.config.etherscan = {
+            apiKey: { stub: "stub-api-key" },
+            customChains: [{
+                network: "stub",
+                chainId,
+                urls: { apiURL: stub.apiURL, browserURL: "http://explorer.local" }
+            }]
+        };
+    });
+
+    afterEach(function () {
+        if (originalEtherscan !== undefined) {
+            hre.config.etherscan = originalEtherscan;
+            originalEtherscan = undefined;
+        }
+        if (stub !== undefined) {
+            stub.server.close();
+            stub = undefined;
+        }
+    });
+
+    it("Should submit every recorded contract with its constructor arguments", async function () {
+        await hre.run("verify-deployments", { file, pollInterval: 0 });
+
+        const byName = Object.fromEntries(stub.submissions.map((s) => [s.contractname, s]));
+        expect(Object.keys(byName)).to.have.members([
+            "contracts/MOEToken.sol:MOEToken",
+            "contracts/VestingWalletFactory.sol:VestingWalletFactory",
+            "contracts/StageBasedVestingWallet.sol:StageBasedVestingWallet"
+        ]);
+
+        const moe = byName["contracts/MOEToken.sol:MOEToken"];
+        expect(moe.contractaddress).to.equal(moeToken.address);
+        expect(moe.constructorArguements).to.equal(
+            ethers.utils.defaultAbiCoder.encode(["address"], [deployer.address]).slice(2)
+        );
+        expect(moe.apikey).to.equal("stub-api-key");
+        expect(moe.codeformat).to.equal("solidity-standard-json-input");
+        expect(moe.compilerversion).to.match(/^v0\.8\.28\+commit\./);
+        expect(JSON.parse(moe.sourceCode).sources).to.have.property("contracts/MOEToken.sol");
+
+        const factoryRequest = byName["contracts/VestingWalletFactory.sol:VestingWalletFactory"];
+        expect(factoryRequest.constructorArguements).to.equal(
+            ethers.utils.defaultAbiCoder.encode(["address", "address"], [moeToken.address, deployer.address]).slice(2)
+        );
+    });
+
+    it("Should verify the StageBasedVestingWallet implementation created by the factory", async function () {
+        await hre.run("verify-deployments", { file, pollInterval: 0 });
+
+        const implementation = stub.submissions.find((s) => s.contractname.endsWith(":StageBasedVestingWallet"));
+        expect(implementation.contractaddress).to.equal(await factory.vestingWalletImplementation());
+        expect(implementation.constructorArguements).to.equal("");
+    });
+
+    it("Should record results and skip already verified contracts on the next run", async function () {
+        await hre.run("verify-deployments", { file, pollInterval: 0 });
+
+        const verification = loadDeployments(file)[String(chainId)].verification;
+        expect(verification.MOEToken.status).to.equal("verified");
+        expect(verification.MOEToken.address).to.equal(moeToken.address);
+        expect(verification.StageBasedVestingWallet.status).to.equal("verified");
+
+        await hre.run("verify-deployments", { file, pollInterval: 0 });
+
+        expect(stub.submissions).to.have.length(3);
+        expect(loadDeployments(file)[String(chainId)].verification.MOEToken.status).to.equal("already-verified");
+    });
+
+    it("Should keep going after a failure and report the failed contracts", async function () {
+        stub.failing.add("MOEToken");
+
+        await expect(hre.run("verify-deployments", { file, pollInterval: 0 }))
+            .to.be.rejectedWith("以下合约验证失败: MOEToken");
+
+        const verification = loadDeployments(file)[String(chainId)].verification;
+        expect(verification.MOEToken).to.include({ status: "failed", message: "Fail - Unable to verify" });
+        expect(verification.VestingWalletFactory.status).to.equal("verified");
+    });
+
+    it("Should give up on a contract that stays pending after maxAttempts polls", async function () {
+        stub.stuck.add("MOEToken");
+
+        await expect(hre.run("verify-deployments", { file, pollInterval: 0, maxAttempts: 3 }))
+            .to.be.rejectedWith("以下合约验证失败: MOEToken");
+
+        const verification = loadDeployments(file)[String(chainId)].verification;
+        expect(verification.MOEToken).to.include({ status: "failed", guid: "guid-0" });
+        expect(verification.MOEToken.message).to.include("轮询 3 次后仍在排队");
+        expect(stub.polls["guid-0"].count).to.equal(3);
+        expect(verification.VestingWalletFactory.status).to.equal("verified");
+    });
+
+    it("Should refuse to run without an API key", async function () {
+        hre.config.etherscan.apiKey = {};
+
+        await expect(hre.run("verify-deployments", { file, pollInterval: 0 }))
+            .to.be.rejectedWith("没有配置 API key");
+        expect(stub.submissions).to.have.length(0);
+    });
+
+    it("Should refuse to run without a record for the current chain", async function () {
+        fs.writeFileSync(file, JSON.stringify({ 421614: { contracts: {} } }));
+
+        await expect(hre.run("verify-deployments", { file, pollInterval: 0 }))
+            .to.be.rejectedWith(`没有 chainId ${chainId} 的部署记录`);
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
 
 describe("VestingWalletFactory", function () {
   let MOEToken;
@@ -34,8 +36,9 @@ describe("VestingWalletFactory", function () {
       expect(await factory.moeToken()).to.equal(moeToken.address);
     });
 
-    it("Should set the correct owner", async function () {
-      expect(await factory.owner()).to.equal(owner.address);
+    it("Should grant admin and relayer roles to the initial admin", async function () {
+      expect(await factory.hasRole(await factory.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await factory.hasRole(await factory.RELAYER_ROLE(), owner.address)).to.equal(true);
     });
 
     it("Should have correct balance after transfer", async function () {
@@ -51,7 +54,7 @@ describe("VestingWalletFactory", function () {
   });
 
   describe("Creating Vesting", function () {
-    it("Should allow owner to create vesting", async function () {
+    it("Should allow the relayer to create vesting", async function () {
       const amount = ethers.utils.parseEther("100");
 
       await expect(factory.createVesting(player1.address, amount))
@@ -97,12 +100,12 @@ describe("VestingWalletFactory", function () {
       expect(player1Wallets.length).to.equal(2);
     });
 
-    it("Should revert if non-owner tries to create vesting", async function () {
+    it("Should revert if a non-relayer tries to create vesting", async function () {
       const amount = ethers.utils.parseEther("100");
 
       await expect(
         factory.connect(player1).createVesting(player2.address, amount)
-      ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount");
     });
 
     it("Should revert if beneficiary is zero address", async function () {
@@ -134,6 +137,119 @@ describe("VestingWalletFactory", function () {
         factory.createVesting(player1.address, amount)
       ).to.be.revertedWith("Factory: insufficient MOE balance");
     });
+
+    it("Should revert while paused by the guardian", async function () {
+      const amount = ethers.utils.parseEther("100");
+      await factory.transferGuardian(player2.address);
+
+      await expect(
+        factory.pause()
+      ).to.be.revertedWithCustomError(factory, "GuardianUnauthorizedAccount");
+      await factory.connect(player2).pause();
+
+      await expect(
+        factory.createVesting(player1.address, amount)
+      ).to.be.revertedWithCustomError(factory, "EnforcedPause");
+
+      await factory.connect(player2).unpause();
+      await expect(factory.createVesting(player1.address, amount))
+        .to.emit(factory, "VestingCreated");
+    });
+  });
+
+  describe("Withdrawal Vouchers", function () {
+    const amount = ethers.utils.parseEther("100");
+    let chainId;
+
+    beforeEach(async function () {
+      chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    // owner holds RELAYER_ROLE and signs as the Backend
+    async function issue(voucher, signer = owner) {
+      return sdk.signWithdrawalVoucher(signer, {
+        factory: factory.address,
+        chainId,
+        voucher: { player: player1.address, amount, nonce: 1, deadline: (await time.latest()) + 3600, ...voucher },
+      });
+    }
+
+    function redeem(voucher, signature, caller = player2) {
+      return factory.connect(caller).redeemVoucher(voucher.player, voucher.amount, voucher.nonce, voucher.deadline, signature);
+    }
+
+    it("Should let anyone redeem a voucher for the player", async function () {
+      const { voucher, signature } = await issue();
+
+      const tx = await redeem(voucher, signature);
+      const [vestingWallet] = await factory.getPlayerVestingWallets(player1.address);
+      await expect(tx).to.emit(factory, "VoucherRedeemed")
+        .withArgs(player1.address, 1, vestingWallet, amount, owner.address);
+      await expect(tx).to.emit(factory, "VestingCreated");
+
+      expect(await moeToken.balanceOf(vestingWallet)).to.equal(amount);
+      expect(await factory.getPlayerVestingWallets(player2.address)).to.have.length(0);
+      expect(await factory.isVoucherNonceUsed(player1.address, 1)).to.equal(true);
+    });
+
+    it("Should reject a replayed voucher", async function () {
+      const { voucher, signature } = await issue();
+      await redeem(voucher, signature);
+
+      await expect(redeem(voucher, signature, player1))
+        .to.be.revertedWith("Factory: voucher nonce used");
+
+      // Nonces are per player
+      const other = await issue({ player: player2.address });
+      await expect(redeem(other.voucher, other.signature)).to.emit(factory, "VoucherRedeemed");
+    });
+
+    it("Should reject a tampered voucher", async function () {
+      const { voucher, signature } = await issue();
+
+      for (const tampered of [
+        { ...voucher, player: player2.address },
+        { ...voucher, amount: amount.mul(2) },
+        { ...voucher, nonce: 2 },
+        { ...voucher, deadline: voucher.deadline + 1 },
+      ]) {
+        await expect(redeem(tampered, signature))
+          .to.be.revertedWith("Factory: invalid voucher signature");
+      }
+      await expect(redeem(voucher, "0x1234"))
+        .to.be.revertedWith("Factory: invalid voucher signature");
+    });
+
+    it("Should reject an expired voucher", async function () {
+      const { voucher, signature } = await issue({ deadline: (await time.latest()) + 60 });
+      await time.increase(61);
+
+      await expect(redeem(voucher, signature))
+        .to.be.revertedWith("Factory: voucher expired");
+    });
+
+    it("Should only accept vouchers signed by the relayer role", async function () {
+      const forged = await issue({}, player1);
+      await expect(redeem(forged.voucher, forged.signature))
+        .to.be.revertedWith("Factory: invalid voucher signature");
+
+      // Revoking the Backend key invalidates its outstanding vouchers
+      const { voucher, signature } = await issue();
+      await factory.revokeRole(await factory.RELAYER_ROLE(), owner.address);
+      await expect(redeem(voucher, signature))
+        .to.be.revertedWith("Factory: invalid voucher signature");
+    });
+
+    it("Should apply the createVesting checks and the guardian pause", async function () {
+      const odd = await issue({ amount: 101 });
+      await expect(redeem(odd.voucher, odd.signature))
+        .to.be.revertedWith("Factory: amount must be divisible by 4");
+
+      const { voucher, signature } = await issue();
+      await factory.pause();
+      await expect(redeem(voucher, signature))
+        .to.be.revertedWithCustomError(factory, "EnforcedPause");
+    });
   });
 
   describe("VestingWallet Integration", function () {
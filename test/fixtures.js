@@ -1,4 +1,8 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { ethers } = require("hardhat");
+const { deployContract } = require("../scripts/utils/deployments");
 
 /**
  * Deploy all contracts for EOA + Permit testing
@@ -63,4 +67,86 @@ async function deployContractsFixture() {
     };
 }
 
-module.exports = { deployContractsFixture };
+/**
+ * Deploy a Safe multisig (v1.4.1) from the artifacts bundled with
+ * @safe-global/safe-contracts: singleton + proxy factory + proxy, with the
+ * CompatibilityFallbackHandler so that the Safe answers ERC-1271.
+ */
+async function deploySafe(owners, threshold = 1) {
+    const SafeArtifact = require("@safe-global/safe-contracts/build/artifacts/contracts/Safe.sol/Safe.json");
+    const FactoryArtifact = require("@safe-global/safe-contracts/build/artifacts/contracts/proxies/SafeProxyFactory.sol/SafeProxyFactory.json");
+    const HandlerArtifact = require("@safe-global/safe-contracts/build/artifacts/contracts/handler/CompatibilityFallbackHandler.sol/CompatibilityFallbackHandler.json");
+    const [deployer] = await ethers.getSigners();
+
+    const singleton = await new ethers.ContractFactory(SafeArtifact.abi, SafeArtifact.bytecode, deployer).deploy();
+    await singleton.deployed();
+    const proxyFactory = await new ethers.ContractFactory(FactoryArtifact.abi, FactoryArtifact.bytecode, deployer).deploy();
+    await proxyFactory.deployed();
+    const fallbackHandler = await new ethers.ContractFactory(HandlerArtifact.abi, HandlerArtifact.bytecode, deployer).deploy();
+    await fallbackHandler.deployed();
+
+    const setupData = singleton.interface.encodeFunctionData("setup", [
+        owners,
+        threshold,
+        ethers.constants.AddressZero, // to
+        "0x",                         // data
+        fallbackHandler.address,      // fallbackHandler
+        ethers.constants.AddressZero, // paymentToken
+        0,                            // payment
+        ethers.constants.AddressZero  // paymentReceiver
+    ]);
+    const receipt = await (await proxyFactory.createProxyWithNonce(singleton.address, setupData, 0)).wait();
+    const event = receipt.events.find((e) => e.event === "ProxyCreation");
+
+    return new ethers.Contract(event.args.proxy, SafeArtifact.abi, deployer);
+}
+
+/**
+ * Scratch deployment record for the deploy script and task tests.
+ * Call inside a describe block: it registers hooks that give each test a
+ * fresh temporary deployments.json (`scratch.file`) and silence console.log,
+ * which the deploy helpers and tasks use for progress output.
+ * Teardown only undoes what setup got to, so a failed beforeEach does not
+ * leave console.log broken for the rest of the run.
+ */
+function useScratchDeployment(prefix) {
+    const scratch = {};
+    let originalLog;
+
+    beforeEach(function () {
+        scratch.file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), prefix)), "deployments.json");
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        if (originalLog !== undefined) {
+            console.log = originalLog;
+            originalLog = undefined;
+        }
+        if (scratch.file !== undefined) {
+            fs.rmSync(path.dirname(scratch.file), { recursive: true, force: true });
+            scratch.file = undefined;
+        }
+    });
+
+    return scratch;
+}
+
+/**
+ * Deploy the five contracts through the deploy script's deployContract, so
+ * that they are recorded in `deployment`, with `admin` as the initial admin.
+ */
+async function deployRecordedContracts(deployment, admin) {
+    const moeToken = await deployContract(deployment, "MOEToken", [admin]);
+    const nft = await deployContract(deployment, "MoeGirlsNFT", [moeToken.address]);
+    return {
+        MOEToken: moeToken,
+        VestingWalletFactory: await deployContract(deployment, "VestingWalletFactory", [moeToken.address, admin]),
+        DepositContract: await deployContract(deployment, "DepositContract", [moeToken.address, admin, admin]),
+        MoeGirlsNFT: nft,
+        MoeGirlsMarketplace: await deployContract(deployment, "MoeGirlsMarketplace", [nft.address, moeToken.address])
+    };
+}
+
+module.exports = { deployContractsFixture, deploySafe, useScratchDeployment, deployRecordedContracts };